@@ -0,0 +1,47 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/config/openai', () => ({}));
+
+const { db } = require('../../src/config/firebase');
+const settingsService = require('../../src/services/settings.service');
+const contentPipeline = require('../../src/services/contentPipeline.service');
+const midjourneyService = require('../../src/services/midjourney.service');
+const contentGeneration = require('../../src/cron/contentGeneration');
+
+describe('contentGeneration.run', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.restoreAllMocks();
+    jest.spyOn(settingsService, 'isModuleEnabled').mockResolvedValue(true);
+    jest.spyOn(contentPipeline, 'pickContentType').mockResolvedValue({ arm: 'image' });
+  });
+
+  test('queues one job per category on the latest active trend without rendering', async () => {
+    const render = jest.spyOn(midjourneyService, 'startRender');
+    db.seed('trends/t1', { date: '2026-10-17' });
+    db.seed('trends/t2', { date: '2026-10-18' });
+    db.seed('trends/t3', { date: '2026-10-19', deletedAt: '2026-10-19T08:00:00.000Z' });
+
+    const result = await contentGeneration.run();
+
+    expect(result).toMatchObject({ success: true, queued: 4, total: 4 });
+    expect(render).not.toHaveBeenCalled();
+
+    const jobs = db.collection('jobs').list();
+    expect(jobs.map(job => job.input.category).sort()).toEqual(['closet_doors', 'home_offices', 'office_partitions', 'room_dividers']);
+    for (const job of jobs) {
+      expect(job).toMatchObject({ status: 'queued', createdBy: 'system', input: { trendId: 't2', source: 'automated', type: 'image' } });
+    }
+
+    expect(db.collection('logs').list()).toEqual([
+      expect.objectContaining({ type: 'content_generation_batch', status: 'queued', trendId: 't2', jobIds: result.results.map(r => r.jobId) })
+    ]);
+  });
+
+  test('does nothing while the module is disabled', async () => {
+    settingsService.isModuleEnabled.mockResolvedValue(false);
+
+    expect(await contentGeneration.run()).toMatchObject({ skipped: true });
+    expect(db.collection('jobs').list()).toEqual([]);
+  });
+});
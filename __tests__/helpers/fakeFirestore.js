@@ -0,0 +1,328 @@
+/**
+ * In-memory stand-in for src/config/firebase
+ * Covers what the services under test use: doc get/set/create/update (dot paths and
+ * FieldValue.increment/delete), add, subcollections, runTransaction, getAll and simple queries
+ * (where with ==, !=, <, <=, >, >=, in; orderBy; limit; offset; startAfter).
+ *
+ * Usage (jest.mock factories may only require modules):
+ *   jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+ *   const { db } = require('../../src/config/firebase');
+ *   beforeEach(() => db.reset());
+ */
+
+const INCREMENT = Symbol('increment');
+const DELETE = Symbol('delete');
+
+// Firestore error codes
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Apply a field value (plain or increment) on top of the current one
+ */
+function resolveValue(current, value) {
+  if (value && value[INCREMENT] !== undefined) {
+    return (current || 0) + value[INCREMENT];
+  }
+
+  return clone(value);
+}
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  in: (a, b) => b.includes(a)
+};
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, field) => (value == null ? undefined : value[field]), data);
+}
+
+function createSnapshot(ref, data) {
+  return {
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => clone(data)
+  };
+}
+
+class FakeQuery {
+  constructor(collection, { filters = [], orders = [], limit = null, offset = 0, after = null } = {}) {
+    this.collection = collection;
+    this.options = { filters, orders, limit, offset, after };
+  }
+
+  with(changes) {
+    return new FakeQuery(this.collection, { ...this.options, ...changes });
+  }
+
+  where(field, operator, value) {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unsupported operator in fake Firestore: ${operator}`);
+    }
+    return this.with({ filters: [...this.options.filters, { field, operator, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orders: [...this.options.orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this.with({ limit });
+  }
+
+  offset(offset) {
+    return this.with({ offset });
+  }
+
+  startAfter(snapshot) {
+    return this.with({ after: snapshot.id });
+  }
+
+  async get() {
+    const { filters, orders, limit, offset, after } = this.options;
+
+    let docs = this.collection.list()
+      .filter(doc => filters.every(({ field, operator, value }) => {
+        const fieldValue = getField(doc, field);
+        // Firestore only matches documents that have the field
+        return fieldValue !== undefined && OPERATORS[operator](fieldValue, value);
+      }));
+
+    docs.sort((a, b) => {
+      for (const { field, direction } of orders) {
+        const left = getField(a, field);
+        const right = getField(b, field);
+        if (left !== right) {
+          const order = left < right ? -1 : 1;
+          return direction === 'desc' ? -order : order;
+        }
+      }
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    });
+
+    if (after !== null) {
+      docs = docs.slice(docs.findIndex(doc => doc.id === after) + 1);
+    }
+
+    docs = docs.slice(offset, limit === null ? undefined : offset + limit);
+
+    const snapshots = docs.map(({ id, ...data }) => createSnapshot(this.collection.doc(id), data));
+
+    return {
+      docs: snapshots,
+      empty: snapshots.length === 0,
+      size: snapshots.length,
+      forEach: fn => snapshots.forEach(fn)
+    };
+  }
+}
+
+class FakeDocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return createSnapshot(this, this.firestore.documents.get(this.path));
+  }
+
+  async set(data) {
+    const document = {};
+    for (const [field, value] of Object.entries(data)) {
+      document[field] = resolveValue(undefined, value);
+    }
+    this.firestore.documents.set(this.path, document);
+  }
+
+  async create(data) {
+    if (this.firestore.documents.has(this.path)) {
+      throw firestoreError(ALREADY_EXISTS, `Document already exists: ${this.path}`);
+    }
+    await this.set(data);
+  }
+
+  async update(data) {
+    const document = this.firestore.documents.get(this.path);
+    if (document === undefined) {
+      throw firestoreError(NOT_FOUND, `No document to update: ${this.path}`);
+    }
+
+    for (const [fieldPath, value] of Object.entries(data)) {
+      const fields = fieldPath.split('.');
+      const last = fields.pop();
+      let target = document;
+
+      for (const field of fields) {
+        if (!target[field] || typeof target[field] !== 'object') {
+          target[field] = {};
+        }
+        target = target[field];
+      }
+
+      if (value && value[DELETE]) {
+        delete target[last];
+      } else {
+        target[last] = resolveValue(target[last], value);
+      }
+    }
+  }
+
+  async delete() {
+    this.firestore.documents.delete(this.path);
+  }
+}
+
+class FakeCollectionReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+  }
+
+  doc(id = `auto${++this.firestore.autoId}`) {
+    return new FakeDocumentReference(this.firestore, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  where(...args) {
+    return new FakeQuery(this).where(...args);
+  }
+
+  orderBy(...args) {
+    return new FakeQuery(this).orderBy(...args);
+  }
+
+  limit(limit) {
+    return new FakeQuery(this).limit(limit);
+  }
+
+  get() {
+    return new FakeQuery(this).get();
+  }
+
+  /**
+   * Documents directly in this collection
+   * @returns {Array<Object>} { id, ...data }
+   */
+  list() {
+    const prefix = `${this.path}/`;
+
+    return [...this.firestore.documents.entries()]
+      .filter(([path]) => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .map(([path, data]) => ({ id: path.slice(prefix.length), ...clone(data) }));
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.documents = new Map();
+    this.autoId = 0;
+  }
+
+  collection(name) {
+    return new FakeCollectionReference(this, name);
+  }
+
+  /**
+   * Reads go straight to the store; writes are applied once the callback resolves
+   */
+  async runTransaction(fn) {
+    const writes = [];
+
+    const transaction = {
+      get: ref => ref.get(),
+      set: (ref, data) => writes.push(() => ref.set(data)),
+      create: (ref, data) => writes.push(() => ref.create(data)),
+      update: (ref, data) => writes.push(() => ref.update(data))
+    };
+
+    const result = await fn(transaction);
+
+    for (const write of writes) {
+      await write();
+    }
+
+    return result;
+  }
+
+  getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  /**
+   * Stored document data, or undefined
+   * @param {string} path - Document path (collection/id)
+   */
+  getData(path) {
+    return clone(this.documents.get(path));
+  }
+
+  /**
+   * Store a document as-is (test setup)
+   * @param {string} path - Document path (collection/id)
+   * @param {Object} data - Document data
+   */
+  seed(path, data) {
+    this.documents.set(path, clone(data));
+  }
+
+  reset() {
+    this.documents.clear();
+    this.autoId = 0;
+  }
+}
+
+/**
+ * Module exports replacing src/config/firebase
+ * @returns {Object} { db, admin, getDb, initializeFirebase }
+ */
+function createFirebaseMock() {
+  const db = new FakeFirestore();
+
+  const admin = {
+    firestore: {
+      FieldValue: {
+        increment: amount => ({ [INCREMENT]: amount }),
+        delete: () => ({ [DELETE]: true })
+      }
+    }
+  };
+
+  return {
+    db,
+    admin,
+    getDb: () => db,
+    initializeFirebase: () => ({ admin, db })
+  };
+}
+
+module.exports = {
+  ALREADY_EXISTS,
+  createFirebaseMock
+};
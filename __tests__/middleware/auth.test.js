@@ -0,0 +1,118 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+
+const { db } = require('../../src/config/firebase');
+const authService = require('../../src/services/auth.service');
+const { authenticate, requireRole } = require('../../src/middleware/auth');
+
+function createRequest(headers = {}, user) {
+  return {
+    method: 'POST',
+    originalUrl: '/api/posts/p1/approve',
+    ip: '203.0.113.7',
+    user,
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('authenticate', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    db.reset();
+    authService.keyCache = {};
+    process.env.ADMIN_API_KEY = 'bootstrap-key';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('resolves an issued key from the Bearer or X-API-Key header and stores only its hash', async () => {
+    const { apiKey, id } = await authService.createKey({ name: 'maria', role: 'approver', createdBy: 'admin' });
+
+    for (const headers of [{ authorization: `Bearer ${apiKey}` }, { 'x-api-key': apiKey }]) {
+      const req = createRequest(headers);
+      const next = jest.fn();
+
+      await authenticate(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(req.user).toEqual({ id, name: 'maria', role: 'approver', type: 'api_key' });
+    }
+
+    expect(JSON.stringify(db.collection('api_keys').list())).not.toContain(apiKey);
+  });
+
+  test('accepts the bootstrap admin key from the environment', async () => {
+    const req = createRequest({ 'x-api-key': 'bootstrap-key' });
+    const next = jest.fn();
+
+    await authenticate(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.user).toMatchObject({ name: 'admin', role: 'admin', type: 'bootstrap' });
+  });
+
+  test.each([
+    ['a missing key', {}, 'Authentication required'],
+    ['an unknown key', { 'x-api-key': 'd22_unknown' }, 'Invalid or revoked API key']
+  ])('rejects %s with 401', async (label, headers, error) => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate(createRequest(headers), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error });
+  });
+
+  test('rejects a key once it is revoked', async () => {
+    const { apiKey, id } = await authService.createKey({ name: 'bot', role: 'editor', createdBy: 'admin' });
+    await authenticate(createRequest({ 'x-api-key': apiKey }), createResponse(), jest.fn());
+
+    expect(await authService.revokeKey(id, 'admin')).toBe(true);
+
+    const res = createResponse();
+    await authenticate(createRequest({ 'x-api-key': apiKey }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(await authService.revokeKey('missing', 'admin')).toBe(false);
+  });
+});
+
+describe('requireRole', () => {
+  test.each([
+    ['admin', 'approver', true],
+    ['approver', 'approver', true],
+    ['editor', 'approver', false],
+    ['viewer', 'editor', false],
+    ['unknown', 'viewer', false]
+  ])('%s calling a route that needs %s: allowed %p', (role, requiredRole, allowed) => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    requireRole(requiredRole)(createRequest({}, { name: 'maria', role }), res, next);
+
+    expect(next).toHaveBeenCalledTimes(allowed ? 1 : 0);
+    if (!allowed) {
+      expect(res.status).toHaveBeenCalledWith(403);
+    }
+  });
+
+  test('needs an authenticated user', () => {
+    const res = createResponse();
+
+    requireRole('viewer')(createRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+
+const crypto = require('crypto');
+const { db } = require('../../src/config/firebase');
+const { captureRawBody, verifyMetaSignature } = require('../../src/middleware/metaSignature');
+
+const SECRET = 'current-secret';
+const OLD_SECRET = 'old-secret';
+
+// Unicode escapes and spacing that JSON.stringify would not reproduce
+const RAW_BODY = Buffer.from('{"object":"instagram", "entry":[{"id":"1","changes":[{"value":{"text":"caf\\u00e9"}}]}]}');
+
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function createRequest(signature, rawBody = RAW_BODY) {
+  const headers = signature === undefined ? {} : { 'x-hub-signature-256': signature };
+
+  return {
+    method: 'POST',
+    originalUrl: '/webhooks/instagram',
+    ip: '203.0.113.7',
+    rawBody,
+    body: JSON.parse(rawBody.toString()),
+    get: name => headers[name.toLowerCase()]
+  };
+}
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+async function verify(req) {
+  const res = createResponse();
+  const next = jest.fn();
+
+  await verifyMetaSignature(req, res, next);
+
+  return { res, next };
+}
+
+function rejections() {
+  return db.collection('logs').list();
+}
+
+describe('verifyMetaSignature', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    db.reset();
+    process.env.META_APP_SECRET = SECRET;
+    delete process.env.META_APP_SECRET_PREVIOUS;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('accepts a delivery signed over the raw body with the app secret', async () => {
+    const { res, next } = await verify(createRequest(sign(RAW_BODY, SECRET)));
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('accepts upper-case hex digests', async () => {
+    const { next } = await verify(createRequest(sign(RAW_BODY, SECRET).toUpperCase().replace('SHA256=', 'sha256=')));
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('accepts the previous secrets while a rotation rolls out', async () => {
+    process.env.META_APP_SECRET_PREVIOUS = ` older-secret, ${OLD_SECRET} `;
+
+    const { next } = await verify(createRequest(sign(RAW_BODY, OLD_SECRET)));
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a secret that has been rotated out', async () => {
+    const { res, next } = await verify(createRequest(sign(RAW_BODY, OLD_SECRET)));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(rejections()).toEqual([expect.objectContaining({ reason: 'invalid' })]);
+  });
+
+  test('rejects a delivery without the signature header', async () => {
+    const { res, next } = await verify(createRequest(undefined));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid webhook signature' });
+    expect(rejections()).toEqual([expect.objectContaining({
+      type: 'security',
+      event: 'webhook_signature_rejected',
+      reason: 'missing',
+      route: '/webhooks/instagram',
+      ip: '203.0.113.7'
+    })]);
+  });
+
+  test.each([
+    ['a short digest', 'sha256=abcdef'],
+    ['a long digest', `${sign(RAW_BODY, SECRET)}00`],
+    ['a non-hex digest', `sha256=${'z'.repeat(64)}`],
+    ['the legacy sha1 header format', `sha1=${crypto.createHmac('sha1', SECRET).update(RAW_BODY).digest('hex')}`],
+    ['an empty header', '']
+  ])('rejects %s without throwing', async (label, signature) => {
+    const { res, next } = await verify(createRequest(signature));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('rejects a signature over the re-serialized body instead of the raw bytes', async () => {
+    const req = createRequest();
+    const { res, next } = await verify({ ...req, get: () => sign(JSON.stringify(req.body), SECRET) });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('rejects every delivery when no app secret is configured', async () => {
+    delete process.env.META_APP_SECRET;
+
+    const { res, next } = await verify(createRequest(sign(RAW_BODY, SECRET)));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(rejections()).toEqual([expect.objectContaining({ reason: 'not_configured' })]);
+  });
+});
+
+describe('captureRawBody', () => {
+  test('keeps the exact request bytes', () => {
+    const req = {};
+
+    captureRawBody(req, {}, RAW_BODY);
+
+    expect(req.rawBody).toBe(RAW_BODY);
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+
+const analyticsService = require('../../src/services/analytics.service');
+
+describe('analyticsService cache', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    analyticsService.clearCache();
+    jest.spyOn(analyticsService, 'loadEntries').mockResolvedValue([]);
+  });
+
+  test('a query without a "to" date is served from the cache on the next call', async () => {
+    const first = await analyticsService.getTimeseries({ metric: 'reach' });
+    const second = await analyticsService.getTimeseries({ metric: 'reach' });
+    await analyticsService.getTopPosts({ metric: 'reach' });
+    await analyticsService.getTopPosts({ metric: 'reach' });
+
+    expect(second).toBe(first);
+    expect(analyticsService.loadEntries).toHaveBeenCalledTimes(2);
+    expect(analyticsService.cache.size).toBe(2);
+  });
+
+  test('expired results are dropped when a new result is cached', async () => {
+    await analyticsService.getTimeseries({ metric: 'reach', from: '2026-09-01', to: '2026-09-30' });
+    for (const entry of analyticsService.cache.values()) {
+      entry.time -= analyticsService.cacheExpiry;
+    }
+
+    await analyticsService.getTimeseries({ metric: 'likes', from: '2026-09-01', to: '2026-09-30' });
+
+    expect([...analyticsService.cache.keys()]).toEqual([expect.stringContaining('"metric":"likes"')]);
+  });
+
+  test('clearCache forces the next query to recompute', async () => {
+    await analyticsService.getTimeseries({ metric: 'reach' });
+    analyticsService.clearCache();
+    await analyticsService.getTimeseries({ metric: 'reach' });
+
+    expect(analyticsService.loadEntries).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,162 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/conversations.service', () => ({
+  getConversationId: (platform, userId) => (platform && userId ? `${platform}_${userId}` : null),
+  safeRecordIncoming: jest.fn()
+}));
+jest.mock('../../src/services/leads.service', () => ({ markForCapture: jest.fn() }));
+
+const { db } = require('../../src/config/firebase');
+const conversationsService = require('../../src/services/conversations.service');
+const leadsService = require('../../src/services/leads.service');
+const ingestionService = require('../../src/services/ingestion.service');
+
+const instagramComment = {
+  field: 'comments',
+  value: {
+    id: '17890',
+    text: 'How much for a sliding door?',
+    from: { id: 'u1', username: 'jane' },
+    media: { id: 'm1' }
+  }
+};
+
+describe('ingestionService.normalize', () => {
+  test('Instagram comment', () => {
+    expect(ingestionService.normalize('instagram', 'change', instagramComment)).toMatchObject({
+      interactionId: '17890',
+      platform: 'instagram',
+      type: 'comment',
+      postId: 'm1',
+      commentId: '17890',
+      parentId: null,
+      messageId: null,
+      conversationId: 'instagram_u1',
+      user: { id: 'u1', username: 'jane', name: 'jane' },
+      userMessage: 'How much for a sliding door?',
+      category: 'price_inquiry',
+      status: 'pending'
+    });
+  });
+
+  test('Instagram reply keeps its parent comment', () => {
+    const reply = { field: 'comments', value: { ...instagramComment.value, id: '17891', parent_id: '17890' } };
+
+    expect(ingestionService.normalize('instagram', 'change', reply)).toMatchObject({ commentId: '17891', parentId: '17890' });
+  });
+
+  test('Instagram mention goes to the human inbox', () => {
+    const mention = ingestionService.normalize('instagram', 'change', { field: 'mentions', value: { media_id: 'm9', comment_id: 'c9' } });
+
+    expect(mention).toMatchObject({
+      interactionId: 'ig_mention_c9',
+      type: 'mention',
+      postId: 'm9',
+      commentId: 'c9',
+      user: { id: null, username: 'unknown', name: null },
+      status: 'needs_human',
+      escalation: { reasons: [{ rule: 'mention', detail: null }], priority: 'low' },
+      suggestedResponse: null
+    });
+  });
+
+  test('Facebook comment: top-level comments have no parent', () => {
+    const comment = ingestionService.normalize('facebook', 'change', {
+      field: 'feed',
+      value: {
+        item: 'comment',
+        verb: 'add',
+        comment_id: '123_456',
+        post_id: '123',
+        parent_id: '123',
+        message: 'Do you install in Miami?',
+        from: { id: 'u2', name: 'John Smith' }
+      }
+    });
+
+    expect(comment).toMatchObject({
+      interactionId: '123_456',
+      platform: 'facebook',
+      type: 'comment',
+      postId: '123',
+      parentId: null,
+      user: { id: 'u2', username: 'John Smith', name: 'John Smith' },
+      category: 'technical_question'
+    });
+  });
+
+  test('Facebook feed events other than new comments are ignored', () => {
+    const base = { item: 'comment', comment_id: '123_456', post_id: '123', message: 'x' };
+
+    expect(ingestionService.normalize('facebook', 'change', { field: 'feed', value: { ...base, verb: 'edited' } })).toBeNull();
+    expect(ingestionService.normalize('facebook', 'change', { field: 'feed', value: { ...base, item: 'reaction' } })).toBeNull();
+    expect(ingestionService.normalize('facebook', 'change', { field: 'feed', value: { item: 'comment' } })).toBeNull();
+  });
+
+  test.each([
+    ['instagram', 'ig_dm', 'instagram_user'],
+    ['facebook', 'fb_dm', 'facebook_user']
+  ])('%s DM is keyed by its message id', (platform, prefix, username) => {
+    const dm = ingestionService.normalize(platform, 'message', {
+      sender: { id: 'u3' },
+      message: { mid: 'm_a/b', text: 'Your doors are gorgeous' }
+    });
+
+    expect(dm).toMatchObject({
+      interactionId: `${prefix}_m_a_b`,
+      platform,
+      type: 'dm',
+      messageId: 'm_a/b',
+      conversationId: `${platform}_u3`,
+      user: { id: 'u3', username },
+      category: 'compliment',
+      redirected: false
+    });
+  });
+
+  test('echoes, attachments without text and unknown fields are ignored', () => {
+    expect(ingestionService.normalize('instagram', 'message', { sender: { id: 'page' }, message: { mid: 'm1', text: 'hi', is_echo: true } })).toBeNull();
+    expect(ingestionService.normalize('instagram', 'message', { sender: { id: 'u1' }, message: { mid: 'm1', attachments: [] } })).toBeNull();
+    expect(ingestionService.normalize('instagram', 'change', { field: 'story_insights', value: {} })).toBeNull();
+    expect(ingestionService.normalize('facebook', 'change', { field: 'comments', value: { id: '1' } })).toBeNull();
+  });
+});
+
+describe('ingestionService.ingest', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    db.reset();
+    jest.clearAllMocks();
+    process.env.META_IG_USER_ID = 'ig-self';
+    process.env.META_PAGE_USERNAMES = 'Doors22, @doors22_official';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('stores a new interaction once, then reports redeliveries as duplicates', async () => {
+    expect(await ingestionService.ingest('instagram', 'change', instagramComment)).toBe('stored');
+    expect(await ingestionService.ingest('instagram', 'change', instagramComment)).toBe('duplicate');
+
+    expect(db.getData('interactions/17890')).toMatchObject({ type: 'comment', status: 'pending' });
+    expect(conversationsService.safeRecordIncoming).toHaveBeenCalledTimes(1);
+    expect(leadsService.markForCapture).toHaveBeenCalledWith('17890', expect.objectContaining({ category: 'price_inquiry' }));
+  });
+
+  test.each([
+    ['our account id', { id: 'ig-self', username: 'someone' }],
+    ['a configured username', { id: 'u9', username: 'DOORS22_official' }]
+  ])('ignores comments written by %s', async (label, from) => {
+    const own = { field: 'comments', value: { ...instagramComment.value, from } };
+
+    expect(await ingestionService.ingest('instagram', 'change', own)).toBe('ignored');
+    expect(db.getData('interactions/17890')).toBeUndefined();
+  });
+
+  test('ignores events that are not comments, mentions or messages', async () => {
+    expect(await ingestionService.ingest('facebook', 'change', { field: 'feed', value: { item: 'like' } })).toBe('ignored');
+    expect(leadsService.markForCapture).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+
+const { db } = require('../../src/config/firebase');
+const jobQueueService = require('../../src/services/jobQueue.service');
+
+async function enqueueJob(steps = ['render', 'upload']) {
+  const job = await jobQueueService.enqueue('content_generation', { input: { category: 'doors' }, steps });
+  return job.id;
+}
+
+describe('jobQueueService.run', () => {
+  beforeEach(() => db.reset());
+
+  test('runs every step in order and completes the job with the result', async () => {
+    const jobId = await enqueueJob();
+    const ran = [];
+
+    const job = await jobQueueService.run(jobId, {
+      steps: [
+        { name: 'render', run: async () => { ran.push('render'); return { mediaUrl: 'https://mj/1.png' }; } },
+        { name: 'upload', run: async context => { ran.push('upload'); return { url: context.outputs.render.mediaUrl }; } }
+      ],
+      getResult: context => ({ url: context.outputs.upload.url })
+    });
+
+    expect(ran).toEqual(['render', 'upload']);
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ url: 'https://mj/1.png' });
+    expect(job.lockedBy).toBeNull();
+  });
+
+  test('resumes after the last checkpointed step instead of running it again', async () => {
+    const jobId = await enqueueJob();
+    const render = jest.fn().mockResolvedValue({ mediaUrl: 'https://mj/1.png' });
+
+    const first = await jobQueueService.run(jobId, {
+      steps: [
+        { name: 'render', run: render },
+        { name: 'upload', run: async () => { throw new Error('Cloudinary down'); } }
+      ]
+    });
+
+    expect(first.status).toBe('queued');
+    expect(first.error).toMatchObject({ step: 'upload', message: 'Cloudinary down', attempt: 1 });
+    expect(first.steps.render.status).toBe('completed');
+
+    db.seed(`jobs/${jobId}`, { ...db.getData(`jobs/${jobId}`), nextRunAt: new Date(0).toISOString() });
+
+    const upload = jest.fn(async context => ({ url: context.outputs.render.mediaUrl }));
+    const second = await jobQueueService.run(jobId, {
+      steps: [
+        { name: 'render', run: render },
+        { name: 'upload', run: upload }
+      ]
+    });
+
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(upload).toHaveBeenCalledTimes(1);
+    expect(second.status).toBe('completed');
+    expect(second.steps.upload.output).toEqual({ url: 'https://mj/1.png' });
+  });
+
+  test('a step that waits is requeued with its progress and the attempt is given back', async () => {
+    const jobId = await enqueueJob();
+    const seen = [];
+
+    const handler = {
+      steps: [
+        {
+          name: 'render',
+          run: async context => {
+            seen.push(context.progress);
+            const polls = (context.progress?.polls || 0) + 1;
+            return polls < 3 ? jobQueueService.wait({ polls }, 30000) : { polls };
+          }
+        },
+        { name: 'upload', run: async () => ({ url: 'https://cdn/1.png' }) }
+      ]
+    };
+
+    const before = Date.now();
+    const waiting = await jobQueueService.run(jobId, handler);
+
+    expect(waiting.status).toBe('queued');
+    expect(waiting.attempts).toBe(0);
+    expect(waiting.currentStep).toBe('render');
+    expect(waiting.steps.render).toMatchObject({ status: 'waiting', progress: { polls: 1 } });
+    expect(new Date(waiting.nextRunAt).getTime()).toBeGreaterThanOrEqual(before + 30000);
+
+    // Not runnable again until the wait is over
+    expect(await jobQueueService.run(jobId, handler)).toBeNull();
+
+    for (let run = 0; run < 2; run++) {
+      db.seed(`jobs/${jobId}`, { ...db.getData(`jobs/${jobId}`), nextRunAt: new Date(0).toISOString() });
+      await jobQueueService.run(jobId, handler);
+    }
+
+    const job = await jobQueueService.getJob(jobId);
+    expect(seen).toEqual([null, { polls: 1 }, { polls: 2 }]);
+    expect(job.status).toBe('completed');
+    expect(job.attempts).toBe(1);
+    expect(job.steps.render).toMatchObject({ status: 'completed', output: { polls: 3 }, progress: null });
+  });
+
+  test('a failed step drops its progress so the retry starts it over', async () => {
+    const jobId = await enqueueJob(['render']);
+
+    await jobQueueService.run(jobId, {
+      steps: [{ name: 'render', run: async () => jobQueueService.wait({ requestId: 'mj-1' }) }]
+    });
+
+    db.seed(`jobs/${jobId}`, { ...db.getData(`jobs/${jobId}`), nextRunAt: new Date(0).toISOString() });
+
+    const job = await jobQueueService.run(jobId, {
+      steps: [{ name: 'render', run: async () => { throw new Error('Midjourney imagine failed'); } }]
+    });
+
+    expect(job.status).toBe('queued');
+    expect(job.attempts).toBe(1);
+    expect(job.steps.render).toMatchObject({ status: 'failed', progress: null, error: 'Midjourney imagine failed' });
+  });
+
+  test('fails the job for good once maxAttempts is used up', async () => {
+    const { id: jobId } = await jobQueueService.enqueue('content_generation', { steps: ['render'], maxAttempts: 1 });
+
+    const job = await jobQueueService.run(jobId, {
+      steps: [{ name: 'render', run: async () => { throw new Error('boom'); } }]
+    });
+
+    expect(job.status).toBe('failed');
+    expect(job.completedAt).toEqual(expect.any(String));
+  });
+
+  test('stops before the next step once the deadline has passed', async () => {
+    const jobId = await enqueueJob();
+    const upload = jest.fn();
+
+    const job = await jobQueueService.run(jobId, {
+      steps: [
+        { name: 'render', run: async () => ({ mediaUrl: 'https://mj/1.png' }) },
+        { name: 'upload', run: upload }
+      ]
+    }, { deadline: Date.now() - 1 });
+
+    expect(upload).not.toHaveBeenCalled();
+    expect(job.status).toBe('queued');
+    expect(job.attempts).toBe(0);
+    expect(job.currentStep).toBe('render');
+  });
+});
+
+describe('jobQueueService.isWaiting', () => {
+  test('only recognizes outputs built by wait', () => {
+    expect(jobQueueService.isWaiting(jobQueueService.wait({ polls: 1 }))).toBe(true);
+    expect(jobQueueService.isWaiting({ progress: {}, delayMs: 0 })).toBe(false);
+    expect(jobQueueService.isWaiting(null)).toBe(false);
+  });
+});
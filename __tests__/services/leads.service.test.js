@@ -0,0 +1,62 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/config/openai', () => ({}));
+jest.mock('../../src/utils/logger');
+jest.mock('axios');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { db } = require('../../src/config/firebase');
+const settingsService = require('../../src/services/settings.service');
+const leadsService = require('../../src/services/leads.service');
+
+const lead = { id: 'instagram_u1', status: 'new', name: 'Jane', city: 'Miami' };
+
+describe('leadsService.pushToCrm', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    db.reset();
+    jest.restoreAllMocks();
+    axios.post.mockReset();
+    db.seed('leads/instagram_u1', lead);
+    process.env.CRM_WEBHOOK_SECRET = 'crm-secret';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('posts the signed lead and records the push on the lead', async () => {
+    jest.spyOn(settingsService, 'getSettings').mockResolvedValue({ leads: { crmWebhookUrl: 'https://crm.example/hook' } });
+    axios.post.mockResolvedValue({ status: 202 });
+
+    const crm = await leadsService.pushToCrm(lead, 'lead.created');
+
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe('https://crm.example/hook');
+    expect(JSON.parse(body)).toMatchObject({ event: 'lead.created', lead: { id: 'instagram_u1', name: 'Jane' } });
+    expect(headers['X-Doors22-Signature']).toBe(`sha256=${crypto.createHmac('sha256', 'crm-secret').update(body).digest('hex')}`);
+    expect(crm).toMatchObject({ status: 'pushed', responseStatus: 202, error: null });
+    expect(db.getData('leads/instagram_u1').crm).toEqual(crm);
+  });
+
+  test('returns null without a webhook', async () => {
+    jest.spyOn(settingsService, 'getSettings').mockResolvedValue({ leads: { crmWebhookUrl: null } });
+
+    expect(await leadsService.pushToCrm(lead)).toBeNull();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['the CRM is down', () => axios.post.mockRejectedValue({ message: 'x', response: { status: 503 } }), 'CRM responded 503'],
+    ['the settings cannot be read', () => jest.spyOn(settingsService, 'getSettings').mockRejectedValue(new Error('Firestore unavailable')), 'Firestore unavailable']
+  ])('records a failed push instead of throwing when %s', async (label, fail, error) => {
+    jest.spyOn(settingsService, 'getSettings').mockResolvedValue({ leads: { crmWebhookUrl: 'https://crm.example/hook' } });
+    fail();
+
+    const crm = await leadsService.pushToCrm(lead);
+
+    expect(crm).toMatchObject({ status: 'failed', event: 'lead.updated', error });
+    expect(db.getData('leads/instagram_u1').crm).toEqual(crm);
+  });
+});
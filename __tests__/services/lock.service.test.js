@@ -0,0 +1,111 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+
+const { db } = require('../../src/config/firebase');
+const lockService = require('../../src/services/lock.service');
+
+const MINUTE = 60 * 1000;
+
+function expired() {
+  return new Date(Date.now() - MINUTE).toISOString();
+}
+
+describe('lockService named locks', () => {
+  beforeEach(() => db.reset());
+
+  test('a held lock is refused to every other owner, including one in the same process', async () => {
+    const first = await lockService.acquire('posting');
+    const second = await lockService.acquire('posting');
+
+    expect(first.acquired).toBe(true);
+    expect(second).toMatchObject({ acquired: false, owner: null, lock: { owner: first.owner } });
+  });
+
+  test('an expired lease is taken over', async () => {
+    const first = await lockService.acquire('posting');
+    db.seed('locks/posting', { ...db.getData('locks/posting'), expiresAt: expired() });
+
+    const second = await lockService.acquire('posting');
+
+    expect(second.acquired).toBe(true);
+    expect(second.owner).not.toBe(first.owner);
+    expect(db.getData('locks/posting').owner).toBe(second.owner);
+  });
+
+  test('only the owner can renew or release the lock', async () => {
+    const first = await lockService.acquire('posting');
+    db.seed('locks/posting', { ...db.getData('locks/posting'), expiresAt: expired() });
+    const second = await lockService.acquire('posting');
+
+    expect(await lockService.renew('posting', first.owner)).toBe(false);
+    expect(await lockService.renew('posting', second.owner)).toBe(true);
+
+    await lockService.release('posting', first.owner);
+    expect(db.getData('locks/posting').owner).toBe(second.owner);
+
+    await lockService.release('posting', second.owner);
+    expect(db.getData('locks/posting')).toMatchObject({ owner: null, expiresAt: null });
+  });
+
+  test('withLock runs the work and releases the lock, even when the work throws', async () => {
+    await expect(lockService.withLock('autoReply', async () => ({ replied: 2 }))).resolves.toEqual({ replied: 2 });
+    expect(db.getData('locks/autoReply').owner).toBeNull();
+
+    await expect(lockService.withLock('autoReply', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(db.getData('locks/autoReply').owner).toBeNull();
+  });
+
+  test('withLock skips the work while another run holds the lock and logs the skip', async () => {
+    const held = await lockService.acquire('autoReply');
+    const work = jest.fn();
+
+    const result = await lockService.withLock('autoReply', work);
+
+    expect(work).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, skipped: true, reason: 'locked' });
+    expect(db.getData('locks/autoReply').owner).toBe(held.owner);
+    expect(db.collection('logs').list()).toEqual([
+      expect.objectContaining({ type: 'cron_skipped', job: 'autoReply', reason: 'locked' })
+    ]);
+  });
+});
+
+describe('lockService document claims', () => {
+  beforeEach(() => db.reset());
+
+  test('a document is claimed by one worker at a time', async () => {
+    db.seed('posts/p1', { status: 'approved' });
+
+    const first = await lockService.claimDocument('posts', 'p1');
+    const second = await lockService.claimDocument('posts', 'p1');
+
+    expect(first).toMatchObject({ id: 'p1', status: 'approved', claimToken: expect.any(String) });
+    expect(second).toBeNull();
+    expect(db.getData('posts/p1').claimedBy).toBe(first.claimToken);
+  });
+
+  test('a claim is refused when the document is missing or no longer claimable', async () => {
+    db.seed('posts/p1', { status: 'posted' });
+
+    expect(await lockService.claimDocument('posts', 'missing')).toBeNull();
+    expect(await lockService.claimDocument('posts', 'p1', { isClaimable: post => post.status === 'approved' })).toBeNull();
+    expect(db.getData('posts/p1').claimedBy).toBeUndefined();
+  });
+
+  test('an expired claim can be taken over, and a stale token cannot release it', async () => {
+    db.seed('posts/p1', { status: 'approved' });
+
+    const first = await lockService.claimDocument('posts', 'p1');
+    db.seed('posts/p1', { ...db.getData('posts/p1'), claimExpiresAt: expired() });
+    const second = await lockService.claimDocument('posts', 'p1');
+
+    expect(second).not.toBeNull();
+
+    await lockService.releaseDocument('posts', 'p1', first.claimToken);
+    expect(db.getData('posts/p1').claimedBy).toBe(second.claimToken);
+
+    await lockService.releaseDocument('posts', 'p1', second.claimToken);
+    expect(db.getData('posts/p1')).toMatchObject({ claimedBy: null, claimExpiresAt: null });
+    expect(await lockService.claimDocument('posts', 'p1')).not.toBeNull();
+  });
+});
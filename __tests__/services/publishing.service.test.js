@@ -0,0 +1,197 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+
+const { db } = require('../../src/config/firebase');
+const publishingService = require('../../src/services/publishing.service');
+
+const TARGETS = ['instagram', 'facebook'];
+const MINUTE = 60 * 1000;
+
+function seedPost(data = {}) {
+  const post = { status: 'approved', postedAt: null, ...data };
+  db.seed('posts/p1', post);
+  return { id: 'p1', ...post };
+}
+
+function readPost() {
+  return { id: 'p1', ...db.getData('posts/p1') };
+}
+
+function failure(platform, error) {
+  return { instagram: null, facebook: null, errors: [{ platform, error }] };
+}
+
+describe('publishingService state', () => {
+  beforeEach(() => db.reset());
+
+  test('platforms never attempted are queued and due', () => {
+    const post = seedPost();
+
+    expect(publishingService.getState(post, TARGETS).instagram).toEqual(publishingService.createPlatformState());
+    expect(publishingService.getDuePlatforms(post, TARGETS)).toEqual(TARGETS);
+  });
+
+  test('published, exhausted and backing-off platforms are not due', () => {
+    const now = new Date().toISOString();
+    const later = new Date(Date.now() + MINUTE).toISOString();
+
+    const post = seedPost({
+      publishing: {
+        instagram: { status: 'published', attempts: 1 },
+        facebook: { status: 'failed', attempts: 2, nextAttemptAt: later }
+      }
+    });
+
+    expect(publishingService.getDuePlatforms(post, TARGETS, now)).toEqual([]);
+    expect(publishingService.getDuePlatforms(post, TARGETS, later)).toEqual(['facebook']);
+
+    post.publishing.facebook = { status: 'failed', attempts: 5, nextAttemptAt: null };
+    expect(publishingService.getDuePlatforms(post, TARGETS, later)).toEqual([]);
+  });
+});
+
+describe('publishingService.recordAttempt', () => {
+  beforeEach(() => db.reset());
+
+  test('a partial success keeps the post approved and backs off the failed platform', async () => {
+    const post = seedPost();
+    const before = Date.now();
+
+    const outcome = await publishingService.recordAttempt(post, TARGETS, TARGETS, {
+      instagram: { postId: 'ig-1' },
+      facebook: null,
+      errors: [{ platform: 'facebook', error: 'Rate limited' }]
+    });
+
+    expect(outcome).toMatchObject({ status: 'approved', published: ['instagram'], failed: ['facebook'], exhausted: [] });
+
+    const stored = readPost();
+    expect(stored.status).toBe('approved');
+    expect(stored.postedAt).toEqual(expect.any(String));
+    expect(stored.platforms.instagram).toEqual({ postId: 'ig-1' });
+    expect(stored.publishing.instagram).toMatchObject({ status: 'published', attempts: 1, result: { postId: 'ig-1' } });
+    expect(stored.publishing.facebook).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Rate limited' });
+    expect(stored.postingErrors).toEqual([{ platform: 'facebook', error: 'Rate limited', attempts: 1 }]);
+
+    // First retry after 5 minutes
+    expect(new Date(stored.publishing.facebook.nextAttemptAt).getTime()).toBeGreaterThanOrEqual(before + 5 * MINUTE);
+    expect(publishingService.getDuePlatforms(stored, TARGETS)).toEqual([]);
+  });
+
+  test('only the platforms attempted are retried, and the post is posted once they settle', async () => {
+    seedPost();
+    await publishingService.recordAttempt(readPost(), TARGETS, TARGETS, {
+      instagram: { postId: 'ig-1' },
+      facebook: null,
+      errors: [{ platform: 'facebook', error: 'Rate limited' }]
+    });
+
+    const retryAt = new Date(Date.now() + 6 * MINUTE).toISOString();
+    expect(publishingService.getDuePlatforms(readPost(), TARGETS, retryAt)).toEqual(['facebook']);
+
+    const outcome = await publishingService.recordAttempt(readPost(), TARGETS, ['facebook'], {
+      facebook: { postId: 'fb-1' },
+      errors: []
+    });
+
+    const stored = readPost();
+    expect(outcome.status).toBe('posted');
+    expect(stored.status).toBe('posted');
+    expect(stored.postingErrors).toBeNull();
+    expect(stored.publishing.instagram.attempts).toBe(1);
+    expect(stored.publishing.facebook).toMatchObject({ status: 'published', attempts: 2, lastError: null, nextAttemptAt: null });
+    expect(stored.platforms).toEqual({ instagram: { postId: 'ig-1' }, facebook: { postId: 'fb-1' } });
+  });
+
+  test('a failed attempt keeps the Instagram container saved during that attempt', async () => {
+    const post = seedPost();
+
+    // The container is created and saved, then publishing it fails
+    await publishingService.markContainerCreated('p1', 'instagram', 'C123');
+    await publishingService.recordAttempt(post, ['instagram'], ['instagram'], failure('instagram', 'Media not ready'));
+
+    let stored = readPost();
+    expect(stored.publishing.instagram).toMatchObject({ status: 'failed', attempts: 1, creationId: 'C123' });
+    expect(publishingService.getState(stored, ['instagram']).instagram.creationId).toBe('C123');
+
+    // The retry resumes the container and keeps its id on the published state
+    await publishingService.recordAttempt(stored, ['instagram'], ['instagram'], {
+      instagram: { postId: 'ig-1' },
+      errors: []
+    });
+
+    stored = readPost();
+    expect(stored.status).toBe('posted');
+    expect(stored.publishing.instagram).toMatchObject({ status: 'published', attempts: 2, creationId: 'C123' });
+  });
+
+  test('a platform runs out of attempts after 5 failures and the post ends publish_failed', async () => {
+    seedPost();
+    let outcome;
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      outcome = await publishingService.recordAttempt(readPost(), ['facebook'], ['facebook'], failure('facebook', `Error ${attempt}`));
+    }
+
+    const stored = readPost();
+    expect(outcome).toMatchObject({ status: 'publish_failed', exhausted: ['facebook'] });
+    expect(stored.status).toBe('publish_failed');
+    expect(stored.postedAt).toBeNull();
+    expect(stored.publishing.facebook).toMatchObject({ status: 'failed', attempts: 5, lastError: 'Error 5', nextAttemptAt: null });
+    expect(publishingService.isExhausted(stored.publishing.facebook)).toBe(true);
+  });
+
+  test('backoff doubles with every attempt', () => {
+    expect(publishingService.getRetryDelay(1)).toBe(5 * MINUTE);
+    expect(publishingService.getRetryDelay(2)).toBe(10 * MINUTE);
+    expect(publishingService.getRetryDelay(4)).toBe(40 * MINUTE);
+  });
+
+  test('re-approving resets the attempts of failed platforms only', () => {
+    const update = publishingService.buildRetryUpdate({
+      publishing: {
+        instagram: { status: 'published', attempts: 1 },
+        facebook: { status: 'failed', attempts: 5 }
+      }
+    });
+
+    expect(update).toEqual({
+      'publishing.facebook.attempts': 0,
+      'publishing.facebook.nextAttemptAt': null
+    });
+  });
+});
+
+describe('publishingService.recordStoryAttempt', () => {
+  beforeEach(() => db.reset());
+
+  test('tracks the story per platform and marks it posted once every platform settled', async () => {
+    const post = seedPost({ story: { status: 'scheduled', postedAt: null } });
+
+    const first = await publishingService.recordStoryAttempt(post, TARGETS, TARGETS, {
+      instagram: { storyId: 'igs-1' },
+      facebook: null,
+      errors: [{ platform: 'facebook', error: 'Upload failed' }]
+    });
+
+    let stored = readPost();
+    expect(first.status).toBe('scheduled');
+    expect(stored.platforms.instagramStory).toEqual({ storyId: 'igs-1' });
+    expect(stored.story.status).toBe('scheduled');
+    expect(stored.story.publishing.facebook).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(publishingService.getDueStoryPlatforms(stored, TARGETS, new Date(Date.now() + 6 * MINUTE).toISOString()))
+      .toEqual(['facebook']);
+
+    await publishingService.recordStoryAttempt(stored, TARGETS, ['facebook'], {
+      facebook: { storyId: 'fbs-1' },
+      errors: []
+    });
+
+    stored = readPost();
+    expect(stored.story.status).toBe('posted');
+    expect(stored.story.errors).toBeNull();
+    expect(stored.platforms).toEqual({ instagramStory: { storyId: 'igs-1' }, facebookStory: { storyId: 'fbs-1' } });
+    // The feed post's own publish state is untouched
+    expect(stored.publishing).toBeUndefined();
+  });
+});
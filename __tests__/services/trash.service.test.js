@@ -0,0 +1,73 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+
+const { db } = require('../../src/config/firebase');
+const trashService = require('../../src/services/trash.service');
+
+function seedTrends(count, isTrashed) {
+  for (let i = 0; i < count; i++) {
+    const day = String(i + 1).padStart(3, '0');
+    db.seed(`trends/t${day}`, {
+      date: `2026-${day}`,
+      ...(isTrashed(i) ? { deletedAt: '2026-10-01T00:00:00.000Z', deletedBy: 'admin' } : {})
+    });
+  }
+}
+
+describe('trashService.listActive', () => {
+  const query = () => db.collection('trends').orderBy('date', 'desc');
+
+  beforeEach(() => db.reset());
+
+  test('fills the page past trashed documents instead of returning a short page', async () => {
+    // Newest 60 are trashed, so the first batch of 50 holds no active trend
+    seedTrends(100, i => i >= 40);
+
+    const page = await trashService.listActive(query(), { limit: 10 });
+
+    expect(page.map(trend => trend.id)).toEqual(
+      Array.from({ length: 10 }, (_, i) => `t${String(40 - i).padStart(3, '0')}`));
+  });
+
+  test('offsets count active documents only', async () => {
+    seedTrends(10, i => i % 2 === 0);
+
+    const page = await trashService.listActive(query(), { limit: 2, offset: 2 });
+
+    expect(page.map(trend => trend.id)).toEqual(['t006', 't004']);
+  });
+
+  test('returns a short page only at the end of the results', async () => {
+    seedTrends(5, i => i === 4);
+
+    expect(await trashService.listActive(query(), { limit: 10 })).toHaveLength(4);
+    expect(await trashService.listActive(query(), { limit: 10, includeDeleted: true })).toHaveLength(5);
+  });
+});
+
+describe('trashService.trash and restore', () => {
+  beforeEach(() => db.reset());
+
+  test('a trashed post leaves its status queries and comes back with its previous status', async () => {
+    db.seed('posts/p1', { status: 'approved', caption: 'Sliding doors' });
+
+    await trashService.trash('posts', 'p1', 'maria');
+    expect(db.getData('posts/p1')).toMatchObject({ status: 'trashed', statusBeforeDelete: 'approved', deletedBy: 'maria' });
+    await expect(trashService.trash('posts', 'p1', 'maria')).rejects.toMatchObject({ status: 409 });
+
+    await trashService.restore('posts', 'p1', 'maria');
+    const restored = db.getData('posts/p1');
+    expect(restored).toMatchObject({ status: 'approved', restoredBy: 'maria' });
+    expect(restored).not.toHaveProperty('deletedAt');
+    expect(restored).not.toHaveProperty('statusBeforeDelete');
+  });
+
+  test('trends have no status to change', async () => {
+    db.seed('trends/t1', { date: '2026-10-19' });
+
+    await trashService.trash('trends', 't1', 'maria');
+
+    expect(db.getData('trends/t1')).not.toHaveProperty('status');
+    await expect(trashService.trash('leads', 'x', 'maria')).rejects.toThrow('Soft delete not supported');
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../src/config/firebase', () => require('../helpers/fakeFirestore').createFirebaseMock());
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/ingestion.service', () => ({ ingest: jest.fn() }));
+
+const { db } = require('../../src/config/firebase');
+const ingestionService = require('../../src/services/ingestion.service');
+const webhookEventsService = require('../../src/services/webhookEvents.service');
+
+function instagramComment(id, text = 'How much?') {
+  return {
+    object: 'instagram',
+    entry: [{
+      id: 'ig-account',
+      time: 1700000000,
+      changes: [{ field: 'comments', value: { id, text, from: { id: 'u1', username: 'jane' }, media: { id: 'm1' } } }]
+    }]
+  };
+}
+
+describe('webhookEventsService.getDedupeKey', () => {
+  const entry = { id: 'page-1', time: 1700000000 };
+
+  test('uses the message id for DMs (slashes replaced so it is a valid document id)', () => {
+    const item = { sender: { id: 'u1' }, message: { mid: 'm_abc/def', text: 'hi' } };
+
+    expect(webhookEventsService.getDedupeKey('instagram', 'instagram_message', entry, item)).toBe('instagram_message_m_abc_def');
+  });
+
+  test('uses the comment id for Instagram and Facebook comments', () => {
+    expect(webhookEventsService.getDedupeKey('instagram', 'instagram_change', entry, {
+      field: 'comments',
+      value: { id: '1789' }
+    })).toBe('instagram_comment_1789');
+
+    expect(webhookEventsService.getDedupeKey('facebook', 'facebook_change', entry, {
+      field: 'feed',
+      value: { item: 'comment', comment_id: '123_456', post_id: '123' }
+    })).toBe('facebook_comment_123_456');
+  });
+
+  test('keys mentions apart from the comment they were made in', () => {
+    const mention = { field: 'mentions', value: { comment_id: '1789', media_id: 'm1' } };
+
+    expect(webhookEventsService.getDedupeKey('instagram', 'instagram_change', entry, mention)).toBe('instagram_mention_1789');
+    expect(webhookEventsService.getDedupeKey('instagram', 'instagram_change', entry, {
+      field: 'mentions',
+      value: { media_id: 'm1' }
+    })).toBe('instagram_mention_m1');
+  });
+
+  test('falls back to the entry and a hash of the event, stable across redeliveries', () => {
+    const item = { field: 'feed', value: { item: 'reaction', verb: 'add', post_id: '123' } };
+
+    const key = webhookEventsService.getDedupeKey('facebook', 'facebook_change', entry, item);
+
+    expect(key).toMatch(/^facebook_change_page-1_1700000000_[a-f0-9]{16}$/);
+    expect(webhookEventsService.getDedupeKey('facebook', 'facebook_change', entry, { ...item })).toBe(key);
+    expect(webhookEventsService.getDedupeKey('facebook', 'facebook_change', entry, {
+      ...item,
+      value: { ...item.value, verb: 'remove' }
+    })).not.toBe(key);
+  });
+});
+
+describe('webhookEventsService.splitEvents', () => {
+  test('splits a delivery into one event per change and messaging item', () => {
+    const events = webhookEventsService.splitEvents({
+      object: 'page',
+      entry: [{
+        id: 'page-1',
+        time: 1700000000,
+        changes: [{ field: 'feed', value: { item: 'comment', comment_id: 'c1' } }],
+        messaging: [{ sender: { id: 'u1' }, message: { mid: 'mid1', text: 'hi' } }]
+      }]
+    });
+
+    expect(events.map(({ id, kind }) => ({ id, kind }))).toEqual([
+      { id: 'facebook_comment_c1', kind: 'facebook_change' },
+      { id: 'facebook_message_mid1', kind: 'facebook_message' }
+    ]);
+    expect(events[0].payload).toMatchObject({ object: 'page', entryId: 'page-1', entryTime: 1700000000 });
+  });
+
+  test('ignores objects other than instagram and page', () => {
+    expect(webhookEventsService.splitEvents({ object: 'user', entry: [{ changes: [{}] }] })).toEqual([]);
+    expect(webhookEventsService.splitEvents(null)).toEqual([]);
+  });
+});
+
+describe('webhookEventsService.ingest', () => {
+  beforeEach(() => {
+    db.reset();
+    ingestionService.ingest.mockReset();
+  });
+
+  test('processes an event once and counts redeliveries', async () => {
+    ingestionService.ingest.mockResolvedValue('stored');
+
+    const first = await webhookEventsService.ingest(instagramComment('1789'), 'instagram');
+    const second = await webhookEventsService.ingest(instagramComment('1789'), 'meta');
+
+    expect(first).toEqual({ processed: 1, duplicates: 0, deadLettered: 0 });
+    expect(second).toEqual({ processed: 0, duplicates: 1, deadLettered: 0 });
+    expect(ingestionService.ingest).toHaveBeenCalledTimes(1);
+    expect(ingestionService.ingest).toHaveBeenCalledWith('instagram', 'change', expect.objectContaining({ field: 'comments' }));
+
+    expect(db.getData('webhook_events/instagram_comment_1789')).toMatchObject({
+      status: 'processed',
+      outcome: 'stored',
+      source: 'instagram',
+      attempts: 1,
+      deliveries: 2
+    });
+  });
+
+  test('dead-letters an event whose handler throws, and a replay reprocesses it', async () => {
+    ingestionService.ingest.mockRejectedValueOnce(new Error('Firestore unavailable'));
+
+    const result = await webhookEventsService.ingest(instagramComment('1789'), 'instagram');
+
+    expect(result).toEqual({ processed: 0, duplicates: 0, deadLettered: 1 });
+    expect(db.getData('webhook_events/instagram_comment_1789')).toMatchObject({
+      status: 'dead_letter',
+      lastError: 'Firestore unavailable'
+    });
+
+    ingestionService.ingest.mockResolvedValueOnce('stored');
+    const replayed = await webhookEventsService.replay('instagram_comment_1789', 'admin');
+
+    expect(replayed).toMatchObject({
+      status: 'processed',
+      outcome: 'stored',
+      lastError: null,
+      attempts: 2,
+      replayCount: 1,
+      lastReplayedBy: 'admin'
+    });
+  });
+
+  test('refuses to replay an event that is still being processed', async () => {
+    db.seed('webhook_events/e1', {
+      kind: 'instagram_change',
+      status: 'processing',
+      processingStartedAt: new Date().toISOString(),
+      payload: { item: {} }
+    });
+
+    await expect(webhookEventsService.replay('e1', 'admin')).rejects.toMatchObject({ status: 409 });
+    await expect(webhookEventsService.replay('missing', 'admin')).rejects.toMatchObject({ status: 404 });
+    expect(ingestionService.ingest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Script: Generate the cron schedule manifest
+ *
+ * Prints the cron jobs with the same expressions the in-process scheduler uses
+ * (CRON_* env overrides included), for configuring an external scheduler.
+ *
+ * Run with: node scripts/cronManifest.js [--vercel] [--base-url https://api.doors22.com] [--out cron-manifest.json]
+ *
+ * --vercel    outputs the "crons" block for vercel.json instead
+ * --base-url  public API URL used for the job URLs (defaults to API_BASE_URL)
+ * --out       writes the manifest to a file instead of stdout
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Only the schedule table - loading the jobs themselves would initialize Firebase
+const schedules = require('../src/cron/schedules');
+
+const output = args.includes('--vercel')
+  ? schedules.getVercelCrons()
+  : schedules.getManifest(getArg('--base-url'));
+
+const json = JSON.stringify(output, null, 2);
+const outFile = getArg('--out');
+
+if (outFile) {
+  fs.writeFileSync(outFile, `${json}\n`);
+  console.log(`Cron manifest written to ${outFile} (${(output.jobs || output.crons).length} schedules)`);
+} else {
+  console.log(json);
+}
+
+process.exit(0);
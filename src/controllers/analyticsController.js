@@ -0,0 +1,155 @@
+/**
+ * Analytics Controller
+ * Handles weekly reports, metric time series and top post endpoints for the dashboard
+ */
+
+const analyticsService = require('../services/analytics.service');
+const reportExportService = require('../services/reportExport.service');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/analytics/reports
+ * List weekly analytics reports, newest first
+ */
+exports.getReports = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 52);
+
+    const reports = await analyticsService.listReports({ limit });
+
+    res.json({
+      success: true,
+      count: reports.length,
+      reports
+    });
+  } catch (error) {
+    logger.error('Error fetching analytics reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analytics reports',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/analytics/reports/:id
+ * Get a single weekly report
+ */
+exports.getReportById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const report = await analyticsService.getReport(id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    logger.error(`Error fetching analytics report ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analytics report',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/analytics/reports/:id/export?format=pdf|html|csv
+ * Download a weekly report as PDF, HTML (with thumbnails and tables) or CSV (one row per post)
+ */
+exports.exportReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    const { contentType, filename, body } = await reportExportService.exportReport(id, format);
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    logger.error(`Error exporting analytics report ${req.params.id}:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to export analytics report',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * GET /api/analytics/timeseries
+ * A metric over time by day or week, optionally broken down by category, type, platform or keyword
+ */
+exports.getTimeseries = async (req, res) => {
+  try {
+    const { metric, groupBy, interval, from, to, category } = req.query;
+
+    const timeseries = await analyticsService.getTimeseries({
+      metric,
+      groupBy,
+      interval,
+      from,
+      to,
+      category
+    });
+
+    res.json({
+      success: true,
+      ...timeseries
+    });
+  } catch (error) {
+    logger.error('Error fetching analytics time series:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch analytics time series',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * GET /api/analytics/posts/top
+ * Best performing posts by a metric, with optional category, type and platform filters
+ */
+exports.getTopPosts = async (req, res) => {
+  try {
+    const { metric, limit, from, to, category, type, platform } = req.query;
+
+    const result = await analyticsService.getTopPosts({
+      metric,
+      limit,
+      from,
+      to,
+      category,
+      type,
+      platform
+    });
+
+    res.json({
+      success: true,
+      count: result.posts.length,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error fetching top posts:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch top posts',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
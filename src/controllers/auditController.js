@@ -0,0 +1,48 @@
+/**
+ * Audit Controller
+ * Handles audit log API endpoints
+ */
+
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/audit
+ * Get audit entries with optional filters (actor, collection, documentId, from, to)
+ */
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { actor, collection, documentId, from, to, limit = 50 } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    const entries = await auditService.getEntries({
+      actor,
+      collection,
+      documentId,
+      from,
+      to,
+      limit: parseInt(limit)
+    });
+
+    logger.info(`Retrieved ${entries.length} audit entries`);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,130 @@
+/**
+ * Auth Controller
+ * Handles API key management endpoints
+ */
+
+const authService = require('../services/auth.service');
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/auth/me
+ * Get the identity behind the current API key
+ */
+exports.getCurrentUser = async (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    roles: authService.getRoles()
+  });
+};
+
+/**
+ * GET /api/auth/keys
+ * List issued API keys
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const keys = await authService.listKeys();
+
+    logger.info(`Retrieved ${keys.length} API keys`);
+
+    res.json({
+      success: true,
+      count: keys.length,
+      keys
+    });
+  } catch (error) {
+    logger.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/auth/keys
+ * Issue a new API key (the plain key is only returned in this response)
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, role } = req.body;
+
+    if (!name || !authService.isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A name and a valid role are required',
+        roles: authService.getRoles()
+      });
+    }
+
+    const key = await authService.createKey({
+      name,
+      role,
+      createdBy: req.user.name
+    });
+
+    await auditService.record(req, {
+      action: 'create_key',
+      collection: 'api_keys',
+      documentId: key.id,
+      after: { name, role, prefix: key.prefix }
+    });
+
+    logger.info(`API key issued for ${name} (${role}) by ${req.user.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now, it will not be shown again.',
+      key
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke an API key
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const revoked = await authService.revokeKey(id, req.user.name);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'revoke_key',
+      collection: 'api_keys',
+      documentId: id,
+      before: { revoked: false },
+      after: { revoked: true }
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    logger.error(`Error revoking API key ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Conversation Controller
+ * Handles conversation thread endpoints (comments and DMs grouped per user and platform)
+ */
+
+const conversationsService = require('../services/conversations.service');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/conversations/:id
+ * Get a conversation with its full thread of messages and replies, oldest first
+ */
+exports.getConversationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const conversation = await conversationsService.getConversation(id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    logger.error(`Error fetching conversation ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation',
+      message: error.message
+    });
+  }
+};
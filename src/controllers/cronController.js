@@ -0,0 +1,64 @@
+/**
+ * Cron Controller
+ * Runs cron jobs on behalf of an external scheduler (CRON_MODE=http)
+ */
+
+const cronJobs = require('../cron');
+const logger = require('../utils/logger');
+
+/**
+ * POST /internal/cron/:job
+ * Run a cron job within the time budget and respond with the finished run
+ * A run skipped because the job is already running elsewhere is not an error for the scheduler;
+ * a failed run rejects and is answered with 500 (the run is recorded as failed in job_runs)
+ */
+exports.runCron = async (req, res) => {
+  try {
+    const { job } = req.params;
+
+    cronJobs.getJob(job);
+
+    const run = await cronJobs.runJob(job, {
+      trigger: 'http',
+      triggeredBy: req.user.name,
+      deadline: Date.now() + cronJobs.getTimeBudgetMs()
+    });
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    logger.error(`Scheduled ${req.params.job} run failed:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to run job',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * GET /internal/cron/manifest
+ * Schedule manifest for configuring an external scheduler (?format=vercel for the vercel.json crons block)
+ */
+exports.getManifest = async (req, res) => {
+  try {
+    if (req.query.format === 'vercel') {
+      return res.json(cronJobs.getVercelCrons());
+    }
+
+    res.json({
+      success: true,
+      manifest: cronJobs.getManifest()
+    });
+  } catch (error) {
+    logger.error('Error building cron manifest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build cron manifest',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * Experiment Controller
+ * Handles caption A/B experiment endpoints
+ */
+
+const experimentsService = require('../services/experiments.service');
+const auditService = require('../services/audit.service');
+const aiEngine = require('../services/aiEngine');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/experiments
+ * List experiments (optional status filter) and the caption strategies they can compare
+ */
+exports.getExperiments = async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const experiments = await experimentsService.listExperiments({
+      status,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      count: experiments.length,
+      strategies: aiEngine.getCaptionStrategies(),
+      experiments
+    });
+  } catch (error) {
+    logger.error('Error fetching experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch experiments',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/experiments
+ * Create an experiment as a draft
+ * Body: { name, description?, variants: [{ strategy, weight? }], categories?, types?, metricWindow?, minPostsPerVariant? }
+ */
+exports.createExperiment = async (req, res) => {
+  try {
+    const experiment = await experimentsService.createExperiment(req.body, req.user.name);
+
+    await auditService.record(req, { action: 'create', collection: 'experiments', documentId: experiment.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Experiment created',
+      experiment
+    });
+  } catch (error) {
+    logger.error('Error creating experiment:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to create experiment',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * GET /api/experiments/:id
+ * Get an experiment
+ */
+exports.getExperimentById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const experiment = await experimentsService.getExperiment(id);
+
+    if (!experiment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Experiment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      experiment
+    });
+  } catch (error) {
+    logger.error(`Error fetching experiment ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch experiment',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/experiments/:id
+ * Update an experiment: { status: 'running' } starts it, { status: 'stopped' } ends it
+ * The variants, categories and types can only change while it is a draft
+ */
+exports.updateExperiment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await auditService.getSnapshot('experiments', id);
+
+    const experiment = await experimentsService.updateExperiment(id, req.body, req.user.name);
+
+    await auditService.record(req, { action: 'update', collection: 'experiments', documentId: id, before });
+
+    res.json({
+      success: true,
+      message: 'Experiment updated',
+      experiment
+    });
+  } catch (error) {
+    logger.error(`Error updating experiment ${req.params.id}:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to update experiment',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * GET /api/experiments/:id/results
+ * Engagement per variant with a significance estimate against the control variant
+ */
+exports.getExperimentResults = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const results = await experimentsService.getResults(id);
+
+    res.json({
+      success: true,
+      ...results
+    });
+  } catch (error) {
+    logger.error(`Error fetching experiment results ${req.params.id}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch experiment results',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
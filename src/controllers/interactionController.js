@@ -4,15 +4,20 @@
  */
 
 const { db } = require('../config/firebase');
+const auditService = require('../services/audit.service');
+const trashService = require('../services/trash.service');
+const inboxService = require('../services/inbox.service');
+const webhookEventsService = require('../services/webhookEvents.service');
 const logger = require('../utils/logger');
 
 /**
  * GET /api/interactions
  * Get all interactions (comments & DMs) with optional filters
+ * Trashed interactions are hidden unless includeDeleted=true
  */
 exports.getInteractions = async (req, res) => {
   try {
-    const { limit = 20, offset = 0, platform, type, category } = req.query;
+    const { limit = 20, offset = 0, platform, type, category, includeDeleted } = req.query;
 
     let query = db.collection('interactions').orderBy('timestamp', 'desc');
 
@@ -28,17 +33,10 @@ exports.getInteractions = async (req, res) => {
       query = query.where('category', '==', category);
     }
 
-    const snapshot = await query
-      .limit(parseInt(limit))
-      .offset(parseInt(offset))
-      .get();
-
-    const interactions = [];
-    snapshot.forEach(doc => {
-      interactions.push({
-        id: doc.id,
-        ...doc.data()
-      });
+    const interactions = await trashService.listActive(query, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      includeDeleted: includeDeleted === 'true'
     });
 
     logger.info(`Retrieved ${interactions.length} interactions`);
@@ -79,8 +77,9 @@ exports.getStatistics = async (req, res) => {
       const snapshot = await db.collection('interactions')
         .where('category', '==', category)
         .get();
-      statistics.byCategory[category] = snapshot.size;
-      statistics.total += snapshot.size;
+      const count = countActive(snapshot);
+      statistics.byCategory[category] = count;
+      statistics.total += count;
     }
 
     // Get count by platform
@@ -88,14 +87,14 @@ exports.getStatistics = async (req, res) => {
       const snapshot = await db.collection('interactions')
         .where('platform', '==', platform)
         .get();
-      statistics.byPlatform[platform] = snapshot.size;
+      statistics.byPlatform[platform] = countActive(snapshot);
     }
 
     // Get redirected count
     const redirectedSnapshot = await db.collection('interactions')
       .where('redirected', '==', true)
       .get();
-    statistics.redirectedCount = redirectedSnapshot.size;
+    statistics.redirectedCount = countActive(redirectedSnapshot);
 
     logger.info('Retrieved interaction statistics:', statistics);
 
@@ -113,6 +112,44 @@ exports.getStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Helper: Count documents in a snapshot that are not in the trash
+ */
+function countActive(snapshot) {
+  return snapshot.docs.filter(doc => !trashService.isTrashed(doc.data())).length;
+}
+
+/**
+ * GET /api/interactions/inbox
+ * Interactions waiting for a person (needs_human by default), highest priority then oldest first
+ * Query: status (needs_human|failed|suppressed), assignedTo (name, 'me' or 'unassigned'), limit
+ */
+exports.getInbox = async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    const assignedTo = req.query.assignedTo === 'me' ? req.user.name : req.query.assignedTo;
+
+    const interactions = await inboxService.listInbox({
+      status,
+      assignedTo,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({
+      success: true,
+      count: interactions.length,
+      interactions
+    });
+  } catch (error) {
+    logger.error('Error fetching inbox:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch inbox',
+      message: error.message
+    });
+  }
+};
+
 /**
  * GET /api/interactions/:id
  * Get a specific interaction by ID
@@ -173,28 +210,10 @@ exports.handleWebhook = async (req, res) => {
       }
     }
 
-    // Handle webhook event
+    // Handle webhook event (same ingestion as /webhooks/*: stored in webhook_events, then normalized)
     if (body.object === 'page' || body.object === 'instagram') {
-      // Process each entry
-      for (const entry of body.entry) {
-        // Handle comments
-        if (entry.changes) {
-          for (const change of entry.changes) {
-            if (change.field === 'comments') {
-              await handleComment(change.value);
-            }
-          }
-        }
-
-        // Handle messages (DMs)
-        if (entry.messaging) {
-          for (const messaging of entry.messaging) {
-            if (messaging.message) {
-              await handleDM(messaging);
-            }
-          }
-        }
-      }
+      const results = await webhookEventsService.ingest(body, 'legacy');
+      logger.info('Legacy webhook processed', results);
 
       res.status(200).send('EVENT_RECEIVED');
     } else {
@@ -211,150 +230,124 @@ exports.handleWebhook = async (req, res) => {
 };
 
 /**
- * Helper: Handle incoming comment
+ * POST /api/interactions/:id/assign
+ * Assign an interaction to a person
+ * Body: { assignedTo } (a name, or null to unassign)
  */
-async function handleComment(commentData) {
+exports.assignInteraction = async (req, res) => {
   try {
-    const { id, message, from, post_id } = commentData;
-
-    logger.info(`Processing comment: ${id} from ${from.name}`);
-
-    // Classify comment and generate response
-    const { category, response, redirected } = await classifyAndRespond(message);
-
-    // Store interaction in Firestore
-    await db.collection('interactions').doc(id).set({
-      interactionId: id,
-      platform: 'instagram', // or 'facebook' based on webhook source
-      type: 'comment',
-      postId: post_id,
-      user: {
-        id: from.id,
-        username: from.username || from.name,
-        name: from.name
-      },
-      userMessage: message,
-      botResponse: response,
-      category,
-      redirected,
-      timestamp: new Date().toISOString(),
-      status: 'responded',
-      createdAt: new Date().toISOString()
-    });
+    const { id } = req.params;
+    const { assignedTo = null } = req.body;
 
-    // Send response via Meta API (when credentials ready)
-    // await sendCommentReply(id, response);
+    const before = await auditService.getSnapshot('interactions', id);
 
-    logger.info(`Comment processed: ${id}`);
+    const interaction = await inboxService.assign(id, assignedTo, req.user.name);
+
+    await auditService.record(req, { action: 'assign', collection: 'interactions', documentId: id, before });
+
+    res.json({
+      success: true,
+      message: assignedTo ? `Interaction assigned to ${interaction.assignedTo}` : 'Interaction unassigned',
+      interaction
+    });
   } catch (error) {
-    logger.error('Error handling comment:', error);
+    logger.error(`Error assigning interaction ${req.params.id}:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to assign interaction',
+      message: error.message
+    });
   }
-}
+};
 
 /**
- * Helper: Handle incoming DM
+ * POST /api/interactions/:id/reply
+ * Send a human-written reply (comment reply or DM) and mark the interaction responded
+ * Body: { message }
  */
-async function handleDM(messaging) {
+exports.replyToInteraction = async (req, res) => {
   try {
-    const { sender, message } = messaging;
-
-    logger.info(`Processing DM from ${sender.id}`);
-
-    // Classify message and generate response
-    const { category, response, redirected } = await classifyAndRespond(message.text);
-
-    // Store interaction in Firestore
-    const interactionId = `dm_${sender.id}_${Date.now()}`;
-    await db.collection('interactions').doc(interactionId).set({
-      interactionId,
-      platform: 'instagram', // or 'facebook'
-      type: 'dm',
-      postId: null,
-      user: {
-        id: sender.id,
-        username: sender.username || 'unknown'
-      },
-      userMessage: message.text,
-      botResponse: response,
-      category,
-      redirected,
-      timestamp: new Date().toISOString(),
-      status: 'responded',
-      createdAt: new Date().toISOString()
-    });
+    const { id } = req.params;
+    const { message } = req.body;
 
-    // Send response via Meta API (when credentials ready)
-    // await sendDMReply(sender.id, response);
+    const before = await auditService.getSnapshot('interactions', id);
 
-    logger.info(`DM processed from: ${sender.id}`);
-  } catch (error) {
-    logger.error('Error handling DM:', error);
-  }
-}
+    const interaction = await inboxService.reply(id, message, req.user.name);
 
-/**
- * Helper: Classify message and generate appropriate response
- * This would use OpenAI GPT in production
- */
-async function classifyAndRespond(message) {
-  // Simple keyword-based classification (replace with GPT in production)
-  const messageLower = message.toLowerCase();
-
-  if (messageLower.includes('price') || messageLower.includes('cost') || messageLower.includes('how much')) {
-    return {
-      category: 'price_inquiry',
-      response: 'Hi! Our pricing varies based on size and customization. Get an instant quote here: https://doors22.com/price/ or call us at (305) 394-9922 😊',
-      redirected: true
-    };
-  } else if (messageLower.includes('install') || messageLower.includes('service') || messageLower.includes('area')) {
-    return {
-      category: 'technical_question',
-      response: 'Yes, we serve all of South Florida! Request your free consultation: https://doors22.com/price/ 📞 (305) 394-9922',
-      redirected: true
-    };
-  } else if (messageLower.includes('beautiful') || messageLower.includes('love') || messageLower.includes('great')) {
-    return {
-      category: 'compliment',
-      response: 'Thank you so much! 💙 We\'d love to help with your next project. Check out more: https://doors22.com/',
-      redirected: false
-    };
-  } else if (messageLower.includes('glass') || messageLower.includes('type') || messageLower.includes('options')) {
-    return {
-      category: 'technical_question',
-      response: 'We offer various glass types: clear, frosted, tinted, and decorative options. Each can be customized for your needs. Get detailed info: https://doors22.com/price/ 📞 (305) 394-9922',
-      redirected: true
-    };
-  } else {
-    return {
-      category: 'faq',
-      response: 'Thanks for reaching out! For specific information, visit https://doors22.com/price/ or call us at (305) 394-9922. We\'re here to help! 😊',
-      redirected: true
-    };
+    await auditService.record(req, { action: 'reply', collection: 'interactions', documentId: id, before });
+
+    res.json({
+      success: true,
+      message: 'Reply sent',
+      interaction
+    });
+  } catch (error) {
+    logger.error(`Error replying to interaction ${req.params.id}:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to send reply',
+      message: error.message
+    });
   }
-}
+};
 
 /**
  * DELETE /api/interactions/:id
- * Delete an interaction
+ * Move an interaction to the trash (purged after the retention period)
  */
 exports.deleteInteraction = async (req, res) => {
   try {
     const { id } = req.params;
 
-    await db.collection('interactions').doc(id).delete();
+    const before = await auditService.getSnapshot('interactions', id);
+
+    await trashService.trash('interactions', id, req.user.name);
+
+    await auditService.record(req, { action: 'trash', collection: 'interactions', documentId: id, before });
 
-    logger.info(`Interaction deleted: ${id}`);
+    logger.info(`Interaction moved to trash: ${id}`);
 
     res.json({
       success: true,
-      message: 'Interaction deleted successfully'
+      message: 'Interaction moved to trash'
     });
   } catch (error) {
     logger.error(`Error deleting interaction ${req.params.id}:`, error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to delete interaction',
       message: error.message
     });
   }
 };
+
+/**
+ * POST /api/interactions/:id/restore
+ * Restore an interaction from the trash
+ */
+exports.restoreInteraction = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await auditService.getSnapshot('interactions', id);
+
+    const interaction = await trashService.restore('interactions', id, req.user.name);
+
+    await auditService.record(req, { action: 'restore', collection: 'interactions', documentId: id, before });
+
+    logger.info(`Interaction restored: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Interaction restored successfully',
+      interaction
+    });
+  } catch (error) {
+    logger.error(`Error restoring interaction ${req.params.id}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to restore interaction',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,222 @@
+/**
+ * Job Controller
+ * Handles background job status endpoints, cron run history and manual cron triggers
+ */
+
+const jobQueueService = require('../services/jobQueue.service');
+const jobRunsService = require('../services/jobRuns.service');
+const auditService = require('../services/audit.service');
+const cronJobs = require('../cron');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/jobs
+ * List background jobs with optional status and type filters
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const { status, type, limit = 20 } = req.query;
+
+    const jobs = await jobQueueService.listJobs({
+      status,
+      type,
+      limit: parseInt(limit)
+    });
+
+    logger.info(`Retrieved ${jobs.length} jobs`);
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs: jobs.map(job => jobQueueService.formatJob(job))
+    });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/jobs/:id
+ * Get a job's status, per-step progress, errors and result (e.g. the generated post ID)
+ */
+exports.getJobById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await jobQueueService.getJob(id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobQueueService.formatJob(job)
+    });
+  } catch (error) {
+    logger.error(`Error fetching job ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/jobs/runs
+ * Cron run history with optional job, status, trigger and since filters
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { job, status, trigger, since, limit = 50 } = req.query;
+
+    if (job) {
+      cronJobs.getJob(job);
+    }
+
+    const runs = await jobRunsService.listRuns({
+      job,
+      status,
+      trigger,
+      since,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    logger.error('Error fetching job runs:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch job runs',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * GET /api/jobs/runs/:id
+ * Get a single cron run
+ */
+exports.getJobRunById = async (req, res) => {
+  try {
+    const run = await jobRunsService.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    logger.error(`Error fetching job run ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job run',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/jobs/schedule
+ * Every cron job with its cron expressions, next run times and last run
+ */
+exports.getJobSchedule = async (req, res) => {
+  try {
+    const count = Math.min(Math.max(parseInt(req.query.count) || 1, 1), 10);
+
+    const jobs = await Promise.all(cronJobs.getSchedule(count).map(async job => ({
+      ...job,
+      lastRun: await jobRunsService.getLastRun(job.name)
+    })));
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      jobs
+    });
+  } catch (error) {
+    logger.error('Error fetching job schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job schedule',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/jobs/:name/run
+ * Trigger a cron job now (dailyTrends, contentGeneration, posting, analytics, autoReply)
+ * Responds once the run has started; poll /api/jobs/runs/:id for the outcome
+ */
+exports.runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const job = cronJobs.getJob(name);
+
+    if (!job.manualTrigger) {
+      return res.status(400).json({
+        success: false,
+        error: `Job ${name} cannot be triggered manually`
+      });
+    }
+
+    const { started, done } = cronJobs.startJob(name, {
+      trigger: 'manual',
+      triggeredBy: req.user.name
+    });
+
+    done.catch(error => logger.error(`Manual ${name} run failed:`, error.message));
+
+    const run = await started;
+
+    await auditService.record(req, { action: 'run', collection: 'job_runs', documentId: run.id, after: run });
+
+    if (run.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        error: `Job ${name} is already running`,
+        run
+      });
+    }
+
+    logger.info(`Job ${name} triggered by ${req.user.name} (run ${run.id})`);
+
+    res.status(202).json({
+      success: true,
+      message: `Job ${name} started`,
+      runId: run.id,
+      statusUrl: `/api/jobs/runs/${run.id}`,
+      run
+    });
+  } catch (error) {
+    logger.error(`Error triggering job ${req.params.name}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to trigger job',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * Lead Controller
+ * Handles sales lead endpoints: pipeline status, CSV export and CRM push
+ */
+
+const leadsService = require('../services/leads.service');
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/leads
+ * List leads, most recently updated first (optional status filter)
+ */
+exports.getLeads = async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const leads = await leadsService.listLeads({
+      status,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({
+      success: true,
+      count: leads.length,
+      leads
+    });
+  } catch (error) {
+    logger.error('Error fetching leads:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch leads',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/leads/export?status=&from=&to=
+ * Download leads as CSV (one row per lead)
+ */
+exports.exportLeads = async (req, res) => {
+  try {
+    const { status, from, to } = req.query;
+
+    const { filename, body } = await leadsService.exportCsv({ status, from, to });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    logger.error('Error exporting leads:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to export leads',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/leads/:id
+ * Get a lead
+ */
+exports.getLeadById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await leadsService.getLead(id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      lead
+    });
+  } catch (error) {
+    logger.error(`Error fetching lead ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lead',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * PATCH /api/leads/:id
+ * Update a lead's status (new, contacted, quoted, won, lost), notes or details
+ * Body: { status?, notes?, name?, city?, zip?, productCategory?, dimensions?, panelCount?, glassType?, timeline?, phone?, email? }
+ */
+exports.updateLead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await auditService.getSnapshot('leads', id);
+
+    const lead = await leadsService.updateLead(id, req.body, req.user.name);
+
+    await auditService.record(req, { action: 'update', collection: 'leads', documentId: id, before });
+
+    res.json({
+      success: true,
+      message: 'Lead updated',
+      lead
+    });
+  } catch (error) {
+    logger.error(`Error updating lead ${req.params.id}:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to update lead',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * POST /api/leads/:id/push
+ * Send a lead to the CRM webhook again (e.g. after a failed push)
+ */
+exports.pushLead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await leadsService.getLead(id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const before = await auditService.getSnapshot('leads', id);
+
+    const crm = await leadsService.pushToCrm(lead, 'lead.updated');
+
+    if (!crm) {
+      return res.status(409).json({
+        success: false,
+        error: 'No CRM webhook configured (settings leads.crmWebhookUrl)'
+      });
+    }
+
+    await auditService.record(req, { action: 'push', collection: 'leads', documentId: id, before });
+
+    res.status(crm.status === 'pushed' ? 200 : 502).json({
+      success: crm.status === 'pushed',
+      crm
+    });
+  } catch (error) {
+    logger.error(`Error pushing lead ${req.params.id}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to push lead',
+      message: error.message
+    });
+  }
+};
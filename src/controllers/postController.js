@@ -5,15 +5,19 @@
 
 const { db } = require('../config/firebase');
 const approvalService = require('../services/approval.service');
+const auditService = require('../services/audit.service');
+const trashService = require('../services/trash.service');
+const metaService = require('../services/meta.service');
 const logger = require('../utils/logger');
 
 /**
  * GET /api/posts
  * Get all posts with optional filters
+ * Trashed posts are hidden unless includeDeleted=true or status=trashed
  */
 exports.getPosts = async (req, res) => {
   try {
-    const { limit = 20, offset = 0, status, type } = req.query;
+    const { limit = 20, offset = 0, status, type, includeDeleted } = req.query;
 
     let query = db.collection('posts').orderBy('createdAt', 'desc');
 
@@ -25,17 +29,10 @@ exports.getPosts = async (req, res) => {
       query = query.where('type', '==', type);
     }
 
-    const snapshot = await query
-      .limit(parseInt(limit))
-      .offset(parseInt(offset))
-      .get();
-
-    const posts = [];
-    snapshot.forEach(doc => {
-      posts.push({
-        id: doc.id,
-        ...doc.data()
-      });
+    const posts = await trashService.listActive(query, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      includeDeleted: includeDeleted === 'true' || status === 'trashed'
     });
 
     logger.info(`Retrieved ${posts.length} posts`);
@@ -97,7 +94,7 @@ exports.getPendingPosts = async (req, res) => {
  */
 exports.getStatistics = async (req, res) => {
   try {
-    const statuses = ['pending', 'approved', 'rejected', 'posted'];
+    const statuses = ['pending', 'approved', 'rejected', 'posted', 'publish_failed'];
     const statistics = {
       total: 0,
       byStatus: {}
@@ -210,22 +207,36 @@ exports.getApprovalHistory = async (req, res) => {
 
 /**
  * PUT /api/posts/:id/approve
- * Approve a post
+ * Approve a post (optionally also shared as a story: { shareAsStory, storyScheduledTime })
  */
 exports.approvePost = async (req, res) => {
   try {
     const { id } = req.params;
-    const { approvedBy = 'admin', scheduledTime } = req.body;
+    const { scheduledTime, shareAsStory, storyScheduledTime } = req.body;
+    const approvedBy = req.user.name;
+
+    if ((scheduledTime && isNaN(Date.parse(scheduledTime))) || (storyScheduledTime && isNaN(Date.parse(storyScheduledTime)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'scheduledTime and storyScheduledTime must be valid dates'
+      });
+    }
+
+    const before = await auditService.getSnapshot('posts', id);
 
     const result = await approvalService.approvePost(id, {
       approvedBy,
-      scheduledTime
+      scheduledPostTime: scheduledTime,
+      shareAsStory: Boolean(shareAsStory),
+      storyScheduledTime: storyScheduledTime ? new Date(storyScheduledTime).toISOString() : null
     });
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await auditService.record(req, { action: 'approve', collection: 'posts', documentId: id, before });
+
     logger.info(`Post approved: ${id} by ${approvedBy}`);
 
     res.json(result);
@@ -246,7 +257,8 @@ exports.approvePost = async (req, res) => {
 exports.rejectPost = async (req, res) => {
   try {
     const { id } = req.params;
-    const { rejectedBy = 'admin', reason } = req.body;
+    const { reason } = req.body;
+    const rejectedBy = req.user.name;
 
     if (!reason) {
       return res.status(400).json({
@@ -255,6 +267,8 @@ exports.rejectPost = async (req, res) => {
       });
     }
 
+    const before = await auditService.getSnapshot('posts', id);
+
     const result = await approvalService.rejectPost(id, {
       rejectedBy,
       reason
@@ -264,6 +278,8 @@ exports.rejectPost = async (req, res) => {
       return res.status(400).json(result);
     }
 
+    await auditService.record(req, { action: 'reject', collection: 'posts', documentId: id, before });
+
     logger.info(`Post rejected: ${id} by ${rejectedBy}. Reason: ${reason}`);
 
     res.json(result);
@@ -280,16 +296,20 @@ exports.rejectPost = async (req, res) => {
 /**
  * PUT /api/posts/:id/edit
  * Edit a post (auto-approves after edit)
+ * Accepts caption, hashtags, per-platform captions { instagram, facebook } and targets
  */
 exports.editPost = async (req, res) => {
   try {
     const { id } = req.params;
-    const { caption, hashtags, editedBy = 'admin', updates: updatesFromBody } = req.body;
+    const { caption, hashtags, captions, targets, updates: updatesFromBody } = req.body;
+    const editedBy = req.user.name;
 
     // Support both formats: { caption, hashtags } or { updates: { caption, hashtags } }
     const updates = updatesFromBody || {};
     if (caption) updates.caption = caption;
     if (hashtags) updates.hashtags = hashtags;
+    if (captions) updates.captions = captions;
+    if (targets) updates.targets = targets;
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
@@ -298,12 +318,25 @@ exports.editPost = async (req, res) => {
       });
     }
 
+    const platformError = validatePlatformFields(updates);
+    if (platformError) {
+      return res.status(400).json({
+        success: false,
+        error: platformError,
+        platforms: metaService.getPlatforms()
+      });
+    }
+
+    const before = await auditService.getSnapshot('posts', id);
+
     const result = await approvalService.editPost(id, { editedBy, updates });
 
     if (!result.success) {
       return res.status(400).json(result);
     }
 
+    await auditService.record(req, { action: 'edit', collection: 'posts', documentId: id, before });
+
     logger.info(`Post edited: ${id} by ${editedBy}`);
 
     res.json(result);
@@ -317,28 +350,149 @@ exports.editPost = async (req, res) => {
   }
 };
 
+/**
+ * PUT /api/posts/:id/slides
+ * Reorder the slides of a pending carousel post ({ order: [2, 0, 1] })
+ */
+exports.reorderSlides = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { order } = req.body;
+
+    const before = await auditService.getSnapshot('posts', id);
+
+    const post = await approvalService.reorderSlides(id, { order, editedBy: req.user.name });
+
+    await auditService.record(req, { action: 'reorder_slides', collection: 'posts', documentId: id, before });
+
+    logger.info(`Carousel slides reordered: ${id} by ${req.user.name}`);
+
+    res.json(post);
+  } catch (error) {
+    logger.error(`Error reordering slides for post ${req.params.id}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to reorder slides',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/posts/:id/slides/:index
+ * Drop a slide from a pending carousel post
+ */
+exports.removeSlide = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const index = Number(req.params.index);
+
+    const before = await auditService.getSnapshot('posts', id);
+
+    const post = await approvalService.removeSlide(id, { index, editedBy: req.user.name });
+
+    await auditService.record(req, { action: 'remove_slide', collection: 'posts', documentId: id, before });
+
+    logger.info(`Carousel slide ${index} removed: ${id} by ${req.user.name}`);
+
+    res.json(post);
+  } catch (error) {
+    logger.error(`Error removing slide from post ${req.params.id}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to remove slide',
+      message: error.message
+    });
+  }
+};
+
 /**
  * DELETE /api/posts/:id
- * Delete a post
+ * Move a post to the trash (purged after the retention period)
  */
 exports.deletePost = async (req, res) => {
   try {
     const { id } = req.params;
 
-    await db.collection('posts').doc(id).delete();
+    const before = await auditService.getSnapshot('posts', id);
+
+    await trashService.trash('posts', id, req.user.name);
+
+    await auditService.record(req, { action: 'trash', collection: 'posts', documentId: id, before });
 
-    logger.info(`Post deleted: ${id}`);
+    logger.info(`Post moved to trash: ${id}`);
 
     res.json({
       success: true,
-      message: 'Post deleted successfully'
+      message: 'Post moved to trash'
     });
   } catch (error) {
     logger.error(`Error deleting post ${req.params.id}:`, error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to delete post',
       message: error.message
     });
   }
 };
+
+/**
+ * POST /api/posts/:id/restore
+ * Restore a post from the trash
+ */
+exports.restorePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await auditService.getSnapshot('posts', id);
+
+    const post = await trashService.restore('posts', id, req.user.name);
+
+    await auditService.record(req, { action: 'restore', collection: 'posts', documentId: id, before });
+
+    logger.info(`Post restored: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Post restored successfully',
+      post
+    });
+  } catch (error) {
+    logger.error(`Error restoring post ${req.params.id}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to restore post',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Validate per-platform captions and publish targets in an edit
+ * @param {Object} updates - Post updates
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePlatformFields(updates) {
+  const platforms = metaService.getPlatforms();
+  const { captions, targets } = updates;
+
+  if (captions !== undefined) {
+    const isValid = captions && typeof captions === 'object' && !Array.isArray(captions)
+      && Object.entries(captions).every(([platform, text]) => platforms.includes(platform) && typeof text === 'string' && text.trim());
+
+    if (!isValid) {
+      return 'captions must map platform names to non-empty strings';
+    }
+  }
+
+  if (targets !== undefined) {
+    const isValid = Array.isArray(targets) && targets.length > 0
+      && targets.every(platform => platforms.includes(platform));
+
+    if (!isValid) {
+      return 'targets must be a non-empty list of platforms';
+    }
+  }
+
+  return null;
+}
@@ -3,51 +3,45 @@
  * Handles system settings API endpoints
  */
 
-const { db } = require('../config/firebase');
+const auditService = require('../services/audit.service');
+const authService = require('../services/auth.service');
+const settingsService = require('../services/settings.service');
 const logger = require('../utils/logger');
 
 const SETTINGS_DOC_ID = 'system_settings';
 
+const REDACTED = '[redacted]';
+
+/**
+ * Hide settings only admins may see: the CRM webhook URL often carries a token
+ * @param {Object} settings - Settings (current or a history version)
+ * @param {Object} user - req.user
+ * @returns {Object} Settings, with leads.crmWebhookUrl redacted for non-admins when it is set
+ */
+function redactSettings(settings, user) {
+  if (authService.hasRole(user.role, 'admin') || !settings?.leads?.crmWebhookUrl) {
+    return settings;
+  }
+
+  return {
+    ...settings,
+    leads: { ...settings.leads, crmWebhookUrl: REDACTED }
+  };
+}
+
 /**
  * GET /api/settings
- * Get current system settings
+ * Get current system settings (stored values merged over defaults; secrets redacted for non-admins)
  */
 exports.getSettings = async (req, res) => {
   try {
-    const settingsDoc = await db.collection('settings').doc(SETTINGS_DOC_ID).get();
-
-    if (!settingsDoc.exists) {
-      // Return default settings if none exist
-      const defaultSettings = {
-        postingTime: '17:00',
-        contentMix: {
-          images: 70,
-          videos: 30
-        },
-        brandVoice: 'professional-inspirational',
-        autoApproval: false,
-        emailNotifications: true,
-        modules: {
-          trendAnalysisEnabled: true,
-          contentGenerationEnabled: true,
-          autoPostingEnabled: false
-        },
-        updatedAt: new Date().toISOString()
-      };
-
-      logger.info('Returning default settings');
-      return res.json({
-        success: true,
-        settings: defaultSettings
-      });
-    }
+    const settings = await settingsService.getSettings({ fresh: true });
 
-    const settings = settingsDoc.data();
-    logger.info('Retrieved settings from database');
+    logger.info('Retrieved settings');
 
     res.json({
       success: true,
-      settings
+      settings: redactSettings(settings, req.user)
     });
   } catch (error) {
     logger.error('Error fetching settings:', error);
@@ -60,33 +54,25 @@ exports.getSettings = async (req, res) => {
 };
 
 /**
- * PUT /api/settings
- * Update system settings
+ * PATCH /api/settings (PUT is accepted with the same partial-update semantics)
+ * Update some settings. Requires the version last read, as "version" in the body
+ * or an If-Match header, so concurrent edits don't overwrite each other.
  */
 exports.updateSettings = async (req, res) => {
   try {
-    const {
-      postingTime,
-      contentMix,
-      brandVoice,
-      autoApproval,
-      emailNotifications,
-      modules
-    } = req.body;
-
-    const settings = {
-      postingTime,
-      contentMix,
-      brandVoice,
-      autoApproval,
-      emailNotifications,
-      modules,
-      updatedAt: new Date().toISOString()
-    };
-
-    await db.collection('settings').doc(SETTINGS_DOC_ID).set(settings, { merge: true });
-
-    logger.info('Settings updated successfully');
+    const { version, ...patch } = req.body || {};
+    const expectedVersion = getExpectedVersion(version, req.get('if-match'));
+
+    const before = await auditService.getSnapshot('settings', SETTINGS_DOC_ID);
+
+    const settings = await settingsService.updateSettings(patch, {
+      expectedVersion,
+      updatedBy: req.user.name
+    });
+
+    await auditService.record(req, { action: 'update', collection: 'settings', documentId: SETTINGS_DOC_ID, before });
+
+    logger.info(`Settings updated to version ${settings.version}`);
 
     res.json({
       success: true,
@@ -94,11 +80,89 @@ exports.updateSettings = async (req, res) => {
       settings
     });
   } catch (error) {
-    logger.error('Error updating settings:', error);
-    res.status(500).json({
+    logger.error('Error updating settings:', error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to update settings',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * GET /api/settings/history
+ * Get prior settings versions, newest first
+ */
+exports.getSettingsHistory = async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const history = await settingsService.getHistory(parseInt(limit));
+
+    logger.info(`Retrieved ${history.length} settings versions`);
+
+    res.json({
+      success: true,
+      count: history.length,
+      history: history.map(entry => ({ ...entry, settings: redactSettings(entry.settings, req.user) }))
+    });
+  } catch (error) {
+    logger.error('Error fetching settings history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settings history',
       message: error.message
     });
   }
 };
+
+/**
+ * POST /api/settings/history/:version/rollback
+ * Restore a prior settings version (saved as a new version)
+ */
+exports.rollbackSettings = async (req, res) => {
+  try {
+    const targetVersion = parseInt(req.params.version);
+    const expectedVersion = getExpectedVersion(req.body?.version, req.get('if-match'));
+
+    if (isNaN(targetVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Version must be a number'
+      });
+    }
+
+    const before = await auditService.getSnapshot('settings', SETTINGS_DOC_ID);
+
+    const settings = await settingsService.rollback(targetVersion, {
+      expectedVersion,
+      updatedBy: req.user.name
+    });
+
+    await auditService.record(req, { action: 'rollback', collection: 'settings', documentId: SETTINGS_DOC_ID, before });
+
+    res.json({
+      success: true,
+      message: `Settings rolled back to version ${targetVersion}`,
+      settings
+    });
+  } catch (error) {
+    logger.error(`Error rolling back settings to ${req.params.version}:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to roll back settings',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * Helper: Read the client's expected version from the body or an If-Match header
+ */
+function getExpectedVersion(bodyVersion, ifMatch) {
+  const raw = bodyVersion !== undefined ? bodyVersion : ifMatch?.replace(/"/g, '');
+  const version = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isInteger(version) ? version : undefined;
+}
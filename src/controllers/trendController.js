@@ -5,29 +5,23 @@
 
 const { db } = require('../config/firebase');
 const aiEngine = require('../services/aiEngine');
+const auditService = require('../services/audit.service');
+const trashService = require('../services/trash.service');
 const logger = require('../utils/logger');
 
 /**
  * GET /api/trends
  * Get all trends with optional filters
+ * Trashed trends are hidden unless includeDeleted=true
  */
 exports.getTrends = async (req, res) => {
   try {
-    const { limit = 10, offset = 0 } = req.query;
-
-    const trendsRef = db.collection('trends');
-    const snapshot = await trendsRef
-      .orderBy('date', 'desc')
-      .limit(parseInt(limit))
-      .offset(parseInt(offset))
-      .get();
-
-    const trends = [];
-    snapshot.forEach(doc => {
-      trends.push({
-        id: doc.id,
-        ...doc.data()
-      });
+    const { limit = 10, offset = 0, includeDeleted } = req.query;
+
+    const trends = await trashService.listActive(db.collection('trends').orderBy('date', 'desc'), {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      includeDeleted: includeDeleted === 'true'
     });
 
     logger.info(`Retrieved ${trends.length} trends`);
@@ -53,13 +47,10 @@ exports.getTrends = async (req, res) => {
  */
 exports.getLatestTrend = async (req, res) => {
   try {
-    const trendsRef = db.collection('trends');
-    const snapshot = await trendsRef
-      .orderBy('date', 'desc')
-      .limit(1)
-      .get();
+    // Skip trends that were moved to the trash
+    const [trend] = await trashService.listActive(db.collection('trends').orderBy('date', 'desc'), { limit: 1 });
 
-    if (snapshot.empty) {
+    if (!trend) {
       return res.json({
         success: true,
         trend: null,
@@ -67,12 +58,6 @@ exports.getLatestTrend = async (req, res) => {
       });
     }
 
-    const doc = snapshot.docs[0];
-    const trend = {
-      id: doc.id,
-      ...doc.data()
-    };
-
     logger.info(`Retrieved latest trend: ${trend.id}`);
 
     res.json({
@@ -151,6 +136,8 @@ exports.analyzeTrends = async (req, res) => {
       createdAt: new Date().toISOString()
     });
 
+    await auditService.record(req, { action: 'analyze', collection: 'trends', documentId: trendDoc.id });
+
     logger.info(`Trend analysis completed: ${trendDoc.id}`);
 
     res.json({
@@ -171,26 +158,61 @@ exports.analyzeTrends = async (req, res) => {
 
 /**
  * DELETE /api/trends/:id
- * Delete a trend analysis
+ * Move a trend analysis to the trash (purged after the retention period)
  */
 exports.deleteTrend = async (req, res) => {
   try {
     const { id } = req.params;
 
-    await db.collection('trends').doc(id).delete();
+    const before = await auditService.getSnapshot('trends', id);
+
+    await trashService.trash('trends', id, req.user.name);
+
+    await auditService.record(req, { action: 'trash', collection: 'trends', documentId: id, before });
 
-    logger.info(`Trend deleted: ${id}`);
+    logger.info(`Trend moved to trash: ${id}`);
 
     res.json({
       success: true,
-      message: 'Trend deleted successfully'
+      message: 'Trend moved to trash'
     });
   } catch (error) {
     logger.error(`Error deleting trend ${req.params.id}:`, error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Failed to delete trend',
       message: error.message
     });
   }
 };
+
+/**
+ * POST /api/trends/:id/restore
+ * Restore a trend analysis from the trash
+ */
+exports.restoreTrend = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await auditService.getSnapshot('trends', id);
+
+    const trend = await trashService.restore('trends', id, req.user.name);
+
+    await auditService.record(req, { action: 'restore', collection: 'trends', documentId: id, before });
+
+    logger.info(`Trend restored: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Trend restored successfully',
+      trend
+    });
+  } catch (error) {
+    logger.error(`Error restoring trend ${req.params.id}:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to restore trend',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,97 @@
+/**
+ * Webhook Event Controller
+ * Handles the stored Meta webhook events: listing, inspection and replay
+ */
+
+const webhookEventsService = require('../services/webhookEvents.service');
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/webhooks/events
+ * List stored webhook events, newest first (optional status filter, e.g. dead_letter)
+ */
+exports.getEvents = async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const events = await webhookEventsService.listEvents({
+      status,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({
+      success: true,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook events:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to fetch webhook events',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/webhooks/events/:id
+ * Get a stored webhook event with its raw payload
+ */
+exports.getEventById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await webhookEventsService.getEvent(id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event
+    });
+  } catch (error) {
+    logger.error(`Error fetching webhook event ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook event',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/webhooks/events/:id/replay
+ * Process a stored webhook event again (e.g. a dead-lettered one after a fix)
+ * Interactions that already exist are not created twice
+ */
+exports.replayEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const before = await auditService.getSnapshot('webhook_events', id);
+
+    const event = await webhookEventsService.replay(id, req.user.name);
+
+    await auditService.record(req, { action: 'replay', collection: 'webhook_events', documentId: id, before });
+
+    res.json({
+      success: event.status === 'processed',
+      message: event.status === 'processed' ? 'Webhook event processed' : 'Webhook event failed again',
+      event
+    });
+  } catch (error) {
+    logger.error(`Error replaying webhook event ${req.params.id}:`, error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to replay webhook event',
+      message: error.message
+    });
+  }
+};
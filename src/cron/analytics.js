@@ -1,11 +1,20 @@
 const logger = require('../utils/logger');
+const metricsService = require('../services/metrics.service');
+const analyticsService = require('../services/analytics.service');
+const referenceImagesService = require('../services/referenceImages.service');
+const trashService = require('../services/trash.service');
 const { db } = require('../config/firebase');
 
+// Metric columns copied onto each post row of the report (see metrics.service)
+const POST_METRIC_FIELDS = ['reach', 'impressions', 'likes', 'comments', 'saves', 'shares', 'videoPlays', 'engagement', 'engagementRate'];
+
 /**
  * analytics cron job
  * Runs weekly on Sunday at 12:00 AM UTC
  * Collects and analyzes post performance data
- * Generates weekly reports
+ * Generates weekly reports that rank posts, categories, content types and hashtags
+ * by engagement rate, using the latest metrics snapshot of each post (see collectMetrics)
+ * The report also keeps per-post rows and interaction stats for the exports (see reportExport.service)
  */
 async function run() {
   try {
@@ -56,31 +65,47 @@ async function run() {
         instagram: 0,
         facebook: 0
       },
-      topHashtags: {},
-      averageGenerationTime: 0
+      byCategory: Object.fromEntries(referenceImagesService.getCategories().map(category => [category, 0]))
     };
 
     posts.forEach(post => {
       // Count by type
       stats.byType[post.type] = (stats.byType[post.type] || 0) + 1;
 
+      // Count by category
+      if (post.category) stats.byCategory[post.category] = (stats.byCategory[post.category] || 0) + 1;
+
       // Count by platform
       if (post.platforms?.instagram) stats.byPlatform.instagram++;
       if (post.platforms?.facebook) stats.byPlatform.facebook++;
-
-      // Aggregate hashtags
-      if (post.hashtags) {
-        post.hashtags.forEach(tag => {
-          stats.topHashtags[tag] = (stats.topHashtags[tag] || 0) + 1;
-        });
-      }
     });
 
-    // Sort hashtags by frequency
-    const sortedHashtags = Object.entries(stats.topHashtags)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 15)
-      .map(([tag, count]) => ({ tag, count }));
+    // Only posts with a metrics snapshot can be ranked
+    const measuredPosts = posts.filter(post => post.metrics);
+
+    const rankings = {
+      posts: measuredPosts
+        .map(post => ({
+          id: post.id,
+          postId: post.postId,
+          category: post.category,
+          type: post.type,
+          postedAt: post.postedAt,
+          caption: post.caption?.substring(0, 100),
+          metricsWindow: post.metrics.window,
+          reach: post.metrics.reach,
+          engagement: post.metrics.engagement,
+          engagementRate: post.metrics.engagementRate
+        }))
+        .sort(compareByEngagementRate),
+      categories: rankGroups(measuredPosts, post => [post.category]),
+      types: rankGroups(measuredPosts, post => [post.type]),
+      hashtags: rankGroups(measuredPosts, post => post.hashtags || []).slice(0, 15)
+    };
+
+    const overall = rankGroups(measuredPosts, () => ['all'])[0] || null;
+
+    const interactions = await getInteractionStats(startDate.toISOString(), endDate.toISOString());
 
     // Create analytics report
     const analyticsReport = {
@@ -92,18 +117,36 @@ async function run() {
         totalPosts: stats.totalPosts,
         imagesPosts: stats.byType.image || 0,
         videoPosts: stats.byType.video || 0,
+        carouselPosts: stats.byType.carousel || 0,
         instagramPosts: stats.byPlatform.instagram || 0,
-        facebookPosts: stats.byPlatform.facebook || 0
+        facebookPosts: stats.byPlatform.facebook || 0,
+        postsWithMetrics: measuredPosts.length,
+        reach: overall?.reach || 0,
+        engagement: overall?.engagement || 0,
+        engagementRate: overall?.engagementRate ?? null
       },
-      topHashtags: sortedHashtags,
+      byCategory: stats.byCategory,
+      rankings,
+      topHashtags: rankings.hashtags.map(({ key, ...group }) => ({ tag: key, ...group })),
       posts: posts.map(p => ({
         id: p.postId,
+        docId: p.id,
         type: p.type,
+        category: p.category || null,
+        keyword: p.keyword || null,
         postedAt: p.postedAt,
-        caption: p.caption?.substring(0, 100)
+        caption: p.caption?.substring(0, 100),
+        thumbnailUrl: p.thumbnailUrl || p.mediaUrl || null,
+        cloudinaryPublicId: p.cloudinaryPublicId || null,
+        platforms: Object.keys(p.platforms || {}),
+        metricsWindow: p.metrics?.window || null,
+        ...Object.fromEntries(POST_METRIC_FIELDS.map(field => [field, p.metrics?.[field] ?? null]))
       })),
+      interactions,
       insights: {
         mostUsedType: stats.byType.image > stats.byType.video ? 'image' : 'video',
+        bestCategory: rankings.categories[0]?.key || null,
+        bestType: rankings.types[0]?.key || null,
         contentMixActual: {
           images: Math.round((stats.byType.image / stats.totalPosts) * 100),
           videos: Math.round((stats.byType.video / stats.totalPosts) * 100)
@@ -118,11 +161,15 @@ async function run() {
 
     logger.info(`Analytics report created: ${docRef.id}`);
 
+    // The cached report list no longer includes the newest report
+    analyticsService.clearCache();
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     logger.info(`=== Weekly Analytics Completed (${duration}s) ===`);
     logger.info(`Total posts: ${stats.totalPosts}`);
     logger.info(`Images: ${stats.byType.image}, Videos: ${stats.byType.video}`);
-    logger.info(`Top hashtags: ${sortedHashtags.slice(0, 5).map(h => h.tag).join(', ')}`);
+    logger.info(`Posts with metrics: ${measuredPosts.length}, engagement rate: ${analyticsReport.summary.engagementRate ?? 'n/a'}`);
+    logger.info(`Top hashtags by engagement rate: ${rankings.hashtags.slice(0, 5).map(h => h.key).join(', ')}`);
 
     return analyticsReport;
   } catch (error) {
@@ -131,4 +178,80 @@ async function run() {
   }
 }
 
+/**
+ * Count the comments and DMs received in the report period
+ * @param {string} start - Period start (ISO time)
+ * @param {string} end - Period end (ISO time)
+ * @returns {Promise<Object>} Totals by type, platform, category and status, plus reply times
+ */
+async function getInteractionStats(start, end) {
+  const snapshot = await db.collection('interactions')
+    .where('timestamp', '>=', start)
+    .where('timestamp', '<=', end)
+    .get();
+
+  const interactions = snapshot.docs
+    .map(doc => doc.data())
+    .filter(interaction => !trashService.isTrashed(interaction));
+
+  const countBy = field => interactions.reduce((counts, interaction) => {
+    const key = interaction[field] || 'unknown';
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+
+  const replyMinutes = interactions
+    .filter(interaction => interaction.respondedAt && interaction.timestamp)
+    .map(interaction => (new Date(interaction.respondedAt) - new Date(interaction.timestamp)) / 60000)
+    .filter(minutes => minutes >= 0)
+    .sort((a, b) => a - b);
+
+  return {
+    total: interactions.length,
+    byType: countBy('type'),
+    byPlatform: countBy('platform'),
+    byCategory: countBy('category'),
+    byStatus: countBy('status'),
+    redirected: interactions.filter(interaction => interaction.redirected).length,
+    medianReplyMinutes: replyMinutes.length > 0
+      ? Math.round(replyMinutes[Math.floor(replyMinutes.length / 2)])
+      : null
+  };
+}
+
+/**
+ * Group posts and rank the groups by engagement rate (total engagement / total reach)
+ * @param {Array<Object>} posts - Posts with metrics
+ * @param {Function} getKeys - Returns the group keys of a post (a post can be in several, e.g. hashtags)
+ * @returns {Array<Object>} { key, posts, reach, engagement, engagementRate }, best first
+ */
+function rankGroups(posts, getKeys) {
+  const groups = {};
+
+  for (const post of posts) {
+    for (const key of getKeys(post)) {
+      if (!key) continue;
+
+      const group = groups[key] || (groups[key] = { key, posts: 0, reach: 0, engagement: 0 });
+      group.posts++;
+      group.reach += post.metrics.reach || 0;
+      group.engagement += post.metrics.engagement || 0;
+    }
+  }
+
+  return Object.values(groups)
+    .map(group => ({
+      ...group,
+      engagementRate: metricsService.getEngagementRate(group.engagement, group.reach)
+    }))
+    .sort(compareByEngagementRate);
+}
+
+/**
+ * Sort comparator: highest engagement rate first, entries without a rate last
+ */
+function compareByEngagementRate(a, b) {
+  return (b.engagementRate ?? -1) - (a.engagementRate ?? -1);
+}
+
 module.exports = { run };
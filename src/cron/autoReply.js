@@ -1,19 +1,42 @@
 const logger = require('../utils/logger');
 const metaService = require('../services/meta.service');
 const aiEngine = require('../services/aiEngine');
+const settingsService = require('../services/settings.service');
+const lockService = require('../services/lock.service');
+const conversationsService = require('../services/conversations.service');
+const inboxService = require('../services/inbox.service');
 const { db } = require('../config/firebase');
+const { isPastDeadline } = require('../utils/helpers');
 
 /**
  * autoReply cron job
  * Runs every 5 minutes to check for pending interactions (comments/DMs)
  * and automatically responds to them using AI-generated responses
+ * Replies see the recent turns of the user's conversation, and a reply that repeats one
+ * already sent to that conversation within the cooldown is suppressed instead of sent
+ * Interactions that match an escalation rule go to needs_human for a person to answer
+ * Each interaction is claimed first, so overlapping runs never reply twice
+ * @param {Object} options - Run options
+ * @param {number} options.deadline - Stop picking up interactions after this time (epoch ms, optional)
  */
-async function run() {
+async function run(options = {}) {
+  const { deadline } = options;
+
   try {
     logger.info('=== Running Auto-Reply Cron Job ===');
 
     const startTime = Date.now();
 
+    if (!(await settingsService.isModuleEnabled('autoReply'))) {
+      logger.info('Auto-reply module disabled in settings - skipping');
+      return {
+        success: true,
+        skipped: true,
+        message: 'Auto-reply disabled',
+        replied: 0
+      };
+    }
+
     // Check if Meta API is configured
     if (!metaService.isConfigured()) {
       logger.warn('META API NOT CONFIGURED - Skipping auto-reply');
@@ -51,72 +74,98 @@ async function run() {
 
     logger.info(`Found ${interactions.length} pending interaction(s)`);
 
+    const { autoReply: { cooldownHours }, escalation: escalationSettings } = await settingsService.getSettings();
+
     const results = {
       replied: 0,
       failed: 0,
-      skipped: 0
+      skipped: 0,
+      suppressed: 0,
+      escalated: 0,
+      remaining: 0
     };
 
-    for (const interaction of interactions) {
+    for (const [index, pending] of interactions.entries()) {
+      if (isPastDeadline(deadline)) {
+        results.remaining = interactions.length - index;
+        logger.info(`Time budget used up - leaving ${results.remaining} interaction(s) for the next run`);
+        break;
+      }
+
+      const interaction = await lockService.claimDocument('interactions', pending.id, {
+        isClaimable: data => data.status === 'pending'
+      });
+
+      if (!interaction) {
+        results.skipped++;
+        logger.info(`Interaction ${pending.id} is being handled elsewhere or no longer pending - skipping`);
+        continue;
+      }
+
       try {
         logger.info(`Processing ${interaction.type} from ${interaction.platform}: ${interaction.id}`);
 
-        // Generate AI response if not already generated
-        let response = interaction.botResponse;
-        if (!response) {
+        const turns = await getConversationTurns(interaction);
+
+        // Message-only rules first, so an escalated message never gets an AI reply generated
+        let escalation = inboxService.evaluate(interaction, escalationSettings);
+        let response = null;
+
+        // The AI both answers in context and classifies for the escalation rules;
+        // the webhook's keyword-based prefill is only the fallback
+        if (!escalation) {
           try {
             const aiResponse = await aiEngine.generateInteractionResponse({
               message: interaction.userMessage,
               type: interaction.type,
               platform: interaction.platform,
-              category: interaction.category
+              category: interaction.category,
+              history: turns,
+              contactShared: interaction.type === 'dm' && conversationsService.hasSharedQuoteLink(turns)
             });
             response = aiResponse.response;
+            escalation = inboxService.evaluate(interaction, escalationSettings, aiResponse);
           } catch (aiError) {
             logger.error('AI response generation failed:', aiError.message);
             // Use fallback response
-            response = getFallbackResponse(interaction.category);
+            response = interaction.botResponse || getFallbackResponse(interaction.category);
           }
         }
 
-        // Send the reply based on type and platform
-        let replyResult;
-
-        if (interaction.type === 'comment') {
-          if (interaction.platform === 'instagram') {
-            replyResult = await metaService.replyToInstagramComment(
-              interaction.interactionId,
-              response
-            );
-          } else if (interaction.platform === 'facebook') {
-            replyResult = await metaService.replyToFacebookComment(
-              interaction.interactionId,
-              response
-            );
-          }
-        } else if (interaction.type === 'dm') {
-          if (interaction.platform === 'instagram') {
-            replyResult = await metaService.sendInstagramDM(
-              interaction.user?.id,
-              response
-            );
-          } else if (interaction.platform === 'facebook') {
-            replyResult = await metaService.sendFacebookMessage(
-              interaction.user?.id,
-              response
-            );
-          }
+        if (escalation) {
+          await inboxService.escalate(interaction.id, escalation, response);
+          results.escalated++;
+          continue;
+        }
+
+        const repeated = conversationsService.findRepeatedReply(turns, response, cooldownHours);
+        if (repeated) {
+          await db.collection('interactions').doc(interaction.id).update({
+            status: 'suppressed',
+            botResponse: response,
+            suppressedReason: `Same reply was sent to this conversation at ${repeated.timestamp}`,
+            suppressedAt: new Date().toISOString()
+          });
+
+          results.suppressed++;
+          logger.info(`Suppressed repeated reply to ${interaction.id} (cooldown ${cooldownHours}h)`);
+          continue;
         }
 
+        // Send the reply on the interaction's platform
+        const replyResult = await metaService.replyToInteraction(interaction, response);
+
         if (replyResult?.success) {
           // Update interaction status
           await db.collection('interactions').doc(interaction.id).update({
             status: 'responded',
             botResponse: response,
             respondedAt: new Date().toISOString(),
-            replyId: replyResult.replyId || replyResult.messageId
+            replyId: replyResult.replyId
           });
 
+          await recordReply(interaction, response, replyResult);
+
           results.replied++;
           logger.info(`Replied to ${interaction.id} successfully`);
         } else {
@@ -140,12 +189,14 @@ async function run() {
           lastError: interactionError.message,
           lastAttempt: new Date().toISOString()
         });
+      } finally {
+        await lockService.releaseDocument('interactions', interaction.id, interaction.claimToken);
       }
     }
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     logger.info(`=== Auto-Reply Completed (${duration}s) ===`);
-    logger.info(`Replied: ${results.replied}, Failed: ${results.failed}, Skipped: ${results.skipped}`);
+    logger.info(`Replied: ${results.replied}, Failed: ${results.failed}, Skipped: ${results.skipped}, Suppressed: ${results.suppressed}, Escalated: ${results.escalated}`);
 
     // Log to logs collection
     await db.collection('logs').add({
@@ -179,6 +230,39 @@ async function run() {
   }
 }
 
+/**
+ * Recent turns of the interaction's conversation before this message
+ * A conversation that can't be loaded just means replying without context
+ */
+async function getConversationTurns(interaction) {
+  try {
+    return await conversationsService.getRecentTurns(interaction.conversationId, {
+      before: interaction.timestamp
+    });
+  } catch (error) {
+    logger.error(`Failed to load conversation for ${interaction.id}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Add a sent reply to the conversation
+ * The reply is already out, so a failure here must not mark the interaction as failed
+ */
+async function recordReply(interaction, response, replyResult) {
+  try {
+    await conversationsService.recordReply(interaction.conversationId, {
+      interactionId: interaction.id,
+      type: interaction.type,
+      text: response,
+      sentBy: 'auto_reply',
+      replyId: replyResult.replyId
+    });
+  } catch (error) {
+    logger.error(`Failed to add reply for ${interaction.id} to its conversation:`, error.message);
+  }
+}
+
 /**
  * Get fallback response based on category
  * ALL responses include phone (305) 394-9922 and quote link https://doors22.com/price/
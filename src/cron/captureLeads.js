@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+const leadsService = require('../services/leads.service');
+const settingsService = require('../services/settings.service');
+const { isPastDeadline } = require('../utils/helpers');
+
+/**
+ * captureLeads cron job
+ * Runs every 10 minutes
+ * Has the AI extract lead details (name, location, product, size, glass, timeline, contact)
+ * from the conversations of interactions flagged for capture, and creates/updates their leads.
+ * Flagged interactions of the same conversation share one extraction
+ * @param {Object} options - Run options
+ * @param {number} options.deadline - Stop picking up leads after this time (epoch ms, optional)
+ */
+async function run(options = {}) {
+  const { deadline } = options;
+
+  try {
+    logger.info('=== Running Lead Capture ===');
+
+    const startTime = Date.now();
+
+    const settings = await settingsService.getSettings();
+    if (!settings.leads.enabled) {
+      logger.info('Lead capture disabled in settings - skipping');
+      return {
+        success: true,
+        skipped: true,
+        message: 'Lead capture disabled',
+        captured: 0
+      };
+    }
+
+    const interactions = await leadsService.getPendingInteractions();
+
+    // One capture per lead, covering all of its flagged interactions
+    const groups = new Map();
+    for (const interaction of interactions) {
+      const leadId = leadsService.getLeadId(interaction);
+      groups.set(leadId, [...(groups.get(leadId) || []), interaction]);
+    }
+
+    const results = {
+      captured: 0,
+      notLeads: 0,
+      failed: 0,
+      remaining: 0
+    };
+
+    for (const [index, group] of [...groups.values()].entries()) {
+      if (isPastDeadline(deadline)) {
+        results.remaining = groups.size - index;
+        logger.info(`Time budget used up - leaving ${results.remaining} lead(s) for the next run`);
+        break;
+      }
+
+      try {
+        const lead = await leadsService.captureLead(group);
+        if (lead) {
+          results.captured++;
+        } else {
+          results.notLeads++;
+        }
+      } catch (error) {
+        logger.warn(`Lead capture for ${leadsService.getLeadId(group[0])} failed:`, error.message);
+        results.failed++;
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info(`=== Lead Capture Completed (${duration}s) ===`);
+    logger.info(`Captured: ${results.captured}, Not leads: ${results.notLeads}, Failed: ${results.failed}`);
+
+    return {
+      success: true,
+      results,
+      message: `Captured ${results.captured} lead(s)`
+    };
+  } catch (error) {
+    logger.error('captureLeads failed:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { run };
@@ -0,0 +1,90 @@
+const logger = require('../utils/logger');
+const metaService = require('../services/meta.service');
+const metricsService = require('../services/metrics.service');
+const analyticsService = require('../services/analytics.service');
+const { isPastDeadline } = require('../utils/helpers');
+
+/**
+ * collectMetrics cron job
+ * Runs every 15 minutes
+ * Pulls Instagram/Facebook insights (reach, impressions, likes, comments, saves,
+ * shares, video plays) for published posts and snapshots them into post_metrics
+ * 1 hour, 24 hours and 7 days after posting
+ * @param {Object} options - Run options
+ * @param {number} options.deadline - Stop picking up posts after this time (epoch ms, optional)
+ */
+async function run(options = {}) {
+  const { deadline } = options;
+
+  try {
+    logger.info('=== Running Metrics Collection ===');
+
+    const startTime = Date.now();
+
+    if (!metaService.isConfigured()) {
+      logger.warn('META API NOT CONFIGURED - Skipping metrics collection');
+      return {
+        success: false,
+        message: 'Meta API not configured',
+        captured: 0
+      };
+    }
+
+    const posts = await metricsService.getCandidatePosts();
+
+    const results = {
+      captured: 0,
+      failed: 0,
+      missed: 0,
+      remaining: 0
+    };
+
+    for (const [index, post] of posts.entries()) {
+      const { due, missed } = metricsService.getDueWindows(post);
+
+      if (missed.length > 0) {
+        await metricsService.markMissed(post, missed);
+        results.missed += missed.length;
+      }
+
+      if (!due) {
+        continue;
+      }
+
+      if (isPastDeadline(deadline)) {
+        results.remaining = posts.length - index;
+        logger.info(`Time budget used up - leaving ${results.remaining} post(s) for the next run`);
+        break;
+      }
+
+      try {
+        await metricsService.captureSnapshot(post, due);
+        results.captured++;
+      } catch (error) {
+        // Retried on the next run until the following window is due
+        logger.warn(`Metrics for post ${post.id} (${due}) failed:`, error.message);
+        results.failed++;
+      }
+    }
+
+    // New snapshots change the dashboard numbers
+    if (results.captured > 0) {
+      analyticsService.clearCache();
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info(`=== Metrics Collection Completed (${duration}s) ===`);
+    logger.info(`Captured: ${results.captured}, Failed: ${results.failed}, Missed: ${results.missed}`);
+
+    return {
+      success: true,
+      results,
+      message: `Captured ${results.captured} snapshot(s)`
+    };
+  } catch (error) {
+    logger.error('collectMetrics failed:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { run };
@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const aiEngine = require('../services/aiEngine');
+const settingsService = require('../services/settings.service');
 const { db } = require('../config/firebase');
 const { formatDate } = require('../utils/helpers');
 
@@ -13,6 +14,15 @@ async function run() {
   try {
     logger.info('=== Running Daily Trends Analysis ===');
 
+    if (!(await settingsService.isModuleEnabled('trendAnalysis'))) {
+      logger.info('Trend analysis module disabled in settings - skipping');
+      return {
+        success: true,
+        skipped: true,
+        message: 'Trend analysis disabled'
+      };
+    }
+
     const startTime = Date.now();
 
     // Analyze trends (includes images + videos)
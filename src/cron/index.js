@@ -0,0 +1,147 @@
+/**
+ * Cron Job Registry
+ *
+ * The cron jobs in src/cron with their schedules (see ./schedules for the schedule
+ * table, CRON_* env overrides and the manifest). Every run - scheduled, manual or
+ * called by an external scheduler - goes through runJob/startJob, which holds the
+ * job's lock and records the run in job_runs.
+ *
+ * CRON_MODE picks who fires the schedules: 'process' (node-cron in this process) or
+ * 'http' (an external scheduler calls POST /internal/cron/:job, e.g. on Vercel where
+ * the process does not stay alive). getManifest lists the calls to configure.
+ */
+
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const lockService = require('../services/lock.service');
+const jobRunsService = require('../services/jobRuns.service');
+const { createHttpError } = require('../utils/helpers');
+const schedules = require('./schedules');
+
+const dailyTrends = require('./dailyTrends');
+const contentGeneration = require('./contentGeneration');
+const posting = require('./posting');
+const analytics = require('./analytics');
+const collectMetrics = require('./collectMetrics');
+const autoReply = require('./autoReply');
+const captureLeads = require('./captureLeads');
+const purgeTrash = require('./purgeTrash');
+const processJobs = require('./processJobs');
+
+const JOB_RUNNERS = {
+  dailyTrends: (options) => dailyTrends.run(options),
+  contentGeneration: (options) => contentGeneration.run(options),
+  posting: (options) => posting.run(options),
+  analytics: (options) => analytics.run(options),
+  collectMetrics: (options) => collectMetrics.run(options),
+  autoReply: (options) => autoReply.run(options),
+  captureLeads: (options) => captureLeads.run(options),
+  purgeTrash: (options) => purgeTrash.run(options),
+  processJobs: (options) => processJobs.run(options)
+};
+
+const CRON_JOBS = Object.fromEntries(Object.entries(schedules.JOB_SCHEDULES).map(([name, job]) => [
+  name,
+  { ...job, run: JOB_RUNNERS[name] }
+]));
+
+/**
+ * Get a registered cron job
+ * @param {string} name - Job name
+ * @returns {Object} Job definition
+ */
+function getJob(name) {
+  const job = CRON_JOBS[name];
+
+  if (!job) {
+    throw createHttpError(`Unknown job: ${name}`, 404, { jobs: Object.keys(CRON_JOBS) });
+  }
+
+  return job;
+}
+
+/**
+ * Start a job run: take the job's lock, record the run and run the job
+ * @param {string} name - Job name
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - 'schedule', 'manual' or 'http'
+ * @param {string} options.triggeredBy - Actor name
+ * @param {number} options.deadline - Time the job should stop picking up work by (epoch ms, optional)
+ * @returns {Object} { started, done } - started resolves with the run record once the run
+ *   began (or was recorded as skipped), done with the final run record
+ */
+function startJob(name, { trigger = 'schedule', triggeredBy = 'system', deadline = null } = {}) {
+  const job = getJob(name);
+
+  let resolveStarted;
+  let rejectStarted;
+  const started = new Promise((resolve, reject) => {
+    resolveStarted = resolve;
+    rejectStarted = reject;
+  });
+
+  const done = lockService.withLock(name, async () => {
+    const run = await jobRunsService.start(name, { trigger, triggeredBy });
+    resolveStarted(run);
+
+    try {
+      const result = await job.run({ deadline });
+      return await jobRunsService.finish(run, result);
+    } catch (error) {
+      await jobRunsService.fail(run, error);
+      throw error;
+    }
+  }).then(async (result) => {
+    // withLock's own result means the lock was held elsewhere and the job never ran
+    if (result.reason === 'locked') {
+      const run = await jobRunsService.recordSkipped(name, { trigger, triggeredBy, lockedBy: result.lockedBy });
+      resolveStarted(run);
+      return run;
+    }
+
+    return result;
+  });
+
+  // Errors before the run started (e.g. Firestore unavailable) reach the caller through started
+  done.catch(rejectStarted);
+
+  return { started, done };
+}
+
+/**
+ * Run a job to completion
+ * @param {string} name - Job name
+ * @param {Object} options - Run options (see startJob)
+ * @returns {Promise<Object>} Final run record (completed or skipped); rejects with the job's
+ *   error when the run failed
+ */
+function runJob(name, options = {}) {
+  return startJob(name, options).done;
+}
+
+/**
+ * Schedule every registered job with node-cron
+ */
+function scheduleAll() {
+  for (const name of Object.keys(CRON_JOBS)) {
+    for (const { expression } of schedules.getExpressions(name)) {
+      cron.schedule(expression, () => {
+        runJob(name).catch(err => logger.error(`${CRON_JOBS[name].description} failed:`, err));
+      });
+    }
+  }
+}
+
+module.exports = {
+  CRON_JOBS,
+  getJob,
+  startJob,
+  runJob,
+  scheduleAll,
+  getCronMode: schedules.getCronMode,
+  getTimeBudgetMs: schedules.getTimeBudgetMs,
+  getNextRunTimes: schedules.getNextRunTimes,
+  getSchedule: schedules.getSchedule,
+  getManifest: schedules.getManifest,
+  getVercelCrons: schedules.getVercelCrons
+};
@@ -1,21 +1,45 @@
 const logger = require('../utils/logger');
 const approvalService = require('../services/approval.service');
 const metaService = require('../services/meta.service');
+const settingsService = require('../services/settings.service');
+const publishingService = require('../services/publishing.service');
+const lockService = require('../services/lock.service');
 const { db } = require('../config/firebase');
+const { isPastDeadline } = require('../utils/helpers');
 
 /**
  * posting cron job
  * Runs daily at 5:00 PM UTC (12:00 PM EST - optimal posting time)
  * Also runs every 5 minutes to check for approved posts ready to publish
  *
- * This job checks for approved posts and posts them to Instagram/Facebook.
+ * This job checks for approved posts and posts them to Instagram/Facebook,
+ * then publishes any story placements that are due.
+ * Each platform is tracked separately (post.publishing): a platform that failed is
+ * retried on its own with backoff, and a post nothing could be published for ends
+ * up publish_failed instead of being retried forever.
+ * Each post is claimed before publishing, so overlapping runs (or an approval
+ * publishing immediately) never publish the same post twice.
+ * @param {Object} options - Run options
+ * @param {number} options.deadline - Stop picking up posts and stories after this time (epoch ms, optional)
  */
-async function run() {
+async function run(options = {}) {
+  const { deadline } = options;
+
   try {
     logger.info('=== Running Auto-Posting Cron Job ===');
 
     const startTime = Date.now();
 
+    if (!(await settingsService.isModuleEnabled('autoPosting'))) {
+      logger.info('Auto-posting module disabled in settings - skipping');
+      return {
+        success: true,
+        skipped: true,
+        message: 'Auto-posting disabled',
+        posted: 0
+      };
+    }
+
     // Check if Meta API is configured
     if (!metaService.isConfigured()) {
       logger.warn('META API NOT CONFIGURED - Check environment variables:');
@@ -29,16 +53,19 @@ async function run() {
       };
     }
 
-    // Get approved posts ready for posting
+    // Get approved posts ready for posting (skipping posts whose platforms are all waiting to retry)
     logger.info('Fetching approved posts...');
-    const approvedPosts = await approvalService.getApprovedPosts();
+    const approvedPosts = (await approvalService.getApprovedPosts())
+      .filter(post => publishingService.getDuePlatforms(post, getTargets(post)).length > 0);
 
     if (approvedPosts.length === 0) {
       logger.info('No approved posts ready for posting');
+      const stories = await publishDueStories(deadline);
       return {
         success: true,
         message: 'No posts to publish',
-        posted: 0
+        posted: 0,
+        stories
       };
     }
 
@@ -47,63 +74,40 @@ async function run() {
     const results = {
       success: 0,
       failed: 0,
-      partial: 0
+      partial: 0,
+      retrying: 0,
+      skipped: 0,
+      remaining: 0
     };
 
-    for (const post of approvedPosts) {
+    for (const [index, post] of approvedPosts.entries()) {
+      if (isPastDeadline(deadline)) {
+        results.remaining = approvedPosts.length - index;
+        logger.info(`Time budget used up - leaving ${results.remaining} post(s) for the next run`);
+        break;
+      }
+
       try {
         logger.info(`Processing post: ${post.id} (${post.type})`);
 
-        // Post to both platforms
-        const postResult = await metaService.postToBothPlatforms({
-          mediaUrl: post.mediaUrl,
-          caption: post.fullPost || `${post.caption}\n\n${post.hashtags?.join(' ') || ''}`,
-          mediaType: post.type
-        });
+        const outcome = await publishPost(post, 'posting');
 
-        if (postResult.success) {
-          // Update post status to "posted"
-          await db.collection('posts').doc(post.id).update({
-            status: 'posted',
-            postedAt: new Date().toISOString(),
-            platforms: {
-              instagram: postResult.instagram,
-              facebook: postResult.facebook
-            },
-            postingErrors: postResult.errors.length > 0 ? postResult.errors : null
-          });
-
-          if (postResult.partialSuccess) {
+        if (!outcome.claimed) {
+          results.skipped++;
+        } else if (outcome.status === 'posted') {
+          if (outcome.exhausted.length > 0) {
             results.partial++;
-            logger.warn(`Post ${post.id} partially published (some platforms failed)`);
+            logger.warn(`Post ${post.id} partially published (${outcome.exhausted.join(', ')} failed for good)`);
           } else {
             results.success++;
             logger.info(`Post ${post.id} published successfully to all platforms`);
           }
-
-          // Log success
-          await db.collection('logs').add({
-            type: 'posting_success',
-            postId: post.id,
-            platforms: {
-              instagram: !!postResult.instagram,
-              facebook: !!postResult.facebook
-            },
-            errors: postResult.errors,
-            timestamp: new Date().toISOString()
-          });
-        } else {
-          // Both platforms failed - keep as approved for retry
-          logger.error(`Post ${post.id} failed on all platforms`);
+        } else if (outcome.status === 'publish_failed') {
           results.failed++;
-
-          // Log the failure but keep status as 'approved' for retry
-          await db.collection('logs').add({
-            type: 'posting_error',
-            postId: post.id,
-            errors: postResult.errors,
-            timestamp: new Date().toISOString()
-          });
+          logger.error(`Post ${post.id} failed on all platforms - marked publish_failed`);
+        } else {
+          results.retrying++;
+          logger.warn(`Post ${post.id} has platforms waiting to retry: ${outcome.failed.join(', ')}`);
         }
       } catch (postError) {
         logger.error(`Failed to process post ${post.id}:`, postError.message);
@@ -119,14 +123,17 @@ async function run() {
       }
     }
 
+    const stories = await publishDueStories(deadline);
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     logger.info(`=== Auto-Posting Completed (${duration}s) ===`);
-    logger.info(`Success: ${results.success}, Partial: ${results.partial}, Failed: ${results.failed}`);
+    logger.info(`Success: ${results.success}, Partial: ${results.partial}, Failed: ${results.failed}, Retrying: ${results.retrying}, Skipped: ${results.skipped}`);
 
     return {
       success: true,
       results: results,
-      message: `Posted ${results.success} post(s) successfully, ${results.partial} partial, ${results.failed} failed`
+      stories,
+      message: `Posted ${results.success} post(s) successfully, ${results.partial} partial, ${results.failed} failed, ${results.retrying} retrying`
     };
   } catch (error) {
     logger.error('posting cron job failed:', error.message);
@@ -143,64 +150,268 @@ async function postImmediately(post) {
   try {
     logger.info(`Posting immediately: ${post.id}`);
 
+    if (!(await settingsService.isModuleEnabled('autoPosting'))) {
+      logger.info(`Auto-posting disabled in settings - ${post.id} stays approved`);
+      return { success: false, error: 'Auto-posting disabled in settings' };
+    }
+
     if (!metaService.isConfigured()) {
       throw new Error('Meta API not configured');
     }
 
-    const postResult = await metaService.postToBothPlatforms({
-      mediaUrl: post.mediaUrl,
-      caption: post.fullPost || `${post.caption}\n\n${post.hashtags?.join(' ') || ''}`,
-      mediaType: post.type
+    const outcome = await publishPost(post, 'immediate_posting');
+
+    if (outcome.published.length > 0) {
+      logger.info(`Post ${post.id} published immediately (${outcome.published.join(', ')})`);
+    }
+
+    // Platforms that failed stay queued for the cron with backoff
+    return {
+      success: outcome.published.length > 0,
+      status: outcome.status,
+      published: outcome.published,
+      errors: outcome.errors.length > 0 ? outcome.errors : undefined
+    };
+  } catch (error) {
+    logger.error(`Immediate posting failed for ${post.id}:`, error.message);
+
+    await db.collection('logs').add({
+      type: 'immediate_posting_error',
+      postId: post.id,
+      error: error.message,
+      timestamp: new Date().toISOString()
     });
 
-    if (postResult.success) {
-      await db.collection('posts').doc(post.id).update({
-        status: 'posted',
-        postedAt: new Date().toISOString(),
-        platforms: {
-          instagram: postResult.instagram,
-          facebook: postResult.facebook
-        },
-        postingErrors: postResult.errors.length > 0 ? postResult.errors : null
-      });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Claim a post and publish it to the platforms that are due
+ * @param {Object} post - Post data
+ * @param {string} logPrefix - Log type prefix ('posting' or 'immediate_posting')
+ * @returns {Promise<Object>} { claimed, status, published, failed, exhausted, errors }
+ */
+async function publishPost(post, logPrefix) {
+  const claimed = await lockService.claimDocument('posts', post.id, {
+    isClaimable: data => data.status === 'approved'
+  });
 
-      logger.info(`Post ${post.id} published immediately`);
+  if (!claimed) {
+    logger.info(`Post ${post.id} is being published elsewhere or is no longer approved - skipping`);
+    return { claimed: false, status: post.status, published: [], failed: [], exhausted: [], errors: [] };
+  }
+
+  try {
+    // Publish from the claimed (fresh) data - another worker may have published some platforms since the query
+    const outcome = await publishClaimedPost(claimed, logPrefix);
+    return { claimed: true, ...outcome };
+  } finally {
+    await lockService.releaseDocument('posts', post.id, claimed.claimToken);
+  }
+}
+
+/**
+ * Publish a claimed post to the platforms that are due and record the per-platform outcome
+ * An Instagram container created by a previous attempt is resumed, and a new one is
+ * saved before publishing so a crash mid-publish can never lead to a second post
+ * @param {Object} post - Claimed post data
+ * @param {string} logPrefix - Log type prefix ('posting' or 'immediate_posting')
+ * @returns {Promise<Object>} { status, published, failed, exhausted, errors }
+ */
+async function publishClaimedPost(post, logPrefix) {
+  const targets = getTargets(post);
+  const duePlatforms = publishingService.getDuePlatforms(post, targets);
+
+  if (duePlatforms.length === 0) {
+    return { status: post.status, published: [], failed: [], exhausted: [], errors: [] };
+  }
+
+  const state = publishingService.getState(post, targets);
+
+  const postResult = await metaService.postToBothPlatforms({
+    ...buildPublishParams(post),
+    targets: duePlatforms,
+    creationId: state.instagram?.creationId || null,
+    onContainerCreated: (creationId) => publishingService.markContainerCreated(post.id, 'instagram', creationId)
+  });
+
+  const outcome = await publishingService.recordAttempt(post, targets, duePlatforms, postResult);
+
+  if (outcome.published.length > 0) {
+    await db.collection('logs').add({
+      type: `${logPrefix}_success`,
+      postId: post.id,
+      platforms: Object.fromEntries(targets.map(platform => [platform, outcome.state[platform].status === 'published'])),
+      status: outcome.status,
+      errors: postResult.errors,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (outcome.failed.length > 0) {
+    await db.collection('logs').add({
+      type: outcome.status === 'publish_failed' ? 'publish_failed' : `${logPrefix}_error`,
+      postId: post.id,
+      errors: postResult.errors,
+      retries: Object.fromEntries(outcome.failed.map(platform => [platform, outcome.state[platform].nextAttemptAt])),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return { ...outcome, errors: postResult.errors };
+}
+
+/**
+ * Publish stories whose scheduled time has passed
+ * Like feed posts, each platform is tracked separately (post.story.publishing): a platform
+ * that failed is retried on its own with backoff, and the story ends up failed instead of
+ * being retried forever. The post is claimed first, so overlapping runs never publish a story twice.
+ * @param {number} deadline - Stop after this time (epoch ms, optional)
+ * @returns {Promise<Object>} Story counts
+ */
+async function publishDueStories(deadline) {
+  const results = {
+    success: 0,
+    failed: 0,
+    retrying: 0,
+    skipped: 0,
+    remaining: 0
+  };
+
+  if (isPastDeadline(deadline)) {
+    return results;
+  }
+
+  // Skip stories whose platforms are all waiting to retry
+  const posts = (await approvalService.getDueStories())
+    .filter(post => publishingService.getDueStoryPlatforms(post, getTargets(post)).length > 0);
+
+  if (posts.length === 0) {
+    return results;
+  }
+
+  logger.info(`Found ${posts.length} story placement(s) ready for posting`);
+
+  for (const [index, post] of posts.entries()) {
+    if (isPastDeadline(deadline)) {
+      results.remaining = posts.length - index;
+      break;
+    }
+
+    try {
+      const outcome = await publishStory(post);
+
+      if (!outcome.claimed) {
+        results.skipped++;
+      } else if (outcome.status === 'posted') {
+        results.success++;
+        logger.info(`Story for post ${post.id} published`);
+      } else if (outcome.status === 'failed') {
+        results.failed++;
+        logger.error(`Story for post ${post.id} failed on all platforms - marked failed`);
+      } else {
+        results.retrying++;
+        logger.warn(`Story for post ${post.id} has platforms waiting to retry: ${outcome.failed.join(', ')}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to process story for post ${post.id}:`, error.message);
+      results.failed++;
 
       await db.collection('logs').add({
-        type: 'immediate_posting_success',
+        type: 'story_posting_error',
         postId: post.id,
-        platforms: {
-          instagram: !!postResult.instagram,
-          facebook: !!postResult.facebook
-        },
-        errors: postResult.errors.length > 0 ? postResult.errors : null,
+        error: error.message,
         timestamp: new Date().toISOString()
       });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Claim a post and publish its story to the platforms that are due
+ * @param {Object} post - Post data
+ * @returns {Promise<Object>} { claimed, status, published, failed, exhausted }
+ */
+async function publishStory(post) {
+  const claimed = await lockService.claimDocument('posts', post.id, {
+    isClaimable: data => data.story?.status === 'scheduled' && (data.status === 'approved' || data.status === 'posted')
+  });
+
+  if (!claimed) {
+    logger.info(`Story for post ${post.id} is being published elsewhere or is no longer scheduled - skipping`);
+    return { claimed: false, status: post.story.status, published: [], failed: [], exhausted: [] };
+  }
+
+  try {
+    // Publish from the claimed (fresh) data - another worker may have published some platforms since the query
+    const targets = getTargets(claimed);
+    const duePlatforms = publishingService.getDueStoryPlatforms(claimed, targets);
 
-      return { success: true, result: postResult };
-    } else {
-      // Keep as approved for retry via cron
+    if (duePlatforms.length === 0) {
+      return { claimed: true, status: claimed.story.status, published: [], failed: [], exhausted: [] };
+    }
+
+    const storyResult = await metaService.postStoryToBothPlatforms({
+      mediaUrl: claimed.story.mediaUrl,
+      mediaType: claimed.story.mediaType,
+      targets: duePlatforms
+    });
+
+    const outcome = await publishingService.recordStoryAttempt(claimed, targets, duePlatforms, storyResult);
+
+    if (outcome.published.length > 0) {
       await db.collection('logs').add({
-        type: 'immediate_posting_failed',
+        type: 'story_posting_success',
         postId: post.id,
-        errors: postResult.errors,
+        platforms: Object.fromEntries(targets.map(platform => [platform, outcome.state[platform].status === 'published'])),
+        status: outcome.status,
+        errors: storyResult.errors,
         timestamp: new Date().toISOString()
       });
-
-      return { success: false, errors: postResult.errors };
     }
-  } catch (error) {
-    logger.error(`Immediate posting failed for ${post.id}:`, error.message);
 
-    await db.collection('logs').add({
-      type: 'immediate_posting_error',
-      postId: post.id,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    if (outcome.failed.length > 0) {
+      await db.collection('logs').add({
+        type: 'story_posting_error',
+        postId: post.id,
+        errors: storyResult.errors,
+        retries: Object.fromEntries(outcome.failed.map(platform => [platform, outcome.state[platform].nextAttemptAt])),
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    return { success: false, error: error.message };
+    return { claimed: true, ...outcome };
+  } finally {
+    await lockService.releaseDocument('posts', post.id, claimed.claimToken);
   }
 }
 
+/**
+ * Build Meta publishing parameters from a post document
+ * @param {Object} post - Post data
+ * @returns {Object} Parameters for metaService.postToBothPlatforms
+ */
+function buildPublishParams(post) {
+  return {
+    mediaUrl: post.mediaUrl,
+    mediaUrls: (post.media || []).map(slide => slide.url),
+    caption: post.fullPost || `${post.caption}\n\n${post.hashtags?.join(' ') || ''}`,
+    captions: post.captions || {},
+    targets: getTargets(post),
+    mediaType: post.type
+  };
+}
+
+/**
+ * Get the platforms a post is published to (posts created before targets existed go everywhere)
+ * @param {Object} post - Post data
+ * @returns {Array<string>} Platform names
+ */
+function getTargets(post) {
+  return Array.isArray(post.targets) ? post.targets : metaService.getPlatforms();
+}
+
 module.exports = { run, postImmediately };
@@ -0,0 +1,156 @@
+/**
+ * Job Worker Cron Job
+ *
+ * Runs every minute
+ * Picks up queued jobs (and jobs whose worker crashed) from the jobs collection
+ * and runs them step by step. Each step's output is checkpointed, so a retry
+ * after a crash resumes from the last completed step (e.g. a finished
+ * Midjourney render is downloaded again instead of re-generated).
+ * The render step doesn't wait for Midjourney: the job goes back in the queue
+ * and every run checks the render again until it is done.
+ */
+
+const logger = require('../utils/logger');
+const jobQueueService = require('../services/jobQueue.service');
+const contentPipeline = require('../services/contentPipeline.service');
+const { db } = require('../config/firebase');
+const { isPastDeadline } = require('../utils/helpers');
+
+const CONTENT_GENERATION_JOB = 'content_generation';
+
+// Handlers are built per run so steps and hooks registered on the pipeline are picked up
+const JOB_HANDLERS = {
+  [CONTENT_GENERATION_JOB]: () => contentPipeline.getJobHandler()
+};
+
+/**
+ * Main job worker runner
+ * Processes due jobs one at a time
+ * @param {Object} options - Run options
+ * @param {number} options.deadline - Stop picking up jobs after this time (epoch ms, optional)
+ */
+async function run(options = {}) {
+  const { deadline } = options;
+
+  try {
+    const jobs = await jobQueueService.getRunnableJobs();
+
+    if (jobs.length === 0) {
+      return {
+        success: true,
+        processed: 0
+      };
+    }
+
+    logger.info(`=== Processing ${jobs.length} queued jobs ===`);
+
+    const results = [];
+    for (const job of jobs) {
+      // A step interrupted by the platform is resumed from its checkpoint by a later run
+      if (isPastDeadline(deadline)) {
+        logger.info('Time budget used up - leaving remaining jobs for the next run');
+        break;
+      }
+
+      try {
+        const finalJob = await processJob(job.id, { deadline });
+        if (finalJob) {
+          results.push({ jobId: job.id, status: finalJob.status });
+        }
+      } catch (error) {
+        logger.error(`Job ${job.id} crashed:`, error.message);
+        results.push({ jobId: job.id, status: 'error', error: error.message });
+      }
+    }
+
+    return {
+      success: true,
+      processed: results.length,
+      results
+    };
+  } catch (error) {
+    logger.error('processJobs failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Run a single job with its registered handler
+ * Also called right after a job is queued so the API does not wait for the next cron tick
+ * @param {string} jobId - Job ID
+ * @param {Object} options - Run options
+ * @param {number} options.deadline - Stop starting steps after this time (epoch ms, optional)
+ * @returns {Promise<Object|null>} Job state after the run, or null if the job was not runnable
+ */
+async function processJob(jobId, { deadline = null } = {}) {
+  const job = await jobQueueService.getJob(jobId);
+
+  if (!job) {
+    throw new Error(`Job not found: ${jobId}`);
+  }
+
+  const handler = JOB_HANDLERS[job.type];
+  if (!handler) {
+    throw new Error(`No handler registered for job type: ${job.type}`);
+  }
+
+  const finalJob = await jobQueueService.run(jobId, handler(), { deadline });
+
+  if (finalJob && finalJob.type === CONTENT_GENERATION_JOB) {
+    await logContentJob(finalJob);
+  }
+
+  return finalJob;
+}
+
+/**
+ * Queue a content generation job
+ * @param {Object} input - Generation input
+ * @param {string} input.category - Product category
+ * @param {string} input.type - 'image', 'video' or 'carousel' (optional, picked from the content mix)
+ * @param {Array<string>} input.variants - Carousel frame colors (optional)
+ * @param {string} input.trendId - Trend to use (optional, defaults to the latest)
+ * @param {string} createdBy - Actor name
+ * @param {Object} options - Queue options
+ * @param {string} options.source - 'manual' (API) or 'automated' (daily cron)
+ * @returns {Promise<Object>} Queued job
+ */
+async function enqueueContentGeneration(input, createdBy, { source = 'manual' } = {}) {
+  return jobQueueService.enqueue(CONTENT_GENERATION_JOB, {
+    input: await contentPipeline.resolveInput({ ...input, source }),
+    steps: contentPipeline.getStepNames(),
+    createdBy
+  });
+}
+
+/**
+ * Write the outcome of a finished content generation job to the logs collection
+ * @param {Object} job - Final job state
+ */
+async function logContentJob(job) {
+  if (job.status === 'completed') {
+    await db.collection('logs').add({
+      type: 'content_generation',
+      postId: job.result.postId,
+      jobId: job.id,
+      category: job.input.category,
+      contentType: job.input.type,
+      referenceImage: job.result.referenceImage,
+      source: job.input.source || 'manual',
+      status: 'success',
+      timestamp: new Date().toISOString()
+    });
+  } else if (job.status === 'failed') {
+    await db.collection('logs').add({
+      type: 'content_generation_error',
+      jobId: job.id,
+      category: job.input.category,
+      source: job.input.source || 'manual',
+      error: job.error?.message || 'Unknown error',
+      step: job.error?.step || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = { run, processJob, enqueueContentGeneration };
@@ -0,0 +1,45 @@
+const logger = require('../utils/logger');
+const trashService = require('../services/trash.service');
+const { db } = require('../config/firebase');
+
+/**
+ * purgeTrash cron job
+ * Runs daily at 4:00 AM UTC
+ * Permanently deletes posts, trends and interactions that have been in the trash
+ * longer than TRASH_RETENTION_DAYS (default 30), including post media on Cloudinary
+ */
+async function run() {
+  try {
+    logger.info('=== Running Trash Purge ===');
+
+    const startTime = Date.now();
+    const retentionDays = trashService.getRetentionDays();
+
+    const results = await trashService.purgeExpired(retentionDays);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info(`=== Trash Purge Completed (${duration}s) ===`);
+    for (const [collection, counts] of Object.entries(results)) {
+      logger.info(`${collection}: purged ${counts.purged}, media deleted ${counts.mediaDeleted}, failed ${counts.failed}`);
+    }
+
+    await db.collection('logs').add({
+      type: 'trash_purge',
+      retentionDays,
+      results,
+      timestamp: new Date().toISOString(),
+      duration: Date.now() - startTime
+    });
+
+    return {
+      success: true,
+      retentionDays,
+      results
+    };
+  } catch (error) {
+    logger.error('purgeTrash failed:', error.message);
+    throw error;
+  }
+}
+
+module.exports = { run };
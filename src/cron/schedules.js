@@ -0,0 +1,204 @@
+/**
+ * Cron Schedules
+ *
+ * The schedule table of the cron jobs (descriptions, CRON_* env overrides, manual
+ * triggers) and everything computed from it: next run times and the manifest for
+ * an external scheduler. Nothing here touches Firestore, so scripts can load it
+ * without credentials; src/cron/index.js adds the job runners.
+ */
+
+// node-cron's own matcher, so listed run times match exactly when the scheduler fires
+const TimeMatcher = require('node-cron/src/time-matcher');
+
+// Next run times are searched minute by minute up to this far ahead
+const MAX_LOOKAHEAD_MINUTES = 31 * 24 * 60;
+
+// HTTP-triggered runs stop picking up new work after this long (serverless functions time out at 60s)
+const DEFAULT_TIME_BUDGET_MS = 50 * 1000;
+
+const INTERNAL_CRON_PATH = '/internal/cron';
+
+const JOB_SCHEDULES = {
+  dailyTrends: {
+    description: 'Daily trend analysis',
+    schedules: [{ env: 'CRON_TREND_ANALYSIS', expression: '0 3 * * *' }],
+    manualTrigger: true
+  },
+  contentGeneration: {
+    description: 'Content generation (Midjourney)',
+    schedules: [{ env: 'CRON_CONTENT_GENERATION', expression: '15 3 * * *' }],
+    manualTrigger: true
+  },
+  posting: {
+    description: 'Auto-posting to Instagram/Facebook (daily, plus a check for approved posts every 5 minutes)',
+    schedules: [
+      { env: 'CRON_POSTING', expression: '0 17 * * *' },
+      { env: 'CRON_POSTING_CHECK', expression: '*/5 * * * *' }
+    ],
+    manualTrigger: true
+  },
+  analytics: {
+    description: 'Weekly analytics report',
+    schedules: [{ env: 'CRON_WEEKLY_ANALYTICS', expression: '0 0 * * 0' }],
+    manualTrigger: true
+  },
+  collectMetrics: {
+    description: 'Collect post engagement metrics (1h/24h/7d snapshots)',
+    schedules: [{ env: 'CRON_COLLECT_METRICS', expression: '*/15 * * * *' }],
+    manualTrigger: true
+  },
+  autoReply: {
+    description: 'Auto-reply to comments and DMs',
+    schedules: [{ env: 'CRON_AUTO_REPLY', expression: '*/5 * * * *' }],
+    manualTrigger: true
+  },
+  captureLeads: {
+    description: 'Capture sales leads from comments and DMs',
+    schedules: [{ env: 'CRON_CAPTURE_LEADS', expression: '*/10 * * * *' }],
+    manualTrigger: true
+  },
+  purgeTrash: {
+    description: 'Purge expired trash',
+    schedules: [{ env: 'CRON_PURGE_TRASH', expression: '0 4 * * *' }],
+    manualTrigger: false
+  },
+  processJobs: {
+    description: 'Process queued background jobs (content generation)',
+    schedules: [{ env: 'CRON_PROCESS_JOBS', expression: '* * * * *' }],
+    manualTrigger: false
+  }
+};
+
+/**
+ * Get the cron expressions a job runs on (env overrides first)
+ * @param {string} name - Job name
+ * @returns {Array<Object>} { env, expression }
+ */
+function getExpressions(name) {
+  return JOB_SCHEDULES[name].schedules.map(schedule => ({
+    env: schedule.env,
+    expression: process.env[schedule.env] || schedule.expression
+  }));
+}
+
+/**
+ * Get who fires the schedules
+ * @returns {string} 'process' (node-cron) or 'http' (external scheduler)
+ */
+function getCronMode() {
+  return process.env.CRON_MODE || (process.env.VERCEL ? 'http' : 'process');
+}
+
+/**
+ * Get the time budget for HTTP-triggered runs
+ * @returns {number} Milliseconds
+ */
+function getTimeBudgetMs() {
+  return parseInt(process.env.CRON_TIME_BUDGET_MS) || DEFAULT_TIME_BUDGET_MS;
+}
+
+/**
+ * Get the next times a cron expression fires
+ * @param {string} expression - Cron expression
+ * @param {number} count - Number of run times
+ * @param {Date} from - Start searching after this time
+ * @returns {Array<string>} ISO times (fewer than count if none within the lookahead window)
+ */
+function getNextRunTimes(expression, count = 1, from = new Date()) {
+  const matcher = new TimeMatcher(expression);
+  const times = [];
+
+  const candidate = new Date(from.getTime());
+  candidate.setSeconds(0, 0);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES && times.length < count; i++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+
+    if (matcher.match(candidate)) {
+      times.push(candidate.toISOString());
+    }
+  }
+
+  return times;
+}
+
+/**
+ * List every job with its schedules and next run times
+ * @param {number} count - Next run times per schedule
+ * @returns {Array<Object>} Jobs
+ */
+function getSchedule(count = 1) {
+  return Object.entries(JOB_SCHEDULES).map(([name, job]) => {
+    const schedules = getExpressions(name).map(schedule => ({
+      ...schedule,
+      nextRuns: getNextRunTimes(schedule.expression, count)
+    }));
+
+    const nextRunAt = schedules
+      .map(schedule => schedule.nextRuns[0])
+      .filter(Boolean)
+      .sort()[0] || null;
+
+    return {
+      name,
+      description: job.description,
+      manualTrigger: job.manualTrigger,
+      schedules,
+      nextRunAt
+    };
+  });
+}
+
+/**
+ * Build the schedule manifest for an external scheduler
+ * One entry per cron expression, from the same expressions the in-process scheduler uses
+ * @param {string} baseUrl - Public base URL of the API (defaults to API_BASE_URL)
+ * @returns {Object} Manifest
+ */
+function getManifest(baseUrl = process.env.API_BASE_URL || '') {
+  const jobs = Object.entries(JOB_SCHEDULES).flatMap(([name, job]) =>
+    getExpressions(name).map(({ env, expression }) => ({
+      job: name,
+      description: job.description,
+      schedule: expression,
+      env,
+      method: 'POST',
+      path: `${INTERNAL_CRON_PATH}/${name}`,
+      url: `${baseUrl.replace(/\/$/, '')}${INTERNAL_CRON_PATH}/${name}`
+    }))
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    timezone: 'UTC',
+    mode: getCronMode(),
+    timeBudgetMs: getTimeBudgetMs(),
+    auth: {
+      header: 'X-Cron-Secret',
+      value: 'CRON_SECRET'
+    },
+    jobs
+  };
+}
+
+/**
+ * Build the crons block for vercel.json from the manifest
+ * Vercel Cron calls the path with GET and sends CRON_SECRET as a bearer token
+ * @returns {Object} { crons: [{ path, schedule }] }
+ */
+function getVercelCrons() {
+  return {
+    crons: getManifest().jobs.map(({ path, schedule }) => ({ path, schedule }))
+  };
+}
+
+module.exports = {
+  JOB_SCHEDULES,
+  getExpressions,
+  getCronMode,
+  getTimeBudgetMs,
+  getNextRunTimes,
+  getSchedule,
+  getManifest,
+  getVercelCrons
+};
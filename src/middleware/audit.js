@@ -0,0 +1,31 @@
+const auditService = require('../services/audit.service');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Audit trail middleware
+ * Guarantees every mutating API call leaves an audit entry.
+ * Controllers record detailed entries (with diffs) via auditService.record;
+ * any write request that finishes without one gets a generic entry here.
+ */
+function auditTrail(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (req.audited) return;
+
+    auditService.record(req, {
+      action: `${req.method.toLowerCase()}_request`,
+      collection: null,
+      documentId: null,
+      after: null,
+      statusCode: res.statusCode
+    });
+  });
+
+  next();
+}
+
+module.exports = auditTrail;
@@ -0,0 +1,83 @@
+const authService = require('../services/auth.service');
+const logger = require('../utils/logger');
+
+/**
+ * Extract the API key from the request
+ * Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function getApiKey(req) {
+  const authHeader = req.get('authorization') || '';
+  if (authHeader.toLowerCase().startsWith('bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Authentication middleware
+ * Resolves the API key to an identity and attaches it as req.user
+ */
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = getApiKey(req);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const user = await authService.verifyKey(apiKey);
+
+    if (!user) {
+      logger.warn(`Rejected invalid API key from ${req.ip} for ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or revoked API key'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating request:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Role check middleware factory
+ * Must run after authenticate
+ * @param {string} requiredRole - Minimum role (viewer, editor, approver, admin)
+ */
+function requireRole(requiredRole) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!authService.hasRole(req.user.role, requiredRole)) {
+      logger.warn(`Denied ${req.method} ${req.originalUrl} for ${req.user.name} (${req.user.role}, needs ${requiredRole})`);
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        message: `This action requires the ${requiredRole} role`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Extract the cron secret from the request
+ * Accepts "X-Cron-Secret: <secret>" or "Authorization: Bearer <secret>" (sent by Vercel Cron)
+ */
+function getCronSecret(req) {
+  const header = req.get('x-cron-secret');
+  if (header) {
+    return header.trim();
+  }
+
+  const authHeader = req.get('authorization') || '';
+  if (authHeader.toLowerCase().startsWith('bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Cron endpoint authentication middleware
+ * Checks the shared CRON_SECRET in constant time; the endpoints are disabled until it is set
+ */
+function authenticateCron(req, res, next) {
+  const expected = process.env.CRON_SECRET;
+
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Cron endpoints are not configured (CRON_SECRET missing)'
+    });
+  }
+
+  const provided = getCronSecret(req);
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(provided || '').digest();
+
+  if (!provided || !crypto.timingSafeEqual(expectedHash, providedHash)) {
+    logger.warn(`Rejected cron call from ${req.ip} for ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid cron secret'
+    });
+  }
+
+  req.user = { id: null, name: 'scheduler', role: null };
+  next();
+}
+
+module.exports = authenticateCron;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const SIGNATURE_PATTERN = /^sha256=([a-f0-9]{64})$/i;
+
+/**
+ * express.json() verify hook: keep the exact request bytes as req.rawBody
+ * Meta signs the raw body, which re-serialized JSON doesn't reproduce (unicode escapes, spacing)
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * App secrets a signature may be made with
+ * META_APP_SECRET is the current secret; META_APP_SECRET_PREVIOUS (comma-separated) keeps
+ * the old ones valid while a rotation rolls out
+ */
+function getAppSecrets() {
+  return [process.env.META_APP_SECRET, process.env.META_APP_SECRET_PREVIOUS]
+    .flatMap(value => (value || '').split(','))
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Index of the secret that produced the signature, or -1 if none did
+ */
+function findMatchingSecret(signature, rawBody, secrets) {
+  const match = SIGNATURE_PATTERN.exec(signature || '');
+  if (!match) {
+    return -1;
+  }
+
+  const provided = Buffer.from(match[1], 'hex');
+
+  return secrets.findIndex(secret => {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody || Buffer.alloc(0)).digest();
+    return crypto.timingSafeEqual(provided, expected);
+  });
+}
+
+/**
+ * Record a rejected delivery in the logs collection (never fails the request)
+ */
+async function logRejection(req, reason) {
+  try {
+    await db.collection('logs').add({
+      type: 'security',
+      event: 'webhook_signature_rejected',
+      reason,
+      route: req.originalUrl,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to log rejected webhook:', error.message);
+  }
+}
+
+/**
+ * Meta webhook signature middleware
+ * Checks X-Hub-Signature-256 (HMAC-SHA256 of the raw body with the app secret) in constant time
+ * and rejects the delivery with 401 on a missing or wrong signature.
+ * Without META_APP_SECRET nothing can be verified, so every delivery is rejected.
+ */
+async function verifyMetaSignature(req, res, next) {
+  const secrets = getAppSecrets();
+
+  if (secrets.length === 0) {
+    logger.error(`META_APP_SECRET not configured - rejecting Meta webhook for ${req.method} ${req.originalUrl}`);
+    await logRejection(req, 'not_configured');
+
+    return res.status(401).json({
+      success: false,
+      error: 'Webhook signature verification is not configured'
+    });
+  }
+
+  const signature = req.get('x-hub-signature-256');
+  const index = signature ? findMatchingSecret(signature, req.rawBody, secrets) : -1;
+
+  if (index === -1) {
+    const reason = signature ? 'invalid' : 'missing';
+    logger.warn(`Rejected Meta webhook with ${reason} signature from ${req.ip} for ${req.method} ${req.originalUrl}`);
+    await logRejection(req, reason);
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  if (index > 0) {
+    logger.info(`Meta webhook for ${req.originalUrl} was signed with a previous app secret`);
+  }
+
+  next();
+}
+
+module.exports = {
+  captureRawBody,
+  verifyMetaSignature
+};
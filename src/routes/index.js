@@ -6,7 +6,20 @@ const trendController = require('../controllers/trendController');
 const contentController = require('../controllers/contentController');
 const postController = require('../controllers/postController');
 const interactionController = require('../controllers/interactionController');
+const conversationController = require('../controllers/conversationController');
+const leadController = require('../controllers/leadController');
+const webhookEventController = require('../controllers/webhookEventController');
 const settingsController = require('../controllers/settingsController');
+const authController = require('../controllers/authController');
+const auditController = require('../controllers/auditController');
+const jobController = require('../controllers/jobController');
+const analyticsController = require('../controllers/analyticsController');
+const experimentController = require('../controllers/experimentController');
+
+// Import middleware
+const { authenticate, requireRole } = require('../middleware/auth');
+const auditTrail = require('../middleware/audit');
+const { verifyMetaSignature } = require('../middleware/metaSignature');
 
 // Import test routes
 const testRoutes = require('./test');
@@ -25,51 +38,117 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Legacy Meta webhook (called by Meta, cannot present an API key - signed with the app secret instead)
+router.post('/interactions/webhook', verifyMetaSignature, interactionController.handleWebhook);
+
+// ===== EVERYTHING BELOW REQUIRES AN API KEY =====
+router.use(authenticate);
+router.use(auditTrail);
+
+// ===== AUTH ROUTES =====
+router.get('/auth/me', authController.getCurrentUser);
+router.get('/auth/keys', requireRole('admin'), authController.getApiKeys);
+router.post('/auth/keys', requireRole('admin'), authController.createApiKey);
+router.delete('/auth/keys/:id', requireRole('admin'), authController.revokeApiKey);
+
 // Test routes
-router.use('/test', testRoutes);
+router.use('/test', requireRole('admin'), testRoutes);
 
 // ===== TRENDS ROUTES =====
-router.get('/trends', trendController.getTrends);
-router.get('/trends/latest', trendController.getLatestTrend);
-router.get('/trends/:id', trendController.getTrendById);
-router.post('/trends/analyze', trendController.analyzeTrends);
-router.delete('/trends/:id', trendController.deleteTrend);
+router.get('/trends', requireRole('viewer'), trendController.getTrends);
+router.get('/trends/latest', requireRole('viewer'), trendController.getLatestTrend);
+router.get('/trends/:id', requireRole('viewer'), trendController.getTrendById);
+router.post('/trends/analyze', requireRole('editor'), trendController.analyzeTrends);
+router.delete('/trends/:id', requireRole('admin'), trendController.deleteTrend);
+router.post('/trends/:id/restore', requireRole('admin'), trendController.restoreTrend);
 
 // ===== CONTENT ROUTES =====
-router.get('/content', contentController.getContent);
-router.get('/content/:id', contentController.getContentById);
-router.post('/content/generate', contentController.generateContent);
+router.get('/content', requireRole('viewer'), contentController.getContent);
+router.get('/content/:id', requireRole('viewer'), contentController.getContentById);
+router.post('/content/generate', requireRole('editor'), contentController.generateContent);
+
+// ===== JOBS ROUTES (BACKGROUND CONTENT GENERATION AND CRON RUNS) =====
+router.get('/jobs', requireRole('viewer'), jobController.getJobs);
+// Cron routes must come before /jobs/:id
+router.get('/jobs/runs', requireRole('viewer'), jobController.getJobRuns);
+router.get('/jobs/runs/:id', requireRole('viewer'), jobController.getJobRunById);
+router.get('/jobs/schedule', requireRole('viewer'), jobController.getJobSchedule);
+router.post('/jobs/:name/run', requireRole('admin'), jobController.runJob);
+router.get('/jobs/:id', requireRole('viewer'), jobController.getJobById);
 
 // ===== POSTS ROUTES (WITH APPROVAL WORKFLOW) =====
 // Get posts
-router.get('/posts', postController.getPosts);
-router.get('/posts/pending', postController.getPendingPosts);
-router.get('/posts/statistics', postController.getStatistics);
-router.get('/posts/:id', postController.getPostById);
-router.get('/posts/:id/history', postController.getApprovalHistory);
+router.get('/posts', requireRole('viewer'), postController.getPosts);
+router.get('/posts/pending', requireRole('viewer'), postController.getPendingPosts);
+router.get('/posts/statistics', requireRole('viewer'), postController.getStatistics);
+router.get('/posts/:id', requireRole('viewer'), postController.getPostById);
+router.get('/posts/:id/history', requireRole('viewer'), postController.getApprovalHistory);
+
+// Approval actions (editing auto-approves, so it needs approver as well)
+router.put('/posts/:id/approve', requireRole('approver'), postController.approvePost);
+router.put('/posts/:id/reject', requireRole('approver'), postController.rejectPost);
+router.put('/posts/:id/edit', requireRole('approver'), postController.editPost);
 
-// Approval actions
-router.put('/posts/:id/approve', postController.approvePost);
-router.put('/posts/:id/reject', postController.rejectPost);
-router.put('/posts/:id/edit', postController.editPost);
+// Carousel slides (before approval)
+router.put('/posts/:id/slides', requireRole('editor'), postController.reorderSlides);
+router.delete('/posts/:id/slides/:index', requireRole('editor'), postController.removeSlide);
 
-// Delete
-router.delete('/posts/:id', postController.deletePost);
+// Delete (soft) and restore
+router.delete('/posts/:id', requireRole('admin'), postController.deletePost);
+router.post('/posts/:id/restore', requireRole('admin'), postController.restorePost);
 
 // ===== INTERACTIONS ROUTES (COMMENTS & DMS) =====
-router.get('/interactions', interactionController.getInteractions);
-router.get('/interactions/statistics', interactionController.getStatistics);
-router.get('/interactions/:id', interactionController.getInteractionById);
-router.post('/interactions/webhook', interactionController.handleWebhook);
-router.delete('/interactions/:id', interactionController.deleteInteraction);
+router.get('/interactions', requireRole('viewer'), interactionController.getInteractions);
+router.get('/interactions/statistics', requireRole('viewer'), interactionController.getStatistics);
+router.get('/interactions/inbox', requireRole('viewer'), interactionController.getInbox);
+router.get('/interactions/:id', requireRole('viewer'), interactionController.getInteractionById);
+router.post('/interactions/:id/assign', requireRole('editor'), interactionController.assignInteraction);
+router.post('/interactions/:id/reply', requireRole('editor'), interactionController.replyToInteraction);
+router.delete('/interactions/:id', requireRole('admin'), interactionController.deleteInteraction);
+router.post('/interactions/:id/restore', requireRole('admin'), interactionController.restoreInteraction);
+
+// ===== CONVERSATIONS ROUTES (THREADS PER USER AND PLATFORM) =====
+router.get('/conversations/:id', requireRole('viewer'), conversationController.getConversationById);
+
+// ===== WEBHOOK EVENTS ROUTES (STORED META DELIVERIES) =====
+router.get('/webhooks/events', requireRole('admin'), webhookEventController.getEvents);
+router.get('/webhooks/events/:id', requireRole('admin'), webhookEventController.getEventById);
+router.post('/webhooks/events/:id/replay', requireRole('admin'), webhookEventController.replayEvent);
+
+// ===== LEADS ROUTES (SALES PIPELINE FROM COMMENTS & DMS) =====
+router.get('/leads', requireRole('viewer'), leadController.getLeads);
+router.get('/leads/export', requireRole('viewer'), leadController.exportLeads);
+router.get('/leads/:id', requireRole('viewer'), leadController.getLeadById);
+router.patch('/leads/:id', requireRole('editor'), leadController.updateLead);
+router.post('/leads/:id/push', requireRole('editor'), leadController.pushLead);
+
+// ===== ANALYTICS ROUTES =====
+router.get('/analytics/reports', requireRole('viewer'), analyticsController.getReports);
+router.get('/analytics/reports/:id', requireRole('viewer'), analyticsController.getReportById);
+router.get('/analytics/reports/:id/export', requireRole('viewer'), analyticsController.exportReport);
+router.get('/analytics/timeseries', requireRole('viewer'), analyticsController.getTimeseries);
+router.get('/analytics/posts/top', requireRole('viewer'), analyticsController.getTopPosts);
+
+// ===== EXPERIMENTS ROUTES (CAPTION A/B TESTS) =====
+router.get('/experiments', requireRole('viewer'), experimentController.getExperiments);
+router.post('/experiments', requireRole('admin'), experimentController.createExperiment);
+router.get('/experiments/:id', requireRole('viewer'), experimentController.getExperimentById);
+router.get('/experiments/:id/results', requireRole('viewer'), experimentController.getExperimentResults);
+router.patch('/experiments/:id', requireRole('admin'), experimentController.updateExperiment);
+
+// ===== AUDIT ROUTES =====
+router.get('/audit', requireRole('admin'), auditController.getAuditLog);
 
 // ===== SETTINGS ROUTES =====
-router.get('/settings', settingsController.getSettings);
-router.put('/settings', settingsController.updateSettings);
+router.get('/settings', requireRole('viewer'), settingsController.getSettings);
+router.get('/settings/history', requireRole('viewer'), settingsController.getSettingsHistory);
+router.patch('/settings', requireRole('admin'), settingsController.updateSettings);
+router.put('/settings', requireRole('admin'), settingsController.updateSettings);
+router.post('/settings/history/:version/rollback', requireRole('admin'), settingsController.rollbackSettings);
 
 // ===== LOGS ROUTES (FOR DEBUGGING) =====
 const { db } = require('../config/firebase');
-router.get('/logs', async (req, res) => {
+router.get('/logs', requireRole('admin'), async (req, res) => {
   try {
     const { limit = 50, type } = req.query;
     let query = db.collection('logs').orderBy('timestamp', 'desc').limit(parseInt(limit));
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+
+const cronController = require('../controllers/cronController');
+const authenticateCron = require('../middleware/cronAuth');
+
+// ===== INTERNAL ROUTES (CALLED BY THE EXTERNAL SCHEDULER, CRON_SECRET REQUIRED) =====
+router.use(authenticateCron);
+
+router.get('/cron/manifest', cronController.getManifest);
+router.post('/cron/:job', cronController.runCron);
+// Vercel Cron invokes paths with GET
+router.get('/cron/:job', cronController.runCron);
+
+module.exports = router;
@@ -3,7 +3,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const cron = require('node-cron');
 
 // Import configurations
 const { initializeFirebase } = require('./config/firebase');
@@ -12,17 +11,15 @@ const logger = require('./utils/logger');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const rateLimiter = require('./middleware/rateLimiter');
+const { captureRawBody } = require('./middleware/metaSignature');
 
 // Import routes
 const routes = require('./routes');
 const webhookRoutes = require('./routes/webhooks');
+const internalRoutes = require('./routes/internal');
 
 // Import cron jobs
-const dailyTrends = require('./cron/dailyTrends');
-const contentGeneration = require('./cron/contentGeneration');
-const posting = require('./cron/posting');
-const analytics = require('./cron/analytics');
-const autoReply = require('./cron/autoReply');
+const cronJobs = require('./cron');
 
 // Initialize Express app
 const app = express();
@@ -63,7 +60,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   exposedHeaders: ['Content-Length', 'Content-Type'],
   maxAge: 86400 // 24 hours
 }));
@@ -71,6 +68,8 @@ app.use(cors({
 // Handle preflight requests
 app.options('*', cors());
 
+// Meta webhooks keep the raw body for signature verification (the general parser below then skips them)
+app.use(['/webhooks', '/api/interactions/webhook'], express.json({ verify: captureRawBody }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined'));
@@ -105,51 +104,26 @@ app.get('/health', (req, res) => {
 // Webhook Routes (no rate limiting for Meta webhooks - must be before rate limiter)
 app.use('/webhooks', webhookRoutes);
 
+// Internal cron endpoints for an external scheduler (shared secret, no rate limiting)
+app.use('/internal', internalRoutes);
+
 // Apply rate limiter only to API routes
 app.use('/api', rateLimiter, routes);
 
 // Error Handler (must be last)
 app.use(errorHandler);
 
-// Schedule Cron Jobs
-if (process.env.NODE_ENV !== 'test') {
-  // Daily trend analysis at 3:00 AM UTC
-  cron.schedule(process.env.CRON_TREND_ANALYSIS || '0 3 * * *', () => {
-    logger.info('Starting daily trend analysis...');
-    dailyTrends.run().catch(err => logger.error('Trend analysis failed:', err));
-  });
-
-  // Content generation at 3:15 AM UTC
-  cron.schedule(process.env.CRON_CONTENT_GENERATION || '15 3 * * *', () => {
-    logger.info('Starting content generation...');
-    contentGeneration.run().catch(err => logger.error('Content generation failed:', err));
-  });
-
-  // Auto-posting at 5:00 PM UTC (12 PM EST)
-  cron.schedule(process.env.CRON_POSTING || '0 17 * * *', () => {
-    logger.info('Starting auto-posting...');
-    posting.run().catch(err => logger.error('Auto-posting failed:', err));
-  });
-
-  // Weekly analytics at Sunday midnight UTC
-  cron.schedule(process.env.CRON_WEEKLY_ANALYTICS || '0 0 * * 0', () => {
-    logger.info('Starting weekly analytics...');
-    analytics.run().catch(err => logger.error('Weekly analytics failed:', err));
-  });
-
-  // Auto-reply to comments and DMs every 5 minutes
-  cron.schedule(process.env.CRON_AUTO_REPLY || '*/5 * * * *', () => {
-    logger.info('Starting auto-reply...');
-    autoReply.run().catch(err => logger.error('Auto-reply failed:', err));
-  });
-
-  // Check for approved posts every 5 minutes (in addition to daily posting)
-  cron.schedule(process.env.CRON_POSTING_CHECK || '*/5 * * * *', () => {
-    logger.info('Checking for approved posts...');
-    posting.run().catch(err => logger.error('Posting check failed:', err));
-  });
+// Schedule Cron Jobs (see src/cron/index.js for the jobs and their CRON_* schedules)
+// Every run holds a Firestore lock named after the job, so with several instances
+// (or a slow run overlapping the next tick) a job never runs twice at the same time,
+// and is recorded in job_runs. With CRON_MODE=http (default on Vercel) nothing is scheduled
+// here and an external scheduler calls /internal/cron/:job instead
+if (process.env.NODE_ENV !== 'test' && cronJobs.getCronMode() === 'process') {
+  cronJobs.scheduleAll();
 
   logger.info('All cron jobs scheduled successfully');
+} else if (cronJobs.getCronMode() === 'http') {
+  logger.info('CRON_MODE=http - cron jobs run when the external scheduler calls /internal/cron/:job');
 }
 
 // Start server
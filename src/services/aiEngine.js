@@ -11,6 +11,23 @@
 const openai = require('../config/openai');
 const logger = require('../utils/logger');
 const { db } = require('../config/firebase');
+const settingsService = require('./settings.service');
+
+// Caption strategies that can be generated side by side (A/B experiments)
+const CAPTION_STRATEGIES = {
+  question_hook: {
+    label: 'Question hook',
+    instruction: 'Open with a question the reader answers in their head (e.g. "Tired of a dark, closed-off office?")'
+  },
+  benefit_led: {
+    label: 'Benefit-led',
+    instruction: 'Open with the main benefit for the customer (more light, more space, a modern look) before anything else'
+  },
+  social_proof: {
+    label: 'Social proof',
+    instruction: 'Open with proof from other customers (installs completed, happy South Florida homeowners and businesses) without inventing specific numbers or names'
+  }
+};
 
 class AIEngineService {
   /**
@@ -90,20 +107,31 @@ Provide actionable insights for creating engaging content.`;
   /**
    * Generate caption and hashtags for a post
    * @param {Object} contentData - Content information
-   * @param {string} contentData.type - 'image' or 'video'
+   * @param {string} contentData.type - 'image', 'video' or 'carousel'
    * @param {string} contentData.description - Content description
    * @param {string} contentData.category - Product category (room_dividers, closet_doors, home_offices)
    * @param {string} contentData.keyword - Required SEO keyword to include
    * @param {Object} contentData.trendData - Trend analysis data
-   * @returns {Promise<Object>} Generated caption and hashtags
+   * @param {Array<string>} contentData.strategies - Generate one variant per caption strategy (optional)
+   * @returns {Promise<Object>} Generated caption, hashtags and per-platform captions, or
+   *   { variants: [{ strategy, ...caption }] } when strategies are given
    */
   async generateCaption(contentData) {
     try {
       logger.info(`Generating caption for ${contentData.type}...`);
 
-      const { type, description, trendData, concept, category, keyword } = contentData;
+      const { type, description, trendData, concept, category, keyword, strategies = null } = contentData;
+
+      const unknownStrategies = (strategies || []).filter(strategy => !CAPTION_STRATEGIES[strategy]);
+      if (unknownStrategies.length > 0) {
+        throw new Error(`Unknown caption strategies: ${unknownStrategies.join(', ')}`);
+      }
       const contentDescription = description || concept || 'Glass doors and partitions installation';
 
+      // Brand voice is configured in the dashboard settings
+      const { brandVoice } = await settingsService.getSettings();
+      logger.debug(`Brand voice: ${brandVoice}`);
+
       // Determine required keyword based on category
       const requiredKeyword = keyword || this.getCategoryKeyword(category);
 
@@ -117,17 +145,23 @@ The caption MUST naturally include the exact phrase: "${requiredKeyword}"
 This is a required SEO keyword that must appear in the caption text.`
         : '';
 
-      const prompt = `Create an engaging ${type === 'video' ? 'reel/video' : 'image'} caption for Instagram and Facebook for Doors22, a glass doors and partitions company.
+      const formatLabel = { video: 'reel/video', carousel: 'carousel (multi-image)' }[type] || 'image';
+      const formatLanguage = {
+        video: 'Video-specific language (watch, see, discover)',
+        carousel: 'Carousel-specific language (swipe to compare the options)'
+      }[type] || '';
+
+      const prompt = `Create an engaging ${formatLabel} caption for Instagram and Facebook for Doors22, a glass doors and partitions company.
 
 Content: ${contentDescription}${keywordInstruction}
 
 Requirements:
 - ${type === 'video' ? '40-60 characters' : '120-150 characters'} main caption (engaging hook)
-- Professional yet approachable tone
+- Brand voice: ${brandVoice} (this overrides any trending tone)
 ${requiredKeyword ? `- MUST include the exact phrase: "${requiredKeyword}"` : ''}
 - Include a clear call-to-action
 - Mention key benefits (elegance, functionality, modern design)
-- ${type === 'video' ? 'Video-specific language (watch, see, discover)' : ''}
+- ${formatLanguage}
 
 Business Info:
 - Website: https://doors22.com
@@ -137,15 +171,10 @@ Business Info:
 
 Trending context:
 - Top hashtags: ${trendData?.topHashtags?.slice(0, 5).join(', ') || '#GlassPartitions, #ModernOffice'}
-- Tone: ${trendData?.captionTone || 'professional-inspirational'}
+- Trending tone: ${trendData?.captionTone || 'professional-inspirational'}
 
-Return JSON:
-{
-  "caption": "Main engaging caption text that INCLUDES '${requiredKeyword || 'glass doors'}'",
-  "hashtags": ["#GlassPartitions", "#OfficeDesign", ...], (8-12 diverse hashtags, vary each time)
-  "cta": "Call-to-action text like 'Get your free quote at doors22.com/price or call (305) 394-9922'",
-  "fullPost": "Complete post with caption + hashtags + CTA combined"
-}`;
+${strategies ? this.buildVariantsFormat(strategies, requiredKeyword) : `Return JSON:
+${this.buildCaptionFormat(requiredKeyword)}`}`;
 
       const response = await openai.chat.completions.create({
         model: 'gpt-4o-mini',
@@ -160,19 +189,30 @@ Return JSON:
           }
         ],
         temperature: 0.8,
-        max_tokens: 800,
+        max_tokens: strategies ? 200 + 600 * strategies.length : 800,
         response_format: { type: 'json_object' }
       });
 
-      const captionData = JSON.parse(response.choices[0].message.content);
+      const result = JSON.parse(response.choices[0].message.content);
 
-      // Verify keyword is included (fallback if AI missed it)
-      const caption = captionData.caption || captionData.text;
-      if (requiredKeyword && caption && !caption.toLowerCase().includes(requiredKeyword.toLowerCase())) {
-        logger.warn('AI did not include required keyword, prepending...');
-        captionData.caption = `${requiredKeyword.charAt(0).toUpperCase() + requiredKeyword.slice(1)} - ${caption}`;
+      if (strategies) {
+        // Keep one variant per requested strategy, in the requested order
+        const variants = strategies
+          .map(strategy => (result.variants || []).find(variant => variant.strategy === strategy))
+          .filter(variant => variant && (variant.caption || variant.text))
+          .map(variant => this.finalizeCaption(variant, requiredKeyword));
+
+        if (variants.length === 0) {
+          throw new Error('No caption variants returned');
+        }
+
+        logger.info(`Caption variants generated: ${variants.map(v => v.strategy).join(', ')}`);
+
+        return { variants };
       }
 
+      const captionData = this.finalizeCaption(result, requiredKeyword);
+
       logger.info('Caption generated successfully');
 
       return captionData;
@@ -182,6 +222,103 @@ Return JSON:
     }
   }
 
+  /**
+   * Get the caption strategies available to experiments
+   * @returns {Array<Object>} { strategy, label, instruction }
+   */
+  getCaptionStrategies() {
+    return Object.entries(CAPTION_STRATEGIES).map(([strategy, definition]) => ({ strategy, ...definition }));
+  }
+
+  /**
+   * JSON format of a single generated caption (used in the caption prompt)
+   * @param {string} requiredKeyword - Keyword the caption must contain (optional)
+   * @returns {string} Format description
+   */
+  buildCaptionFormat(requiredKeyword) {
+    return `{
+  "caption": "Main engaging caption text that INCLUDES '${requiredKeyword || 'glass doors'}'",
+  "hashtags": ["#GlassPartitions", "#OfficeDesign", ...], (8-12 diverse hashtags, vary each time)
+  "cta": "Call-to-action text like 'Get your free quote at doors22.com/price or call (305) 394-9922'",
+  "fullPost": "Complete post with caption + hashtags + CTA combined",
+  "platforms": {
+    "instagram": "Complete Instagram post: caption + 'link in bio' CTA (links are not clickable on Instagram) + all hashtags",
+    "facebook": "Complete Facebook post: caption + CTA with the clickable link https://doors22.com/price/ + at most 3 hashtags"
+  }
+}`;
+  }
+
+  /**
+   * Variant instructions and JSON format for caption A/B experiments
+   * @param {Array<string>} strategies - Caption strategies
+   * @param {string} requiredKeyword - Keyword every variant must contain (optional)
+   * @returns {string} Prompt section
+   */
+  buildVariantsFormat(strategies, requiredKeyword) {
+    return `Write ${strategies.length} caption variants, one per strategy below. Only the opening hook and angle differ; every variant meets all the requirements above.
+${strategies.map(strategy => `- ${strategy}: ${CAPTION_STRATEGIES[strategy].instruction}`).join('\n')}
+
+Return JSON:
+{
+  "variants": [
+    { "strategy": "${strategies[0]}", ...caption fields }
+  ] (one entry per strategy: ${strategies.join(', ')})
+}
+
+Caption fields of each variant:
+${this.buildCaptionFormat(requiredKeyword)}`;
+  }
+
+  /**
+   * Enforce the required keyword and add per-platform captions
+   * @param {Object} captionData - Caption data returned by the AI
+   * @param {string} requiredKeyword - Keyword the caption must contain (optional)
+   * @returns {Object} Caption data with captions
+   */
+  finalizeCaption(captionData, requiredKeyword) {
+    // Verify keyword is included (fallback if AI missed it)
+    const caption = captionData.caption || captionData.text;
+    if (requiredKeyword && caption && !caption.toLowerCase().includes(requiredKeyword.toLowerCase())) {
+      logger.warn('AI did not include required keyword, prepending...');
+      captionData.caption = `${requiredKeyword.charAt(0).toUpperCase() + requiredKeyword.slice(1)} - ${caption}`;
+    }
+
+    captionData.captions = this.buildPlatformCaptions(captionData, requiredKeyword);
+
+    return captionData;
+  }
+
+  /**
+   * Build per-platform captions from generated caption data
+   * Uses the AI's platform variants when present, otherwise derives them:
+   * Instagram gets every hashtag and "link in bio", Facebook the clickable quote link and 3 hashtags
+   * @param {Object} captionData - Caption data (caption, hashtags, cta, fullPost, platforms)
+   * @param {string} requiredKeyword - Keyword each caption must contain (optional)
+   * @returns {Object} { instagram, facebook }
+   */
+  buildPlatformCaptions(captionData, requiredKeyword = null) {
+    const caption = captionData.caption || captionData.text || '';
+    const hashtags = captionData.hashtags || [];
+    const platforms = captionData.platforms || {};
+
+    const captions = {
+      instagram: platforms.instagram
+        || `${caption}\n\nTap the link in bio for a free quote or call (305) 394-9922\n\n${hashtags.join(' ')}`,
+      facebook: platforms.facebook
+        || `${caption}\n\nGet a free quote: https://doors22.com/price/ or call (305) 394-9922\n\n${hashtags.slice(0, 3).join(' ')}`
+    };
+
+    if (requiredKeyword) {
+      for (const [platform, text] of Object.entries(captions)) {
+        if (!text.toLowerCase().includes(requiredKeyword.toLowerCase())) {
+          captions[platform] = `${requiredKeyword.charAt(0).toUpperCase() + requiredKeyword.slice(1)} - ${text}`;
+        }
+      }
+    }
+
+    return captions;
+  }
+
   /**
    * Get the required keyword for a category
    * @param {string} category - Category key
@@ -357,22 +494,44 @@ Return JSON:
 
   /**
    * Generate response to a comment or DM
-   * ALL responses MUST include phone (305) 394-9922 and quote link https://doors22.com/price/
+   * ALL responses MUST include phone (305) 394-9922 and quote link https://doors22.com/price/,
+   * unless this conversation already received them (contactShared)
    * @param {Object} messageData - Message information
    * @param {string} messageData.message - User's message
    * @param {string} messageData.platform - 'instagram' or 'facebook'
    * @param {string} messageData.type - 'comment' or 'dm'
+   * @param {Array<Object>} messageData.history - Earlier turns of the conversation, oldest first ({ direction, text })
+   * @param {boolean} messageData.contactShared - The quote link and phone were already sent in this conversation
    * @returns {Promise<Object>} Response and classification
    */
   async generateResponse(messageData) {
     try {
       logger.info(`Generating response for ${messageData.type} on ${messageData.platform}...`);
 
-      const { message, platform, type } = messageData;
+      const { message, platform, type, history = [], contactShared = false } = messageData;
+
+      const conversation = history.length > 0
+        ? `Conversation so far (oldest first):
+${history.map(turn => `${turn.direction === 'outbound' ? 'Doors22' : 'Customer'}: "${turn.text}"`).join('\n')}
+
+Answer the customer's latest message in the context of this conversation. Do not repeat an earlier reply word for word - if they ask a follow-up, answer it directly.
+
+`
+        : '';
+
+      const contactRequirement = contactShared
+        ? `The customer already received the free quote link (https://doors22.com/price/) and phone number ((305) 394-9922) in this conversation.
+Only include them again if the customer asks how to get a quote or contact us.`
+        : `**CRITICAL REQUIREMENT:**
+EVERY response MUST include BOTH:
+1. Free quote link: https://doors22.com/price/
+2. Phone number: (305) 394-9922
+
+This is mandatory for ALL responses, regardless of category.`;
 
       const prompt = `You are a customer service representative for Doors22, a glass doors and partitions company.
 
-User ${type}: "${message}"
+${conversation}User ${type}: "${message}"
 
 Classify the message and provide an appropriate response:
 
@@ -384,38 +543,38 @@ Categories:
 - complaint: Negative feedback/issues
 - general_inquiry: General questions
 
-**CRITICAL REQUIREMENT:**
-EVERY response MUST include BOTH:
-1. Free quote link: https://doors22.com/price/
-2. Phone number: (305) 394-9922
-
-This is mandatory for ALL responses, regardless of category.
+${contactRequirement}
 
 Requirements:
 - Professional but friendly tone
 - Keep responses under 300 characters
-- ALWAYS include the quote link and phone number
+${contactShared ? '' : `- ALWAYS include the quote link and phone number
 - Mention "We ship nationwide across the US!"
 
 Example format:
 "Thank you for reaching out! [Your relevant response]. Get a free quote: https://doors22.com/price/ or call (305) 394-9922. We ship nationwide across the US!"
-
+`}
 Return JSON:
 {
   "category": "category_name",
-  "response": "Your response text (MUST include https://doors22.com/price/ AND (305) 394-9922)",
+  "response": "${contactShared ? 'Your response text' : 'Your response text (MUST include https://doors22.com/price/ AND (305) 394-9922)'}",
   "shouldRedirect": true,
   "redirectUrl": "https://doors22.com/price/",
   "priority": "high|medium|low",
+  "sentiment": "positive|neutral|negative",
   "requiresHumanFollowup": false
-}`;
+}
+
+Set requiresHumanFollowup to true when a person should answer instead (an order problem, a refund or damage claim, a threat, or anything you can't answer safely).`;
 
       const response = await openai.chat.completions.create({
         model: 'gpt-4o-mini',
         messages: [
           {
             role: 'system',
-            content: 'You are a helpful, professional customer service AI for Doors22. ALWAYS include the quote link https://doors22.com/price/ and phone (305) 394-9922 in every response.'
+            content: contactShared
+              ? 'You are a helpful, professional customer service AI for Doors22, continuing a conversation with a customer.'
+              : 'You are a helpful, professional customer service AI for Doors22. ALWAYS include the quote link https://doors22.com/price/ and phone (305) 394-9922 in every response.'
           },
           {
             role: 'user',
@@ -430,7 +589,7 @@ Return JSON:
       const responseData = JSON.parse(response.choices[0].message.content);
 
       // Verify response includes required contact info, add if missing
-      if (responseData.response) {
+      if (responseData.response && !contactShared) {
         const hasQuoteLink = responseData.response.includes('doors22.com/price');
         const hasPhone = responseData.response.includes('(305) 394-9922') || responseData.response.includes('305-394-9922');
 
@@ -525,19 +684,89 @@ Return JSON:
       const result = await this.generateResponse({
         message: params.message,
         platform: params.platform,
-        type: params.type
+        type: params.type,
+        history: params.history,
+        contactShared: params.contactShared
       });
 
       return {
         response: result.response,
         category: result.category,
-        redirected: result.shouldRedirect
+        redirected: result.shouldRedirect,
+        priority: result.priority || null,
+        sentiment: result.sentiment || null,
+        requiresHumanFollowup: result.requiresHumanFollowup === true
       };
     } catch (error) {
       logger.error('Error generating interaction response:', error.message);
       throw error;
     }
   }
+
+  /**
+   * Extract sales lead details from a customer's comments and DMs
+   * Only details the customer actually gave are returned; everything else is null
+   * @param {Array<Object>} turns - Conversation turns, oldest first ({ direction, text })
+   * @returns {Promise<Object>} { name, city, zip, productCategory, dimensions, panelCount, glassType, timeline, phone, email, isLead }
+   */
+  async extractLeadFields(turns) {
+    try {
+      logger.info(`Extracting lead details from ${turns.length} message(s)...`);
+
+      const transcript = turns
+        .map(turn => `${turn.direction === 'outbound' ? 'Doors22' : 'Customer'}: "${turn.text}"`)
+        .join('\n');
+
+      const prompt = `Read this conversation between Doors22 (glass doors and partitions, ships nationwide) and a customer on social media.
+
+${transcript}
+
+Extract the details the CUSTOMER gave about what they want to buy. Never guess and never copy details from Doors22's messages - use null for anything the customer did not say.
+
+Return JSON:
+{
+  "isLead": true,
+  "name": "customer's name or null",
+  "city": "city or null",
+  "zip": "ZIP code or null",
+  "productCategory": "room_dividers|closet_doors|home_offices|office_partitions|other|null",
+  "dimensions": "size as the customer wrote it (e.g. \"96 x 80 in\") or null",
+  "panelCount": 2,
+  "glassType": "clear|frosted|tinted|reeded|decorative|other|null",
+  "timeline": "when they need it (e.g. \"next month\") or null",
+  "phone": "phone number or null",
+  "email": "email or null"
+}
+
+isLead is true when the customer is asking about buying, pricing, measurements or installation, false for compliments, spam or general chat.
+panelCount is a number or null.`;
+
+      const response = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: 'system',
+            content: 'You extract structured sales lead data from customer messages. You only report what the customer stated.'
+          },
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: 0,
+        max_tokens: 400,
+        response_format: { type: 'json_object' }
+      });
+
+      const leadData = JSON.parse(response.choices[0].message.content);
+      logger.info(`Lead details extracted (isLead: ${leadData.isLead})`);
+
+      return leadData;
+    } catch (error) {
+      logger.error('Error extracting lead details:', error.message);
+      throw new Error(`Lead extraction failed: ${error.message}`);
+    }
+  }
 }
 
 module.exports = new AIEngineService();
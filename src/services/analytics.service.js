@@ -0,0 +1,481 @@
+/**
+ * Analytics Service
+ * Read side of analytics for the dashboard
+ * - Weekly reports written by the analytics cron
+ * - Time series of engagement metrics per category, content type, platform or keyword
+ * - Top posts by any metric
+ * Computed from posted posts and their latest post_metrics snapshot, cached for 5 minutes
+ */
+
+const { db } = require('../config/firebase');
+const metricsService = require('./metrics.service');
+const referenceImagesService = require('./referenceImages.service');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUM_METRICS = ['reach', 'impressions', 'likes', 'comments', 'saves', 'shares', 'videoPlays', 'engagement'];
+const METRICS = ['posts', 'engagementRate', ...SUM_METRICS];
+const GROUP_BY = ['category', 'type', 'platform', 'keyword'];
+const INTERVALS = ['day', 'week'];
+const PLATFORMS = ['instagram', 'facebook'];
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class AnalyticsService {
+  constructor() {
+    this.reportsCollection = db.collection('analytics');
+    this.postsCollection = db.collection('posts');
+    this.metricsCollection = db.collection('post_metrics');
+    this.cache = new Map();
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minute cache (metrics are collected every 15 minutes)
+  }
+
+  /**
+   * List weekly reports, newest first
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Max results
+   * @returns {Promise<Array>} Reports
+   */
+  async listReports({ limit = 12 } = {}) {
+    return this.getCached(`reports:${limit}`, async () => {
+      const snapshot = await this.reportsCollection
+        .orderBy('generatedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    });
+  }
+
+  /**
+   * Get a weekly report by ID
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object|null>} Report or null if missing
+   */
+  async getReport(reportId) {
+    const doc = await this.reportsCollection.doc(reportId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Time series of a metric, bucketed by posting date
+   * @param {Object} params - Query parameters
+   * @param {string} params.metric - Metric (default engagementRate)
+   * @param {string} params.groupBy - category, type, platform or keyword (optional)
+   * @param {string} params.interval - day or week (default day)
+   * @param {string} params.from - Start date (default 30 days ago)
+   * @param {string} params.to - End date (default now)
+   * @param {string} params.category - Only this category (optional)
+   * @returns {Promise<Object>} { metric, groupBy, interval, from, to, buckets, series }
+   */
+  async getTimeseries(params = {}) {
+    const { metric = 'engagementRate', groupBy = null, interval = 'day', category = null } = params;
+
+    this.validateMetric(metric);
+    this.validateCategory(category);
+
+    if (groupBy && !GROUP_BY.includes(groupBy)) {
+      throw createHttpError(`Invalid groupBy: ${groupBy}`, 400, { allowed: GROUP_BY });
+    }
+
+    if (!INTERVALS.includes(interval)) {
+      throw createHttpError(`Invalid interval: ${interval}`, 400, { allowed: INTERVALS });
+    }
+
+    const { from, to } = this.resolveRange(params);
+
+    // Keyed on the requested range: a default 'to' resolves to the current millisecond
+    const key = `timeseries:${JSON.stringify({ metric, groupBy, interval, category, ...this.getRangeKey(params) })}`;
+
+    return this.getCached(key, async () => {
+      const entries = (await this.loadEntries(from, to))
+        .filter(entry => !category || entry.post.category === category);
+
+      const buckets = this.getBuckets(from, to, interval);
+      const groups = new Map();
+
+      // Known keys always get a series, so a chart keeps its lines when one has no posts
+      for (const groupKey of this.getDefaultGroups(groupBy, category)) {
+        groups.set(groupKey, new Map(buckets.map(b => [b, this.createTotals()])));
+      }
+
+      for (const entry of entries) {
+        const bucket = this.getBucket(entry.post.postedAt, interval);
+
+        for (const { key: groupKey, values } of this.splitEntry(entry, groupBy)) {
+          if (!groups.has(groupKey)) {
+            groups.set(groupKey, new Map(buckets.map(b => [b, this.createTotals()])));
+          }
+
+          const totals = groups.get(groupKey).get(bucket);
+          if (totals) {
+            this.addToTotals(totals, values);
+          }
+        }
+      }
+
+      const series = [...groups.entries()]
+        .map(([groupKey, byBucket]) => ({
+          key: groupKey,
+          points: buckets.map(bucket => {
+            const totals = byBucket.get(bucket);
+            return {
+              bucket,
+              value: this.getMetricValue(totals, metric),
+              posts: totals.posts
+            };
+          })
+        }))
+        .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+
+      return {
+        metric,
+        groupBy,
+        interval,
+        category,
+        from,
+        to,
+        buckets,
+        series,
+        generatedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Top posts by a metric
+   * @param {Object} params - Query parameters
+   * @param {string} params.metric - Metric to rank by (default engagementRate)
+   * @param {number} params.limit - Max results (default 10, max 50)
+   * @param {string} params.from - Start date (default 30 days ago)
+   * @param {string} params.to - End date (default now)
+   * @param {string} params.category - Only this category (optional)
+   * @param {string} params.type - Only this content type (optional)
+   * @param {string} params.platform - Rank by this platform's metrics only (optional)
+   * @returns {Promise<Object>} { metric, from, to, posts }
+   */
+  async getTopPosts(params = {}) {
+    const { metric = 'engagementRate', category = null, type = null, platform = null } = params;
+    const limit = Math.min(Math.max(parseInt(params.limit) || 10, 1), 50);
+
+    this.validateMetric(metric);
+    this.validateCategory(category);
+
+    if (metric === 'posts') {
+      throw createHttpError('Posts cannot be ranked by post count', 400, { allowed: METRICS.filter(m => m !== 'posts') });
+    }
+
+    if (platform && !PLATFORMS.includes(platform)) {
+      throw createHttpError(`Invalid platform: ${platform}`, 400, { allowed: PLATFORMS });
+    }
+
+    const { from, to } = this.resolveRange(params);
+
+    const key = `top:${JSON.stringify({ metric, limit, category, type, platform, ...this.getRangeKey(params) })}`;
+
+    return this.getCached(key, async () => {
+      const ranked = (await this.loadEntries(from, to))
+        .filter(entry => entry.snapshot)
+        .filter(entry => !category || entry.post.category === category)
+        .filter(entry => !type || entry.post.type === type)
+        .map(entry => {
+          const values = platform ? entry.snapshot.platforms?.[platform] : entry.snapshot.totals;
+          return { entry, values };
+        })
+        .filter(({ values }) => values && typeof values[metric] === 'number')
+        .sort((a, b) => b.values[metric] - a.values[metric])
+        .slice(0, limit);
+
+      return {
+        metric,
+        platform,
+        from,
+        to,
+        posts: ranked.map(({ entry, values }) => ({
+          id: entry.post.id,
+          postId: entry.post.postId,
+          category: entry.post.category,
+          type: entry.post.type,
+          keyword: entry.post.keyword || null,
+          postedAt: entry.post.postedAt,
+          caption: entry.post.caption?.substring(0, 100),
+          thumbnailUrl: entry.post.thumbnailUrl || entry.post.mediaUrl || null,
+          metricsWindow: entry.snapshot.window,
+          value: values[metric],
+          metrics: values
+        })),
+        generatedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Load posted posts in a date range, each with its latest metrics snapshot
+   * @param {string} from - Start ISO time
+   * @param {string} to - End ISO time
+   * @returns {Promise<Array>} { post, snapshot } (snapshot is null for posts not measured yet)
+   */
+  async loadEntries(from, to) {
+    const [postsSnapshot, metricsSnapshot] = await Promise.all([
+      this.postsCollection
+        .where('status', '==', 'posted')
+        .where('postedAt', '>=', from)
+        .where('postedAt', '<=', to)
+        .get(),
+      this.metricsCollection
+        .where('postedAt', '>=', from)
+        .where('postedAt', '<=', to)
+        .get()
+    ]);
+
+    const windows = metricsService.getWindows();
+    const latest = new Map();
+
+    metricsSnapshot.forEach(doc => {
+      const snapshot = doc.data();
+      const current = latest.get(snapshot.postId);
+
+      if (!current || windows.indexOf(snapshot.window) > windows.indexOf(current.window)) {
+        latest.set(snapshot.postId, snapshot);
+      }
+    });
+
+    logger.info(`Analytics: ${postsSnapshot.size} posts, ${latest.size} with metrics (${from} - ${to})`);
+
+    return postsSnapshot.docs.map(doc => ({
+      post: { id: doc.id, ...doc.data() },
+      snapshot: latest.get(doc.id) || null
+    }));
+  }
+
+  /**
+   * Split an entry into the groups it counts towards
+   * Platform grouping uses each platform's own metrics; other groupings use the totals
+   * @param {Object} entry - { post, snapshot }
+   * @param {string|null} groupBy - Grouping
+   * @returns {Array<Object>} { key, values } where values is null for unmeasured posts
+   */
+  splitEntry(entry, groupBy) {
+    const { post, snapshot } = entry;
+
+    if (groupBy === 'platform') {
+      return PLATFORMS
+        .filter(platform => post.platforms?.[platform])
+        .map(platform => ({ key: platform, values: snapshot?.platforms?.[platform] || null }));
+    }
+
+    const key = groupBy ? (post[groupBy] || 'unknown') : 'all';
+    return [{ key, values: snapshot?.totals || null }];
+  }
+
+  /**
+   * Series keys returned even when they have no posts
+   * @param {string|null} groupBy - Grouping
+   * @param {string|null} category - Category filter
+   * @returns {Array<string>} Keys
+   */
+  getDefaultGroups(groupBy, category) {
+    if (!groupBy) {
+      return ['all'];
+    }
+
+    if (groupBy === 'category') {
+      return category ? [category] : referenceImagesService.getCategories();
+    }
+
+    if (groupBy === 'platform') {
+      return PLATFORMS;
+    }
+
+    return [];
+  }
+
+  /**
+   * Empty totals for a bucket
+   * @returns {Object} Totals
+   */
+  createTotals() {
+    return {
+      posts: 0,
+      measuredPosts: 0,
+      ...Object.fromEntries(SUM_METRICS.map(metric => [metric, 0]))
+    };
+  }
+
+  /**
+   * Add a post's metrics to bucket totals
+   * @param {Object} totals - Bucket totals
+   * @param {Object|null} values - Post metrics (null if not measured yet)
+   */
+  addToTotals(totals, values) {
+    totals.posts++;
+
+    if (!values) {
+      return;
+    }
+
+    totals.measuredPosts++;
+    for (const metric of SUM_METRICS) {
+      totals[metric] += values[metric] || 0;
+    }
+  }
+
+  /**
+   * Read a metric from bucket totals
+   * @param {Object} totals - Bucket totals
+   * @param {string} metric - Metric
+   * @returns {number|null} Value (null when no post in the bucket was measured)
+   */
+  getMetricValue(totals, metric) {
+    if (metric === 'posts') {
+      return totals.posts;
+    }
+
+    if (totals.measuredPosts === 0) {
+      return null;
+    }
+
+    if (metric === 'engagementRate') {
+      return metricsService.getEngagementRate(totals.engagement, totals.reach);
+    }
+
+    return totals[metric];
+  }
+
+  /**
+   * Resolve and validate the from/to range
+   * @param {Object} params - Query parameters with optional from and to
+   * @returns {Object} { from, to } as ISO times
+   */
+  resolveRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+
+    // A date-only 'to' includes that whole day
+    if (to && DATE_ONLY.test(to)) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw createHttpError('from and to must be valid dates', 400);
+    }
+
+    if (start > end) {
+      throw createHttpError('from must be before to', 400);
+    }
+
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw createHttpError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+    }
+
+    return { from: start.toISOString(), to: end.toISOString() };
+  }
+
+  /**
+   * Range part of a cache key, from the requested (not the resolved) from/to
+   * @param {Object} params - Query parameters with optional from and to
+   * @returns {Object} { from, to } as requested (null when defaulted)
+   */
+  getRangeKey({ from, to } = {}) {
+    return { from: from || null, to: to || null };
+  }
+
+  /**
+   * All bucket keys between two times
+   * @param {string} from - Start ISO time
+   * @param {string} to - End ISO time
+   * @param {string} interval - day or week
+   * @returns {Array<string>} Bucket keys (YYYY-MM-DD, weeks start on Monday)
+   */
+  getBuckets(from, to, interval) {
+    const buckets = [];
+    const step = interval === 'week' ? 7 * DAY_MS : DAY_MS;
+    const end = this.getBucket(to, interval);
+
+    let current = new Date(this.getBucket(from, interval));
+    while (current.toISOString().split('T')[0] <= end) {
+      buckets.push(current.toISOString().split('T')[0]);
+      current = new Date(current.getTime() + step);
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Bucket key for a time (UTC)
+   * @param {string} time - ISO time
+   * @param {string} interval - day or week
+   * @returns {string} YYYY-MM-DD of the day, or of the week's Monday
+   */
+  getBucket(time, interval) {
+    const date = new Date(time);
+    date.setUTCHours(0, 0, 0, 0);
+
+    if (interval === 'week') {
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+    }
+
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Validate a metric name
+   * @param {string} metric - Metric
+   */
+  validateMetric(metric) {
+    if (!METRICS.includes(metric)) {
+      throw createHttpError(`Invalid metric: ${metric}`, 400, { allowed: METRICS });
+    }
+  }
+
+  /**
+   * Validate an optional category filter
+   * @param {string|null} category - Category
+   */
+  validateCategory(category) {
+    if (category && !referenceImagesService.isValidCategory(category)) {
+      throw createHttpError(`Invalid category: ${category}`, 400, { allowed: referenceImagesService.getCategories() });
+    }
+  }
+
+  /**
+   * Return a cached result or compute and cache it
+   * @param {string} key - Cache key
+   * @param {Function} compute - Computes the result
+   * @returns {Promise<Object>} Result
+   */
+  async getCached(key, compute) {
+    const cached = this.cache.get(key);
+    if (cached && (Date.now() - cached.time) < this.cacheExpiry) {
+      return cached.value;
+    }
+
+    const value = await compute();
+
+    // Drop expired results so the cache only holds queries from the last few minutes
+    const now = Date.now();
+    for (const [cachedKey, entry] of this.cache) {
+      if (now - entry.time >= this.cacheExpiry) {
+        this.cache.delete(cachedKey);
+      }
+    }
+    this.cache.set(key, { value, time: now });
+
+    return value;
+  }
+
+  /**
+   * Clear the analytics cache (collectMetrics and the analytics cron call it after writing)
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -5,10 +5,20 @@
  * - Reject posts (archive, never post)
  * - Edit posts (with auto-approval)
  * - Track approval history
+ * - Reorder or drop carousel slides before approval
+ * - Schedule an optional story placement alongside the feed post
+ * - Re-queue posts that failed to publish (publish_failed)
  */
 
 const { db } = require('../config/firebase');
+const settingsService = require('./settings.service');
+const cloudinaryService = require('./cloudinary.service');
+const publishingService = require('./publishing.service');
 const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/helpers');
+
+// Instagram carousels need at least 2 slides
+const MIN_CAROUSEL_SLIDES = 2;
 
 // Lazy load to avoid circular dependency
 let postingModule = null;
@@ -67,15 +77,21 @@ class ApprovalService {
    * Approve a post for auto-posting
    * @param {string} postId - Post ID
    * @param {Object} approvalData - Approval information
-   * @param {string} approvalData.approvedBy - Admin user ID
+   * @param {string} approvalData.approvedBy - Authenticated approver name
    * @param {string} approvalData.scheduledPostTime - When to post (optional)
+   * @param {boolean} approvalData.shareAsStory - Also publish the post as a story (optional)
+   * @param {string} approvalData.storyScheduledTime - When to publish the story (defaults to the post time)
    * @returns {Promise<Object>} Updated post
    */
   async approvePost(postId, approvalData) {
     try {
       logger.info(`Approving post: ${postId}`);
 
-      const { approvedBy = 'admin', scheduledPostTime } = approvalData;
+      const { approvedBy, scheduledPostTime, shareAsStory, storyScheduledTime } = approvalData;
+
+      if (!approvedBy) {
+        throw new Error('approvedBy is required');
+      }
 
       const postRef = this.postsCollection.doc(postId);
       const postDoc = await postRef.get();
@@ -86,7 +102,7 @@ class ApprovalService {
 
       const postData = postDoc.data();
 
-      if (postData.status !== 'pending' && postData.status !== 'rejected') {
+      if (!['pending', 'rejected', 'publish_failed'].includes(postData.status)) {
         throw new Error(`Post cannot be approved (current status: ${postData.status})`);
       }
 
@@ -110,17 +126,20 @@ class ApprovalService {
       if (scheduledPostTime) {
         updateData.scheduledPostTime = scheduledPostTime;
       } else if (!postData.scheduledPostTime) {
-        // Default: schedule for 5:00 PM UTC same day
-        const now = new Date();
-        const scheduled = new Date(now);
-        scheduled.setUTCHours(17, 0, 0, 0);
-
-        // If it's already past 5 PM UTC, schedule for tomorrow
-        if (now.getUTCHours() >= 17) {
-          scheduled.setDate(scheduled.getDate() + 1);
-        }
+        // Default: next occurrence of the configured posting time
+        updateData.scheduledPostTime = await this.getDefaultPostTime(postData);
+      }
 
-        updateData.scheduledPostTime = scheduled.toISOString();
+      // Re-approving a post that failed to publish gives its failed platforms a fresh set of attempts
+      if (postData.status === 'publish_failed') {
+        Object.assign(updateData, publishingService.buildRetryUpdate(postData));
+      }
+
+      if (shareAsStory) {
+        updateData.story = this.buildStoryPlacement(postData, {
+          scheduledTime: storyScheduledTime || updateData.scheduledPostTime || postData.scheduledPostTime,
+          requestedBy: approvedBy
+        });
       }
 
       await postRef.update(updateData);
@@ -175,11 +194,67 @@ class ApprovalService {
     }
   }
 
+  /**
+   * Auto-approve a freshly generated post (settings.autoApproval)
+   * Unlike approvePost this does not publish immediately - the post waits
+   * for the configured posting time and is picked up by the posting cron
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} Updated post
+   */
+  async autoApprovePost(postId) {
+    try {
+      logger.info(`Auto-approving post: ${postId}`);
+
+      const postRef = this.postsCollection.doc(postId);
+      const postDoc = await postRef.get();
+
+      if (!postDoc.exists) {
+        throw new Error(`Post not found: ${postId}`);
+      }
+
+      const postData = postDoc.data();
+
+      if (postData.status !== 'pending') {
+        throw new Error(`Post cannot be auto-approved (current status: ${postData.status})`);
+      }
+
+      const timestamp = new Date().toISOString();
+
+      await postRef.update({
+        status: 'approved',
+        approvedBy: 'auto-approval',
+        approvedAt: timestamp,
+        scheduledPostTime: postData.scheduledPostTime || await this.getDefaultPostTime(postData),
+        approvalHistory: [
+          ...(postData.approvalHistory || []),
+          {
+            action: 'auto_approved',
+            by: 'auto-approval',
+            at: timestamp,
+            previousStatus: postData.status
+          }
+        ]
+      });
+
+      logger.info(`Post auto-approved: ${postId}`);
+
+      const updatedDoc = await postRef.get();
+      return {
+        success: true,
+        id: updatedDoc.id,
+        ...updatedDoc.data()
+      };
+    } catch (error) {
+      logger.error('Error auto-approving post:', error.message);
+      throw new Error(`Failed to auto-approve post: ${error.message}`);
+    }
+  }
+
   /**
    * Reject a post (will never be posted)
    * @param {string} postId - Post ID
    * @param {Object} rejectionData - Rejection information
-   * @param {string} rejectionData.rejectedBy - Admin user ID
+   * @param {string} rejectionData.rejectedBy - Authenticated approver name
    * @param {string} rejectionData.reason - Rejection reason
    * @returns {Promise<Object>} Updated post
    */
@@ -187,7 +262,11 @@ class ApprovalService {
     try {
       logger.info(`Rejecting post: ${postId}`);
 
-      const { rejectedBy = 'admin', reason = 'No reason provided' } = rejectionData;
+      const { rejectedBy, reason = 'No reason provided' } = rejectionData;
+
+      if (!rejectedBy) {
+        throw new Error('rejectedBy is required');
+      }
 
       const postRef = this.postsCollection.doc(postId);
       const postDoc = await postRef.get();
@@ -202,6 +281,10 @@ class ApprovalService {
         throw new Error('Cannot reject a post that has already been posted');
       }
 
+      if (postData.status === 'trashed') {
+        throw new Error('Cannot reject a post that is in the trash');
+      }
+
       // Update post
       const updateData = {
         status: 'rejected',
@@ -241,15 +324,19 @@ class ApprovalService {
    * Edit a post and auto-approve it
    * @param {string} postId - Post ID
    * @param {Object} editData - Edit information
-   * @param {string} editData.editedBy - Admin user ID
-   * @param {Object} editData.updates - Fields to update (caption, hashtags, etc.)
+   * @param {string} editData.editedBy - Authenticated approver name
+   * @param {Object} editData.updates - Fields to update (caption, hashtags, captions, targets, etc.)
    * @returns {Promise<Object>} Updated post
    */
   async editPost(postId, editData) {
     try {
       logger.info(`Editing post: ${postId}`);
 
-      const { editedBy = 'admin', updates } = editData;
+      const { editedBy, updates } = editData;
+
+      if (!editedBy) {
+        throw new Error('editedBy is required');
+      }
 
       if (!updates || Object.keys(updates).length === 0) {
         throw new Error('No updates provided');
@@ -268,12 +355,25 @@ class ApprovalService {
         throw new Error('Cannot edit a post that has already been posted');
       }
 
+      if (postData.status === 'trashed') {
+        throw new Error('Cannot edit a post that is in the trash');
+      }
+
+      // Per-platform captions are edited separately - keep the platforms not in this edit
+      if (updates.captions) {
+        updates.captions = { ...(postData.captions || {}), ...updates.captions };
+      }
+
+      if (updates.targets) {
+        updates.targets = [...new Set(updates.targets)];
+      }
+
       // Track changes in edit history
       const editHistory = postData.editHistory || [];
       const timestamp = new Date().toISOString();
 
       Object.keys(updates).forEach(field => {
-        if (postData[field] !== undefined && postData[field] !== updates[field]) {
+        if (postData[field] !== undefined && JSON.stringify(postData[field]) !== JSON.stringify(updates[field])) {
           editHistory.push({
             field: field,
             oldValue: postData[field],
@@ -305,15 +405,11 @@ class ApprovalService {
 
       // Set scheduled post time if not already set
       if (!postData.scheduledPostTime) {
-        const now = new Date();
-        const scheduled = new Date(now);
-        scheduled.setUTCHours(17, 0, 0, 0);
-
-        if (now.getUTCHours() >= 17) {
-          scheduled.setDate(scheduled.getDate() + 1);
-        }
+        updateData.scheduledPostTime = await this.getDefaultPostTime(postData);
+      }
 
-        updateData.scheduledPostTime = scheduled.toISOString();
+      if (postData.status === 'publish_failed') {
+        Object.assign(updateData, publishingService.buildRetryUpdate(postData));
       }
 
       await postRef.update(updateData);
@@ -387,6 +483,209 @@ class ApprovalService {
     }
   }
 
+  /**
+   * Get the default scheduled time for a post
+   * The next posting time, at the hour the learning layer chose for the post if it chose one
+   * @param {Object} postData - Post data
+   * @returns {Promise<string>} ISO timestamp
+   */
+  async getDefaultPostTime(postData) {
+    const hour = postData.learning?.decisions?.postingHour?.arm;
+
+    return settingsService.getNextPostingTime(new Date(), hour !== undefined ? { hour: Number(hour) } : {});
+  }
+
+  /**
+   * Build the story placement for a post
+   * Feed images (4:5) are reframed to 9:16 by Cloudinary; videos are already vertical.
+   * Carousels use their first slide.
+   * @param {Object} postData - Post data
+   * @param {Object} options - Story options
+   * @param {string} options.scheduledTime - When to publish the story
+   * @param {string} options.requestedBy - Authenticated approver name
+   * @returns {Object} Story placement
+   */
+  buildStoryPlacement(postData, { scheduledTime, requestedBy }) {
+    const mediaType = postData.type === 'video' ? 'video' : 'image';
+
+    return {
+      enabled: true,
+      status: 'scheduled',
+      mediaType,
+      mediaUrl: mediaType === 'video'
+        ? postData.mediaUrl
+        : cloudinaryService.getStoryUrl(postData.cloudinaryPublicId),
+      scheduledTime,
+      requestedBy,
+      requestedAt: new Date().toISOString(),
+      postedAt: null,
+      errors: null
+    };
+  }
+
+  /**
+   * Get approved or posted posts whose story is due
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Max results
+   * @returns {Promise<Array>} Posts with a due story
+   */
+  async getDueStories(options = {}) {
+    try {
+      const { limit = 20 } = options;
+      const now = new Date().toISOString();
+
+      const snapshot = await this.postsCollection
+        .where('story.status', '==', 'scheduled')
+        .where('story.scheduledTime', '<=', now)
+        .orderBy('story.scheduledTime', 'asc')
+        .limit(limit)
+        .get();
+
+      // Stories only go out for posts that are still approved or already posted
+      return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(post => post.status === 'approved' || post.status === 'posted');
+    } catch (error) {
+      logger.error('Error fetching due stories:', error.message);
+      throw new Error(`Failed to fetch due stories: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reorder the slides of a pending carousel post
+   * @param {string} postId - Post ID
+   * @param {Object} slideData - Slide information
+   * @param {Array<number>} slideData.order - Current slide indexes in their new order
+   * @param {string} slideData.editedBy - Authenticated editor name
+   * @returns {Promise<Object>} Updated post
+   */
+  async reorderSlides(postId, slideData) {
+    const { order, editedBy } = slideData;
+
+    const { postRef, postData } = await this.getEditableCarousel(postId);
+    const media = postData.media;
+
+    const isPermutation = Array.isArray(order)
+      && order.length === media.length
+      && new Set(order).size === media.length
+      && order.every(index => Number.isInteger(index) && index >= 0 && index < media.length);
+
+    if (!isPermutation) {
+      throw createHttpError(`order must list every slide index (0-${media.length - 1}) exactly once`, 400);
+    }
+
+    const reordered = order.map(index => media[index]);
+
+    await postRef.update(this.buildSlideUpdate(postData, reordered, editedBy));
+
+    logger.info(`Carousel slides reordered: ${postId}`);
+
+    const updatedDoc = await postRef.get();
+    return {
+      success: true,
+      id: updatedDoc.id,
+      ...updatedDoc.data()
+    };
+  }
+
+  /**
+   * Drop a slide from a pending carousel post
+   * The slide's media is kept in removedMedia so the trash purge can still clean it up
+   * @param {string} postId - Post ID
+   * @param {Object} slideData - Slide information
+   * @param {number} slideData.index - Slide index to drop
+   * @param {string} slideData.editedBy - Authenticated editor name
+   * @returns {Promise<Object>} Updated post
+   */
+  async removeSlide(postId, slideData) {
+    const { index, editedBy } = slideData;
+
+    const { postRef, postData } = await this.getEditableCarousel(postId);
+    const media = postData.media;
+
+    if (!Number.isInteger(index) || index < 0 || index >= media.length) {
+      throw createHttpError(`Slide index out of range (0-${media.length - 1})`, 400);
+    }
+
+    if (media.length <= MIN_CAROUSEL_SLIDES) {
+      throw createHttpError(`A carousel needs at least ${MIN_CAROUSEL_SLIDES} slides`, 400);
+    }
+
+    const remaining = media.filter((slide, i) => i !== index);
+
+    await postRef.update({
+      ...this.buildSlideUpdate(postData, remaining, editedBy),
+      removedMedia: [
+        ...(postData.removedMedia || []),
+        { ...media[index], removedBy: editedBy, removedAt: new Date().toISOString() }
+      ]
+    });
+
+    logger.info(`Carousel slide ${index} removed: ${postId}`);
+
+    const updatedDoc = await postRef.get();
+    return {
+      success: true,
+      id: updatedDoc.id,
+      ...updatedDoc.data()
+    };
+  }
+
+  /**
+   * Load a carousel post whose slides can still be changed (pending approval)
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} { postRef, postData }
+   */
+  async getEditableCarousel(postId) {
+    const postRef = this.postsCollection.doc(postId);
+    const postDoc = await postRef.get();
+
+    if (!postDoc.exists) {
+      throw createHttpError(`Post not found: ${postId}`, 404);
+    }
+
+    const postData = postDoc.data();
+
+    if (postData.type !== 'carousel' || !Array.isArray(postData.media)) {
+      throw createHttpError('Post is not a carousel', 400);
+    }
+
+    if (postData.status !== 'pending') {
+      throw createHttpError(`Slides can only be changed before approval (current status: ${postData.status})`, 409);
+    }
+
+    return { postRef, postData };
+  }
+
+  /**
+   * Build the update for a new slide list (the first slide is the cover media)
+   * @param {Object} postData - Current post data
+   * @param {Array<Object>} media - New slide list
+   * @param {string} editedBy - Authenticated editor name
+   * @returns {Object} Update data
+   */
+  buildSlideUpdate(postData, media, editedBy) {
+    const [cover] = media;
+    const slideIds = slides => slides.map(slide => slide.cloudinaryPublicId);
+
+    return {
+      media,
+      mediaUrl: cover.url,
+      thumbnailUrl: cover.thumbnailUrl || cover.url,
+      cloudinaryPublicId: cover.cloudinaryPublicId,
+      editHistory: [
+        ...(postData.editHistory || []),
+        {
+          field: 'media',
+          oldValue: slideIds(postData.media),
+          newValue: slideIds(media),
+          editedBy: editedBy,
+          editedAt: new Date().toISOString()
+        }
+      ]
+    };
+  }
+
   /**
    * Get approved posts ready for posting
    * @param {Object} options - Query options
@@ -435,7 +734,7 @@ class ApprovalService {
     try {
       logger.info('Fetching post statistics...');
 
-      const statuses = ['pending', 'approved', 'rejected', 'posted'];
+      const statuses = ['pending', 'approved', 'rejected', 'posted', 'publish_failed'];
       const stats = {
         total: 0,
         byStatus: {}
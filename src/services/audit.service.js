@@ -0,0 +1,173 @@
+/**
+ * Audit Service
+ * Records who changed what through the API
+ * - Actor, route, target document, IP and timestamp for every write
+ * - Field-level before/after diff of the target document
+ * - Query audit entries for the dashboard
+ */
+
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+class AuditService {
+  constructor() {
+    this.auditCollection = db.collection('audit');
+  }
+
+  /**
+   * Read the current state of a document (used as the "before" side of a diff)
+   * @param {string} collection - Collection name
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Document data or null if missing
+   */
+  async getSnapshot(collection, documentId) {
+    try {
+      const doc = await db.collection(collection).doc(documentId).get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      logger.warn(`Audit snapshot failed for ${collection}/${documentId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Compute a top-level field diff between two document states
+   * @param {Object|null} before - Previous document data
+   * @param {Object|null} after - New document data
+   * @returns {Object} Map of field -> { from, to }
+   */
+  diff(before, after) {
+    const changes = {};
+    const fields = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {})
+    ]);
+
+    for (const field of fields) {
+      const from = before?.[field] ?? null;
+      const to = after?.[field] ?? null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record an audited change made through the API
+   * The "after" state is read from Firestore so callers only pass what they had before the write
+   * Never throws - auditing must not break the request
+   * @param {Object} req - Express request (actor, route, IP)
+   * @param {Object} entry - Change information
+   * @param {string} entry.action - What happened (approve, delete, update, ...)
+   * @param {string} entry.collection - Target collection
+   * @param {string} entry.documentId - Target document ID
+   * @param {Object|null} entry.before - Document data before the write
+   * @param {Object|null} entry.after - Document data after the write (read from Firestore if omitted)
+   * @param {number} entry.statusCode - Response status (optional)
+   * @returns {Promise<string|null>} Audit entry ID
+   */
+  async record(req, entry) {
+    try {
+      const { action, collection, documentId, before = null } = entry;
+
+      const after = entry.after !== undefined
+        ? entry.after
+        : (collection && documentId ? await this.getSnapshot(collection, documentId) : null);
+
+      const auditEntry = {
+        ...this.buildRequestMetadata(req),
+        action,
+        collection: collection || null,
+        documentId: documentId || null,
+        changes: this.diff(before, after),
+        // Keep the full document for deletes so it can be inspected afterwards
+        before: after === null ? before : null,
+        statusCode: entry.statusCode || null,
+        timestamp: new Date().toISOString()
+      };
+
+      const docRef = await this.auditCollection.add(auditEntry);
+
+      if (req) req.audited = true;
+
+      return docRef.id;
+    } catch (error) {
+      logger.error('Failed to record audit entry:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build actor and request metadata for an audit entry
+   * @param {Object} req - Express request
+   * @returns {Object} Metadata
+   */
+  buildRequestMetadata(req) {
+    return {
+      actor: req?.user?.name || 'system',
+      actorId: req?.user?.id || null,
+      actorRole: req?.user?.role || null,
+      method: req?.method || null,
+      route: req?.originalUrl || null,
+      ip: req?.ip || null,
+      userAgent: req?.get?.('user-agent') || null
+    };
+  }
+
+  /**
+   * Query audit entries
+   * @param {Object} filters - Query filters
+   * @param {string} filters.actor - Actor name
+   * @param {string} filters.collection - Target collection
+   * @param {string} filters.documentId - Target document ID
+   * @param {string} filters.from - ISO date, inclusive
+   * @param {string} filters.to - ISO date, inclusive
+   * @param {number} filters.limit - Max results
+   * @returns {Promise<Array>} Audit entries, newest first
+   */
+  async getEntries(filters = {}) {
+    const { actor, collection, documentId, from, to, limit = 50 } = filters;
+
+    let query = this.auditCollection;
+
+    if (actor) {
+      query = query.where('actor', '==', actor);
+    }
+
+    if (collection) {
+      query = query.where('collection', '==', collection);
+    }
+
+    if (documentId) {
+      query = query.where('documentId', '==', documentId);
+    }
+
+    if (from) {
+      query = query.where('timestamp', '>=', new Date(from).toISOString());
+    }
+
+    if (to) {
+      query = query.where('timestamp', '<=', new Date(to).toISOString());
+    }
+
+    const snapshot = await query
+      .orderBy('timestamp', 'desc')
+      .limit(limit)
+      .get();
+
+    const entries = [];
+    snapshot.forEach(doc => {
+      entries.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return entries;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,212 @@
+/**
+ * Auth Service
+ * Handles API key authentication for the dashboard API
+ * - Issue and revoke API keys (only SHA-256 hashes are stored)
+ * - Resolve a presented key to an identity and role
+ * - Role hierarchy checks (viewer < editor < approver < admin)
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'editor', 'approver', 'admin'];
+
+const KEY_PREFIX = 'd22_';
+
+class AuthService {
+  constructor() {
+    this.keysCollection = db.collection('api_keys');
+    this.keyCache = {};
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
+  }
+
+  /**
+   * Hash an API key for storage/lookup
+   * @param {string} apiKey - Plain API key
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Get all roles, least privileged first
+   * @returns {string[]} Role names
+   */
+  getRoles() {
+    return ROLES;
+  }
+
+  /**
+   * Check whether a role name is known
+   * @param {string} role - Role name
+   * @returns {boolean} True if valid
+   */
+  isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  /**
+   * Check whether a role grants at least the required role
+   * @param {string} role - Role held by the caller
+   * @param {string} requiredRole - Minimum role needed
+   * @returns {boolean} True if allowed
+   */
+  hasRole(role, requiredRole) {
+    const held = ROLES.indexOf(role);
+    const required = ROLES.indexOf(requiredRole);
+    return held !== -1 && required !== -1 && held >= required;
+  }
+
+  /**
+   * Resolve an API key to an identity
+   * Checks the ADMIN_API_KEY bootstrap key first, then Firestore
+   * @param {string} apiKey - Plain API key from the request
+   * @returns {Promise<Object|null>} Identity ({ id, name, role }) or null
+   */
+  async verifyKey(apiKey) {
+    if (!apiKey) return null;
+
+    const keyHash = this.hashKey(apiKey);
+
+    // Bootstrap admin key from environment (used to issue the first real keys)
+    const bootstrapKey = process.env.ADMIN_API_KEY;
+    if (bootstrapKey) {
+      const expected = Buffer.from(this.hashKey(bootstrapKey), 'hex');
+      if (crypto.timingSafeEqual(expected, Buffer.from(keyHash, 'hex'))) {
+        return { id: 'bootstrap', name: 'admin', role: 'admin', type: 'bootstrap' };
+      }
+    }
+
+    // Check cache
+    const cached = this.keyCache[keyHash];
+    if (cached && (Date.now() - cached.cachedAt) < this.cacheExpiry) {
+      return cached.identity;
+    }
+
+    const keyDoc = await this.keysCollection.doc(keyHash).get();
+
+    if (!keyDoc.exists) {
+      return null;
+    }
+
+    const keyData = keyDoc.data();
+    if (keyData.revoked || !this.isValidRole(keyData.role)) {
+      return null;
+    }
+
+    const identity = {
+      id: keyData.keyId,
+      name: keyData.name,
+      role: keyData.role,
+      type: 'api_key'
+    };
+
+    this.keyCache[keyHash] = { identity, cachedAt: Date.now() };
+
+    // Track usage without blocking the request
+    this.keysCollection.doc(keyHash)
+      .update({ lastUsedAt: new Date().toISOString() })
+      .catch(err => logger.warn('Failed to update API key usage:', err.message));
+
+    return identity;
+  }
+
+  /**
+   * Issue a new API key
+   * The plain key is only returned once and never stored
+   * @param {Object} keyData - Key information
+   * @param {string} keyData.name - Who/what the key belongs to (recorded as actor)
+   * @param {string} keyData.role - Role granted to the key
+   * @param {string} keyData.createdBy - Name of the admin issuing the key
+   * @returns {Promise<Object>} Key metadata including the plain key
+   */
+  async createKey(keyData) {
+    const { name, role, createdBy } = keyData;
+
+    if (!name) {
+      throw new Error('Key name is required');
+    }
+
+    if (!this.isValidRole(role)) {
+      throw new Error(`Invalid role: ${role}. Valid roles: ${ROLES.join(', ')}`);
+    }
+
+    const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const keyHash = this.hashKey(apiKey);
+
+    const record = {
+      keyId: keyHash.substring(0, 12),
+      name,
+      role,
+      prefix: apiKey.substring(0, KEY_PREFIX.length + 6),
+      revoked: false,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    await this.keysCollection.doc(keyHash).set(record);
+
+    logger.info(`API key created for ${name} (${role})`);
+
+    return {
+      id: record.keyId,
+      apiKey,
+      ...record
+    };
+  }
+
+  /**
+   * List issued API keys (hashes are shortened, plain keys are never available)
+   * @returns {Promise<Array>} Key metadata
+   */
+  async listKeys() {
+    const snapshot = await this.keysCollection.orderBy('createdAt', 'desc').get();
+
+    const keys = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      keys.push({
+        id: data.keyId,
+        ...data
+      });
+    });
+
+    return keys;
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - Short key ID as returned by listKeys/createKey
+   * @param {string} revokedBy - Name of the admin revoking the key
+   * @returns {Promise<boolean>} True if a key was revoked
+   */
+  async revokeKey(keyId, revokedBy) {
+    const snapshot = await this.keysCollection
+      .where('keyId', '==', keyId)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return false;
+    }
+
+    const keyDoc = snapshot.docs[0];
+
+    await keyDoc.ref.update({
+      revoked: true,
+      revokedBy,
+      revokedAt: new Date().toISOString()
+    });
+
+    delete this.keyCache[keyDoc.id];
+
+    logger.info(`API key revoked: ${keyId} by ${revokedBy}`);
+    return true;
+  }
+}
+
+module.exports = new AuthService();
@@ -274,6 +274,22 @@ class CloudinaryService {
     });
   }
 
+  /**
+   * Get a 9:16 story version of a 4:5 feed image
+   * The image is padded (not cropped) so the product stays fully visible,
+   * with a blurred copy of the image filling the background
+   * @param {string} publicId - Cloudinary public ID
+   * @returns {string} Story image URL (1080x1920)
+   */
+  getStoryUrl(publicId) {
+    return this.getTransformationUrl(publicId, {
+      transformation: [
+        { width: 1080, height: 1920, crop: 'pad', background: 'blurred:400:15' }
+      ],
+      format: 'jpg'
+    });
+  }
+
   /**
    * List media in a folder
    * @param {string} folder - Folder path
@@ -0,0 +1,878 @@
+/**
+ * Content Pipeline Service
+ * Single generation pipeline shared by the daily cron and the content generation jobs
+ * - Ordered, pluggable steps: reference → prompt → render → upload → caption → persist
+ * - Steps can be inserted or replaced (e.g. watermarking after render)
+ * - Hooks run before/after every step or a named step (e.g. caption moderation)
+ *
+ * Step outputs must be Firestore-serializable because background jobs checkpoint them;
+ * in-memory data (media buffers, trend data) goes in context.cache.
+ * In background jobs the render step doesn't wait for Midjourney: it submits the render and
+ * polls it on later worker runs (see pollRender).
+ */
+
+const { db } = require('../config/firebase');
+const aiEngine = require('./aiEngine');
+const midjourneyService = require('./midjourney.service');
+const cloudinaryService = require('./cloudinary.service');
+const referenceImagesService = require('./referenceImages.service');
+const trashService = require('./trash.service');
+const settingsService = require('./settings.service');
+const approvalService = require('./approval.service');
+const metaService = require('./meta.service');
+const learningService = require('./learning.service');
+const experimentsService = require('./experiments.service');
+const jobQueueService = require('./jobQueue.service');
+const logger = require('../utils/logger');
+const { generatePostId, createHttpError } = require('../utils/helpers');
+
+const DEFAULT_CTA = 'Get a free quote at doors22.com/price or call (305) 394-9922';
+
+const HOOK_TYPES = ['before', 'after', 'error'];
+
+// Instagram carousels hold 2-10 items
+const MIN_CAROUSEL_SLIDES = 2;
+const MAX_CAROUSEL_SLIDES = 10;
+
+// A job waiting on Midjourney checks the render again after this long (the job worker runs every minute)
+const RENDER_POLL_MS = 30 * 1000;
+
+class ContentPipeline {
+  constructor() {
+    this.steps = [
+      { name: 'reference', run: context => this.selectReference(context) },
+      { name: 'prompt', run: context => this.generatePrompt(context) },
+      { name: 'render', run: context => this.render(context) },
+      { name: 'upload', run: context => this.upload(context) },
+      { name: 'caption', run: context => this.generateCaption(context) },
+      { name: 'persist', run: context => this.persist(context) }
+    ];
+    this.hooks = [];
+  }
+
+  /**
+   * Get the current step names in order
+   * @returns {Array<string>} Step names
+   */
+  getStepNames() {
+    return this.steps.map(step => step.name);
+  }
+
+  /**
+   * Add a step to the pipeline
+   * @param {Object} step - Step as { name, run(context) } - run returns the step output
+   * @param {Object} position - Where to insert it
+   * @param {string} position.before - Insert before this step
+   * @param {string} position.after - Insert after this step (default: append)
+   */
+  addStep(step, { before, after } = {}) {
+    if (this.steps.some(s => s.name === step.name)) {
+      throw new Error(`Pipeline step already exists: ${step.name}`);
+    }
+
+    const anchor = before || after;
+    if (!anchor) {
+      this.steps.push(step);
+      return;
+    }
+
+    const index = this.getStepIndex(anchor);
+    this.steps.splice(before ? index : index + 1, 0, step);
+  }
+
+  /**
+   * Replace an existing step's implementation
+   * @param {string} name - Step name
+   * @param {Function} run - New step function (context) => output
+   */
+  replaceStep(name, run) {
+    this.steps[this.getStepIndex(name)] = { name, run };
+  }
+
+  /**
+   * Register a hook
+   * Events are 'before', 'after' and 'error', optionally scoped to a step ('after:caption').
+   * 'after' hooks may return a value to replace the step output; throwing from a
+   * 'before' or 'after' hook fails the step (e.g. moderation rejecting a caption).
+   * @param {string} event - Hook event
+   * @param {Function} fn - Hook ({ step, context, output, error }) => output|undefined
+   */
+  addHook(event, fn) {
+    const [type, step = null] = event.split(':');
+
+    if (!HOOK_TYPES.includes(type)) {
+      throw new Error(`Unknown pipeline hook: ${event}`);
+    }
+
+    if (step) {
+      this.getStepIndex(step);
+    }
+
+    this.hooks.push({ type, step, fn });
+  }
+
+  /**
+   * Run the whole pipeline in-process
+   * @param {Object} input - Generation input
+   * @param {string} input.category - Product category
+   * @param {string} input.type - 'image', 'video' or 'carousel' (optional, picked from the content mix)
+   * @param {Array<string>} input.variants - Carousel frame colors, one slide each (optional)
+   * @param {string} input.trendId - Trend to use (optional, defaults to the latest)
+   * @param {string} input.source - 'automated' or 'manual'
+   * @param {Object} cache - Preloaded in-memory data (e.g. { trendData: { id, ...trend } })
+   * @returns {Promise<Object>} Generation result
+   */
+  async run(input, cache = {}) {
+    const context = this.createContext(await this.resolveInput(input), { cache });
+
+    for (const step of this.steps) {
+      context.outputs[step.name] = await this.runStep(step, context);
+    }
+
+    return this.getResult(context);
+  }
+
+  /**
+   * Build a job queue handler that runs the pipeline steps with checkpointing
+   * @returns {Object} Handler for jobQueueService.run
+   */
+  getJobHandler() {
+    return {
+      steps: this.steps.map(step => ({
+        name: step.name,
+        run: context => this.runStep(step, context)
+      })),
+      getResult: context => this.getResult(context)
+    };
+  }
+
+  /**
+   * Fill in defaults for a generation request
+   * @param {Object} input - Generation input
+   * @returns {Promise<Object>} Input with category, type, variants, trendId, source, postId and
+   *   the content type decision (null when the type was requested)
+   */
+  async resolveInput(input) {
+    const contentTypeDecision = input.type ? null : await this.pickContentType(input.category);
+    const type = input.type || contentTypeDecision.arm;
+
+    return {
+      category: input.category,
+      type,
+      variants: type === 'carousel' ? this.resolveVariants(input.variants) : null,
+      trendId: input.trendId || null,
+      source: input.source || 'manual',
+      // Generated once so a retried upload reuses the same Cloudinary filenames
+      postId: input.postId || generatePostId(),
+      decisions: { contentType: contentTypeDecision }
+    };
+  }
+
+  /**
+   * Validate carousel variants (frame colors), defaulting to every frame color
+   * @param {Array<string>} variants - Requested frame colors
+   * @returns {Array<string>} Frame colors, one per slide
+   */
+  resolveVariants(variants) {
+    const frameColors = referenceImagesService.getFrameColors();
+
+    if (!variants) {
+      return frameColors;
+    }
+
+    if (!Array.isArray(variants) || variants.some(variant => !frameColors.includes(variant))) {
+      throw createHttpError(`Carousel variants must be frame colors: ${frameColors.join(', ')}`, 400);
+    }
+
+    if (variants.length < MIN_CAROUSEL_SLIDES || variants.length > MAX_CAROUSEL_SLIDES) {
+      throw createHttpError(`Carousels need ${MIN_CAROUSEL_SLIDES}-${MAX_CAROUSEL_SLIDES} variants`, 400);
+    }
+
+    return variants;
+  }
+
+  /**
+   * Pick image or video: the configured content mix weighted by past engagement
+   * @param {string} category - Product category
+   * @returns {Promise<Object>} Learning decision (arm is 'image' or 'video')
+   */
+  async pickContentType(category) {
+    const { contentMix } = await settingsService.getSettings();
+
+    const decision = await learningService.choose(category, 'contentType', ['image', 'video'], {
+      image: contentMix.images,
+      video: contentMix.videos
+    });
+
+    logger.info(`Content type selected: ${decision.arm} (content mix: ${contentMix.images}% images)`);
+
+    return decision;
+  }
+
+  /**
+   * Pick the reference image and keyword, weighted by past engagement
+   * The frame/glass combination is chosen first, then an image with it, then the keyword
+   * @param {string} category - Product category
+   * @returns {Promise<Object>} { imageData, decisions }
+   */
+  async pickReference(category) {
+    const candidates = (await referenceImagesService.getCandidateImages(category)).map(image => {
+      const { frame, glassType } = referenceImagesService.parseImageMetadata(image.publicId);
+      return { image, combo: `${frame}/${glassType}` };
+    });
+
+    // Combinations with more images were picked more often when choosing images at random
+    const comboCounts = {};
+    for (const { combo } of candidates) {
+      comboCounts[combo] = (comboCounts[combo] || 0) + 1;
+    }
+
+    const frameGlass = await learningService.choose(category, 'frameGlass', Object.keys(comboCounts), comboCounts);
+
+    const matching = candidates.filter(candidate => candidate.combo === frameGlass.arm);
+    const referenceImage = await learningService.choose(category, 'referenceImage', matching.map(({ image }) => image.publicId));
+    const image = matching.find(candidate => candidate.image.publicId === referenceImage.arm).image;
+
+    const keyword = await learningService.choose(category, 'keyword', referenceImagesService.getKeywords(category));
+
+    return {
+      imageData: referenceImagesService.buildImageData(category, image, keyword.arm),
+      decisions: { frameGlass, referenceImage, keyword }
+    };
+  }
+
+  /**
+   * Create a pipeline context
+   * @param {Object} input - Resolved input
+   * @param {Object} options - Context options
+   * @param {Object} options.cache - Preloaded in-memory data
+   * @returns {Object} Context
+   */
+  createContext(input, { cache = {} } = {}) {
+    return {
+      job: null,
+      input,
+      outputs: {},
+      cache
+    };
+  }
+
+  /**
+   * Run one step with its hooks
+   * @param {Object} step - Step
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<*>} Step output
+   */
+  async runStep(step, context) {
+    const hooks = this.hooks.filter(hook => !hook.step || hook.step === step.name);
+    logger.info(`Pipeline step: ${step.name}`);
+
+    try {
+      // A step continuing after a wait already ran its 'before' hooks
+      if (!context.progress) {
+        for (const hook of hooks.filter(h => h.type === 'before')) {
+          await hook.fn({ step: step.name, context });
+        }
+      }
+
+      let output = await step.run(context);
+
+      if (jobQueueService.isWaiting(output)) {
+        return output;
+      }
+
+      for (const hook of hooks.filter(h => h.type === 'after')) {
+        const replaced = await hook.fn({ step: step.name, context, output });
+        if (replaced !== undefined) output = replaced;
+      }
+
+      return output ?? null;
+    } catch (error) {
+      for (const hook of hooks.filter(h => h.type === 'error')) {
+        try {
+          await hook.fn({ step: step.name, context, error });
+        } catch (hookError) {
+          logger.error(`Pipeline error hook failed for ${step.name}:`, hookError.message);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the pipeline result from the step outputs
+   * @param {Object} context - Pipeline context
+   * @returns {Object} Result
+   */
+  getResult({ input, outputs }) {
+    return {
+      postId: outputs.persist?.postId || null,
+      status: outputs.persist?.status || null,
+      category: input.category,
+      type: input.type,
+      keyword: outputs.reference?.imageData?.keyword || null,
+      referenceImage: outputs.reference?.imageData?.publicId || null
+    };
+  }
+
+  // ===== DEFAULT STEPS =====
+
+  /**
+   * Step: pick a reference image for the category and the trend to use
+   * Carousels also get one reference image per frame color variant
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object>} Reference image data, variants, description, trend ID and the
+   *   learning record (choices and their weights)
+   */
+  async selectReference({ input, cache }) {
+    logger.info(`Selecting reference image for ${input.category}...`);
+    const { imageData, decisions } = await this.pickReference(input.category);
+    logger.info(`Selected: ${imageData.publicId}`);
+    logger.info(`Reference URL: ${imageData.url}`);
+
+    let variants = null;
+    let description = this.buildDescription(imageData);
+
+    if (input.type === 'carousel') {
+      variants = [];
+      for (const frame of input.variants) {
+        const variantImage = await referenceImagesService.getRandomImage(input.category, { frame });
+        logger.info(`Variant ${frame}: ${variantImage.publicId}`);
+        variants.push({ frame, imageData: this.pickImageFields(variantImage) });
+      }
+
+      // The frame color varies per slide, so the shared prompt leaves it out
+      description = `${this.buildDescription({ ...imageData, frame: null })}, shown in ${input.variants.join(', ')} frames`;
+    }
+
+    logger.info(`Description: ${description}`);
+
+    // The daily cron preloads the latest trend once for all categories
+    if (cache.trendData === undefined) {
+      cache.trendData = await this.findTrend(input.trendId);
+    }
+
+    const learning = await learningService.buildRecord({
+      ...input.decisions,
+      ...decisions,
+      postingHour: await learningService.choosePostingHour(input.category)
+    });
+
+    return {
+      imageData: this.pickImageFields(imageData),
+      variants,
+      description,
+      trendId: cache.trendData?.id || null,
+      learning
+    };
+  }
+
+  /**
+   * Step: generate the Midjourney prompt from the reference image
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object>} Prompt and Midjourney parameters
+   */
+  async generatePrompt(context) {
+    const { imageData, description } = context.outputs.reference;
+
+    // Carousel slides are still images
+    const promptData = await aiEngine.generateMidjourneyPrompt({
+      type: context.input.type === 'carousel' ? 'image' : context.input.type,
+      category: context.input.category,
+      keyword: imageData.keyword,
+      referenceUrl: imageData.url,
+      description,
+      trendData: await this.getTrendData(context)
+    });
+    logger.info(`Prompt: ${promptData.prompt}`);
+
+    return {
+      prompt: promptData.prompt,
+      parameters: promptData.parameters || {}
+    };
+  }
+
+  /**
+   * Step: generate the image or video with Midjourney (includes upscaling)
+   * Format: "{referenceUrl} {prompt} --iw 2 --ar 4:5 --v 6"
+   * Background jobs submit the render and poll it instead of waiting (see pollRender)
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object>} Rendered media URL and prompt (buffer in context.cache)
+   */
+  async render(context) {
+    const { type } = context.input;
+
+    if (context.job) {
+      return this.pollRender(context);
+    }
+
+    if (type === 'carousel') {
+      return this.renderCarousel(context);
+    }
+
+    const [promptData] = this.buildRenderRequests(context);
+
+    let generationResult;
+    if (type === 'video') {
+      // Video generation workflow: imagine → upscale → animate → select
+      logger.info('Using video generation workflow (imagine → upscale → animate → select)...');
+      generationResult = await midjourneyService.generateVideo(promptData);
+    } else {
+      // Image generation workflow: imagine → upscale
+      generationResult = await midjourneyService.generate(promptData);
+    }
+
+    const fileSizeMB = generationResult.fileSize ? (generationResult.fileSize / 1024 / 1024).toFixed(2) : 'unknown';
+    logger.info(`${type} generated successfully (${fileSizeMB} MB)`);
+
+    context.cache.mediaBuffer = generationResult.mediaBuffer;
+
+    return {
+      mediaUrl: generationResult.mediaUrl,
+      prompt: generationResult.prompt,
+      requestId: generationResult.requestId || null,
+      fileSize: generationResult.fileSize || null,
+      mock: generationResult.mock || false
+    };
+  }
+
+  /**
+   * Render one image per carousel variant, each from its own frame color reference
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object>} Shared prompt and rendered slides (buffers in context.cache)
+   */
+  async renderCarousel(context) {
+    const { variants } = context.outputs.reference;
+    const { prompt } = context.outputs.prompt;
+    const requests = this.buildRenderRequests(context);
+
+    context.cache.mediaBuffers = [];
+    const slides = [];
+
+    for (const [index, variant] of variants.entries()) {
+      logger.info(`Rendering carousel slide ${index + 1}/${variants.length} (${variant.frame} frame)...`);
+
+      const generationResult = await midjourneyService.generate(requests[index]);
+
+      context.cache.mediaBuffers[index] = generationResult.mediaBuffer;
+
+      slides.push({
+        variant: variant.frame,
+        mediaUrl: generationResult.mediaUrl,
+        prompt: generationResult.prompt,
+        requestId: generationResult.requestId || null,
+        fileSize: generationResult.fileSize || null,
+        mock: generationResult.mock || false
+      });
+    }
+
+    logger.info(`Carousel rendered (${slides.length} slides)`);
+
+    return {
+      prompt,
+      slides
+    };
+  }
+
+  /**
+   * Render step for background jobs: submit to Midjourney, checkpoint the request and check it
+   * once per worker run, so no run waits minutes for Midjourney (serverless runs time out at 60s)
+   * Carousel slides are rendered one after another. Media is downloaded again by the upload step.
+   * @param {Object} context - Pipeline context (context.progress holds the renders so far)
+   * @returns {Promise<Object>} Same output as render once every render completed, otherwise a job wait
+   */
+  async pollRender(context) {
+    const requests = this.buildRenderRequests(context);
+    const renders = [...(context.progress?.renders || [])];
+    const last = renders.length - 1;
+
+    if (last >= 0 && renders[last].status !== 'completed') {
+      renders[last] = await midjourneyService.pollRender(renders[last]);
+    }
+
+    if (renders.length < requests.length && (last < 0 || renders[renders.length - 1].status === 'completed')) {
+      logger.info(`Submitting render ${renders.length + 1}/${requests.length} to Midjourney...`);
+      renders.push(await midjourneyService.startRender(requests[renders.length]));
+    }
+
+    if (renders.length < requests.length || renders.some(render => render.status !== 'completed')) {
+      return jobQueueService.wait({ renders }, RENDER_POLL_MS);
+    }
+
+    const toOutput = render => ({
+      mediaUrl: render.mediaUrl,
+      prompt: render.prompt,
+      requestId: render.requestId,
+      fileSize: null,
+      mock: false
+    });
+
+    if (context.input.type === 'carousel') {
+      const { variants } = context.outputs.reference;
+      logger.info(`Carousel rendered (${renders.length} slides)`);
+
+      return {
+        prompt: context.outputs.prompt.prompt,
+        slides: renders.map((render, index) => ({ variant: variants[index].frame, ...toOutput(render) }))
+      };
+    }
+
+    return toOutput(renders[0]);
+  }
+
+  /**
+   * Midjourney requests for the render step: one, or one per carousel slide
+   * @param {Object} context - Pipeline context
+   * @returns {Array<Object>} Prompt data for midjourneyService
+   */
+  buildRenderRequests({ input, outputs }) {
+    const { imageData, variants } = outputs.reference;
+    const { prompt, parameters } = outputs.prompt;
+
+    const renderParameters = {
+      ...parameters,
+      iw: 2  // High image weight for product accuracy
+    };
+
+    if (input.type === 'carousel') {
+      return variants.map(variant => ({
+        prompt: `${prompt}, ${variant.frame} aluminum frame`,
+        type: 'image',
+        referenceUrl: variant.imageData.url,
+        parameters: renderParameters
+      }));
+    }
+
+    return [{
+      prompt,
+      type: input.type,
+      referenceUrl: imageData.url,
+      parameters: renderParameters
+    }];
+  }
+
+  /**
+   * Step: upload the rendered media to Cloudinary
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object>} Upload result (carousels also list every slide, the first one is the cover)
+   */
+  async upload(context) {
+    const { type } = context.input;
+    const render = context.outputs.render;
+    // Jobs queued before the post ID was part of the input still get one here
+    const postId = context.input.postId || generatePostId();
+
+    if (type === 'carousel') {
+      const uploads = [];
+      for (const [index, slide] of render.slides.entries()) {
+        uploads.push(await this.uploadRendered(context.cache.mediaBuffers?.[index], slide.mediaUrl, {
+          type: 'image',
+          postId,
+          filename: `${postId}_${index + 1}`
+        }));
+      }
+
+      return {
+        postId,
+        ...uploads[0],
+        slides: uploads.map((uploaded, index) => ({ variant: render.slides[index].variant, ...uploaded }))
+      };
+    }
+
+    const uploaded = await this.uploadRendered(context.cache.mediaBuffer, render.mediaUrl, {
+      type,
+      postId,
+      filename: postId
+    });
+
+    return { postId, ...uploaded };
+  }
+
+  /**
+   * Upload one rendered file, downloading it from Midjourney when it is not in memory
+   * (a resumed job fetches the rendered media again rather than regenerating it)
+   * @param {Buffer} mediaBuffer - Rendered media (optional)
+   * @param {string} mediaUrl - Midjourney media URL
+   * @param {Object} options - Cloudinary upload options (type, postId, filename)
+   * @returns {Promise<Object>} Uploaded media fields
+   */
+  async uploadRendered(mediaBuffer, mediaUrl, options) {
+    const buffer = mediaBuffer || await midjourneyService.downloadMedia(mediaUrl, options.type);
+
+    logger.info(`Uploading to Cloudinary (${options.filename})...`);
+    const uploadResult = await cloudinaryService.uploadMedia(buffer, options);
+    logger.info(`Uploaded to: ${uploadResult.url}`);
+
+    return {
+      url: uploadResult.url,
+      thumbnailUrl: uploadResult.thumbnailUrl || uploadResult.url,
+      publicId: uploadResult.publicId,
+      format: uploadResult.format || null,
+      fileSize: uploadResult.fileSize || null,
+      width: uploadResult.width || null,
+      height: uploadResult.height || null,
+      duration: uploadResult.duration || null
+    };
+  }
+
+  /**
+   * Step: generate the caption (falls back to a template if the AI call fails)
+   * While a caption experiment covers the post, one caption per variant is generated
+   * and the post gets the variant assigned to it
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object>} Caption, hashtags, full post text, CTA, per-platform captions
+   *   and the experiment assignment (null when no experiment applies)
+   */
+  async generateCaption(context) {
+    const { imageData, description } = context.outputs.reference;
+
+    const captionInput = {
+      type: context.input.type,
+      category: context.input.category,
+      keyword: imageData.keyword,
+      description,
+      trendData: await this.getTrendData(context)
+    };
+
+    let captionData;
+    let experiment = null;
+    try {
+      const activeExperiment = await experimentsService.getActiveExperiment(context.input);
+
+      if (activeExperiment) {
+        const { variants } = await aiEngine.generateCaption({
+          ...captionInput,
+          strategies: activeExperiment.variants.map(variant => variant.strategy)
+        });
+
+        experiment = experimentsService.assignVariant(activeExperiment, variants.map(variant => variant.strategy));
+        captionData = variants.find(variant => variant.strategy === experiment.variant);
+      } else {
+        captionData = await aiEngine.generateCaption(captionInput);
+      }
+    } catch (error) {
+      logger.error('Error generating caption, using fallback:', error.message);
+      // The fallback caption is not one of the experiment's variants
+      experiment = null;
+      captionData = {
+        caption: `Transform your space with our ${imageData.keyword}. Modern design meets functionality.`,
+        hashtags: ['#Doors22', '#GlassDoors', '#ModernDesign', '#InteriorDesign'],
+        cta: DEFAULT_CTA
+      };
+    }
+
+    // Ensure caption includes keyword
+    let finalCaption = captionData.caption || captionData.text;
+    if (!finalCaption.toLowerCase().includes(imageData.keyword.toLowerCase())) {
+      logger.warn('Caption missing keyword, prepending...');
+      finalCaption = `${imageData.keyword.charAt(0).toUpperCase() + imageData.keyword.slice(1)} - ${finalCaption}`;
+    }
+    logger.info(`Caption: ${finalCaption.substring(0, 60)}...`);
+
+    const hashtags = captionData.hashtags || [];
+
+    return {
+      caption: finalCaption,
+      hashtags,
+      fullPost: captionData.fullPost || `${finalCaption}\n\n${hashtags.join(' ')}`,
+      cta: captionData.cta || DEFAULT_CTA,
+      captions: aiEngine.buildPlatformCaptions({ ...captionData, caption: finalCaption }, imageData.keyword),
+      experiment
+    };
+  }
+
+  /**
+   * Step: store the post with PENDING status (auto-approved if enabled in settings)
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object>} Post document ID and status
+   */
+  async persist(context) {
+    const { job } = context;
+
+    // A job that crashed between saving the post and checkpointing this step must not create a duplicate
+    if (job) {
+      const existing = await db.collection('posts')
+        .where('jobId', '==', job.id)
+        .limit(1)
+        .get();
+
+      if (!existing.empty) {
+        logger.info(`Post for job ${job.id} already saved: ${existing.docs[0].id}`);
+        return { postId: existing.docs[0].id, status: existing.docs[0].data().status };
+      }
+    }
+
+    const postData = this.buildPostData(context);
+
+    const docRef = await db.collection('posts').add(postData);
+    logger.info(`Post created: ${docRef.id} (status: pending)`);
+
+    // Auto-approve if enabled in settings (scheduled for the configured posting time)
+    let status = 'pending';
+    const { autoApproval } = await settingsService.getSettings();
+    if (autoApproval) {
+      await approvalService.autoApprovePost(docRef.id);
+      status = 'approved';
+    }
+
+    return { postId: docRef.id, status };
+  }
+
+  /**
+   * Build the post document from the step outputs
+   * @param {Object} context - Pipeline context
+   * @returns {Object} Post data
+   */
+  buildPostData({ job, input, outputs }) {
+    const { imageData } = outputs.reference;
+    const upload = outputs.upload;
+    const caption = outputs.caption;
+    const now = new Date().toISOString();
+
+    const productDetails = {
+      frame: imageData.frame,
+      glassType: imageData.glassType,
+      panels: imageData.panels
+    };
+
+    return {
+      postId: upload.postId,
+      date: now.split('T')[0],
+      type: input.type,
+      category: input.category,
+      keyword: imageData.keyword,
+      displayName: imageData.displayName,
+      mediaUrl: upload.url,
+      thumbnailUrl: upload.thumbnailUrl,
+      cloudinaryPublicId: upload.publicId,
+      referenceImage: {
+        url: imageData.url,
+        publicId: imageData.publicId,
+        ...productDetails
+      },
+      midjourneyPrompt: outputs.render.prompt,
+      productDetails,
+      caption: caption.caption,
+      hashtags: caption.hashtags,
+      fullPost: caption.fullPost,
+      cta: caption.cta,
+      captions: caption.captions,
+      targets: metaService.getPlatforms(),
+      generatedAt: now,
+      createdAt: now,
+      status: 'pending',
+      media: upload.slides ? upload.slides.map(slide => ({
+        variant: slide.variant,
+        url: slide.url,
+        thumbnailUrl: slide.thumbnailUrl,
+        cloudinaryPublicId: slide.publicId,
+        format: slide.format,
+        fileSize: slide.fileSize,
+        width: slide.width,
+        height: slide.height
+      })) : null,
+      aspectRatio: input.type === 'video' ? '9:16' : '4:5',
+      format: upload.format,
+      fileSize: upload.fileSize,
+      width: upload.width,
+      height: upload.height,
+      duration: upload.duration,
+      approvalHistory: [],
+      editHistory: [],
+      scheduledPostTime: null,
+      source: input.source,
+      trendId: outputs.reference.trendId,
+      learning: outputs.reference.learning || null,
+      experiment: caption.experiment || null,
+      jobId: job?.id || null
+    };
+  }
+
+  // ===== HELPERS =====
+
+  /**
+   * Find the trend to generate content from
+   * @param {string} trendId - Requested trend ID (optional)
+   * @returns {Promise<Object|null>} Trend as { id, ...data } or null
+   */
+  async findTrend(trendId) {
+    if (trendId) {
+      const trendDoc = await db.collection('trends').doc(trendId).get();
+      return trendDoc.exists ? { id: trendDoc.id, ...trendDoc.data() } : null;
+    }
+
+    // Latest trend, skipping trashed ones
+    const [latest] = await trashService.listActive(db.collection('trends').orderBy('date', 'desc'), { limit: 1 });
+    return latest || null;
+  }
+
+  /**
+   * Get the trend data chosen by the reference step (reloaded when a job resumes)
+   * @param {Object} context - Pipeline context
+   * @returns {Promise<Object|undefined>} Trend data
+   */
+  async getTrendData(context) {
+    const { trendId } = context.outputs.reference;
+
+    if (context.cache.trendData === undefined) {
+      context.cache.trendData = trendId ? await this.findTrend(trendId) : null;
+    }
+
+    return context.cache.trendData || undefined;
+  }
+
+  /**
+   * Keep the serializable reference image fields
+   * @param {Object} imageData - Image data from reference service
+   * @returns {Object} Reference image fields
+   */
+  pickImageFields(imageData) {
+    return {
+      url: imageData.url,
+      publicId: imageData.publicId,
+      keyword: imageData.keyword,
+      displayName: imageData.displayName,
+      frame: imageData.frame || null,
+      glassType: imageData.glassType || null,
+      panels: imageData.panels || null
+    };
+  }
+
+  /**
+   * Build a description string from image metadata
+   * @param {Object} imageData - Image data from reference service
+   * @returns {string} Description for AI
+   */
+  buildDescription(imageData) {
+    const parts = [imageData.keyword];
+
+    if (imageData.frame) {
+      parts.push(`with ${imageData.frame} aluminum frame`);
+    }
+
+    if (imageData.glassType) {
+      parts.push(`${imageData.frame ? 'and' : 'with'} ${imageData.glassType} glass`);
+    }
+
+    if (imageData.panels) {
+      parts.push(`(${imageData.panels} panel configuration)`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Find a step's position
+   * @param {string} name - Step name
+   * @returns {number} Index
+   */
+  getStepIndex(name) {
+    const index = this.steps.findIndex(step => step.name === name);
+    if (index === -1) {
+      throw new Error(`Unknown pipeline step: ${name}`);
+    }
+    return index;
+  }
+}
+
+module.exports = new ContentPipeline();
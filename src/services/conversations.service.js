@@ -0,0 +1,277 @@
+/**
+ * Conversations Service
+ * Threads of DMs and comment replies per user and platform (conversations collection)
+ * - One conversation per platform + user id; every inbound message and every reply is a turn
+ *   in its messages subcollection (turn id = interaction id, so webhook retries don't duplicate)
+ * - Recent turns are passed into the auto-reply prompt so follow-ups get a real answer
+ * - Repeat detection stops the same boilerplate being sent again within the cooldown window
+ */
+
+const { db, admin } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const DEFAULT_HISTORY_TURNS = 10;
+const MAX_THREAD_TURNS = 500;
+
+// Word overlap above which two replies count as the same boilerplate
+const REPEAT_SIMILARITY = 0.8;
+
+class ConversationsService {
+  constructor() {
+    this.conversationsCollection = db.collection('conversations');
+  }
+
+  /**
+   * Conversation id for a user on a platform
+   * @param {string} platform - instagram | facebook
+   * @param {string} userId - Platform user id
+   * @returns {string|null} Conversation id (null when the sender is unknown)
+   */
+  getConversationId(platform, userId) {
+    if (!platform || !userId) {
+      return null;
+    }
+
+    return `${platform}_${userId}`;
+  }
+
+  /**
+   * Add an incoming comment/DM to the sender's conversation, creating it on first contact
+   * @param {string} interactionId - Interaction document id
+   * @param {Object} interaction - Interaction data (platform, type, user, userMessage, postId, category, timestamp)
+   * @returns {Promise<string|null>} Conversation id (null when the sender is unknown)
+   */
+  async recordIncoming(interactionId, interaction) {
+    const conversationId = this.getConversationId(interaction.platform, interaction.user?.id);
+    if (!conversationId) {
+      return null;
+    }
+
+    const { FieldValue } = admin.firestore;
+    const conversationRef = this.conversationsCollection.doc(conversationId);
+    const timestamp = interaction.timestamp || new Date().toISOString();
+
+    const turnRef = conversationRef.collection('messages').doc(interactionId);
+    const [conversationDoc, turnDoc] = await Promise.all([conversationRef.get(), turnRef.get()]);
+
+    await turnRef.set({
+      direction: 'inbound',
+      type: interaction.type,
+      text: interaction.userMessage || '',
+      interactionId,
+      postId: interaction.postId || null,
+      category: interaction.category || null,
+      timestamp
+    });
+
+    const update = {
+      platform: interaction.platform,
+      user: {
+        id: interaction.user.id,
+        username: interaction.user.username || null,
+        name: interaction.user.name || null
+      },
+      lastMessageAt: timestamp,
+      lastInboundAt: timestamp,
+      lastMessagePreview: (interaction.userMessage || '').slice(0, 140),
+      updatedAt: new Date().toISOString()
+    };
+
+    if (!conversationDoc.exists) {
+      update.createdAt = timestamp;
+    }
+
+    if (!turnDoc.exists) {
+      update.messageCount = FieldValue.increment(1);
+    }
+
+    await conversationRef.set(update, { merge: true });
+
+    return conversationId;
+  }
+
+  /**
+   * Add a sent reply to the conversation
+   * @param {string} conversationId - Conversation id
+   * @param {Object} reply - Reply details
+   * @param {string} reply.interactionId - Interaction that was answered
+   * @param {string} reply.type - comment | dm
+   * @param {string} reply.text - Reply text
+   * @param {string} reply.sentBy - 'auto_reply' or the actor name
+   * @param {string} reply.replyId - Platform id of the reply (optional)
+   * @returns {Promise<void>}
+   */
+  async recordReply(conversationId, reply) {
+    if (!conversationId) {
+      return;
+    }
+
+    const { FieldValue } = admin.firestore;
+    const conversationRef = this.conversationsCollection.doc(conversationId);
+    const timestamp = new Date().toISOString();
+
+    await conversationRef.collection('messages').doc(`${reply.interactionId}_reply`).set({
+      direction: 'outbound',
+      type: reply.type,
+      text: reply.text,
+      interactionId: reply.interactionId,
+      sentBy: reply.sentBy,
+      replyId: reply.replyId || null,
+      timestamp
+    });
+
+    const update = {
+      lastMessageAt: timestamp,
+      lastReplyAt: timestamp,
+      lastMessagePreview: reply.text.slice(0, 140),
+      messageCount: FieldValue.increment(1),
+      updatedAt: timestamp
+    };
+
+    if (reply.sentBy === 'auto_reply') {
+      update.lastAutoReplyAt = timestamp;
+    }
+
+    await conversationRef.update(update);
+  }
+
+  /**
+   * Most recent turns of a conversation, oldest first
+   * @param {string} conversationId - Conversation id
+   * @param {Object} options - Options
+   * @param {number} options.limit - Turns to return (default 10)
+   * @param {string} options.before - Only turns before this ISO time, e.g. the message being answered (optional)
+   * @returns {Promise<Array<Object>>} Turns ({ direction, type, text, timestamp, ... })
+   */
+  async getRecentTurns(conversationId, options = {}) {
+    const { limit = DEFAULT_HISTORY_TURNS, before = null } = options;
+
+    if (!conversationId) {
+      return [];
+    }
+
+    let query = this.conversationsCollection.doc(conversationId).collection('messages');
+
+    if (before) {
+      query = query.where('timestamp', '<', before);
+    }
+
+    const snapshot = await query
+      .orderBy('timestamp', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .reverse();
+  }
+
+  /**
+   * Get a conversation with its full thread
+   * @param {string} conversationId - Conversation id
+   * @returns {Promise<Object|null>} Conversation with messages (oldest first), or null
+   */
+  async getConversation(conversationId) {
+    const conversationRef = this.conversationsCollection.doc(conversationId);
+    const conversationDoc = await conversationRef.get();
+
+    if (!conversationDoc.exists) {
+      return null;
+    }
+
+    const snapshot = await conversationRef.collection('messages')
+      .orderBy('timestamp', 'asc')
+      .limit(MAX_THREAD_TURNS)
+      .get();
+
+    return {
+      id: conversationDoc.id,
+      ...conversationDoc.data(),
+      messages: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    };
+  }
+
+  /**
+   * Find an earlier reply in the turns that says the same thing as this one within the cooldown
+   * @param {Array<Object>} turns - Recent turns (from getRecentTurns)
+   * @param {string} text - Reply about to be sent
+   * @param {number} cooldownHours - Window to look back over (0 disables the check)
+   * @returns {Object|null} The earlier reply turn, or null
+   */
+  findRepeatedReply(turns, text, cooldownHours) {
+    if (!cooldownHours || !text) {
+      return null;
+    }
+
+    const since = Date.now() - cooldownHours * 60 * 60 * 1000;
+    const words = this.getWords(text);
+
+    return turns.find(turn =>
+      turn.direction === 'outbound' &&
+      new Date(turn.timestamp).getTime() >= since &&
+      this.getSimilarity(words, this.getWords(turn.text)) >= REPEAT_SIMILARITY
+    ) || null;
+  }
+
+  /**
+   * Whether the quote link was already sent in these turns
+   * @param {Array<Object>} turns - Recent turns
+   * @returns {boolean}
+   */
+  hasSharedQuoteLink(turns) {
+    return turns.some(turn => turn.direction === 'outbound' && (turn.text || '').includes('doors22.com/price'));
+  }
+
+  /**
+   * Words of a reply with links, phone numbers and punctuation stripped
+   * @param {string} text - Reply text
+   * @returns {Set<string>}
+   */
+  getWords(text) {
+    const cleaned = (text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ');
+
+    return new Set(cleaned.split(/\s+/).filter(Boolean));
+  }
+
+  /**
+   * Jaccard similarity of two word sets
+   * @param {Set<string>} a
+   * @param {Set<string>} b
+   * @returns {number} 0..1
+   */
+  getSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) {
+      return 1;
+    }
+
+    let shared = 0;
+    a.forEach(word => {
+      if (b.has(word)) {
+        shared++;
+      }
+    });
+
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Record an incoming message without failing the caller (webhooks must still store the interaction)
+   * @param {string} interactionId - Interaction document id
+   * @param {Object} interaction - Interaction data
+   * @returns {Promise<string|null>} Conversation id, or null
+   */
+  async safeRecordIncoming(interactionId, interaction) {
+    try {
+      return await this.recordIncoming(interactionId, interaction);
+    } catch (error) {
+      logger.error(`Failed to add ${interactionId} to its conversation:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new ConversationsService();
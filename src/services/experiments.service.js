@@ -0,0 +1,657 @@
+/**
+ * Experiments Service
+ * Caption A/B experiments (experiments collection)
+ * - An experiment lists caption strategies (variants) and which categories/content types it covers
+ * - While it runs, content generation writes one caption per strategy and assigns one to each post
+ * - Results compare engagement per variant once metrics are in, with a significance estimate
+ */
+
+const { db } = require('../config/firebase');
+const aiEngine = require('./aiEngine');
+const metricsService = require('./metrics.service');
+const referenceImagesService = require('./referenceImages.service');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const STATUSES = ['draft', 'running', 'stopped'];
+
+// Allowed status changes
+const TRANSITIONS = {
+  draft: ['running'],
+  running: ['stopped'],
+  stopped: []
+};
+
+const CONTENT_TYPES = ['image', 'video', 'carousel'];
+
+// Fields that can only change while the experiment is a draft (they define what is being compared)
+const DRAFT_ONLY_FIELDS = ['variants', 'categories', 'types', 'metricWindow', 'minPostsPerVariant'];
+
+const EDITABLE_FIELDS = ['name', 'description', 'status', ...DRAFT_ONLY_FIELDS];
+
+const MIN_VARIANTS = 2;
+const DEFAULT_MIN_POSTS_PER_VARIANT = 5;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+class ExperimentsService {
+  constructor() {
+    this.experimentsCollection = db.collection('experiments');
+    this.postsCollection = db.collection('posts');
+    this.metricsCollection = db.collection('post_metrics');
+  }
+
+  /**
+   * Create an experiment (as a draft)
+   * @param {Object} data - Experiment definition
+   * @param {string} data.name - Name
+   * @param {string} data.description - What is being tested (optional)
+   * @param {Array<Object>} data.variants - { strategy, weight } (weight defaults to 1)
+   * @param {Array<string>} data.categories - Categories it applies to (empty: all)
+   * @param {Array<string>} data.types - Content types it applies to (empty: all)
+   * @param {string} data.metricWindow - Metrics snapshot compared (default 24h)
+   * @param {number} data.minPostsPerVariant - Measured posts each variant needs before results count
+   * @param {string} createdBy - Actor name
+   * @returns {Promise<Object>} Created experiment
+   */
+  async createExperiment(data, createdBy) {
+    const errors = this.validate(data || {}, { requireAll: true });
+    if (errors.length > 0) {
+      throw createHttpError('Invalid experiment', 400, errors);
+    }
+
+    const now = new Date().toISOString();
+
+    const experiment = {
+      name: data.name.trim(),
+      description: data.description || null,
+      status: 'draft',
+      variants: this.normalizeVariants(data.variants),
+      categories: data.categories || [],
+      types: data.types || [],
+      metricWindow: data.metricWindow || '24h',
+      minPostsPerVariant: data.minPostsPerVariant || DEFAULT_MIN_POSTS_PER_VARIANT,
+      createdBy,
+      createdAt: now,
+      updatedBy: createdBy,
+      updatedAt: now,
+      startedAt: null,
+      stoppedAt: null
+    };
+
+    const docRef = await this.experimentsCollection.add(experiment);
+
+    logger.info(`Experiment created: ${docRef.id} (${experiment.name})`);
+
+    return { id: docRef.id, ...experiment };
+  }
+
+  /**
+   * List experiments, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - draft, running or stopped
+   * @param {number} filters.limit - Max results
+   * @returns {Promise<Array>} Experiments
+   */
+  async listExperiments({ status, limit = 50 } = {}) {
+    let query = this.experimentsCollection;
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Get an experiment by ID
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object|null>} Experiment or null if missing
+   */
+  async getExperiment(experimentId) {
+    const doc = await this.experimentsCollection.doc(experimentId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Update an experiment
+   * Starting it checks that no other running experiment covers the same categories and types
+   * @param {string} experimentId - Experiment ID
+   * @param {Object} patch - Fields to change (name, description, status; the definition only while draft)
+   * @param {string} updatedBy - Actor name
+   * @returns {Promise<Object>} Updated experiment
+   */
+  async updateExperiment(experimentId, patch, updatedBy) {
+    const experiment = await this.getExperiment(experimentId);
+
+    if (!experiment) {
+      throw createHttpError(`Experiment not found: ${experimentId}`, 404);
+    }
+
+    const errors = this.validate(patch || {}, { requireAll: false });
+
+    if (experiment.status !== 'draft') {
+      for (const field of DRAFT_ONLY_FIELDS.filter(f => patch[f] !== undefined)) {
+        errors.push({ field, message: `Cannot change once the experiment has started (status: ${experiment.status})` });
+      }
+    }
+
+    if (patch.status && patch.status !== experiment.status && !TRANSITIONS[experiment.status].includes(patch.status)) {
+      errors.push({ field: 'status', message: `Cannot go from ${experiment.status} to ${patch.status}` });
+    }
+
+    if (errors.length > 0) {
+      throw createHttpError('Invalid experiment update', 400, errors);
+    }
+
+    const now = new Date().toISOString();
+    const updateData = {
+      ...Object.fromEntries(EDITABLE_FIELDS.filter(f => patch[f] !== undefined).map(f => [f, patch[f]])),
+      updatedBy,
+      updatedAt: now
+    };
+
+    if (patch.name) {
+      updateData.name = patch.name.trim();
+    }
+
+    if (patch.variants) {
+      updateData.variants = this.normalizeVariants(patch.variants);
+    }
+
+    if (patch.status === 'running' && experiment.status !== 'running') {
+      const conflict = await this.findOverlapping({ ...experiment, ...updateData });
+      if (conflict) {
+        throw createHttpError(`Experiment "${conflict.name}" is already running for the same categories and content types`, 409, {
+          experimentId: conflict.id
+        });
+      }
+      updateData.startedAt = now;
+    }
+
+    if (patch.status === 'stopped' && experiment.status !== 'stopped') {
+      updateData.stoppedAt = now;
+    }
+
+    await this.experimentsCollection.doc(experimentId).update(updateData);
+
+    logger.info(`Experiment ${experimentId} updated by ${updatedBy}${patch.status ? ` (status: ${patch.status})` : ''}`);
+
+    return { ...experiment, ...updateData };
+  }
+
+  /**
+   * Get the running experiment for a piece of content
+   * @param {Object} content - Content being generated
+   * @param {string} content.category - Product category
+   * @param {string} content.type - Content type
+   * @returns {Promise<Object|null>} Experiment or null if none applies
+   */
+  async getActiveExperiment({ category, type }) {
+    const snapshot = await this.experimentsCollection
+      .where('status', '==', 'running')
+      .get();
+
+    const experiment = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .find(candidate => this.appliesTo(candidate, { category, type }));
+
+    return experiment || null;
+  }
+
+  /**
+   * Assign a variant to a post, at random in proportion to the variant weights
+   * @param {Object} experiment - Experiment
+   * @param {Array<string>} available - Strategies a caption was generated for
+   * @returns {Object|null} Assignment stored on the post, or null if no variant is available
+   */
+  assignVariant(experiment, available) {
+    const variants = experiment.variants.filter(variant => available.includes(variant.strategy));
+
+    if (variants.length === 0) {
+      return null;
+    }
+
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let random = Math.random() * total;
+    let chosen = variants[variants.length - 1];
+
+    for (const variant of variants) {
+      random -= variant.weight;
+      if (random < 0) {
+        chosen = variant;
+        break;
+      }
+    }
+
+    logger.info(`Experiment ${experiment.id}: assigned variant ${chosen.strategy}`);
+
+    return {
+      id: experiment.id,
+      name: experiment.name,
+      variant: chosen.strategy,
+      generatedVariants: available,
+      assignedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Compare engagement per variant
+   * Uses each post's snapshot for the experiment's metric window. Posts whose caption was edited
+   * after generation are left out, since they no longer show the assigned variant.
+   * Significance: Welch's t-test of each variant against the first (control) variant on the
+   * per-post engagement rates, since the post (not the account reached) is what gets a variant
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object>} Results
+   */
+  async getResults(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+
+    if (!experiment) {
+      throw createHttpError(`Experiment not found: ${experimentId}`, 404);
+    }
+
+    const postsSnapshot = await this.postsCollection
+      .where('experiment.id', '==', experimentId)
+      .get();
+
+    const posts = postsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const snapshots = await this.getSnapshots(posts, experiment.metricWindow);
+
+    const variants = experiment.variants.map(({ strategy, weight }) => {
+      const assigned = posts.filter(post => post.experiment.variant === strategy);
+      const edited = assigned.filter(post => this.isCaptionEdited(post));
+      const measured = assigned
+        .filter(post => !this.isCaptionEdited(post))
+        .map(post => snapshots.get(post.id))
+        .filter(snapshot => snapshot && typeof snapshot.totals?.reach === 'number');
+
+      const reach = measured.reduce((sum, snapshot) => sum + snapshot.totals.reach, 0);
+      const engagement = measured.reduce((sum, snapshot) => sum + (snapshot.totals.engagement || 0), 0);
+      const postRates = measured
+        .filter(snapshot => snapshot.totals.reach > 0)
+        .map(snapshot => (snapshot.totals.engagement || 0) / snapshot.totals.reach);
+
+      return {
+        strategy,
+        weight,
+        posts: assigned.length,
+        posted: assigned.filter(post => post.status === 'posted').length,
+        excludedEdited: edited.length,
+        measuredPosts: measured.length,
+        reach,
+        engagement,
+        engagementRate: metricsService.getEngagementRate(engagement, reach),
+        meanPostEngagementRate: postRates.length > 0 ? this.round(this.mean(postRates), 4) : null,
+        postRates
+      };
+    });
+
+    const [control, ...challengers] = variants;
+    const minPosts = experiment.minPostsPerVariant;
+
+    control.control = true;
+    for (const variant of challengers) {
+      Object.assign(variant, this.compare(control, variant, minPosts));
+    }
+
+    const enoughData = variants.every(variant => variant.measuredPosts >= minPosts);
+    const significant = challengers.filter(variant => variant.significant);
+
+    for (const variant of variants) {
+      delete variant.postRates;
+    }
+
+    return {
+      experiment,
+      metricWindow: experiment.metricWindow,
+      minPostsPerVariant: minPosts,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      method: "Welch's t-test against the control (first) variant on per-post engagement rates",
+      status: !enoughData ? 'collecting' : (significant.length > 0 ? 'significant' : 'inconclusive'),
+      winner: enoughData ? this.getWinner(control, challengers) : null,
+      variants,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Compare a variant with the control
+   * @param {Object} control - Control variant (with postRates)
+   * @param {Object} variant - Variant (with postRates)
+   * @param {number} minPosts - Measured posts both need
+   * @returns {Object} { lift, tStatistic, degreesOfFreedom, pValue, significant }
+   */
+  compare(control, variant, minPosts) {
+    const a = control.postRates;
+    const b = variant.postRates;
+
+    const lift = a.length > 0 && b.length > 0 && this.mean(a) > 0
+      ? this.round(this.mean(b) / this.mean(a) - 1, 4)
+      : null;
+
+    if (a.length < 2 || b.length < 2) {
+      return { lift, tStatistic: null, degreesOfFreedom: null, pValue: null, significant: false };
+    }
+
+    const errorA = this.variance(a) / a.length;
+    const errorB = this.variance(b) / b.length;
+    const standardError = Math.sqrt(errorA + errorB);
+
+    // Every post of both variants had the same rate - nothing to test
+    if (!standardError) {
+      return { lift, tStatistic: null, degreesOfFreedom: null, pValue: null, significant: false };
+    }
+
+    const tStatistic = (this.mean(b) - this.mean(a)) / standardError;
+    const degreesOfFreedom = (errorA + errorB) ** 2
+      / (errorA ** 2 / (a.length - 1) + errorB ** 2 / (b.length - 1));
+    const pValue = this.studentTPValue(tStatistic, degreesOfFreedom);
+
+    return {
+      lift,
+      tStatistic: this.round(tStatistic, 3),
+      degreesOfFreedom: this.round(degreesOfFreedom, 1),
+      pValue: this.round(pValue, 4),
+      significant: pValue < SIGNIFICANCE_LEVEL
+        && control.measuredPosts >= minPosts
+        && variant.measuredPosts >= minPosts
+    };
+  }
+
+  /**
+   * Pick the winner: the best variant that beat the control significantly,
+   * or the control when every other variant did significantly worse
+   * @param {Object} control - Control variant
+   * @param {Array<Object>} challengers - Other variants (with comparison results)
+   * @returns {string|null} Winning strategy
+   */
+  getWinner(control, challengers) {
+    const better = challengers
+      .filter(variant => variant.significant && variant.lift > 0)
+      .sort((a, b) => b.meanPostEngagementRate - a.meanPostEngagementRate);
+
+    if (better.length > 0) {
+      return better[0].strategy;
+    }
+
+    if (challengers.length > 0 && challengers.every(variant => variant.significant && variant.lift < 0)) {
+      return control.strategy;
+    }
+
+    return null;
+  }
+
+  /**
+   * Two-sided p-value of a t statistic: I_x(df/2, 1/2) with x = df / (df + t^2)
+   * @param {number} t - T statistic
+   * @param {number} df - Degrees of freedom
+   * @returns {number} P(|T| >= |t|)
+   */
+  studentTPValue(t, df) {
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b) (continued fraction, Numerical Recipes 6.4)
+   * @param {number} x - Upper limit (0..1)
+   * @param {number} a - Shape a
+   * @param {number} b - Shape b
+   * @returns {number} I_x(a, b)
+   */
+  incompleteBeta(x, a, b) {
+    if (x <= 0) {
+      return 0;
+    }
+    if (x >= 1) {
+      return 1;
+    }
+
+    const front = Math.exp(this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b)
+      + a * Math.log(x) + b * Math.log(1 - x));
+
+    // The continued fraction converges quickly only below (a + 1) / (a + b + 2)
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - front * this.betaContinuedFraction(1 - x, b, a) / b;
+    }
+
+    return front * this.betaContinuedFraction(x, a, b) / a;
+  }
+
+  /**
+   * Continued fraction for the incomplete beta function (modified Lentz's method)
+   * @param {number} x - Upper limit
+   * @param {number} a - Shape a
+   * @param {number} b - Shape b
+   * @returns {number} Continued fraction value
+   */
+  betaContinuedFraction(x, a, b) {
+    const TINY = 1e-30;
+    const clamp = value => (Math.abs(value) < TINY ? TINY : value);
+
+    let c = 1;
+    let d = 1 / clamp(1 - (a + b) * x / (a + 1));
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+      const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+      d = 1 / clamp(1 + even * d);
+      c = clamp(1 + even / c);
+      result *= d * c;
+
+      const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+      d = 1 / clamp(1 + odd * d);
+      c = clamp(1 + odd / c);
+      const delta = d * c;
+      result *= delta;
+
+      if (Math.abs(delta - 1) < 1e-12) {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Natural log of the gamma function (Lanczos approximation, g = 7)
+   * @param {number} z - Positive number
+   * @returns {number} ln(Gamma(z))
+   */
+  logGamma(z) {
+    const coefficients = [
+      0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+      9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    if (z < 0.5) {
+      return Math.log(Math.PI / Math.sin(Math.PI * z)) - this.logGamma(1 - z);
+    }
+
+    const x = z - 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < coefficients.length; i++) {
+      sum += coefficients[i] / (x + i);
+    }
+    const t = x + 7.5;
+
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+  }
+
+  /**
+   * Arithmetic mean
+   * @param {Array<number>} values - Values
+   * @returns {number} Mean
+   */
+  mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * Sample variance (n - 1)
+   * @param {Array<number>} values - At least two values
+   * @returns {number} Variance
+   */
+  variance(values) {
+    const mean = this.mean(values);
+    return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+  }
+
+  /**
+   * Round to a number of decimals
+   * @param {number} value - Value
+   * @param {number} decimals - Decimals
+   * @returns {number} Rounded value
+   */
+  round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Load the metrics snapshots of posts for one window
+   * @param {Array<Object>} posts - Posts
+   * @param {string} window - Window label
+   * @returns {Promise<Map>} Post ID -> snapshot
+   */
+  async getSnapshots(posts, window) {
+    const refs = posts
+      .filter(post => post.metricsSnapshots?.[window]?.status === 'captured')
+      .map(post => this.metricsCollection.doc(`${post.id}_${window}`));
+
+    if (refs.length === 0) {
+      return new Map();
+    }
+
+    const docs = await db.getAll(...refs);
+
+    return new Map(docs.filter(doc => doc.exists).map(doc => [doc.data().postId, doc.data()]));
+  }
+
+  /**
+   * Whether a post's caption was edited after generation
+   * (approval.editPost adds one editHistory entry per changed field)
+   * @param {Object} post - Post data
+   * @returns {boolean} True if edited
+   */
+  isCaptionEdited(post) {
+    return (post.editHistory || []).some(entry => ['caption', 'captions', 'fullPost'].includes(entry.field));
+  }
+
+  /**
+   * Whether an experiment covers a piece of content
+   * @param {Object} experiment - Experiment
+   * @param {Object} content - { category, type }
+   * @returns {boolean} True if it applies
+   */
+  appliesTo(experiment, { category, type }) {
+    return (experiment.categories.length === 0 || experiment.categories.includes(category))
+      && (experiment.types.length === 0 || experiment.types.includes(type));
+  }
+
+  /**
+   * Find a running experiment that covers some of the same content
+   * @param {Object} experiment - Experiment about to start
+   * @returns {Promise<Object|null>} Conflicting experiment
+   */
+  async findOverlapping(experiment) {
+    const running = await this.listExperiments({ status: 'running' });
+
+    const overlaps = (a, b) => a.length === 0 || b.length === 0 || a.some(value => b.includes(value));
+
+    return running.find(other => other.id !== experiment.id
+      && overlaps(other.categories, experiment.categories)
+      && overlaps(other.types, experiment.types)) || null;
+  }
+
+  /**
+   * Fill in variant weights
+   * @param {Array<Object>} variants - { strategy, weight }
+   * @returns {Array<Object>} Variants
+   */
+  normalizeVariants(variants) {
+    return variants.map(variant => ({
+      strategy: variant.strategy,
+      weight: variant.weight ?? 1
+    }));
+  }
+
+  /**
+   * Validate experiment fields
+   * @param {Object} data - Fields
+   * @param {Object} options - Options
+   * @param {boolean} options.requireAll - Name and variants are required (creating)
+   * @returns {Array} Validation errors ({ field, message })
+   */
+  validate(data, { requireAll }) {
+    const errors = [];
+    const strategies = aiEngine.getCaptionStrategies().map(s => s.strategy);
+
+    for (const field of Object.keys(data)) {
+      if (!EDITABLE_FIELDS.includes(field)) {
+        errors.push({ field, message: `Unknown field. Allowed: ${EDITABLE_FIELDS.join(', ')}` });
+      }
+    }
+
+    if (data.name !== undefined || requireAll) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push({ field: 'name', message: 'Must be a non-empty string' });
+      }
+    }
+
+    if (data.status !== undefined && !STATUSES.includes(data.status)) {
+      errors.push({ field: 'status', message: `Must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    if (data.variants !== undefined || requireAll) {
+      const variants = data.variants;
+
+      if (!Array.isArray(variants) || variants.length < MIN_VARIANTS) {
+        errors.push({ field: 'variants', message: `Must list at least ${MIN_VARIANTS} variants ({ strategy, weight })` });
+      } else {
+        variants.forEach((variant, index) => {
+          if (!strategies.includes(variant?.strategy)) {
+            errors.push({ field: `variants.${index}.strategy`, message: `Must be one of: ${strategies.join(', ')}` });
+          }
+          if (variant?.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight > 0)) {
+            errors.push({ field: `variants.${index}.weight`, message: 'Must be a positive number' });
+          }
+        });
+
+        if (new Set(variants.map(variant => variant?.strategy)).size !== variants.length) {
+          errors.push({ field: 'variants', message: 'Each strategy can only be used once' });
+        }
+      }
+    }
+
+    if (data.categories !== undefined) {
+      if (!Array.isArray(data.categories) || data.categories.some(c => !referenceImagesService.isValidCategory(c))) {
+        errors.push({ field: 'categories', message: `Must be a list of: ${referenceImagesService.getCategories().join(', ')}` });
+      }
+    }
+
+    if (data.types !== undefined) {
+      if (!Array.isArray(data.types) || data.types.some(type => !CONTENT_TYPES.includes(type))) {
+        errors.push({ field: 'types', message: `Must be a list of: ${CONTENT_TYPES.join(', ')}` });
+      }
+    }
+
+    if (data.metricWindow !== undefined && !metricsService.getWindows().includes(data.metricWindow)) {
+      errors.push({ field: 'metricWindow', message: `Must be one of: ${metricsService.getWindows().join(', ')}` });
+    }
+
+    if (data.minPostsPerVariant !== undefined
+      && !(Number.isInteger(data.minPostsPerVariant) && data.minPostsPerVariant >= 1)) {
+      errors.push({ field: 'minPostsPerVariant', message: 'Must be a positive integer' });
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new ExperimentsService();
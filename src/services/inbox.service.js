@@ -0,0 +1,302 @@
+/**
+ * Inbox Service
+ * Human handling of comments and DMs the bot shouldn't answer
+ * - Escalation rules (keywords, VIP accounts, complaints, negative sentiment) route an
+ *   interaction to needs_human instead of an auto-reply
+ * - Inbox of interactions waiting for a person, with assignment (assignedTo)
+ * - Human-written replies sent through the Meta API and added to the conversation
+ */
+
+const { db } = require('../config/firebase');
+const metaService = require('./meta.service');
+const lockService = require('./lock.service');
+const conversationsService = require('./conversations.service');
+const trashService = require('./trash.service');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Statuses shown in the inbox and that a person can reply to
+const INBOX_STATUSES = ['needs_human', 'failed', 'suppressed'];
+const REPLYABLE_STATUSES = [...INBOX_STATUSES, 'pending'];
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Priority each escalation rule implies (the AI's priority can raise it)
+const RULE_PRIORITY = {
+  keyword: 'high',
+  vip: 'high',
+  complaint: 'high',
+  negative_sentiment: 'medium',
+  ai_followup: 'medium'
+};
+
+// Phrases that mark a message as negative without asking the AI
+const NEGATIVE_PHRASES = [
+  'terrible', 'awful', 'horrible', 'worst', 'disappointed', 'disappointing', 'angry', 'furious',
+  'unacceptable', 'rude', 'useless', 'waste of money', 'never again', 'ripped off', 'poor quality'
+];
+
+const MAX_REPLY_LENGTH = 1000;
+const MAX_INBOX_SCAN = 500;
+
+class InboxService {
+  constructor() {
+    this.interactionsCollection = db.collection('interactions');
+  }
+
+  /**
+   * Check an interaction against the escalation rules
+   * Keyword, VIP and phrase rules work on the message alone; complaint, AI sentiment and
+   * follow-up rules need the AI classification (aiResult)
+   * @param {Object} interaction - Interaction data
+   * @param {Object} settings - escalation settings ({ enabled, keywords, vipAccounts })
+   * @param {Object} aiResult - generateInteractionResponse result (optional)
+   * @returns {Object|null} { reasons: [{ rule, detail }], priority } or null if the bot may answer
+   */
+  evaluate(interaction, settings, aiResult = null) {
+    if (!settings?.enabled) {
+      return null;
+    }
+
+    const message = (interaction.userMessage || '').toLowerCase();
+    const reasons = [];
+
+    const keyword = (settings.keywords || []).find(word => this.mentions(message, word));
+    if (keyword) {
+      reasons.push({ rule: 'keyword', detail: keyword });
+    }
+
+    const vipAccounts = (settings.vipAccounts || []).map(account => this.normalizeAccount(account));
+    const account = [interaction.user?.username, interaction.user?.name, interaction.user?.id]
+      .map(value => this.normalizeAccount(value))
+      .find(value => value && vipAccounts.includes(value));
+    if (account) {
+      reasons.push({ rule: 'vip', detail: account });
+    }
+
+    const category = aiResult?.category || interaction.category;
+    if (category === 'complaint') {
+      reasons.push({ rule: 'complaint', detail: null });
+    }
+
+    const phrase = NEGATIVE_PHRASES.find(value => this.mentions(message, value));
+    if (aiResult?.sentiment === 'negative' || phrase) {
+      reasons.push({ rule: 'negative_sentiment', detail: phrase || 'ai' });
+    }
+
+    if (aiResult?.requiresHumanFollowup) {
+      reasons.push({ rule: 'ai_followup', detail: null });
+    }
+
+    if (reasons.length === 0) {
+      return null;
+    }
+
+    const priorities = reasons.map(reason => RULE_PRIORITY[reason.rule]);
+    if (PRIORITY_RANK[aiResult?.priority] !== undefined) {
+      priorities.push(aiResult.priority);
+    }
+
+    return {
+      reasons,
+      priority: priorities.sort((a, b) => PRIORITY_RANK[a] - PRIORITY_RANK[b])[0]
+    };
+  }
+
+  /**
+   * Route an interaction to a person
+   * @param {string} interactionId - Interaction ID
+   * @param {Object} escalation - Result of evaluate()
+   * @param {string} suggestedResponse - AI draft the person can start from (optional)
+   * @returns {Promise<void>}
+   */
+  async escalate(interactionId, escalation, suggestedResponse = null) {
+    await this.interactionsCollection.doc(interactionId).update({
+      status: 'needs_human',
+      escalation: {
+        ...escalation,
+        escalatedAt: new Date().toISOString()
+      },
+      suggestedResponse: suggestedResponse || null,
+      assignedTo: null
+    });
+
+    logger.info(`Interaction ${interactionId} needs a human (${escalation.reasons.map(reason => reason.rule).join(', ')})`);
+  }
+
+  /**
+   * Interactions waiting for a person, highest priority then oldest first
+   * @param {Object} options - Options
+   * @param {string} options.status - needs_human (default), failed or suppressed
+   * @param {string} options.assignedTo - Assignee name, or 'unassigned' (optional)
+   * @param {number} options.limit - Max results (default 50)
+   * @returns {Promise<Array<Object>>} Interactions
+   */
+  async listInbox(options = {}) {
+    const { status = 'needs_human', assignedTo, limit = 50 } = options;
+
+    if (!INBOX_STATUSES.includes(status)) {
+      throw createHttpError(`Invalid status "${status}". Allowed: ${INBOX_STATUSES.join(', ')}`, 400);
+    }
+
+    const snapshot = await this.interactionsCollection
+      .where('status', '==', status)
+      .orderBy('timestamp', 'asc')
+      .limit(MAX_INBOX_SCAN)
+      .get();
+
+    const assignee = assignedTo === 'unassigned' ? null : assignedTo;
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(interaction => assignedTo === undefined || (interaction.assignedTo || null) === assignee)
+      .sort((a, b) => this.getPriorityRank(a) - this.getPriorityRank(b))
+      .slice(0, limit);
+  }
+
+  /**
+   * Assign an interaction to a person, or unassign it with null
+   * @param {string} interactionId - Interaction ID
+   * @param {string|null} assignedTo - Assignee name
+   * @param {string} actor - Who made the change
+   * @returns {Promise<Object>} Updated interaction
+   */
+  async assign(interactionId, assignedTo, actor) {
+    if (assignedTo !== null && (typeof assignedTo !== 'string' || !assignedTo.trim())) {
+      throw createHttpError('assignedTo must be a name or null', 400);
+    }
+
+    const interaction = await this.getActiveInteraction(interactionId);
+
+    const update = {
+      assignedTo: assignedTo ? assignedTo.trim() : null,
+      assignedBy: actor,
+      assignedAt: new Date().toISOString()
+    };
+
+    await this.interactionsCollection.doc(interactionId).update(update);
+
+    return { ...interaction, ...update };
+  }
+
+  /**
+   * Send a human-written reply and close the interaction
+   * The interaction is claimed first so the auto-reply job can't answer it at the same time
+   * @param {string} interactionId - Interaction ID
+   * @param {string} message - Reply text
+   * @param {string} actor - Who is replying
+   * @returns {Promise<Object>} Updated interaction
+   */
+  async reply(interactionId, message, actor) {
+    if (typeof message !== 'string' || !message.trim()) {
+      throw createHttpError('message is required', 400);
+    }
+
+    if (message.length > MAX_REPLY_LENGTH) {
+      throw createHttpError(`message must be at most ${MAX_REPLY_LENGTH} characters`, 400);
+    }
+
+    if (!metaService.isConfigured()) {
+      throw createHttpError('Meta API not configured', 503);
+    }
+
+    const current = await this.getActiveInteraction(interactionId);
+    if (!REPLYABLE_STATUSES.includes(current.status)) {
+      throw createHttpError(`Interaction can't be replied to (status: ${current.status})`, 409);
+    }
+
+    const interaction = await lockService.claimDocument('interactions', interactionId, {
+      isClaimable: data => REPLYABLE_STATUSES.includes(data.status)
+    });
+
+    if (!interaction) {
+      throw createHttpError('Interaction is being answered elsewhere. Reload and try again.', 409);
+    }
+
+    try {
+      const text = message.trim();
+
+      let replyResult;
+      try {
+        replyResult = await metaService.replyToInteraction(interaction, text);
+      } catch (error) {
+        throw createHttpError(error.message, 502);
+      }
+
+      const update = {
+        status: 'responded',
+        humanResponse: text,
+        respondedBy: actor,
+        respondedAt: new Date().toISOString(),
+        replyId: replyResult.replyId
+      };
+
+      await this.interactionsCollection.doc(interactionId).update(update);
+
+      try {
+        await conversationsService.recordReply(interaction.conversationId, {
+          interactionId,
+          type: interaction.type,
+          text,
+          sentBy: actor,
+          replyId: replyResult.replyId
+        });
+      } catch (error) {
+        logger.error(`Failed to add reply for ${interactionId} to its conversation:`, error.message);
+      }
+
+      logger.info(`${actor} replied to ${interactionId}`);
+
+      const { claimToken, ...data } = interaction;
+      return { ...data, ...update, claimedBy: null, claimExpiresAt: null };
+    } finally {
+      await lockService.releaseDocument('interactions', interactionId, interaction.claimToken);
+    }
+  }
+
+  /**
+   * Load an interaction that exists and is not in the trash
+   * @param {string} interactionId - Interaction ID
+   * @returns {Promise<Object>} Interaction
+   */
+  async getActiveInteraction(interactionId) {
+    const doc = await this.interactionsCollection.doc(interactionId).get();
+
+    if (!doc.exists || trashService.isTrashed(doc.data())) {
+      throw createHttpError('Interaction not found', 404);
+    }
+
+    return { id: doc.id, ...doc.data() };
+  }
+
+  /**
+   * Whether the message mentions a word or phrase (at a word start, so "refund" matches "refunds")
+   * @param {string} message - Lowercased message
+   * @param {string} phrase - Word or phrase
+   * @returns {boolean}
+   */
+  mentions(message, phrase) {
+    const escaped = phrase.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return escaped.length > 0 && new RegExp(`\\b${escaped}`).test(message);
+  }
+
+  /**
+   * Account name as compared with vipAccounts (lowercase, no leading @)
+   * @param {string} value - Username, name or ID
+   * @returns {string|null}
+   */
+  normalizeAccount(value) {
+    return value ? String(value).trim().toLowerCase().replace(/^@/, '') : null;
+  }
+
+  /**
+   * Sort rank of an interaction's escalation priority (unescalated last)
+   * @param {Object} interaction - Interaction
+   * @returns {number}
+   */
+  getPriorityRank(interaction) {
+    return PRIORITY_RANK[interaction.escalation?.priority] ?? Object.keys(PRIORITY_RANK).length;
+  }
+}
+
+module.exports = new InboxService();
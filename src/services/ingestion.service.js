@@ -0,0 +1,355 @@
+/**
+ * Ingestion Service
+ * Turns Meta webhook events into interactions - the one path for /webhooks/* and the legacy
+ * /api/interactions/webhook
+ * - Instagram comments and mentions, Facebook feed comments, Instagram DMs and Messenger messages
+ *   are normalized into the same interaction schema (see buildInteraction)
+ * - Events written by our own accounts (page/IG ids and usernames from the environment, DM echoes)
+ *   are ignored, so the bot never answers itself
+ * - Interaction ids come from Meta's own ids (comment id, message mid), and an interaction
+ *   is only created once, so a retried or replayed event never creates a second reply
+ * - Handlers throw when something fails, so the webhook event can be dead-lettered and replayed
+ */
+
+const { db } = require('../config/firebase');
+const conversationsService = require('./conversations.service');
+const leadsService = require('./leads.service');
+const logger = require('../utils/logger');
+
+// Firestore error code when create() finds the document already there
+const ALREADY_EXISTS = 6;
+
+class IngestionService {
+  constructor() {
+    this.interactionsCollection = db.collection('interactions');
+  }
+
+  /**
+   * Store the interaction a webhook event describes
+   * @param {string} platform - instagram or facebook
+   * @param {string} kind - change (entry.changes item) or message (entry.messaging item)
+   * @param {Object} item - The change or messaging item
+   * @returns {Promise<string>} Outcome: stored, duplicate or ignored
+   */
+  async ingest(platform, kind, item) {
+    const interaction = this.normalize(platform, kind, item);
+
+    if (!interaction) {
+      logger.info(`Ignoring ${platform} ${kind}`, { field: item?.field || null });
+      return 'ignored';
+    }
+
+    if (this.isOwnAccount(interaction.user)) {
+      logger.info(`Skipping ${interaction.type} from our own ${platform} account`, { id: interaction.interactionId });
+      return 'ignored';
+    }
+
+    const outcome = await this.storeInteraction(interaction.interactionId, interaction);
+
+    logger.info(`${platform} ${interaction.type} ${outcome}`, { id: interaction.interactionId });
+    return outcome;
+  }
+
+  /**
+   * Normalize a webhook event into an interaction
+   * @param {string} platform - instagram or facebook
+   * @param {string} kind - change or message
+   * @param {Object} item - The change or messaging item
+   * @returns {Object|null} Interaction, or null for events that aren't comments, mentions or messages
+   */
+  normalize(platform, kind, item) {
+    if (kind === 'message') {
+      return this.normalizeMessage(platform, item);
+    }
+
+    if (platform === 'instagram' && item.field === 'comments') {
+      return this.normalizeInstagramComment(item.value || {});
+    }
+
+    if (platform === 'instagram' && item.field === 'mentions') {
+      return this.normalizeInstagramMention(item.value || {});
+    }
+
+    if (platform === 'facebook' && item.field === 'feed') {
+      return this.normalizeFacebookComment(item.value || {});
+    }
+
+    return null;
+  }
+
+  /**
+   * Instagram comment (comments field)
+   * @param {Object} value - { id, text, from: { id, username }, media: { id }, parent_id }
+   * @returns {Object|null} Interaction
+   */
+  normalizeInstagramComment(value) {
+    if (!value.id) {
+      return null;
+    }
+
+    return this.buildInteraction({
+      interactionId: value.id,
+      platform: 'instagram',
+      type: 'comment',
+      postId: value.media?.id,
+      commentId: value.id,
+      parentId: value.parent_id,
+      user: {
+        id: value.from?.id,
+        username: value.from?.username,
+        name: value.from?.username
+      },
+      userMessage: value.text
+    });
+  }
+
+  /**
+   * Instagram mention (mentions field) - the account was tagged in a comment or caption
+   * The payload carries no text or author, so mentions go to the human inbox instead of the bot
+   * @param {Object} value - { media_id, comment_id }
+   * @returns {Object|null} Interaction
+   */
+  normalizeInstagramMention(value) {
+    const mentionId = value.comment_id || value.media_id;
+    if (!mentionId) {
+      return null;
+    }
+
+    const interaction = this.buildInteraction({
+      interactionId: `ig_mention_${mentionId}`,
+      platform: 'instagram',
+      type: 'mention',
+      postId: value.media_id,
+      commentId: value.comment_id,
+      user: {},
+      userMessage: value.text
+    });
+
+    return {
+      ...interaction,
+      status: 'needs_human',
+      escalation: {
+        reasons: [{ rule: 'mention', detail: null }],
+        priority: 'low',
+        escalatedAt: interaction.createdAt
+      },
+      suggestedResponse: null,
+      assignedTo: null
+    };
+  }
+
+  /**
+   * Facebook comment (feed field with item "comment"; edits and removals are ignored)
+   * @param {Object} value - { item, verb, comment_id, message, from: { id, name }, post_id, parent_id }
+   * @returns {Object|null} Interaction
+   */
+  normalizeFacebookComment(value) {
+    if (value.item !== 'comment' || !value.comment_id || (value.verb && value.verb !== 'add')) {
+      return null;
+    }
+
+    return this.buildInteraction({
+      interactionId: value.comment_id,
+      platform: 'facebook',
+      type: 'comment',
+      postId: value.post_id,
+      commentId: value.comment_id,
+      // Top-level comments have the post as their parent
+      parentId: value.parent_id !== value.post_id ? value.parent_id : null,
+      user: {
+        id: value.from?.id,
+        username: value.from?.name,
+        name: value.from?.name
+      },
+      userMessage: value.message
+    });
+  }
+
+  /**
+   * Instagram DM or Messenger message (text messages only; echoes of our own messages are ignored)
+   * @param {string} platform - instagram or facebook
+   * @param {Object} messaging - { sender: { id }, message: { mid, text, is_echo } }
+   * @returns {Object|null} Interaction
+   */
+  normalizeMessage(platform, messaging) {
+    const { sender, message } = messaging;
+
+    if (!message?.text || message.is_echo || !sender?.id) {
+      return null;
+    }
+
+    const prefix = platform === 'instagram' ? 'ig_dm' : 'fb_dm';
+
+    return this.buildInteraction({
+      interactionId: this.getMessageInteractionId(prefix, sender.id, message.mid),
+      platform,
+      type: 'dm',
+      messageId: message.mid,
+      user: {
+        id: sender.id,
+        username: `${platform}_user`
+      },
+      userMessage: message.text
+    });
+  }
+
+  /**
+   * The interaction schema every source is normalized into
+   * @param {Object} fields - interactionId, platform, type, postId, commentId, parentId, messageId, user, userMessage
+   * @returns {Object} Interaction (status pending, with the keyword-based fallback reply)
+   */
+  buildInteraction(fields) {
+    const { category, response, redirected } = this.classifyAndRespond(fields.userMessage);
+    const timestamp = new Date().toISOString();
+
+    return {
+      interactionId: fields.interactionId,
+      platform: fields.platform,
+      type: fields.type,
+      postId: fields.postId || null,
+      commentId: fields.commentId || null,
+      parentId: fields.parentId || null,
+      messageId: fields.messageId || null,
+      conversationId: conversationsService.getConversationId(fields.platform, fields.user.id),
+      user: {
+        id: fields.user.id || null,
+        username: fields.user.username || 'unknown',
+        name: fields.user.name || null
+      },
+      userMessage: fields.userMessage || '',
+      botResponse: response,
+      category,
+      redirected,
+      timestamp,
+      status: 'pending',
+      createdAt: timestamp
+    };
+  }
+
+  /**
+   * Our own accounts: META_PAGE_ID and META_IG_USER_ID, plus the Instagram usernames and
+   * Facebook page names in META_PAGE_USERNAMES (comma-separated; the older PAGE_INSTAGRAM_USERNAME still counts)
+   * @returns {Object} { ids: Set<string>, names: Set<string> } (names lowercased, no leading @)
+   */
+  getOwnAccounts() {
+    const ids = [process.env.META_PAGE_ID, process.env.META_IG_USER_ID]
+      .filter(Boolean)
+      .map(id => String(id).trim());
+
+    const names = [process.env.META_PAGE_USERNAMES, process.env.PAGE_INSTAGRAM_USERNAME]
+      .flatMap(value => (value || '').split(','))
+      .map(name => this.normalizeName(name))
+      .filter(Boolean);
+
+    return { ids: new Set(ids), names: new Set(names) };
+  }
+
+  /**
+   * Whether an interaction's author is one of our own accounts
+   * @param {Object} user - Interaction user ({ id, username, name })
+   * @returns {boolean}
+   */
+  isOwnAccount(user) {
+    const { ids, names } = this.getOwnAccounts();
+
+    return (!!user.id && ids.has(String(user.id))) ||
+      [user.username, user.name].some(name => names.has(this.normalizeName(name)));
+  }
+
+  /**
+   * Username or page name as compared with META_PAGE_USERNAMES
+   * @param {string} value - Username or name
+   * @returns {string}
+   */
+  normalizeName(value) {
+    return (value || '').trim().toLowerCase().replace(/^@/, '');
+  }
+
+  /**
+   * Create the interaction unless it already exists, then add it to its conversation
+   * and flag it for lead capture
+   * @param {string} interactionId - Interaction document id
+   * @param {Object} interaction - Interaction data
+   * @returns {Promise<string>} stored, or duplicate if it was already there
+   */
+  async storeInteraction(interactionId, interaction) {
+    try {
+      await this.interactionsCollection.doc(interactionId).create(interaction);
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        return 'duplicate';
+      }
+      throw error;
+    }
+
+    await conversationsService.safeRecordIncoming(interactionId, interaction);
+    await leadsService.markForCapture(interactionId, interaction);
+
+    return 'stored';
+  }
+
+  /**
+   * Interaction id for a DM: Meta's message id, so redeliveries map to the same document
+   * (falls back to the receive time for payloads without a mid)
+   * @param {string} prefix - ig_dm or fb_dm
+   * @param {string} senderId - Sender id
+   * @param {string} mid - Message id
+   * @returns {string} Interaction id
+   */
+  getMessageInteractionId(prefix, senderId, mid) {
+    return mid
+      ? `${prefix}_${mid.replace(/\//g, '_')}`
+      : `${prefix}_${senderId}_${Date.now()}`;
+  }
+
+  /**
+   * Classify message and generate response
+   * @param {string} message - Message text
+   * @returns {Object} { category, response, redirected }
+   */
+  classifyAndRespond(message) {
+    if (!message) {
+      return {
+        category: 'unknown',
+        response: 'Thanks for reaching out! Visit https://doors22.com/price/ or call (305) 394-9922.',
+        redirected: true
+      };
+    }
+
+    const messageLower = message.toLowerCase();
+
+    if (messageLower.includes('price') || messageLower.includes('cost') || messageLower.includes('how much') || messageLower.includes('quote')) {
+      return {
+        category: 'price_inquiry',
+        response: 'Hi! Our pricing varies based on size and customization. Get an instant quote here: https://doors22.com/price/ or call us at (305) 394-9922',
+        redirected: true
+      };
+    } else if (messageLower.includes('install') || messageLower.includes('service') || messageLower.includes('area') || messageLower.includes('location')) {
+      return {
+        category: 'technical_question',
+        response: 'Yes, we serve all of South Florida! Request your free consultation: https://doors22.com/price/ or call (305) 394-9922',
+        redirected: true
+      };
+    } else if (messageLower.includes('beautiful') || messageLower.includes('love') || messageLower.includes('great') || messageLower.includes('amazing') || messageLower.includes('gorgeous')) {
+      return {
+        category: 'compliment',
+        response: 'Thank you so much! We\'d love to help with your next project. Check out more: https://doors22.com/',
+        redirected: false
+      };
+    } else if (messageLower.includes('glass') || messageLower.includes('type') || messageLower.includes('options') || messageLower.includes('material')) {
+      return {
+        category: 'technical_question',
+        response: 'We offer various glass types: clear, frosted, tinted, and decorative options. Each can be customized for your needs. Get detailed info: https://doors22.com/price/ or call (305) 394-9922',
+        redirected: true
+      };
+    } else {
+      return {
+        category: 'faq',
+        response: 'Thanks for reaching out! For specific information, visit https://doors22.com/price/ or call us at (305) 394-9922. We\'re here to help!',
+        redirected: true
+      };
+    }
+  }
+}
+
+module.exports = new IngestionService();
@@ -0,0 +1,454 @@
+/**
+ * Job Queue Service
+ * Firestore-backed queue for long-running work (content generation)
+ * - Enqueue jobs with an ordered list of steps
+ * - Claim jobs with a lease so only one worker runs a job at a time
+ * - Checkpoint each step's output so a retried job resumes after the last completed step
+ * - Retry failed jobs with backoff up to maxAttempts
+ * - Steps that wait on something external (a Midjourney render) return a wait instead of blocking;
+ *   the job is requeued and the step runs again on a later worker run with its saved progress
+ */
+
+const os = require('os');
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { isPastDeadline } = require('../utils/helpers');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// A running job keeps its lease for 30 minutes (a step like upload can download and re-upload
+// a large video). Every checkpoint renews it.
+const LEASE_MS = 30 * 60 * 1000;
+
+// Delay before retry attempt 2, 3, ...
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+
+// Marks a step output as "not finished yet" (see wait)
+const WAITING = Symbol('waiting');
+
+class JobQueueService {
+  constructor() {
+    this.jobsCollection = db.collection('jobs');
+    this.workerId = `${os.hostname()}-${process.pid}`;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (e.g. content_generation)
+   * @param {Object} options - Job options
+   * @param {Object} options.input - Job input (must be Firestore-serializable)
+   * @param {Array<string>} options.steps - Ordered step names
+   * @param {string} options.createdBy - Actor name
+   * @param {number} options.maxAttempts - Max attempts before the job fails for good
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, { input = {}, steps, createdBy = 'system', maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+    const now = new Date().toISOString();
+
+    const job = {
+      type,
+      status: 'queued',
+      input,
+      stepOrder: steps,
+      steps: Object.fromEntries(steps.map(name => [name, {
+        status: 'pending',
+        startedAt: null,
+        completedAt: null,
+        output: null,
+        progress: null,
+        error: null
+      }])),
+      currentStep: null,
+      attempts: 0,
+      maxAttempts,
+      result: null,
+      error: null,
+      lockedBy: null,
+      lockExpiresAt: null,
+      nextRunAt: now,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    const docRef = await this.jobsCollection.add(job);
+
+    logger.info(`Queued ${type} job ${docRef.id} (by ${createdBy})`);
+
+    return { id: docRef.id, ...job };
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if missing
+   */
+  async getJob(jobId) {
+    const doc = await this.jobsCollection.doc(jobId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - Job status
+   * @param {string} filters.type - Job type
+   * @param {number} filters.limit - Max results
+   * @returns {Promise<Array>} Jobs
+   */
+  async listJobs({ status, type, limit = 20 } = {}) {
+    let query = this.jobsCollection;
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Find jobs a worker can pick up: queued jobs that are due and running jobs whose lease expired
+   * @param {number} limit - Max jobs
+   * @returns {Promise<Array>} Runnable jobs, oldest first
+   */
+  async getRunnableJobs(limit = 5) {
+    const snapshot = await this.jobsCollection
+      .where('status', 'in', ['queued', 'running'])
+      .get();
+
+    const now = new Date().toISOString();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(job => this.isRunnable(job, now))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Check whether a job can be claimed
+   * @param {Object} job - Job data
+   * @param {string} now - Current ISO time
+   * @returns {boolean} True if runnable
+   */
+  isRunnable(job, now = new Date().toISOString()) {
+    if (job.status === 'queued') {
+      return !job.nextRunAt || job.nextRunAt <= now;
+    }
+
+    // A running job with an expired lease belongs to a worker that crashed
+    return job.status === 'running' && Boolean(job.lockExpiresAt) && job.lockExpiresAt <= now;
+  }
+
+  /**
+   * Claim a job for this worker (transactional, so two workers never run the same job)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Claimed job, or null if it is not runnable
+   */
+  async claim(jobId) {
+    const docRef = this.jobsCollection.doc(jobId);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const job = doc.data();
+      const now = new Date().toISOString();
+
+      if (!this.isRunnable(job, now)) {
+        return null;
+      }
+
+      if (job.status === 'running') {
+        logger.warn(`Job ${jobId} lease held by ${job.lockedBy} expired - reclaiming`);
+      }
+
+      const updateData = {
+        status: 'running',
+        attempts: (job.attempts || 0) + 1,
+        lockedBy: this.workerId,
+        lockExpiresAt: this.getLeaseExpiry(),
+        startedAt: job.startedAt || now,
+        updatedAt: now
+      };
+
+      transaction.update(docRef, updateData);
+
+      return { id: doc.id, ...job, ...updateData };
+    });
+  }
+
+  /**
+   * Run a job's steps, skipping steps that were checkpointed by a previous attempt
+   * A step that returns a wait (see wait) or a run past its deadline puts the job back in the
+   * queue, and a later run continues from that step.
+   * @param {string} jobId - Job ID
+   * @param {Object} handler - Job handler
+   * @param {Array<Object>} handler.steps - Steps as { name, run(context) }; run returns the step output
+   * @param {Function} handler.getResult - Builds the job result from the step outputs
+   * @param {Object} options - Run options
+   * @param {number} options.deadline - Don't start another step after this time (epoch ms, optional)
+   * @returns {Promise<Object|null>} Final job state, or null if the job could not be claimed
+   */
+  async run(jobId, handler, { deadline = null } = {}) {
+    const job = await this.claim(jobId);
+
+    if (!job) {
+      logger.info(`Job ${jobId} is not runnable (running elsewhere, finished or waiting for retry)`);
+      return null;
+    }
+
+    logger.info(`Running ${job.type} job ${jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    // outputs hold checkpointed step results, cache holds in-memory data for this attempt only,
+    // progress holds what the current step saved the last time it waited
+    const context = {
+      job,
+      input: job.input,
+      outputs: {},
+      progress: null,
+      cache: {}
+    };
+
+    for (const name of job.stepOrder) {
+      const step = job.steps[name];
+
+      if (step.status === 'completed') {
+        logger.info(`Job ${jobId}: step ${name} already completed - resuming from checkpoint`);
+        context.outputs[name] = step.output;
+        continue;
+      }
+
+      const stepHandler = handler.steps.find(s => s.name === name);
+      if (!stepHandler) {
+        return this.fail(job, new Error(`No handler for step: ${name}`), name);
+      }
+
+      if (isPastDeadline(deadline)) {
+        logger.info(`Job ${jobId}: time budget used up - continuing from ${name} on the next run`);
+        return this.requeue(job, name, step.progress ?? null);
+      }
+
+      context.progress = step.progress ?? null;
+
+      await this.updateStep(jobId, name, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        error: null
+      }, { currentStep: name });
+
+      try {
+        const output = await stepHandler.run(context);
+
+        if (this.isWaiting(output)) {
+          return this.requeue(job, name, output.progress, output.delayMs);
+        }
+
+        context.outputs[name] = output ?? null;
+
+        await this.updateStep(jobId, name, {
+          status: 'completed',
+          completedAt: new Date().toISOString(),
+          output: output ?? null,
+          progress: null
+        });
+      } catch (error) {
+        logger.error(`Job ${jobId}: step ${name} failed:`, error.message);
+
+        // A retry starts the step over (e.g. submits a new Midjourney render)
+        await this.updateStep(jobId, name, {
+          status: 'failed',
+          error: error.message,
+          progress: null
+        });
+
+        return this.fail(job, error, name);
+      }
+    }
+
+    return this.complete(job, handler.getResult ? handler.getResult(context) : null);
+  }
+
+  /**
+   * Step output that asks to run the step again later instead of blocking the worker
+   * @param {Object} progress - What the step has done so far (Firestore-serializable), passed
+   *   back as context.progress on the next run
+   * @param {number} delayMs - Minimum time before the step runs again
+   * @returns {Object} Wait to return from the step
+   */
+  wait(progress, delayMs = 0) {
+    return { [WAITING]: true, progress: progress ?? null, delayMs };
+  }
+
+  /**
+   * Check whether a step output is a wait
+   * @param {*} output - Step output
+   * @returns {boolean} True if the step is not finished yet
+   */
+  isWaiting(output) {
+    return Boolean(output && output[WAITING]);
+  }
+
+  /**
+   * Put a job back in the queue to continue a step on a later run
+   * Waiting is not a failure, so the attempt the claim counted is given back.
+   * @param {Object} job - Claimed job
+   * @param {string} name - Step to continue from
+   * @param {Object} progress - Step progress to keep
+   * @param {number} delayMs - Minimum time before the job runs again
+   * @returns {Promise<Object>} Job state
+   */
+  async requeue(job, name, progress, delayMs = 0) {
+    const now = new Date();
+    const nextRunAt = new Date(now.getTime() + delayMs).toISOString();
+
+    await this.jobsCollection.doc(job.id).update({
+      status: 'queued',
+      attempts: job.attempts - 1,
+      currentStep: name,
+      [`steps.${name}.status`]: 'waiting',
+      [`steps.${name}.progress`]: progress ?? null,
+      lockedBy: null,
+      lockExpiresAt: null,
+      nextRunAt,
+      updatedAt: now.toISOString()
+    });
+
+    logger.info(`Job ${job.id} waiting at ${name}, continuing after ${nextRunAt}`);
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Update a step and renew the job lease (heartbeat)
+   * @param {string} jobId - Job ID
+   * @param {string} name - Step name
+   * @param {Object} stepData - Step fields to set
+   * @param {Object} jobData - Extra job fields to set
+   * @returns {Promise<void>}
+   */
+  async updateStep(jobId, name, stepData, jobData = {}) {
+    const updateData = {
+      ...jobData,
+      lockExpiresAt: this.getLeaseExpiry(),
+      updatedAt: new Date().toISOString()
+    };
+
+    for (const [field, value] of Object.entries(stepData)) {
+      updateData[`steps.${name}.${field}`] = value;
+    }
+
+    await this.jobsCollection.doc(jobId).update(updateData);
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {Object} job - Claimed job
+   * @param {Object} result - Job result
+   * @returns {Promise<Object>} Final job state
+   */
+  async complete(job, result) {
+    const now = new Date().toISOString();
+
+    const updateData = {
+      status: 'completed',
+      result: result || null,
+      error: null,
+      currentStep: null,
+      lockedBy: null,
+      lockExpiresAt: null,
+      completedAt: now,
+      updatedAt: now
+    };
+
+    await this.jobsCollection.doc(job.id).update(updateData);
+
+    logger.info(`Job ${job.id} completed`);
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Record a failed attempt - requeue with backoff, or fail the job once attempts are used up
+   * @param {Object} job - Claimed job
+   * @param {Error} error - Failure
+   * @param {string} step - Step that failed
+   * @returns {Promise<Object>} Final job state
+   */
+  async fail(job, error, step) {
+    const now = new Date();
+    const willRetry = job.attempts < job.maxAttempts;
+
+    const updateData = {
+      status: willRetry ? 'queued' : 'failed',
+      error: {
+        message: error.message,
+        step,
+        attempt: job.attempts,
+        at: now.toISOString()
+      },
+      lockedBy: null,
+      lockExpiresAt: null,
+      updatedAt: now.toISOString()
+    };
+
+    if (willRetry) {
+      const delay = RETRY_DELAYS_MS[Math.min(job.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+      updateData.nextRunAt = new Date(now.getTime() + delay).toISOString();
+      logger.warn(`Job ${job.id} failed at ${step}, retrying after ${updateData.nextRunAt}`);
+    } else {
+      updateData.completedAt = now.toISOString();
+      logger.error(`Job ${job.id} failed at ${step} after ${job.attempts} attempts`);
+    }
+
+    await this.jobsCollection.doc(job.id).update(updateData);
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Format a job for API responses (ordered steps and progress)
+   * @param {Object} job - Job data
+   * @returns {Object} Job with steps as an ordered array and progress counts
+   */
+  formatJob(job) {
+    const { stepOrder = [], steps = {}, lockedBy, lockExpiresAt, ...rest } = job;
+
+    const orderedSteps = stepOrder.map(name => ({ name, ...steps[name] }));
+    const completed = orderedSteps.filter(step => step.status === 'completed').length;
+
+    return {
+      ...rest,
+      progress: {
+        completed,
+        total: orderedSteps.length,
+        percent: orderedSteps.length ? Math.round((completed / orderedSteps.length) * 100) : 0
+      },
+      steps: orderedSteps
+    };
+  }
+
+  /**
+   * Lease expiry for a job claimed or renewed now
+   * @returns {string} ISO time
+   */
+  getLeaseExpiry() {
+    return new Date(Date.now() + LEASE_MS).toISOString();
+  }
+}
+
+module.exports = new JobQueueService();
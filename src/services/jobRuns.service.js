@@ -0,0 +1,222 @@
+/**
+ * Job Runs Service
+ * History of cron runs (job_runs collection)
+ * - One record per run: trigger, start/end, duration, status, counts and error
+ * - Runs skipped because another instance held the lock are recorded too
+ */
+
+const os = require('os');
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+class JobRunsService {
+  constructor() {
+    this.runsCollection = db.collection('job_runs');
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+  }
+
+  /**
+   * Record the start of a run
+   * @param {string} job - Cron job name
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - 'schedule' or 'manual'
+   * @param {string} options.triggeredBy - Actor name
+   * @returns {Promise<Object>} Created run
+   */
+  async start(job, { trigger = 'schedule', triggeredBy = 'system' } = {}) {
+    const run = {
+      job,
+      trigger,
+      triggeredBy,
+      status: 'running',
+      instance: this.instanceId,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      counts: null,
+      message: null,
+      error: null
+    };
+
+    const docRef = await this.runsCollection.add(run);
+
+    return { id: docRef.id, ...run };
+  }
+
+  /**
+   * Record a finished run from the cron job's result
+   * A result with skipped: true (module disabled in settings) is stored as skipped,
+   * and success: false (e.g. Meta API not configured) as failed
+   * @param {Object} run - Run from start
+   * @param {Object} result - Cron job result
+   * @returns {Promise<Object>} Final run
+   */
+  async finish(run, result = {}) {
+    let status = 'completed';
+    if (result?.skipped) {
+      status = 'skipped';
+    } else if (result?.success === false) {
+      status = 'failed';
+    }
+
+    return this.update(run, {
+      status,
+      counts: this.getCounts(result),
+      message: result?.message || null,
+      error: status === 'failed' ? (result?.error || result?.message || null) : null
+    });
+  }
+
+  /**
+   * Record a run that threw
+   * @param {Object} run - Run from start
+   * @param {Error} error - Failure
+   * @returns {Promise<Object>} Final run
+   */
+  async fail(run, error) {
+    return this.update(run, {
+      status: 'failed',
+      error: error.message
+    });
+  }
+
+  /**
+   * Record a run that did not start because another instance held the job's lock
+   * @param {string} job - Cron job name
+   * @param {Object} options - Run options
+   * @param {string} options.trigger - 'schedule' or 'manual'
+   * @param {string} options.triggeredBy - Actor name
+   * @param {string} options.lockedBy - Instance holding the lock
+   * @returns {Promise<Object>} Created run
+   */
+  async recordSkipped(job, { trigger = 'schedule', triggeredBy = 'system', lockedBy = null } = {}) {
+    const now = new Date().toISOString();
+
+    const run = {
+      job,
+      trigger,
+      triggeredBy,
+      status: 'skipped',
+      instance: this.instanceId,
+      startedAt: now,
+      finishedAt: now,
+      durationMs: 0,
+      counts: null,
+      message: `Already running on ${lockedBy || 'another instance'}`,
+      error: null
+    };
+
+    const docRef = await this.runsCollection.add(run);
+
+    return { id: docRef.id, ...run };
+  }
+
+  /**
+   * Get a run by ID
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} Run or null if missing
+   */
+  async getRun(runId) {
+    const doc = await this.runsCollection.doc(runId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * List runs, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.job - Cron job name
+   * @param {string} filters.status - running, completed, failed or skipped
+   * @param {string} filters.trigger - schedule or manual
+   * @param {string} filters.since - Only runs started at or after this ISO time
+   * @param {number} filters.limit - Max results
+   * @returns {Promise<Array>} Runs
+   */
+  async listRuns({ job, status, trigger, since, limit = 50 } = {}) {
+    let query = this.runsCollection;
+
+    if (job) {
+      query = query.where('job', '==', job);
+    }
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    if (trigger) {
+      query = query.where('trigger', '==', trigger);
+    }
+
+    if (since) {
+      query = query.where('startedAt', '>=', since);
+    }
+
+    const snapshot = await query
+      .orderBy('startedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Get the most recent run of a job
+   * @param {string} job - Cron job name
+   * @returns {Promise<Object|null>} Last run or null if it never ran
+   */
+  async getLastRun(job) {
+    const [run] = await this.listRuns({ job, limit: 1 });
+    return run || null;
+  }
+
+  /**
+   * Write the end of a run
+   * @param {Object} run - Run from start
+   * @param {Object} data - Fields to set
+   * @returns {Promise<Object>} Final run
+   */
+  async update(run, data) {
+    const finishedAt = new Date();
+
+    const updateData = {
+      ...data,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - new Date(run.startedAt).getTime()
+    };
+
+    await this.runsCollection.doc(run.id).update(updateData);
+
+    logger.info(`Job run ${run.job} (${run.id}) ${updateData.status} in ${updateData.durationMs}ms`);
+
+    return { ...run, ...updateData };
+  }
+
+  /**
+   * Pick the numeric counters out of a cron job's result (top level and its results object)
+   * @param {Object} result - Cron job result
+   * @returns {Object|null} Counter name -> value
+   */
+  getCounts(result) {
+    if (!result || typeof result !== 'object') {
+      return null;
+    }
+
+    const counts = {};
+    const sources = [result];
+
+    if (result.results && typeof result.results === 'object' && !Array.isArray(result.results)) {
+      sources.push(result.results);
+    }
+
+    for (const source of sources) {
+      for (const [key, value] of Object.entries(source)) {
+        if (typeof value === 'number') {
+          counts[key] = value;
+        }
+      }
+    }
+
+    return Object.keys(counts).length > 0 ? counts : null;
+  }
+}
+
+module.exports = new JobRunsService();
@@ -0,0 +1,549 @@
+/**
+ * Leads Service
+ * Sales leads captured from comments and DMs (leads collection)
+ * - Price, service-area and product questions are flagged for capture when they arrive
+ * - The captureLeads job has the AI extract the customer's details from the conversation and
+ *   creates/updates one lead per conversation, linked to its interactions and posts
+ * - Status pipeline: new -> contacted -> quoted -> won/lost
+ * - CSV export, and a push of every created/updated lead to the CRM webhook (leads.crmWebhookUrl)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { db, admin } = require('../config/firebase');
+const aiEngine = require('./aiEngine');
+const conversationsService = require('./conversations.service');
+const settingsService = require('./settings.service');
+const { createHttpError, escapeCsv } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const STATUSES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+
+// Interaction categories (webhook keyword match or AI) that start a lead
+const LEAD_CATEGORIES = ['price_inquiry', 'service_area', 'technical_question'];
+
+const FIELDS = ['name', 'city', 'zip', 'productCategory', 'dimensions', 'panelCount', 'glassType', 'timeline', 'phone', 'email'];
+
+const PRODUCT_CATEGORIES = ['room_dividers', 'closet_doors', 'home_offices', 'office_partitions', 'other'];
+
+const EDITABLE_FIELDS = ['status', 'notes', ...FIELDS];
+
+const MAX_CAPTURE_ATTEMPTS = 3;
+const CAPTURE_TURNS = 20;
+const MAX_EXPORT_LEADS = 5000;
+const CRM_TIMEOUT_MS = 10000;
+
+const CSV_COLUMNS = [
+  ['leadId', lead => lead.id],
+  ['status', lead => lead.status],
+  ['createdAt', lead => lead.createdAt],
+  ['updatedAt', lead => lead.updatedAt],
+  ['platform', lead => lead.platform],
+  ['username', lead => lead.user?.username],
+  ['userId', lead => lead.user?.id],
+  ...FIELDS.map(field => [field, lead => lead[field]]),
+  ['notes', lead => lead.notes],
+  ['interactionIds', lead => (lead.interactionIds || []).join(' ')],
+  ['postIds', lead => (lead.postIds || []).join(' ')],
+  ['conversationId', lead => lead.conversationId]
+];
+
+class LeadsService {
+  constructor() {
+    this.leadsCollection = db.collection('leads');
+    this.interactionsCollection = db.collection('interactions');
+  }
+
+  /**
+   * Flag a new interaction for lead capture when it is a sales question, or when its
+   * sender already is a lead (a follow-up may carry the ZIP code or measurements)
+   * Never throws - the webhook must still store the interaction
+   * @param {string} interactionId - Interaction document id
+   * @param {Object} interaction - Interaction data (category, conversationId)
+   * @returns {Promise<boolean>} True if flagged
+   */
+  async markForCapture(interactionId, interaction) {
+    try {
+      const settings = await settingsService.getSettings();
+      if (!settings.leads.enabled) {
+        return false;
+      }
+
+      let flag = LEAD_CATEGORIES.includes(interaction.category);
+
+      if (!flag && interaction.conversationId) {
+        const leadDoc = await this.leadsCollection.doc(interaction.conversationId).get();
+        flag = leadDoc.exists;
+      }
+
+      if (flag) {
+        await this.interactionsCollection.doc(interactionId).update({ leadCapture: 'pending' });
+      }
+
+      return flag;
+    } catch (error) {
+      logger.error(`Failed to flag ${interactionId} for lead capture:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Interactions waiting for lead capture, oldest first
+   * @param {number} limit - Max interactions
+   * @returns {Promise<Array<Object>>} Interactions
+   */
+  async getPendingInteractions(limit = 50) {
+    const snapshot = await this.interactionsCollection
+      .where('leadCapture', '==', 'pending')
+      .orderBy('timestamp', 'asc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Lead a flagged interaction belongs to: its conversation, or the interaction itself
+   * when the sender is unknown
+   * @param {Object} interaction - Interaction
+   * @returns {string} Lead id
+   */
+  getLeadId(interaction) {
+    return interaction.conversationId || interaction.id;
+  }
+
+  /**
+   * Extract the customer's details from the conversation and create/update its lead
+   * @param {Array<Object>} interactions - Flagged interactions of one lead (same getLeadId)
+   * @returns {Promise<Object|null>} Lead, or null if the AI found no sales intent and there was no lead yet
+   */
+  async captureLead(interactions) {
+    const { FieldValue } = admin.firestore;
+    const latest = interactions[interactions.length - 1];
+    const leadId = this.getLeadId(latest);
+    const leadRef = this.leadsCollection.doc(leadId);
+
+    try {
+      const [leadDoc, turns] = await Promise.all([
+        leadRef.get(),
+        this.getTurns(latest, interactions)
+      ]);
+
+      const extracted = await aiEngine.extractLeadFields(turns);
+
+      if (!leadDoc.exists && !extracted.isLead) {
+        await this.markInteractions(interactions, { leadCapture: 'not_lead' });
+        return null;
+      }
+
+      const existing = leadDoc.exists ? leadDoc.data() : {};
+      const timestamp = new Date().toISOString();
+
+      // Details the customer gave fill or update the lead; fields a person edited are kept,
+      // and a vague 'other' product never replaces a known one
+      const update = {};
+      for (const [field, value] of Object.entries(this.normalizeFields(extracted))) {
+        const vague = field === 'productCategory' && value === 'other' && existing.productCategory;
+        if (value !== null && !vague && !(existing.editedFields || []).includes(field)) {
+          update[field] = value;
+        }
+      }
+
+      const postIds = interactions.map(interaction => interaction.postId).filter(Boolean);
+
+      Object.assign(update, {
+        conversationId: latest.conversationId || null,
+        platform: latest.platform,
+        user: {
+          id: latest.user?.id || null,
+          username: latest.user?.username || null,
+          name: latest.user?.name || null
+        },
+        interactionIds: FieldValue.arrayUnion(...interactions.map(interaction => interaction.id)),
+        lastCapturedAt: timestamp,
+        updatedAt: timestamp
+      });
+
+      if (postIds.length > 0) {
+        update.postIds = FieldValue.arrayUnion(...postIds);
+      }
+
+      if (!leadDoc.exists) {
+        Object.assign(update, {
+          status: 'new',
+          statusHistory: [{ status: 'new', changedBy: 'system', changedAt: timestamp }],
+          source: {
+            interactionId: interactions[0].id,
+            type: interactions[0].type,
+            category: interactions[0].category || null
+          },
+          notes: null,
+          editedFields: [],
+          createdAt: timestamp
+        });
+      }
+
+      await leadRef.set(update, { merge: true });
+      await this.markInteractions(interactions, { leadCapture: 'done', leadId });
+
+      logger.info(`Lead ${leadDoc.exists ? 'updated' : 'created'}: ${leadId}`);
+
+      const lead = await this.getLead(leadId);
+      await this.pushToCrm(lead, leadDoc.exists ? 'lead.updated' : 'lead.created');
+
+      return lead;
+    } catch (error) {
+      // Retried on the next run, then given up on
+      for (const interaction of interactions) {
+        const attempts = (interaction.leadCaptureAttempts || 0) + 1;
+        await this.interactionsCollection.doc(interaction.id).update({
+          leadCapture: attempts >= MAX_CAPTURE_ATTEMPTS ? 'failed' : 'pending',
+          leadCaptureAttempts: attempts,
+          leadCaptureError: error.message
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Conversation turns the AI reads, making sure the flagged messages are among them
+   * @param {Object} latest - Newest flagged interaction
+   * @param {Array<Object>} interactions - Flagged interactions
+   * @returns {Promise<Array<Object>>} Turns, oldest first
+   */
+  async getTurns(latest, interactions) {
+    const turns = latest.conversationId
+      ? await conversationsService.getRecentTurns(latest.conversationId, { limit: CAPTURE_TURNS })
+      : [];
+
+    const missing = interactions
+      .filter(interaction => !turns.some(turn => turn.id === interaction.id))
+      .map(interaction => ({
+        id: interaction.id,
+        direction: 'inbound',
+        text: interaction.userMessage || '',
+        timestamp: interaction.timestamp
+      }));
+
+    return [...turns, ...missing].sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1));
+  }
+
+  /**
+   * Set fields on every interaction of a capture
+   * @param {Array<Object>} interactions - Interactions
+   * @param {Object} data - Fields
+   * @returns {Promise<void>}
+   */
+  async markInteractions(interactions, data) {
+    await Promise.all(interactions.map(interaction =>
+      this.interactionsCollection.doc(interaction.id).update({ ...data, leadCaptureError: null })
+    ));
+  }
+
+  /**
+   * List leads, most recently updated first
+   * @param {Object} options - Options
+   * @param {string} options.status - Filter by status (optional)
+   * @param {number} options.limit - Max results (default 50)
+   * @returns {Promise<Array<Object>>} Leads
+   */
+  async listLeads(options = {}) {
+    const { status, limit = 50 } = options;
+
+    let query = this.leadsCollection;
+
+    if (status) {
+      this.validateStatus(status);
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query
+      .orderBy('updatedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Get a lead
+   * @param {string} leadId - Lead id
+   * @returns {Promise<Object|null>} Lead or null
+   */
+  async getLead(leadId) {
+    const doc = await this.leadsCollection.doc(leadId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Update a lead's status, notes or details
+   * Edited details are not overwritten by later captures
+   * @param {string} leadId - Lead id
+   * @param {Object} changes - { status, notes, name, city, ... }
+   * @param {string} updatedBy - Actor name
+   * @returns {Promise<Object>} Updated lead
+   */
+  async updateLead(leadId, changes, updatedBy) {
+    const errors = this.validateChanges(changes || {});
+    if (errors.length > 0) {
+      throw createHttpError('Invalid lead update', 400, errors);
+    }
+
+    const leadRef = this.leadsCollection.doc(leadId);
+
+    const lead = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(leadRef);
+
+      if (!doc.exists) {
+        throw createHttpError('Lead not found', 404);
+      }
+
+      const current = doc.data();
+      const timestamp = new Date().toISOString();
+      const update = { updatedAt: timestamp, updatedBy };
+
+      const fields = FIELDS.filter(field => field in changes);
+      for (const field of fields) {
+        update[field] = changes[field];
+      }
+
+      if (fields.length > 0) {
+        update.editedFields = [...new Set([...(current.editedFields || []), ...fields])];
+      }
+
+      if ('notes' in changes) {
+        update.notes = changes.notes;
+      }
+
+      if (changes.status && changes.status !== current.status) {
+        update.status = changes.status;
+        update.statusHistory = [
+          ...(current.statusHistory || []),
+          { status: changes.status, changedBy: updatedBy, changedAt: timestamp }
+        ];
+      }
+
+      transaction.update(leadRef, update);
+
+      return { id: doc.id, ...current, ...update };
+    });
+
+    await this.pushToCrm(lead, 'lead.updated');
+
+    return lead;
+  }
+
+  /**
+   * Send a lead to the CRM webhook (leads.crmWebhookUrl) and record the outcome on the lead
+   * With CRM_WEBHOOK_SECRET set, the body is signed in X-Doors22-Signature (sha256 HMAC)
+   * Never throws - a CRM outage must not fail the capture or the edit
+   * @param {Object} lead - Lead
+   * @param {string} event - lead.created or lead.updated
+   * @returns {Promise<Object|null>} { status, pushedAt, error } or null when no webhook is configured
+   */
+  async pushToCrm(lead, event = 'lead.updated') {
+    let crm;
+    try {
+      // Read inside the try: a settings outage is recorded as a failed push, not thrown
+      const settings = await settingsService.getSettings();
+      const url = settings.leads.crmWebhookUrl;
+
+      if (!url) {
+        return null;
+      }
+
+      const body = JSON.stringify({
+        event,
+        sentAt: new Date().toISOString(),
+        lead: this.toCrmLead(lead)
+      });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.CRM_WEBHOOK_SECRET) {
+        headers['X-Doors22-Signature'] = 'sha256=' + crypto
+          .createHmac('sha256', process.env.CRM_WEBHOOK_SECRET)
+          .update(body)
+          .digest('hex');
+      }
+
+      const response = await axios.post(url, body, { headers, timeout: CRM_TIMEOUT_MS });
+      crm = { status: 'pushed', event, pushedAt: new Date().toISOString(), responseStatus: response.status, error: null };
+      logger.info(`Lead ${lead.id} pushed to CRM (${event})`);
+    } catch (error) {
+      const message = error.response ? `CRM responded ${error.response.status}` : error.message;
+      crm = { status: 'failed', event, pushedAt: new Date().toISOString(), responseStatus: error.response?.status || null, error: message };
+      logger.error(`CRM push for lead ${lead.id} failed:`, message);
+    }
+
+    try {
+      await this.leadsCollection.doc(lead.id).update({ crm });
+    } catch (error) {
+      logger.error(`Failed to record CRM push for lead ${lead.id}:`, error.message);
+    }
+
+    return crm;
+  }
+
+  /**
+   * Export leads as CSV (one row per lead)
+   * @param {Object} options - Filters
+   * @param {string} options.status - Only this status (optional)
+   * @param {string} options.from - Created on or after (ISO date, optional)
+   * @param {string} options.to - Created on or before (ISO date, optional; a date covers the whole day)
+   * @returns {Promise<Object>} { filename, count, body }
+   */
+  async exportCsv(options = {}) {
+    const { status, from, to } = options;
+
+    if (status) {
+      this.validateStatus(status);
+    }
+
+    const fromTime = this.parseDate(from, 'from');
+    let toTime = this.parseDate(to, 'to');
+    if (toTime && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toTime += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    const snapshot = await this.leadsCollection
+      .orderBy('createdAt', 'desc')
+      .limit(MAX_EXPORT_LEADS)
+      .get();
+
+    const leads = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(lead => !status || lead.status === status)
+      .filter(lead => !fromTime || new Date(lead.createdAt).getTime() >= fromTime)
+      .filter(lead => !toTime || new Date(lead.createdAt).getTime() <= toTime);
+
+    const lines = [
+      CSV_COLUMNS.map(([header]) => header).join(','),
+      ...leads.map(lead => CSV_COLUMNS.map(([, getValue]) => escapeCsv(getValue(lead))).join(','))
+    ];
+
+    return {
+      filename: `doors22-leads-${new Date().toISOString().split('T')[0]}.csv`,
+      count: leads.length,
+      body: `${lines.join('\r\n')}\r\n`
+    };
+  }
+
+  /**
+   * Lead as sent to the CRM (details, pipeline status and where it came from)
+   * @param {Object} lead - Lead
+   * @returns {Object} CRM payload
+   */
+  toCrmLead(lead) {
+    return {
+      id: lead.id,
+      status: lead.status,
+      ...Object.fromEntries(FIELDS.map(field => [field, lead[field] ?? null])),
+      notes: lead.notes || null,
+      platform: lead.platform || null,
+      user: lead.user || null,
+      interactionIds: lead.interactionIds || [],
+      postIds: lead.postIds || [],
+      createdAt: lead.createdAt || null,
+      updatedAt: lead.updatedAt || null
+    };
+  }
+
+  /**
+   * Clean up the AI's extraction: trimmed strings, a whole panel count, known product
+   * categories, plausible phone/email - anything else becomes null
+   * @param {Object} extracted - aiEngine.extractLeadFields result
+   * @returns {Object} Lead fields
+   */
+  normalizeFields(extracted) {
+    const text = value => (typeof value === 'string' && value.trim() && value.trim().toLowerCase() !== 'null'
+      ? value.trim().slice(0, 200)
+      : null);
+
+    const fields = Object.fromEntries(FIELDS.map(field => [field, text(extracted[field])]));
+
+    const panelCount = Number(extracted.panelCount);
+    fields.panelCount = Number.isInteger(panelCount) && panelCount > 0 && panelCount <= 100 ? panelCount : null;
+
+    if (fields.productCategory && !PRODUCT_CATEGORIES.includes(fields.productCategory)) {
+      fields.productCategory = 'other';
+    }
+
+    if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+      fields.email = null;
+    }
+
+    if (fields.phone && fields.phone.replace(/\D/g, '').length < 7) {
+      fields.phone = null;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Validate a lead update
+   * @param {Object} changes - Requested changes
+   * @returns {Array<Object>} Errors ({ field, message })
+   */
+  validateChanges(changes) {
+    const errors = [];
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (!EDITABLE_FIELDS.includes(field)) {
+        errors.push({ field, message: `Cannot be changed. Allowed: ${EDITABLE_FIELDS.join(', ')}` });
+      } else if (field === 'status') {
+        if (!STATUSES.includes(value)) {
+          errors.push({ field, message: `Must be one of: ${STATUSES.join(', ')}` });
+        }
+      } else if (field === 'panelCount') {
+        if (value !== null && !(Number.isInteger(value) && value > 0 && value <= 100)) {
+          errors.push({ field, message: 'Must be a whole number between 1 and 100, or null' });
+        }
+      } else if (field === 'productCategory') {
+        if (value !== null && !PRODUCT_CATEGORIES.includes(value)) {
+          errors.push({ field, message: `Must be one of: ${PRODUCT_CATEGORIES.join(', ')}, or null` });
+        }
+      } else if (value !== null && (typeof value !== 'string' || value.length > 2000)) {
+        errors.push({ field, message: 'Must be a string (at most 2000 characters) or null' });
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      errors.push({ field: null, message: `Nothing to update. Allowed: ${EDITABLE_FIELDS.join(', ')}` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw a 400 for an unknown status
+   * @param {string} status - Status
+   */
+  validateStatus(status) {
+    if (!STATUSES.includes(status)) {
+      throw createHttpError(`Invalid status "${status}". Allowed: ${STATUSES.join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Parse an optional date filter
+   * @param {string} value - ISO date or time
+   * @param {string} name - Parameter name (for the error)
+   * @returns {number|null} Epoch ms
+   */
+  parseDate(value, name) {
+    if (!value) {
+      return null;
+    }
+
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      throw createHttpError(`Invalid ${name} date: ${value}`, 400);
+    }
+
+    return time;
+  }
+}
+
+module.exports = new LeadsService();
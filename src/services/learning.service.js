@@ -0,0 +1,266 @@
+/**
+ * Learning Service
+ * Weights content generation choices by past engagement (a weighted multi-armed bandit)
+ * - Dimensions: content type, frame/glass combination, reference image, keyword and posting hour
+ * - Each option ("arm") is scored by the engagement rate of past posts that used it, per category
+ * - Choices are sampled from the weights, and the exploration floor keeps every option in play
+ * - The chosen arm and the weights at decision time are stored on the post (post.learning)
+ */
+
+const { db } = require('../config/firebase');
+const settingsService = require('./settings.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Posts published within this many days train the weights
+const LOOKBACK_DAYS = 90;
+
+// Only metrics from these snapshot windows are used (1h numbers are too early to compare)
+const REWARD_WINDOWS = ['24h', '7d'];
+
+// Past posts per arm before its own rate outweighs the category average
+const PRIOR_STRENGTH = 3;
+
+const STRATEGY = 'weighted-bandit';
+
+// How each dimension's arm is read from a past post
+const ARM_EXTRACTORS = {
+  contentType: post => post.type || null,
+  frameGlass: post => (post.productDetails?.frame && post.productDetails?.glassType
+    ? `${post.productDetails.frame}/${post.productDetails.glassType}`
+    : null),
+  referenceImage: post => post.referenceImage?.publicId || null,
+  keyword: post => post.keyword || null,
+  postingHour: post => (post.postedAt ? String(new Date(post.postedAt).getUTCHours()) : null)
+};
+
+class LearningService {
+  constructor() {
+    this.postsCollection = db.collection('posts');
+    this.cache = null;
+    this.lastCacheTime = 0;
+    this.cacheExpiry = 10 * 60 * 1000; // 10 minute cache
+  }
+
+  /**
+   * Get the dimensions the learner weights
+   * @returns {Array<string>} Dimension names
+   */
+  getDimensions() {
+    return Object.keys(ARM_EXTRACTORS);
+  }
+
+  /**
+   * Choose one arm of a dimension for a category
+   * Weight of an arm = explorationFloor x base share + (1 - explorationFloor) x base share scaled by
+   * the arm's smoothed engagement rate relative to the category average (renormalized)
+   * @param {string} category - Product category
+   * @param {string} dimension - Dimension name
+   * @param {Array<string>} arms - Options to choose from
+   * @param {Object} baseWeights - Arm -> base weight (default: equal), e.g. the content mix
+   * @returns {Promise<Object>} Decision { arm, dimension, priorRate, weights: [{ arm, weight, base, posts, meanRate }] }
+   */
+  async choose(category, dimension, arms, baseWeights = {}) {
+    if (!ARM_EXTRACTORS[dimension]) {
+      throw new Error(`Unknown learning dimension: ${dimension}`);
+    }
+
+    if (arms.length === 0) {
+      throw new Error(`No options to choose a ${dimension} from`);
+    }
+
+    const { learning } = await settingsService.getSettings();
+    const stats = learning.enabled ? await this.getArmStats(category, dimension) : { arms: {}, priorRate: null };
+    const floor = learning.enabled ? learning.explorationFloor / 100 : 1;
+
+    const weights = this.getWeights(arms, baseWeights, stats, floor);
+    const arm = this.sample(weights);
+
+    logger.info(`Learning: ${dimension} for ${category} -> ${arm} (${weights.map(w => `${w.arm} ${(w.weight * 100).toFixed(1)}%`).join(', ')})`);
+
+    return {
+      arm,
+      dimension,
+      priorRate: stats.priorRate,
+      weights
+    };
+  }
+
+  /**
+   * Choose a posting hour around the configured posting time
+   * @param {string} category - Product category
+   * @returns {Promise<Object|null>} Decision (arm is the UTC hour as a string), or null when
+   *   learning.postingHourSpread is 0 (always post at the configured time)
+   */
+  async choosePostingHour(category) {
+    const { learning, postingTime } = await settingsService.getSettings();
+
+    if (!learning.postingHourSpread) {
+      return null;
+    }
+
+    const [configuredHour] = settingsService.parsePostingTime(postingTime);
+    const hours = [];
+    for (let offset = -learning.postingHourSpread; offset <= learning.postingHourSpread; offset++) {
+      hours.push(String((configuredHour + offset + 24) % 24));
+    }
+
+    return this.choose(category, 'postingHour', hours);
+  }
+
+  /**
+   * Compute the selection weights
+   * @param {Array<string>} arms - Options
+   * @param {Object} baseWeights - Arm -> base weight
+   * @param {Object} stats - { arms: arm -> { posts, meanRate, smoothedRate }, priorRate }
+   * @param {number} floor - Exploration floor (0-1)
+   * @returns {Array<Object>} { arm, weight, base, posts, meanRate }
+   */
+  getWeights(arms, baseWeights, stats, floor) {
+    const bases = arms.map(arm => Math.max(baseWeights[arm] ?? 1, 0));
+    const baseTotal = bases.reduce((sum, base) => sum + base, 0) || 1;
+    const shares = bases.map(base => base / baseTotal);
+
+    const scaled = arms.map((arm, i) => shares[i] * this.getLift(stats.arms[arm], stats.priorRate));
+    const scaledTotal = scaled.reduce((sum, value) => sum + value, 0);
+
+    return arms.map((arm, i) => {
+      const exploit = scaledTotal > 0 ? scaled[i] / scaledTotal : shares[i];
+
+      return {
+        arm,
+        weight: Math.round((floor * shares[i] + (1 - floor) * exploit) * 10000) / 10000,
+        base: Math.round(shares[i] * 10000) / 10000,
+        posts: stats.arms[arm]?.posts || 0,
+        meanRate: stats.arms[arm]?.meanRate ?? null
+      };
+    });
+  }
+
+  /**
+   * How much better an arm performs than the category average
+   * Arms with few posts are pulled towards the average, arms without posts score exactly average
+   * @param {Object} armStats - { posts, sumRate }
+   * @param {number|null} priorRate - Category average engagement rate
+   * @returns {number} Multiplier (1 = average)
+   */
+  getLift(armStats, priorRate) {
+    if (!priorRate || !armStats) {
+      return 1;
+    }
+
+    const smoothed = (armStats.sumRate + priorRate * PRIOR_STRENGTH) / (armStats.posts + PRIOR_STRENGTH);
+    return smoothed / priorRate;
+  }
+
+  /**
+   * Pick an arm at random in proportion to its weight
+   * @param {Array<Object>} weights - { arm, weight }
+   * @returns {string} Chosen arm
+   */
+  sample(weights) {
+    const total = weights.reduce((sum, w) => sum + w.weight, 0);
+    let random = Math.random() * total;
+
+    for (const { arm, weight } of weights) {
+      random -= weight;
+      if (random < 0) {
+        return arm;
+      }
+    }
+
+    return weights[weights.length - 1].arm;
+  }
+
+  /**
+   * Engagement statistics of one dimension's arms within a category
+   * @param {string} category - Product category
+   * @param {string} dimension - Dimension name
+   * @returns {Promise<Object>} { arms: arm -> { posts, sumRate, meanRate }, priorRate, posts }
+   */
+  async getArmStats(category, dimension) {
+    const measured = (await this.getMeasuredPosts()).filter(post => post.category === category);
+    const arms = {};
+
+    for (const post of measured) {
+      const arm = ARM_EXTRACTORS[dimension](post);
+      if (!arm) continue;
+
+      arms[arm] = arms[arm] || { posts: 0, sumRate: 0, meanRate: null };
+      arms[arm].posts++;
+      arms[arm].sumRate += post.metrics.engagementRate;
+    }
+
+    for (const stats of Object.values(arms)) {
+      stats.meanRate = Math.round((stats.sumRate / stats.posts) * 10000) / 10000;
+    }
+
+    const priorRate = measured.length > 0
+      ? measured.reduce((sum, post) => sum + post.metrics.engagementRate, 0) / measured.length
+      : null;
+
+    return { arms, priorRate, posts: measured.length };
+  }
+
+  /**
+   * Posted posts from the lookback period with a usable engagement rate
+   * @returns {Promise<Array>} Posts
+   */
+  async getMeasuredPosts() {
+    const now = Date.now();
+    if (this.cache && (now - this.lastCacheTime) < this.cacheExpiry) {
+      return this.cache;
+    }
+
+    const since = new Date(now - LOOKBACK_DAYS * DAY_MS).toISOString();
+
+    const snapshot = await this.postsCollection
+      .where('status', '==', 'posted')
+      .where('postedAt', '>=', since)
+      .get();
+
+    const posts = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(post => REWARD_WINDOWS.includes(post.metrics?.window))
+      .filter(post => typeof post.metrics.engagementRate === 'number');
+
+    this.cache = posts;
+    this.lastCacheTime = now;
+
+    logger.info(`Learning: ${posts.length} measured posts from the last ${LOOKBACK_DAYS} days`);
+
+    return posts;
+  }
+
+  /**
+   * Build the learning record stored on a generated post
+   * @param {Object} decisions - Dimension -> decision from choose (null entries are left out)
+   * @returns {Promise<Object>} post.learning
+   */
+  async buildRecord(decisions) {
+    const { learning } = await settingsService.getSettings();
+
+    return {
+      strategy: learning.enabled ? STRATEGY : 'random',
+      explorationFloor: learning.enabled ? learning.explorationFloor : 100,
+      priorStrength: PRIOR_STRENGTH,
+      rewardWindows: REWARD_WINDOWS,
+      lookbackDays: LOOKBACK_DAYS,
+      decidedAt: new Date().toISOString(),
+      decisions: Object.fromEntries(
+        Object.entries(decisions).filter(([, decision]) => decision)
+      )
+    };
+  }
+
+  /**
+   * Clear the cached posts (call after new metrics are collected)
+   */
+  clearCache() {
+    this.cache = null;
+    this.lastCacheTime = 0;
+  }
+}
+
+module.exports = new LearningService();
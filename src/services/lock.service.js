@@ -0,0 +1,254 @@
+/**
+ * Lock Service
+ * Firestore lease-based locks so work is done by exactly one instance
+ * - Cron locks (locks collection): one run of a cron job at a time across all instances,
+ *   kept alive by a heartbeat and taken over once the lease expires (crashed instance)
+ * - Document claims: a short lease on a single document (post, interaction) so each item
+ *   is processed by one worker even when two runs overlap
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+// Cron leases are renewed every third of the TTL while the run is in progress
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Publishing a reel or replying to an interaction stays well within this
+const DEFAULT_CLAIM_TTL_MS = 15 * 60 * 1000;
+
+class LockService {
+  constructor() {
+    this.locksCollection = db.collection('locks');
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+  }
+
+  /**
+   * Acquire a named lock (transactional)
+   * Every acquisition gets its own owner token, so an overlapping run in the same process is also refused
+   * @param {string} name - Lock name (e.g. the cron job name)
+   * @param {Object} options - Lock options
+   * @param {number} options.ttlMs - Lease length
+   * @returns {Promise<Object>} { acquired, owner, lock } where lock is the current holder when not acquired
+   */
+  async acquire(name, { ttlMs = DEFAULT_LOCK_TTL_MS } = {}) {
+    const docRef = this.locksCollection.doc(name);
+    const owner = `${this.instanceId}:${crypto.randomUUID()}`;
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const now = new Date().toISOString();
+
+      if (doc.exists) {
+        const lock = doc.data();
+
+        if (lock.owner && lock.expiresAt > now) {
+          return { acquired: false, owner: null, lock };
+        }
+
+        if (lock.owner) {
+          logger.warn(`Lock ${name} held by ${lock.instance} expired at ${lock.expiresAt} - taking over`);
+        }
+      }
+
+      transaction.set(docRef, {
+        name,
+        owner,
+        instance: this.instanceId,
+        acquiredAt: now,
+        heartbeatAt: now,
+        expiresAt: this.getExpiry(ttlMs),
+        ttlMs
+      });
+
+      return { acquired: true, owner, lock: null };
+    });
+  }
+
+  /**
+   * Extend a lock's lease (heartbeat)
+   * @param {string} name - Lock name
+   * @param {string} owner - Owner token from acquire
+   * @param {number} ttlMs - Lease length
+   * @returns {Promise<boolean>} False if the lock was lost to another owner
+   */
+  async renew(name, owner, ttlMs = DEFAULT_LOCK_TTL_MS) {
+    const docRef = this.locksCollection.doc(name);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists || doc.data().owner !== owner) {
+        return false;
+      }
+
+      transaction.update(docRef, {
+        heartbeatAt: new Date().toISOString(),
+        expiresAt: this.getExpiry(ttlMs)
+      });
+
+      return true;
+    });
+  }
+
+  /**
+   * Release a lock if it is still held by the owner
+   * @param {string} name - Lock name
+   * @param {string} owner - Owner token from acquire
+   * @returns {Promise<void>}
+   */
+  async release(name, owner) {
+    const docRef = this.locksCollection.doc(name);
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (doc.exists && doc.data().owner === owner) {
+        transaction.update(docRef, {
+          owner: null,
+          expiresAt: null,
+          releasedAt: new Date().toISOString()
+        });
+      }
+    });
+  }
+
+  /**
+   * Run a function while holding a named lock
+   * If another instance holds the lock the run is skipped and recorded in the logs collection
+   * @param {string} name - Lock name
+   * @param {Function} fn - Work to run
+   * @param {Object} options - Lock options
+   * @param {number} options.ttlMs - Lease length (renewed by the heartbeat while fn runs)
+   * @returns {Promise<Object>} fn's result, or { success, skipped, reason, lockedBy } when skipped
+   */
+  async withLock(name, fn, { ttlMs = DEFAULT_LOCK_TTL_MS } = {}) {
+    const { acquired, owner, lock } = await this.acquire(name, { ttlMs });
+
+    if (!acquired) {
+      logger.info(`Skipping ${name}: lock held by ${lock.instance} until ${lock.expiresAt}`);
+
+      await db.collection('logs').add({
+        type: 'cron_skipped',
+        job: name,
+        reason: 'locked',
+        lockedBy: lock.instance,
+        lockExpiresAt: lock.expiresAt,
+        instance: this.instanceId,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        success: true,
+        skipped: true,
+        reason: 'locked',
+        lockedBy: lock.instance
+      };
+    }
+
+    const heartbeat = setInterval(() => {
+      this.renew(name, owner, ttlMs)
+        .then(renewed => {
+          if (!renewed) {
+            logger.warn(`Lock ${name} was taken over by another instance while running`);
+          }
+        })
+        .catch(error => logger.warn(`Lock ${name} heartbeat failed:`, error.message));
+    }, Math.floor(ttlMs / 3));
+    heartbeat.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+
+      try {
+        await this.release(name, owner);
+      } catch (error) {
+        // The lease expires on its own
+        logger.warn(`Failed to release lock ${name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Claim a single document for processing (transactional)
+   * @param {string} collection - Collection name
+   * @param {string} docId - Document ID
+   * @param {Object} options - Claim options
+   * @param {Function} options.isClaimable - Checks the current document data (e.g. status is still pending)
+   * @param {number} options.ttlMs - Claim lease length
+   * @returns {Promise<Object|null>} Fresh document data with claimToken, or null if claimed elsewhere or no longer claimable
+   */
+  async claimDocument(collection, docId, { isClaimable = () => true, ttlMs = DEFAULT_CLAIM_TTL_MS } = {}) {
+    const docRef = db.collection(collection).doc(docId);
+    const claimToken = `${this.instanceId}:${crypto.randomUUID()}`;
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+
+      if (!doc.exists) {
+        return null;
+      }
+
+      const data = doc.data();
+      const now = new Date().toISOString();
+
+      if (data.claimedBy && data.claimExpiresAt > now) {
+        return null;
+      }
+
+      if (!isClaimable(data)) {
+        return null;
+      }
+
+      const claim = {
+        claimedBy: claimToken,
+        claimExpiresAt: this.getExpiry(ttlMs)
+      };
+
+      transaction.update(docRef, claim);
+
+      return { id: doc.id, ...data, ...claim, claimToken };
+    });
+  }
+
+  /**
+   * Release a document claim if it is still held
+   * @param {string} collection - Collection name
+   * @param {string} docId - Document ID
+   * @param {string} claimToken - Token from claimDocument
+   * @returns {Promise<void>}
+   */
+  async releaseDocument(collection, docId, claimToken) {
+    const docRef = db.collection(collection).doc(docId);
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(docRef);
+
+        if (doc.exists && doc.data().claimedBy === claimToken) {
+          transaction.update(docRef, {
+            claimedBy: null,
+            claimExpiresAt: null
+          });
+        }
+      });
+    } catch (error) {
+      // The claim expires on its own
+      logger.warn(`Failed to release claim on ${collection}/${docId}:`, error.message);
+    }
+  }
+
+  /**
+   * Lease expiry for a lock or claim taken now
+   * @param {number} ttlMs - Lease length
+   * @returns {string} ISO time
+   */
+  getExpiry(ttlMs) {
+    return new Date(Date.now() + ttlMs).toISOString();
+  }
+}
+
+module.exports = new LockService();
@@ -6,6 +6,9 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 
+// Platforms a post can be published to (post.targets)
+const PLATFORMS = ['instagram', 'facebook'];
+
 class MetaService {
   constructor() {
     this.apiVersion = 'v21.0';
@@ -23,6 +26,14 @@ class MetaService {
     };
   }
 
+  /**
+   * Get the platforms posts can target
+   * @returns {string[]} Platform names
+   */
+  getPlatforms() {
+    return [...PLATFORMS];
+  }
+
   /**
    * Check if Meta API is configured
    */
@@ -61,10 +72,12 @@ class MetaService {
    * @param {Object} params - Post parameters
    * @param {string} params.imageUrl - Public URL of the image
    * @param {string} params.caption - Post caption with hashtags
+   * @param {string} params.creationId - Container from a previous attempt to resume (optional)
+   * @param {Function} params.onContainerCreated - Called with a new container ID before publishing (optional)
    * @returns {Promise<Object>} Post result with media ID
    */
   async postToInstagram(params) {
-    const { imageUrl, caption } = params;
+    const { imageUrl, caption, onContainerCreated } = params;
     const config = this.getConfig();
 
     if (!this.isConfigured()) {
@@ -72,56 +85,45 @@ class MetaService {
     }
 
     try {
-      logger.info('Creating Instagram media container...', {
-        igUserId: config.igUserId ? `${config.igUserId.substring(0, 6)}...` : 'NOT SET',
-        imageUrl: imageUrl?.substring(0, 50) + '...'
-      });
-
-      // Step 1: Create media container
-      const containerResponse = await axios.post(
-        `${this.baseUrl}/${config.igUserId}/media`,
-        null,
-        {
-          params: {
-            image_url: imageUrl,
-            caption: caption,
-            access_token: config.accessToken
-          }
-        }
-      );
-
-      logger.info('Instagram container response:', JSON.stringify(containerResponse.data));
-
-      const creationId = containerResponse.data.id;
-      if (!creationId) {
-        throw new Error(`Media container creation failed: ${JSON.stringify(containerResponse.data)}`);
-      }
-      logger.info(`Media container created: ${creationId}`);
+      const published = await this.publishInstagramContainer({
+        creationId: params.creationId,
+        caption,
+        onContainerCreated,
+        createContainer: async () => {
+          logger.info('Creating Instagram media container...', {
+            igUserId: config.igUserId ? `${config.igUserId.substring(0, 6)}...` : 'NOT SET',
+            imageUrl: imageUrl?.substring(0, 50) + '...'
+          });
+
+          // Step 1: Create media container
+          const containerResponse = await axios.post(
+            `${this.baseUrl}/${config.igUserId}/media`,
+            null,
+            {
+              params: {
+                image_url: imageUrl,
+                caption: caption,
+                access_token: config.accessToken
+              }
+            }
+          );
 
-      // Step 2: Wait for container to be ready (check status)
-      await this.waitForMediaReady(creationId);
+          logger.info('Instagram container response:', JSON.stringify(containerResponse.data));
 
-      // Step 3: Publish the media
-      logger.info('Publishing Instagram media...');
-      const publishResponse = await axios.post(
-        `${this.baseUrl}/${config.igUserId}/media_publish`,
-        null,
-        {
-          params: {
-            creation_id: creationId,
-            access_token: config.accessToken
+          const creationId = containerResponse.data.id;
+          if (!creationId) {
+            throw new Error(`Media container creation failed: ${JSON.stringify(containerResponse.data)}`);
           }
-        }
-      );
+          logger.info(`Media container created: ${creationId}`);
 
-      const mediaId = publishResponse.data.id;
-      logger.info(`Instagram post published: ${mediaId}`);
+          return creationId;
+        }
+      });
 
       return {
         success: true,
         platform: 'instagram',
-        mediaId: mediaId,
-        creationId: creationId,
+        ...published,
         postedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -139,10 +141,12 @@ class MetaService {
    * @param {string} params.videoUrl - Public URL of the video
    * @param {string} params.caption - Post caption with hashtags
    * @param {string} params.coverUrl - Optional cover image URL
+   * @param {string} params.creationId - Container from a previous attempt to resume (optional)
+   * @param {Function} params.onContainerCreated - Called with a new container ID before publishing (optional)
    * @returns {Promise<Object>} Post result with media ID
    */
   async postReelToInstagram(params) {
-    const { videoUrl, caption, coverUrl } = params;
+    const { videoUrl, caption, coverUrl, onContainerCreated } = params;
     const config = this.getConfig();
 
     if (!this.isConfigured()) {
@@ -150,20 +154,174 @@ class MetaService {
     }
 
     try {
-      logger.info('Creating Instagram reel container...', {
-        igUserId: config.igUserId ? `${config.igUserId.substring(0, 6)}...` : 'NOT SET'
+      const published = await this.publishInstagramContainer({
+        creationId: params.creationId,
+        caption,
+        onContainerCreated,
+        // Video processing can take longer: 60 attempts, 5 second intervals
+        waitAttempts: 60,
+        waitIntervalMs: 5000,
+        createContainer: async () => {
+          logger.info('Creating Instagram reel container...', {
+            igUserId: config.igUserId ? `${config.igUserId.substring(0, 6)}...` : 'NOT SET'
+          });
+
+          // Step 1: Create reel container
+          const containerParams = {
+            video_url: videoUrl,
+            caption: caption,
+            media_type: 'REELS',
+            access_token: config.accessToken
+          };
+
+          if (coverUrl) {
+            containerParams.cover_url = coverUrl;
+          }
+
+          const containerResponse = await axios.post(
+            `${this.baseUrl}/${config.igUserId}/media`,
+            null,
+            { params: containerParams }
+          );
+
+          const creationId = containerResponse.data.id;
+          logger.info(`Reel container created: ${creationId}`);
+
+          return creationId;
+        }
       });
 
-      // Step 1: Create reel container
+      return {
+        success: true,
+        platform: 'instagram',
+        type: 'reel',
+        ...published,
+        postedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Instagram reel posting failed:', error.response?.data || error.message);
+      throw new Error(`Instagram reel failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Post a carousel (2-10 images) to Instagram
+   * Each image gets its own child container, then a CAROUSEL container references them in order
+   * @param {Object} params - Post parameters
+   * @param {Array<string>} params.imageUrls - Public URLs of the slides, in display order
+   * @param {string} params.caption - Post caption with hashtags
+   * @param {string} params.creationId - Carousel container from a previous attempt to resume (optional)
+   * @param {Function} params.onContainerCreated - Called with a new container ID before publishing (optional)
+   * @returns {Promise<Object>} Post result with media ID
+   */
+  async postCarouselToInstagram(params) {
+    const { imageUrls = [], caption, onContainerCreated } = params;
+    const config = this.getConfig();
+
+    if (!this.isConfigured()) {
+      throw new Error('Meta API not configured. Check environment variables.');
+    }
+
+    if (imageUrls.length < 2 || imageUrls.length > 10) {
+      throw new Error(`Instagram carousels need 2-10 images (got ${imageUrls.length})`);
+    }
+
+    try {
+      // Child containers are only known when the carousel container is created in this attempt
+      let childIds = null;
+
+      const published = await this.publishInstagramContainer({
+        creationId: params.creationId,
+        caption,
+        onContainerCreated,
+        createContainer: async () => {
+          // Step 1: Create a child container per slide
+          childIds = [];
+          for (const [index, imageUrl] of imageUrls.entries()) {
+            const childResponse = await axios.post(
+              `${this.baseUrl}/${config.igUserId}/media`,
+              null,
+              {
+                params: {
+                  image_url: imageUrl,
+                  is_carousel_item: true,
+                  access_token: config.accessToken
+                }
+              }
+            );
+
+            const childId = childResponse.data.id;
+            if (!childId) {
+              throw new Error(`Carousel item ${index + 1} container creation failed: ${JSON.stringify(childResponse.data)}`);
+            }
+
+            await this.waitForMediaReady(childId);
+            childIds.push(childId);
+            logger.info(`Carousel item ${index + 1}/${imageUrls.length} container created: ${childId}`);
+          }
+
+          // Step 2: Create the carousel container
+          const containerResponse = await axios.post(
+            `${this.baseUrl}/${config.igUserId}/media`,
+            null,
+            {
+              params: {
+                media_type: 'CAROUSEL',
+                children: childIds.join(','),
+                caption: caption,
+                access_token: config.accessToken
+              }
+            }
+          );
+
+          const creationId = containerResponse.data.id;
+          logger.info(`Carousel container created: ${creationId}`);
+
+          return creationId;
+        }
+      });
+
+      return {
+        success: true,
+        platform: 'instagram',
+        type: 'carousel',
+        ...published,
+        childIds: childIds,
+        postedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Instagram carousel posting failed:', error.response?.data || error.message);
+      throw new Error(`Instagram carousel failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Post a story to Instagram
+   * @param {Object} params - Story parameters
+   * @param {string} params.mediaUrl - Public URL of the 9:16 image or video
+   * @param {string} params.mediaType - 'image' or 'video'
+   * @returns {Promise<Object>} Story result with media ID
+   */
+  async postStoryToInstagram(params) {
+    const { mediaUrl, mediaType = 'image' } = params;
+    const config = this.getConfig();
+
+    if (!this.isConfigured()) {
+      throw new Error('Meta API not configured. Check environment variables.');
+    }
+
+    try {
+      logger.info(`Creating Instagram story container (${mediaType})...`);
+
       const containerParams = {
-        video_url: videoUrl,
-        caption: caption,
-        media_type: 'REELS',
+        media_type: 'STORIES',
         access_token: config.accessToken
       };
 
-      if (coverUrl) {
-        containerParams.cover_url = coverUrl;
+      if (mediaType === 'video') {
+        containerParams.video_url = mediaUrl;
+      } else {
+        containerParams.image_url = mediaUrl;
       }
 
       const containerResponse = await axios.post(
@@ -173,13 +331,14 @@ class MetaService {
       );
 
       const creationId = containerResponse.data.id;
-      logger.info(`Reel container created: ${creationId}`);
+      logger.info(`Story container created: ${creationId}`);
 
-      // Step 2: Wait for video processing (can take longer)
-      await this.waitForMediaReady(creationId, 60, 5000); // 60 attempts, 5 second intervals
+      if (mediaType === 'video') {
+        await this.waitForMediaReady(creationId, 60, 5000);
+      } else {
+        await this.waitForMediaReady(creationId);
+      }
 
-      // Step 3: Publish the reel
-      logger.info('Publishing Instagram reel...');
       const publishResponse = await axios.post(
         `${this.baseUrl}/${config.igUserId}/media_publish`,
         null,
@@ -192,19 +351,152 @@ class MetaService {
       );
 
       const mediaId = publishResponse.data.id;
-      logger.info(`Instagram reel published: ${mediaId}`);
+      logger.info(`Instagram story published: ${mediaId}`);
 
       return {
         success: true,
         platform: 'instagram',
-        type: 'reel',
+        type: 'story',
         mediaId: mediaId,
         creationId: creationId,
         postedAt: new Date().toISOString()
       };
     } catch (error) {
-      logger.error('Instagram reel posting failed:', error.response?.data || error.message);
-      throw new Error(`Instagram reel failed: ${error.response?.data?.error?.message || error.message}`);
+      logger.error('Instagram story posting failed:', error.response?.data || error.message);
+      throw new Error(`Instagram story failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Publish an Instagram media container, creating it first unless a previous attempt already did
+   * A resumed container is checked before publishing: an expired or failed one is replaced, and
+   * one that is already PUBLISHED (the publish call landed but its response was lost) is not
+   * published a second time
+   * @param {Object} options - Publish options
+   * @param {Function} options.createContainer - Creates the container and resolves to its ID
+   * @param {string} options.creationId - Container from a previous attempt (optional)
+   * @param {string} options.caption - Caption of the media (finds it again when the container was already published)
+   * @param {Function} options.onContainerCreated - Called with a new container ID before publishing (optional)
+   * @param {number} options.waitAttempts - Status checks before giving up
+   * @param {number} options.waitIntervalMs - Delay between status checks
+   * @returns {Promise<Object>} { mediaId, creationId, resumed, alreadyPublished }
+   */
+  async publishInstagramContainer(options) {
+    const { createContainer, onContainerCreated, waitAttempts = 30, waitIntervalMs = 2000 } = options;
+    const config = this.getConfig();
+
+    let creationId = options.creationId || null;
+    let resumed = false;
+
+    if (creationId) {
+      const status = await this.getContainerStatus(creationId);
+      logger.info(`Resuming Instagram container ${creationId} (status: ${status})`);
+
+      if (status === 'PUBLISHED') {
+        logger.warn(`Instagram container ${creationId} was already published - not publishing again`);
+        const mediaId = await this.findPublishedMediaId(creationId, options.caption);
+        return { mediaId, creationId, resumed: true, alreadyPublished: true };
+      }
+
+      if (status === 'EXPIRED' || status === 'ERROR') {
+        logger.warn(`Instagram container ${creationId} is ${status} - creating a new one`);
+        creationId = null;
+      } else {
+        resumed = true;
+      }
+    }
+
+    if (!creationId) {
+      creationId = await createContainer();
+
+      if (onContainerCreated) {
+        await onContainerCreated(creationId);
+      }
+    }
+
+    // Wait for container to be ready (check status)
+    await this.waitForMediaReady(creationId, waitAttempts, waitIntervalMs);
+
+    // Publish the media
+    logger.info(`Publishing Instagram container ${creationId}...`);
+    const publishResponse = await axios.post(
+      `${this.baseUrl}/${config.igUserId}/media_publish`,
+      null,
+      {
+        params: {
+          creation_id: creationId,
+          access_token: config.accessToken
+        }
+      }
+    );
+
+    const mediaId = publishResponse.data.id;
+    logger.info(`Instagram media published: ${mediaId}`);
+
+    return { mediaId, creationId, resumed, alreadyPublished: false };
+  }
+
+  /**
+   * Find the media an already published container became
+   * The container doesn't link to its media, so the account's recent media is matched by caption
+   * @param {string} creationId - Container ID
+   * @param {string} caption - Caption the container was created with
+   * @returns {Promise<string|null>} Media ID (null if it can't be found)
+   */
+  async findPublishedMediaId(creationId, caption) {
+    const config = this.getConfig();
+
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/${config.igUserId}/media`,
+        {
+          params: {
+            fields: 'id,caption,timestamp',
+            limit: 25,
+            access_token: config.accessToken
+          }
+        }
+      );
+
+      // Newest first, so a repeated caption resolves to the latest post
+      const media = (response.data.data || []).find(item => (item.caption || '').trim() === (caption || '').trim());
+
+      if (!media) {
+        logger.warn(`No recent Instagram media matches published container ${creationId}`);
+        return null;
+      }
+
+      logger.info(`Instagram container ${creationId} was published as ${media.id}`);
+      return media.id;
+    } catch (error) {
+      logger.warn(`Media lookup failed for container ${creationId}:`, error.response?.data?.error?.message || error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the status code of an Instagram media container
+   * @param {string} creationId - Container ID
+   * @returns {Promise<string|null>} EXPIRED, ERROR, FINISHED, IN_PROGRESS or PUBLISHED (null if unknown)
+   */
+  async getContainerStatus(creationId) {
+    const config = this.getConfig();
+
+    try {
+      const statusResponse = await axios.get(
+        `${this.baseUrl}/${creationId}`,
+        {
+          params: {
+            fields: 'status_code',
+            access_token: config.accessToken
+          }
+        }
+      );
+
+      return statusResponse.data.status_code || null;
+    } catch (error) {
+      logger.warn(`Container status check failed for ${creationId}:`, error.response?.data?.error?.message || error.message);
+      return null;
     }
   }
 
@@ -323,50 +615,291 @@ class MetaService {
   }
 
   /**
-   * Post to both Instagram and Facebook
+   * Post multiple photos to the Facebook Page as a single post
+   * Photos are uploaded unpublished, then attached to one feed post in order
+   * @param {Object} params - Post parameters
+   * @param {Array<string>} params.imageUrls - Public URLs of the photos, in display order
+   * @param {string} params.caption - Post caption
+   * @returns {Promise<Object>} Post result with post ID
+   */
+  async postCarouselToFacebook(params) {
+    const { imageUrls = [], caption } = params;
+    const config = this.getConfig();
+
+    if (!this.isConfigured()) {
+      throw new Error('Meta API not configured. Check environment variables.');
+    }
+
+    try {
+      logger.info(`Uploading ${imageUrls.length} photos to Facebook...`, {
+        pageId: config.pageId ? `${config.pageId.substring(0, 6)}...` : 'NOT SET'
+      });
+
+      const photoIds = [];
+      for (const imageUrl of imageUrls) {
+        const photoResponse = await axios.post(
+          `${this.baseUrl}/${config.pageId}/photos`,
+          null,
+          {
+            params: {
+              url: imageUrl,
+              published: false,
+              access_token: config.accessToken
+            }
+          }
+        );
+        photoIds.push(photoResponse.data.id);
+      }
+
+      const response = await axios.post(
+        `${this.baseUrl}/${config.pageId}/feed`,
+        null,
+        {
+          params: {
+            message: caption,
+            attached_media: JSON.stringify(photoIds.map(id => ({ media_fbid: id }))),
+            access_token: config.accessToken
+          }
+        }
+      );
+
+      const postId = response.data.id;
+      logger.info(`Facebook multi-photo post published: ${postId}`);
+
+      return {
+        success: true,
+        platform: 'facebook',
+        type: 'carousel',
+        postId: postId,
+        photoIds: photoIds,
+        postedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Facebook multi-photo posting failed:', error.response?.data || error.message);
+      throw new Error(`Facebook multi-photo post failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Post to both Instagram and Facebook (or only the targeted platforms)
    * @param {Object} params - Post parameters
-   * @returns {Promise<Object>} Results from both platforms
+   * @param {string} params.mediaUrl - Public URL of the media (image and video)
+   * @param {Array<string>} params.mediaUrls - Slide URLs in order (carousel)
+   * @param {string} params.caption - Post caption (used for platforms without their own caption)
+   * @param {Object} params.captions - Per-platform captions { instagram, facebook } (optional)
+   * @param {Array<string>} params.targets - Platforms to publish to (default: all)
+   * @param {string} params.mediaType - 'image', 'video' or 'carousel'
+   * @param {string} params.creationId - Instagram container from a previous attempt to resume (optional)
+   * @param {Function} params.onContainerCreated - Called with a new Instagram container ID before publishing (optional)
+   * @returns {Promise<Object>} Results from both platforms (null for platforms not targeted)
    */
   async postToBothPlatforms(params) {
-    const { mediaUrl, caption, mediaType = 'image' } = params;
+    const { mediaUrl, mediaUrls, caption, captions = {}, targets = PLATFORMS, mediaType = 'image' } = params;
+    const { creationId, onContainerCreated } = params;
 
     const results = {
       instagram: null,
       facebook: null,
-      errors: []
+      errors: [],
+      skipped: PLATFORMS.filter(platform => !targets.includes(platform))
     };
 
     // Post to Instagram
+    if (targets.includes('instagram')) {
+      const instagramCaption = captions.instagram || caption;
+
+      try {
+        if (mediaType === 'carousel') {
+          results.instagram = await this.postCarouselToInstagram({
+            imageUrls: mediaUrls,
+            caption: instagramCaption,
+            creationId,
+            onContainerCreated
+          });
+        } else if (mediaType === 'video') {
+          results.instagram = await this.postReelToInstagram({
+            videoUrl: mediaUrl,
+            caption: instagramCaption,
+            creationId,
+            onContainerCreated
+          });
+        } else {
+          results.instagram = await this.postToInstagram({
+            imageUrl: mediaUrl,
+            caption: instagramCaption,
+            creationId,
+            onContainerCreated
+          });
+        }
+      } catch (error) {
+        logger.error('Instagram post failed:', error.message);
+        results.errors.push({ platform: 'instagram', error: error.message });
+      }
+    }
+
+    // Post to Facebook
+    if (targets.includes('facebook')) {
+      const facebookCaption = captions.facebook || caption;
+
+      try {
+        if (mediaType === 'carousel') {
+          results.facebook = await this.postCarouselToFacebook({
+            imageUrls: mediaUrls,
+            caption: facebookCaption
+          });
+        } else {
+          results.facebook = await this.postToFacebook({
+            mediaUrl: mediaUrl,
+            caption: facebookCaption,
+            mediaType: mediaType
+          });
+        }
+      } catch (error) {
+        logger.error('Facebook post failed:', error.message);
+        results.errors.push({ platform: 'facebook', error: error.message });
+      }
+    }
+
+    // Determine overall success
+    results.success = results.instagram !== null || results.facebook !== null;
+    results.partialSuccess = results.errors.length > 0 && results.success;
+
+    return results;
+  }
+
+  /**
+   * Post a story to the Facebook Page
+   * Photos are uploaded unpublished and attached to a photo story; videos use the
+   * resumable video_stories upload (start → upload from URL → finish)
+   * @param {Object} params - Story parameters
+   * @param {string} params.mediaUrl - Public URL of the 9:16 image or video
+   * @param {string} params.mediaType - 'image' or 'video'
+   * @returns {Promise<Object>} Story result with post ID
+   */
+  async postStoryToFacebook(params) {
+    const { mediaUrl, mediaType = 'image' } = params;
+    const config = this.getConfig();
+
+    if (!this.isConfigured()) {
+      throw new Error('Meta API not configured. Check environment variables.');
+    }
+
     try {
+      let response;
+
       if (mediaType === 'video') {
-        results.instagram = await this.postReelToInstagram({
-          videoUrl: mediaUrl,
-          caption: caption
+        logger.info('Posting video story to Facebook...');
+
+        const startResponse = await axios.post(
+          `${this.baseUrl}/${config.pageId}/video_stories`,
+          null,
+          {
+            params: {
+              upload_phase: 'start',
+              access_token: config.accessToken
+            }
+          }
+        );
+
+        const { video_id: videoId, upload_url: uploadUrl } = startResponse.data;
+
+        await axios.post(uploadUrl, null, {
+          headers: {
+            Authorization: `OAuth ${config.accessToken}`,
+            file_url: mediaUrl
+          }
         });
+
+        response = await axios.post(
+          `${this.baseUrl}/${config.pageId}/video_stories`,
+          null,
+          {
+            params: {
+              upload_phase: 'finish',
+              video_id: videoId,
+              access_token: config.accessToken
+            }
+          }
+        );
       } else {
-        results.instagram = await this.postToInstagram({
-          imageUrl: mediaUrl,
-          caption: caption
-        });
+        logger.info('Posting photo story to Facebook...');
+
+        const photoResponse = await axios.post(
+          `${this.baseUrl}/${config.pageId}/photos`,
+          null,
+          {
+            params: {
+              url: mediaUrl,
+              published: false,
+              access_token: config.accessToken
+            }
+          }
+        );
+
+        response = await axios.post(
+          `${this.baseUrl}/${config.pageId}/photo_stories`,
+          null,
+          {
+            params: {
+              photo_id: photoResponse.data.id,
+              access_token: config.accessToken
+            }
+          }
+        );
       }
+
+      const postId = response.data.post_id || response.data.id;
+      logger.info(`Facebook story published: ${postId}`);
+
+      return {
+        success: true,
+        platform: 'facebook',
+        type: 'story',
+        postId: postId,
+        postedAt: new Date().toISOString()
+      };
     } catch (error) {
-      logger.error('Instagram post failed:', error.message);
-      results.errors.push({ platform: 'instagram', error: error.message });
+      logger.error('Facebook story posting failed:', error.response?.data || error.message);
+      throw new Error(`Facebook story failed: ${error.response?.data?.error?.message || error.message}`);
     }
+  }
 
-    // Post to Facebook
-    try {
-      results.facebook = await this.postToFacebook({
-        mediaUrl: mediaUrl,
-        caption: caption,
-        mediaType: mediaType
-      });
-    } catch (error) {
-      logger.error('Facebook post failed:', error.message);
-      results.errors.push({ platform: 'facebook', error: error.message });
+  /**
+   * Post a story to both Instagram and Facebook (or only the targeted platforms)
+   * @param {Object} params - Story parameters
+   * @param {string} params.mediaUrl - Public URL of the 9:16 image or video
+   * @param {string} params.mediaType - 'image' or 'video'
+   * @param {Array<string>} params.targets - Platforms to publish to (default: all)
+   * @returns {Promise<Object>} Results from both platforms (null for platforms not targeted)
+   */
+  async postStoryToBothPlatforms(params) {
+    const { targets = PLATFORMS } = params;
+
+    const results = {
+      instagram: null,
+      facebook: null,
+      errors: [],
+      skipped: PLATFORMS.filter(platform => !targets.includes(platform))
+    };
+
+    if (targets.includes('instagram')) {
+      try {
+        results.instagram = await this.postStoryToInstagram(params);
+      } catch (error) {
+        logger.error('Instagram story failed:', error.message);
+        results.errors.push({ platform: 'instagram', error: error.message });
+      }
+    }
+
+    if (targets.includes('facebook')) {
+      try {
+        results.facebook = await this.postStoryToFacebook(params);
+      } catch (error) {
+        logger.error('Facebook story failed:', error.message);
+        results.errors.push({ platform: 'facebook', error: error.message });
+      }
     }
 
-    // Determine overall success
     results.success = results.instagram !== null || results.facebook !== null;
     results.partialSuccess = results.errors.length > 0 && results.success;
 
@@ -443,6 +976,44 @@ class MetaService {
     }
   }
 
+  /**
+   * Reply to an Instagram mention (a comment or caption on someone else's media that tags the account)
+   * @param {string} mediaId - Media the account was mentioned on
+   * @param {string} commentId - Comment with the mention (null for a caption mention)
+   * @param {string} message - Reply message
+   */
+  async replyToInstagramMention(mediaId, commentId, message) {
+    const config = this.getConfig();
+
+    if (!this.isConfigured()) {
+      throw new Error('Meta API not configured');
+    }
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/${config.igUserId}/mentions`,
+        null,
+        {
+          params: {
+            media_id: mediaId,
+            ...(commentId && { comment_id: commentId }),
+            message: message,
+            access_token: config.accessToken
+          }
+        }
+      );
+
+      logger.info(`Replied to Instagram mention on media: ${mediaId}`);
+      return {
+        success: true,
+        replyId: response.data.id
+      };
+    } catch (error) {
+      logger.error('Instagram mention reply failed:', error.response?.data || error.message);
+      throw new Error(`Reply failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Send Instagram DM reply
    * @param {string} userId - User ID to send message to
@@ -514,6 +1085,186 @@ class MetaService {
       throw new Error(`Message failed: ${error.response?.data?.error?.message || error.message}`);
     }
   }
+
+  /**
+   * Reply to a stored comment, mention or DM on the platform it came from
+   * Comments get a threaded reply, mentions a comment on the media, DMs a message to the sender
+   * @param {Object} interaction - Interaction (type, platform, interactionId, postId, commentId, user)
+   * @param {string} message - Reply text
+   * @returns {Promise<Object>} { success, replyId }
+   */
+  async replyToInteraction(interaction, message) {
+    const { type, platform } = interaction;
+    let result;
+
+    if (type === 'comment' && platform === 'instagram') {
+      result = await this.replyToInstagramComment(interaction.interactionId, message);
+    } else if (type === 'comment' && platform === 'facebook') {
+      result = await this.replyToFacebookComment(interaction.interactionId, message);
+    } else if (type === 'mention' && platform === 'instagram') {
+      result = await this.replyToInstagramMention(interaction.postId, interaction.commentId, message);
+    } else if (type === 'dm' && platform === 'instagram') {
+      result = await this.sendInstagramDM(interaction.user?.id, message);
+    } else if (type === 'dm' && platform === 'facebook') {
+      result = await this.sendFacebookMessage(interaction.user?.id, message);
+    } else {
+      throw new Error(`Cannot reply to ${type} on ${platform}`);
+    }
+
+    return {
+      success: result.success,
+      replyId: result.replyId || result.messageId || null
+    };
+  }
+
+  /**
+   * Get performance insights for a published Instagram media
+   * @param {string} mediaId - Instagram media ID
+   * @param {string} mediaType - 'image', 'video' (reel) or 'carousel'
+   * @returns {Promise<Object>} Normalized metrics (null for metrics Instagram did not return)
+   */
+  async getInstagramInsights(mediaId, mediaType = 'image') {
+    if (!this.isConfigured()) {
+      throw new Error('Meta API not configured');
+    }
+
+    const metrics = mediaType === 'video'
+      ? ['reach', 'views', 'plays', 'likes', 'comments', 'saved', 'shares']
+      : ['reach', 'impressions', 'views', 'likes', 'comments', 'saved', 'shares'];
+
+    const values = await this.fetchInsights(mediaId, metrics);
+
+    return {
+      reach: values.reach ?? null,
+      impressions: values.impressions ?? values.views ?? null,
+      likes: values.likes ?? null,
+      comments: values.comments ?? null,
+      saves: values.saved ?? null,
+      shares: values.shares ?? null,
+      videoPlays: mediaType === 'video' ? (values.views ?? values.plays ?? null) : null
+    };
+  }
+
+  /**
+   * Get performance insights for a published Facebook Page post
+   * @param {string} objectId - Post, photo or video ID returned when publishing
+   * @param {string} mediaType - 'image', 'video' or 'carousel'
+   * @returns {Promise<Object>} Normalized metrics (null for metrics Facebook did not return)
+   */
+  async getFacebookInsights(objectId, mediaType = 'image') {
+    const config = this.getConfig();
+
+    if (!this.isConfigured()) {
+      throw new Error('Meta API not configured');
+    }
+
+    const postId = await this.resolveFacebookPostId(objectId, mediaType);
+
+    const metrics = ['post_impressions', 'post_impressions_unique'];
+    if (mediaType === 'video') {
+      metrics.push('post_video_views');
+    }
+
+    const values = await this.fetchInsights(postId, metrics);
+
+    let counts = {};
+    try {
+      const response = await axios.get(`${this.baseUrl}/${postId}`, {
+        params: {
+          fields: 'reactions.summary(total_count).limit(0),comments.summary(total_count).limit(0),shares',
+          access_token: config.accessToken
+        }
+      });
+      counts = response.data;
+    } catch (error) {
+      logger.warn(`Facebook engagement counts failed for ${postId}:`, error.response?.data?.error?.message || error.message);
+    }
+
+    return {
+      reach: values.post_impressions_unique ?? null,
+      impressions: values.post_impressions ?? null,
+      likes: counts.reactions?.summary?.total_count ?? null,
+      comments: counts.comments?.summary?.total_count ?? null,
+      saves: null,
+      shares: counts.shares?.count ?? (counts.reactions ? 0 : null),
+      videoPlays: mediaType === 'video' ? (values.post_video_views ?? null) : null
+    };
+  }
+
+  /**
+   * Get the Page post ID behind a published photo or video (insights live on the post)
+   * @param {string} objectId - Post, photo or video ID
+   * @param {string} mediaType - 'image', 'video' or 'carousel'
+   * @returns {Promise<string>} Page post ID ({pageId}_{postId})
+   */
+  async resolveFacebookPostId(objectId, mediaType) {
+    if (String(objectId).includes('_')) {
+      return objectId;
+    }
+
+    const config = this.getConfig();
+    const field = mediaType === 'video' ? 'post_id' : 'page_story_id';
+
+    const response = await axios.get(`${this.baseUrl}/${objectId}`, {
+      params: {
+        fields: field,
+        access_token: config.accessToken
+      }
+    });
+
+    const postId = response.data[field];
+    return postId ? (postId.includes('_') ? postId : `${config.pageId}_${postId}`) : objectId;
+  }
+
+  /**
+   * Fetch insights metrics for a Graph object
+   * Available metrics differ by media type and API version, so if the combined request is
+   * rejected each metric is requested on its own and unsupported ones are left out
+   * @param {string} objectId - Media or post ID
+   * @param {Array<string>} metrics - Metric names
+   * @returns {Promise<Object>} Metric name -> value
+   */
+  async fetchInsights(objectId, metrics) {
+    const config = this.getConfig();
+
+    const request = async (metricList) => {
+      const response = await axios.get(`${this.baseUrl}/${objectId}/insights`, {
+        params: {
+          metric: metricList.join(','),
+          access_token: config.accessToken
+        }
+      });
+
+      return Object.fromEntries((response.data.data || []).map(entry => [
+        entry.name,
+        entry.values?.[0]?.value ?? entry.total_value?.value ?? null
+      ]));
+    };
+
+    let requestError;
+    try {
+      return await request(metrics);
+    } catch (error) {
+      requestError = error;
+      logger.warn(`Insights request for ${objectId} failed, retrying per metric:`, error.response?.data?.error?.message || error.message);
+    }
+
+    const values = {};
+    for (const metric of metrics) {
+      try {
+        Object.assign(values, await request([metric]));
+      } catch (error) {
+        logger.debug(`Metric ${metric} unavailable for ${objectId}`);
+      }
+    }
+
+    // Nothing at all means the object or token is the problem, not the metric list
+    if (Object.keys(values).length === 0) {
+      throw new Error(`Insights failed: ${requestError.response?.data?.error?.message || requestError.message}`);
+    }
+
+    return values;
+  }
 }
 
 module.exports = new MetaService();
@@ -0,0 +1,244 @@
+/**
+ * Metrics Service
+ * Engagement metrics for published posts (post_metrics collection)
+ * - Pulls Instagram and Facebook insights for the media IDs stored in post.platforms
+ * - Snapshots them 1 hour, 24 hours and 7 days after posting
+ * - Keeps the latest totals on the post (post.metrics) for reports and ranking
+ */
+
+const { db } = require('../config/firebase');
+const metaService = require('./meta.service');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Snapshot points after postedAt, in order
+const SNAPSHOT_WINDOWS = [
+  { label: '1h', offsetMs: HOUR_MS },
+  { label: '24h', offsetMs: 24 * HOUR_MS },
+  { label: '7d', offsetMs: 7 * 24 * HOUR_MS }
+];
+
+// How long after the last window a post is still checked (covers collector downtime)
+const LAST_WINDOW_GRACE_MS = 24 * HOUR_MS;
+
+const METRIC_FIELDS = ['reach', 'impressions', 'likes', 'comments', 'saves', 'shares', 'videoPlays'];
+
+// Interactions that count towards the engagement rate
+const ENGAGEMENT_FIELDS = ['likes', 'comments', 'saves', 'shares'];
+
+class MetricsService {
+  constructor() {
+    this.metricsCollection = db.collection('post_metrics');
+    this.postsCollection = db.collection('posts');
+  }
+
+  /**
+   * Get the snapshot windows
+   * @returns {Array<string>} Window labels in order
+   */
+  getWindows() {
+    return SNAPSHOT_WINDOWS.map(window => window.label);
+  }
+
+  /**
+   * Get posted posts that may still need a snapshot
+   * @returns {Promise<Array>} Posts published within the last window (plus grace)
+   */
+  async getCandidatePosts() {
+    const lastWindow = SNAPSHOT_WINDOWS[SNAPSHOT_WINDOWS.length - 1];
+    const since = new Date(Date.now() - lastWindow.offsetMs - LAST_WINDOW_GRACE_MS).toISOString();
+
+    const snapshot = await this.postsCollection
+      .where('status', '==', 'posted')
+      .where('postedAt', '>=', since)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Work out which snapshots a post needs now
+   * Only the latest due window is captured; earlier windows that were never captured
+   * are missed (metrics taken late would be mislabelled)
+   * @param {Object} post - Post data
+   * @param {Date} now - Current time
+   * @returns {Object} { due: window label or null, missed: window labels }
+   */
+  getDueWindows(post, now = new Date()) {
+    const snapshots = post.metricsSnapshots || {};
+    const postedAt = new Date(post.postedAt).getTime();
+
+    const pending = SNAPSHOT_WINDOWS
+      .filter(window => postedAt + window.offsetMs <= now.getTime())
+      .filter(window => !snapshots[window.label])
+      .map(window => window.label);
+
+    if (pending.length === 0) {
+      return { due: null, missed: [] };
+    }
+
+    return {
+      due: pending[pending.length - 1],
+      missed: pending.slice(0, -1)
+    };
+  }
+
+  /**
+   * Record windows that can no longer be captured
+   * @param {Object} post - Post data
+   * @param {Array<string>} windows - Window labels
+   * @returns {Promise<void>}
+   */
+  async markMissed(post, windows) {
+    const updateData = {};
+    for (const window of windows) {
+      updateData[`metricsSnapshots.${window}`] = {
+        status: 'missed',
+        capturedAt: null
+      };
+    }
+
+    await this.postsCollection.doc(post.id).update(updateData);
+
+    logger.warn(`Post ${post.id}: missed metrics snapshot(s) ${windows.join(', ')}`);
+  }
+
+  /**
+   * Fetch insights for every platform a post was published to and store the snapshot
+   * @param {Object} post - Post data
+   * @param {string} window - Window label (1h, 24h, 7d)
+   * @returns {Promise<Object>} Stored snapshot
+   */
+  async captureSnapshot(post, window) {
+    const platforms = {};
+    const errors = [];
+
+    const instagramId = post.platforms?.instagram?.mediaId;
+    if (instagramId) {
+      try {
+        platforms.instagram = this.withEngagement(await metaService.getInstagramInsights(instagramId, post.type));
+      } catch (error) {
+        errors.push({ platform: 'instagram', error: error.message });
+      }
+    }
+
+    const facebookId = post.platforms?.facebook?.postId;
+    if (facebookId) {
+      try {
+        platforms.facebook = this.withEngagement(await metaService.getFacebookInsights(facebookId, post.type));
+      } catch (error) {
+        errors.push({ platform: 'facebook', error: error.message });
+      }
+    }
+
+    if (Object.keys(platforms).length === 0) {
+      throw new Error(errors.length > 0
+        ? `Insights failed: ${errors.map(e => `${e.platform}: ${e.error}`).join('; ')}`
+        : 'Post has no published media IDs');
+    }
+
+    const capturedAt = new Date().toISOString();
+    const totals = this.sumMetrics(Object.values(platforms));
+
+    const snapshot = {
+      postId: post.id,
+      window,
+      capturedAt,
+      postedAt: post.postedAt,
+      hoursSincePost: Math.round((new Date(capturedAt) - new Date(post.postedAt)) / HOUR_MS),
+      category: post.category || null,
+      type: post.type || null,
+      hashtags: post.hashtags || [],
+      platforms,
+      totals,
+      engagementRate: totals.engagementRate,
+      errors: errors.length > 0 ? errors : null
+    };
+
+    // One document per post and window, so a retried capture overwrites instead of duplicating
+    const snapshotId = `${post.id}_${window}`;
+    await this.metricsCollection.doc(snapshotId).set(snapshot);
+
+    await this.postsCollection.doc(post.id).update({
+      [`metricsSnapshots.${window}`]: {
+        status: 'captured',
+        capturedAt,
+        snapshotId
+      },
+      metrics: {
+        window,
+        capturedAt,
+        ...totals
+      }
+    });
+
+    logger.info(`Post ${post.id}: ${window} metrics captured (reach ${totals.reach ?? 'n/a'}, engagement rate ${totals.engagementRate ?? 'n/a'})`);
+
+    return { id: snapshotId, ...snapshot };
+  }
+
+  /**
+   * Get the stored snapshots of a post
+   * @param {string} postId - Post ID
+   * @returns {Promise<Array>} Snapshots in window order
+   */
+  async getPostSnapshots(postId) {
+    const snapshot = await this.metricsCollection
+      .where('postId', '==', postId)
+      .get();
+
+    const windows = this.getWindows();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => windows.indexOf(a.window) - windows.indexOf(b.window));
+  }
+
+  /**
+   * Add engagement and engagement rate to a platform's metrics
+   * @param {Object} metrics - Normalized platform metrics
+   * @returns {Object} Metrics with engagement and engagementRate
+   */
+  withEngagement(metrics) {
+    const engagement = ENGAGEMENT_FIELDS.reduce((sum, field) => sum + (metrics[field] || 0), 0);
+
+    return {
+      ...metrics,
+      engagement,
+      engagementRate: this.getEngagementRate(engagement, metrics.reach)
+    };
+  }
+
+  /**
+   * Sum metrics across platforms (a metric no platform reported stays null)
+   * @param {Array<Object>} entries - Platform metrics
+   * @returns {Object} Totals with engagement and engagementRate
+   */
+  sumMetrics(entries) {
+    const totals = {};
+
+    for (const field of METRIC_FIELDS) {
+      const values = entries.map(entry => entry[field]).filter(value => typeof value === 'number');
+      totals[field] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    }
+
+    return this.withEngagement(totals);
+  }
+
+  /**
+   * Engagement rate as interactions per person reached
+   * @param {number} engagement - Likes, comments, saves and shares
+   * @param {number} reach - Accounts reached
+   * @returns {number|null} Rate rounded to 4 decimals, or null without reach
+   */
+  getEngagementRate(engagement, reach) {
+    if (!reach) {
+      return null;
+    }
+
+    return Math.round((engagement / reach) * 10000) / 10000;
+  }
+}
+
+module.exports = new MetricsService();
@@ -12,6 +12,14 @@ const logger = require('../utils/logger');
 const { sleep } = require('../utils/helpers');
 const { db } = require('../config/firebase');
 
+// How long each stage of a polled render may take (the same limits as the blocking waits)
+const RENDER_STAGE_TIMEOUTS_MS = {
+  imagine: 600000,
+  upscale: 120000,
+  animate: 300000,
+  select: 180000
+};
+
 class MidjourneyService {
   constructor() {
     this.discordBotUrl = process.env.DISCORD_BOT_URL || 'http://localhost:3002';
@@ -406,6 +414,97 @@ class MidjourneyService {
     }
   }
 
+  /**
+   * Submit a render without waiting for it (for callers that poll across runs, see pollRender)
+   * Videos start with the image grid, like generateVideo
+   * @param {Object} promptData - Prompt information
+   * @returns {Promise<Object>} Render state (Firestore-serializable) to pass to pollRender
+   */
+  async startRender(promptData) {
+    const isVideo = promptData.type === 'video';
+    const request = await this.sendPrompt(isVideo
+      ? { ...promptData, type: 'image', manualUpscale: true }
+      : promptData);
+
+    return {
+      type: promptData.type,
+      prompt: request.prompt,
+      requestId: request.requestId,
+      stage: 'imagine',
+      stageRequestId: request.requestId,
+      stageStartedAt: new Date().toISOString(),
+      status: 'pending',
+      mediaUrl: null,
+      messageId: null
+    };
+  }
+
+  /**
+   * Check a submitted render once and move it on when its current stage finished
+   * Videos go imagine → upscale (U1) → animate → select, like generateVideo.
+   * @param {Object} render - Render state from startRender or a previous pollRender
+   * @returns {Promise<Object>} Updated render state (status 'completed' with mediaUrl when done)
+   */
+  async pollRender(render) {
+    const status = await this.getStatus(render.stageRequestId);
+
+    if (status.status === 'failed') {
+      throw new Error(`Midjourney ${render.stage} failed: ${status.error || 'unknown error'}`);
+    }
+
+    if (status.status !== 'completed') {
+      const elapsed = Date.now() - new Date(render.stageStartedAt).getTime();
+
+      if (elapsed > RENDER_STAGE_TIMEOUTS_MS[render.stage]) {
+        throw new Error(`Midjourney ${render.stage} timeout after ${RENDER_STAGE_TIMEOUTS_MS[render.stage] / 1000} seconds`);
+      }
+
+      logger.info(`Midjourney ${render.stage} still in progress (${Math.round(elapsed / 1000)}s elapsed)`);
+      return render;
+    }
+
+    if (render.type !== 'video' || render.stage === 'select') {
+      logger.info(`Midjourney ${render.type} render completed`);
+      return {
+        ...render,
+        status: 'completed',
+        mediaUrl: status.mediaUrl,
+        messageId: status.messageId || null
+      };
+    }
+
+    const next = await this.startNextVideoStage(render.stage, status.messageId);
+
+    return {
+      ...render,
+      stage: next.stage,
+      stageRequestId: next.requestId,
+      stageStartedAt: new Date().toISOString(),
+      messageId: status.messageId || null
+    };
+  }
+
+  /**
+   * Start the video stage that follows a completed one
+   * @param {string} stage - Completed stage (imagine, upscale or animate)
+   * @param {string} messageId - Discord message ID of its result
+   * @returns {Promise<Object>} { stage, requestId }
+   */
+  async startNextVideoStage(stage, messageId) {
+    if (stage === 'imagine') {
+      const result = await this.clickButton(messageId, 'U1', 'image');
+      return { stage: 'upscale', requestId: result.requestId };
+    }
+
+    if (stage === 'upscale') {
+      const result = await this.clickAnimateButton(messageId);
+      return { stage: 'animate', requestId: result.requestId };
+    }
+
+    const result = await this.clickButtonWithFallback(messageId, ['1', 'V1'], 'video');
+    return { stage: 'select', requestId: result.requestId };
+  }
+
   /**
    * Click a button on a Midjourney message (U1-U4, V1-V4, etc.)
    * @param {string} messageId - Discord message ID
@@ -0,0 +1,332 @@
+/**
+ * Publishing Service
+ * Tracks per-platform publish state on approved posts (post.publishing)
+ * - Each targeted platform moves queued -> container_created -> published, or to failed
+ * - Failed platforms are retried on their own with exponential backoff up to a max attempts cap
+ * - An Instagram container created by an earlier attempt is resumed instead of re-created
+ * - Once every platform has settled the post becomes posted, or publish_failed if nothing went out
+ * - Story placements are tracked the same way in post.story.publishing (story becomes posted or failed)
+ */
+
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+const MAX_PUBLISH_ATTEMPTS = 5;
+
+// Delay before retry attempt 2, 3, ... (doubles from 5 minutes)
+const RETRY_BASE_MS = 5 * 60 * 1000;
+
+class PublishingService {
+  constructor() {
+    this.postsCollection = db.collection('posts');
+  }
+
+  /**
+   * Get the publish state of every targeted platform (platforms never attempted are queued)
+   * @param {Object} post - Post data
+   * @param {Array<string>} targets - Platforms the post is published to
+   * @returns {Object} Platform name -> state
+   */
+  getState(post, targets) {
+    return this.buildState(post.publishing, targets);
+  }
+
+  /**
+   * Get the publish state of every targeted platform for the post's story placement
+   * @param {Object} post - Post data
+   * @param {Array<string>} targets - Platforms the story is published to
+   * @returns {Object} Platform name -> state
+   */
+  getStoryState(post, targets) {
+    return this.buildState(post.story?.publishing, targets);
+  }
+
+  /**
+   * Fill in the state of platforms that have no (or only partly written) stored state
+   * @param {Object} publishing - Stored platform states (post.publishing or post.story.publishing)
+   * @param {Array<string>} targets - Platforms published to
+   * @returns {Object} Platform name -> state
+   */
+  buildState(publishing = {}, targets) {
+    return Object.fromEntries(targets.map(platform => [
+      platform,
+      { ...this.createPlatformState(), ...publishing[platform] }
+    ]));
+  }
+
+  /**
+   * Initial state of a platform that has not been attempted yet
+   * @returns {Object} Platform state
+   */
+  createPlatformState() {
+    return {
+      status: 'queued',
+      attempts: 0,
+      creationId: null,
+      result: null,
+      lastError: null,
+      nextAttemptAt: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Get the platforms that should be attempted now
+   * @param {Object} post - Post data
+   * @param {Array<string>} targets - Platforms the post is published to
+   * @param {string} now - Current ISO time
+   * @returns {Array<string>} Platform names
+   */
+  getDuePlatforms(post, targets, now = new Date().toISOString()) {
+    return this.filterDue(this.getState(post, targets), targets, now);
+  }
+
+  /**
+   * Get the platforms the post's story should be attempted on now
+   * @param {Object} post - Post data
+   * @param {Array<string>} targets - Platforms the story is published to
+   * @param {string} now - Current ISO time
+   * @returns {Array<string>} Platform names
+   */
+  getDueStoryPlatforms(post, targets, now = new Date().toISOString()) {
+    return this.filterDue(this.getStoryState(post, targets), targets, now);
+  }
+
+  /**
+   * Platforms that are neither published nor out of attempts, and whose backoff has passed
+   * @param {Object} state - Platform name -> state
+   * @param {Array<string>} targets - Platforms published to
+   * @param {string} now - Current ISO time
+   * @returns {Array<string>} Platform names
+   */
+  filterDue(state, targets, now) {
+    return targets.filter(platform => {
+      const platformState = state[platform];
+
+      if (platformState.status === 'published' || this.isExhausted(platformState)) {
+        return false;
+      }
+
+      return !platformState.nextAttemptAt || platformState.nextAttemptAt <= now;
+    });
+  }
+
+  /**
+   * Check whether a platform has failed for good
+   * @param {Object} platformState - Platform state
+   * @returns {boolean} True if no attempts are left
+   */
+  isExhausted(platformState) {
+    return platformState.status === 'failed' && platformState.attempts >= MAX_PUBLISH_ATTEMPTS;
+  }
+
+  /**
+   * Persist a newly created Instagram container so a retry resumes it
+   * @param {string} postId - Post ID
+   * @param {string} platform - Platform name
+   * @param {string} creationId - Container ID
+   * @returns {Promise<void>}
+   */
+  async markContainerCreated(postId, platform, creationId) {
+    await this.postsCollection.doc(postId).update({
+      [`publishing.${platform}.status`]: 'container_created',
+      [`publishing.${platform}.creationId`]: creationId,
+      [`publishing.${platform}.updatedAt`]: new Date().toISOString()
+    });
+
+    logger.info(`Post ${postId}: ${platform} container ${creationId} saved`);
+  }
+
+  /**
+   * Record the outcome of a publish attempt and move the post to its next status
+   * @param {Object} post - Post data (as read before the attempt)
+   * @param {Array<string>} targets - Platforms the post is published to
+   * @param {Array<string>} attempted - Platforms attempted in this run
+   * @param {Object} postResult - Result of metaService.postToBothPlatforms
+   * @returns {Promise<Object>} { status, published, failed, exhausted, state }
+   */
+  async recordAttempt(post, targets, attempted, postResult) {
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const state = this.getState(post, targets);
+
+    const { outcome, updateData } = this.applyAttempt(state, attempted, postResult, 'publishing', now);
+
+    updateData.updatedAt = timestamp;
+
+    // Dot paths keep story results already stored in the platforms map
+    for (const platform of outcome.published) {
+      updateData[`platforms.${platform}`] = postResult[platform];
+    }
+
+    const settled = targets.every(platform => state[platform].status === 'published' || this.isExhausted(state[platform]));
+    const anyPublished = targets.some(platform => state[platform].status === 'published');
+
+    if (anyPublished && !post.postedAt) {
+      updateData.postedAt = timestamp;
+    }
+
+    const errors = targets
+      .filter(platform => state[platform].status === 'failed')
+      .map(platform => ({ platform, error: state[platform].lastError, attempts: state[platform].attempts }));
+
+    updateData.postingErrors = errors.length > 0 ? errors : null;
+
+    // Until every platform has settled the post stays approved so the cron retries the rest
+    let status = post.status;
+    if (settled) {
+      status = anyPublished ? 'posted' : 'publish_failed';
+      updateData.status = status;
+    }
+
+    await this.postsCollection.doc(post.id).update(updateData);
+
+    logger.info(`Post ${post.id} publish attempt recorded: ${status} (published: ${outcome.published.join(', ') || 'none'}, failed: ${outcome.failed.join(', ') || 'none'})`);
+
+    return { status, ...outcome, state };
+  }
+
+  /**
+   * Record the outcome of a story publish attempt and move the story to its next status
+   * The story stays scheduled until every platform has settled; it then becomes posted,
+   * or failed if no platform published it
+   * @param {Object} post - Post data (as read before the attempt)
+   * @param {Array<string>} targets - Platforms the story is published to
+   * @param {Array<string>} attempted - Platforms attempted in this run
+   * @param {Object} storyResult - Result of metaService.postStoryToBothPlatforms
+   * @returns {Promise<Object>} { status, published, failed, exhausted, state }
+   */
+  async recordStoryAttempt(post, targets, attempted, storyResult) {
+    const now = new Date();
+    const timestamp = now.toISOString();
+    const state = this.getStoryState(post, targets);
+
+    const { outcome, updateData } = this.applyAttempt(state, attempted, storyResult, 'story.publishing', now);
+
+    for (const platform of outcome.published) {
+      updateData[`platforms.${platform}Story`] = storyResult[platform];
+    }
+
+    const settled = targets.every(platform => state[platform].status === 'published' || this.isExhausted(state[platform]));
+    const anyPublished = targets.some(platform => state[platform].status === 'published');
+
+    if (anyPublished && !post.story.postedAt) {
+      updateData['story.postedAt'] = timestamp;
+    }
+
+    const errors = targets
+      .filter(platform => state[platform].status === 'failed')
+      .map(platform => ({ platform, error: state[platform].lastError, attempts: state[platform].attempts }));
+
+    updateData['story.errors'] = errors.length > 0 ? errors : null;
+
+    let status = post.story.status;
+    if (settled) {
+      status = anyPublished ? 'posted' : 'failed';
+      updateData['story.status'] = status;
+    }
+
+    await this.postsCollection.doc(post.id).update(updateData);
+
+    logger.info(`Story for post ${post.id} publish attempt recorded: ${status} (published: ${outcome.published.join(', ') || 'none'}, failed: ${outcome.failed.join(', ') || 'none'})`);
+
+    return { status, ...outcome, state };
+  }
+
+  /**
+   * Apply the result of an attempt to the platform states (in place) and build the field updates
+   * @param {Object} state - Platform name -> state (from getState or getStoryState)
+   * @param {Array<string>} attempted - Platforms attempted in this run
+   * @param {Object} result - { <platform>: result or null, errors: [{ platform, error }] }
+   * @param {string} path - Where the states are stored ('publishing' or 'story.publishing')
+   * @param {Date} now - Attempt time
+   * @returns {Object} { outcome: { published, failed, exhausted }, updateData }
+   */
+  applyAttempt(state, attempted, result, path, now) {
+    const timestamp = now.toISOString();
+    const outcome = {
+      published: [],
+      failed: [],
+      exhausted: []
+    };
+    const updateData = {};
+
+    for (const platform of attempted) {
+      const previous = state[platform];
+      const attempts = (previous.attempts || 0) + 1;
+      const platformResult = result[platform];
+
+      if (platformResult) {
+        state[platform] = {
+          ...previous,
+          status: 'published',
+          attempts,
+          creationId: platformResult.creationId || previous.creationId || null,
+          result: platformResult,
+          lastError: null,
+          nextAttemptAt: null,
+          updatedAt: timestamp
+        };
+
+        updateData[`${path}.${platform}`] = state[platform];
+        outcome.published.push(platform);
+        continue;
+      }
+
+      const error = result.errors.find(e => e.platform === platform);
+      const exhausted = attempts >= MAX_PUBLISH_ATTEMPTS;
+
+      const changes = {
+        status: 'failed',
+        attempts,
+        lastError: error?.error || 'Unknown error',
+        nextAttemptAt: exhausted ? null : new Date(now.getTime() + this.getRetryDelay(attempts)).toISOString(),
+        updatedAt: timestamp
+      };
+
+      state[platform] = { ...previous, ...changes };
+
+      // Only the changed fields are written: the creationId saved by markContainerCreated
+      // during this attempt must survive so the next attempt resumes that container
+      for (const [field, value] of Object.entries(changes)) {
+        updateData[`${path}.${platform}.${field}`] = value;
+      }
+
+      outcome.failed.push(platform);
+      if (exhausted) {
+        outcome.exhausted.push(platform);
+      }
+    }
+
+    return { outcome, updateData };
+  }
+
+  /**
+   * Give failed platforms a fresh set of attempts (re-approving a publish_failed post)
+   * @param {Object} post - Post data
+   * @returns {Object} Field updates for the post
+   */
+  buildRetryUpdate(post) {
+    const updateData = {};
+
+    for (const [platform, platformState] of Object.entries(post.publishing || {})) {
+      if (platformState.status === 'failed') {
+        updateData[`publishing.${platform}.attempts`] = 0;
+        updateData[`publishing.${platform}.nextAttemptAt`] = null;
+      }
+    }
+
+    return updateData;
+  }
+
+  /**
+   * Backoff before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return RETRY_BASE_MS * Math.pow(2, attempts - 1);
+  }
+}
+
+module.exports = new PublishingService();
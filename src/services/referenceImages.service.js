@@ -74,6 +74,9 @@ const PRODUCT_CATALOG = {
   }
 };
 
+// Frame colors that can be parsed from reference image file names
+const FRAME_COLORS = ['black', 'silver', 'white'];
+
 class ReferenceImagesService {
   constructor() {
     this.imageCache = {};
@@ -129,6 +132,26 @@ class ReferenceImagesService {
     return catalog.keyword || 'sliding glass door';
   }
 
+  /**
+   * Get the keyword variations of a category
+   * @param {string} category - Category key
+   * @returns {string[]} SEO keywords
+   */
+  getKeywords(category) {
+    const catalog = PRODUCT_CATALOG[category];
+    if (!catalog) return ['sliding glass door'];
+
+    return catalog.keywords?.length > 0 ? catalog.keywords : [catalog.keyword];
+  }
+
+  /**
+   * Get the frame colors reference images can be filtered by
+   * @returns {string[]} Frame colors
+   */
+  getFrameColors() {
+    return FRAME_COLORS;
+  }
+
   /**
    * Get display name for a category
    * @param {string} category - Category key
@@ -182,9 +205,33 @@ class ReferenceImagesService {
   /**
    * Get a random image for a specific category
    * @param {string} category - Category key (room_dividers, closet_doors, home_offices)
+   * @param {Object} filters - Optional metadata filters
+   * @param {string} filters.frame - Prefer images with this frame color (falls back to any image)
    * @returns {Promise<Object>} Image URL and metadata
    */
-  async getRandomImage(category) {
+  async getRandomImage(category, filters = {}) {
+    const candidates = await this.getCandidateImages(category, filters);
+
+    // Select random image
+    const randomIndex = Math.floor(Math.random() * candidates.length);
+    const selectedImage = candidates[randomIndex];
+
+    // Get a random keyword for SEO diversity
+    const randomKeyword = this.getRandomKeyword(category);
+
+    logger.info(`Selected random image for ${category}: ${selectedImage.publicId}`);
+
+    return this.buildImageData(category, selectedImage, randomKeyword);
+  }
+
+  /**
+   * Get the images a reference can be picked from
+   * @param {string} category - Category key
+   * @param {Object} filters - Optional metadata filters
+   * @param {string} filters.frame - Prefer images with this frame color (falls back to any image)
+   * @returns {Promise<Array>} Cloudinary images
+   */
+  async getCandidateImages(category, filters = {}) {
     const catalog = PRODUCT_CATALOG[category];
     if (!catalog) {
       throw new Error(`Unknown category: ${category}. Valid categories: ${this.getCategories().join(', ')}`);
@@ -196,24 +243,36 @@ class ReferenceImagesService {
       throw new Error(`No images found for category: ${category}. Please run the upload script first.`);
     }
 
-    // Select random image
-    const randomIndex = Math.floor(Math.random() * images.length);
-    const selectedImage = images[randomIndex];
-
-    // Parse metadata from publicId if available
-    const metadata = this.parseImageMetadata(selectedImage.publicId);
+    let candidates = images;
+    if (filters.frame) {
+      const matching = images.filter(image => this.parseImageMetadata(image.publicId).frame === filters.frame);
+      if (matching.length > 0) {
+        candidates = matching;
+      } else {
+        logger.warn(`No ${filters.frame} frame images for ${category}, using any image`);
+      }
+    }
 
-    // Get a random keyword for SEO diversity
-    const randomKeyword = this.getRandomKeyword(category);
+    return candidates;
+  }
 
-    logger.info(`Selected random image for ${category}: ${selectedImage.publicId}`);
+  /**
+   * Build the reference image data used by the content pipeline
+   * @param {string} category - Category key
+   * @param {Object} image - Cloudinary image
+   * @param {string} keyword - SEO keyword for the caption
+   * @returns {Object} Image URL and metadata
+   */
+  buildImageData(category, image, keyword) {
+    // Parse metadata from publicId if available
+    const metadata = this.parseImageMetadata(image.publicId);
 
     return {
-      url: selectedImage.url,
-      publicId: selectedImage.publicId,
+      url: image.url,
+      publicId: image.publicId,
       category: category,
-      keyword: randomKeyword, // Use random keyword instead of static
-      displayName: catalog.displayName,
+      keyword,
+      displayName: PRODUCT_CATALOG[category].displayName,
       ...metadata
     };
   }
@@ -0,0 +1,469 @@
+/**
+ * Report Export Service
+ * Renders a weekly analytics report (analytics collection) for the client
+ * - HTML: self-contained page with post thumbnails, caption excerpts and the report tables
+ * - PDF: the same content rendered with pdfkit (thumbnails are fetched from Cloudinary)
+ * - CSV: one raw row per post in the report
+ */
+
+const PDFDocument = require('pdfkit');
+const axios = require('axios');
+const analyticsService = require('./analytics.service');
+const cloudinaryService = require('./cloudinary.service');
+const referenceImagesService = require('./referenceImages.service');
+const { createHttpError, escapeCsv } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8' },
+  pdf: { contentType: 'application/pdf' },
+  csv: { contentType: 'text/csv; charset=utf-8' }
+};
+
+// Thumbnail size in the exports (4:5, like the feed posts)
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 200;
+
+const THUMBNAIL_TIMEOUT_MS = 10000;
+
+// CSV columns: [header, value of a post row]
+const CSV_COLUMNS = [
+  ['postId', row => row.id],
+  ['docId', row => row.docId],
+  ['postedAt', row => row.postedAt],
+  ['category', row => row.category],
+  ['type', row => row.type],
+  ['keyword', row => row.keyword],
+  ['platforms', row => (row.platforms || []).join('|')],
+  ['metricsWindow', row => row.metricsWindow],
+  ['reach', row => row.reach],
+  ['impressions', row => row.impressions],
+  ['likes', row => row.likes],
+  ['comments', row => row.comments],
+  ['saves', row => row.saves],
+  ['shares', row => row.shares],
+  ['videoPlays', row => row.videoPlays],
+  ['engagement', row => row.engagement],
+  ['engagementRate', row => row.engagementRate],
+  ['caption', row => row.caption],
+  ['thumbnailUrl', row => row.thumbnailUrl]
+];
+
+class ReportExportService {
+  /**
+   * Get the supported export formats
+   * @returns {Array<string>} Formats
+   */
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Export a report
+   * @param {string} reportId - Report ID
+   * @param {string} format - html, pdf or csv
+   * @returns {Promise<Object>} { contentType, filename, body } (body is a string or Buffer)
+   */
+  async exportReport(reportId, format) {
+    if (!FORMATS[format]) {
+      throw createHttpError(`Invalid format: ${format}`, 400, { allowed: this.getFormats() });
+    }
+
+    const report = await analyticsService.getReport(reportId);
+
+    if (!report) {
+      throw createHttpError(`Report not found: ${reportId}`, 404);
+    }
+
+    let body;
+    if (format === 'pdf') {
+      body = await this.renderPdf(report);
+    } else if (format === 'csv') {
+      body = this.renderCsv(report);
+    } else {
+      body = this.renderHtml(report);
+    }
+
+    logger.info(`Report ${reportId} exported as ${format}`);
+
+    return {
+      contentType: FORMATS[format].contentType,
+      filename: `doors22-report-${report.period?.start}_${report.period?.end}.${format}`,
+      body
+    };
+  }
+
+  /**
+   * Prepare the report content shared by the HTML and PDF renditions
+   * Older reports lack category counts, post details and interaction stats; those sections are left empty
+   * @param {Object} report - Report document
+   * @returns {Object} View
+   */
+  buildView(report) {
+    const summary = report.summary || {};
+
+    const posts = [...(report.posts || [])]
+      .sort((a, b) => (b.engagementRate ?? -1) - (a.engagementRate ?? -1))
+      .map(post => ({
+        ...post,
+        thumbnail: this.getThumbnailUrl(post),
+        categoryName: post.category ? referenceImagesService.getDisplayName(post.category) : '-'
+      }));
+
+    const rankingRows = groups => (groups || []).map(group => [
+      group.key,
+      String(group.posts),
+      this.formatNumber(group.reach),
+      this.formatNumber(group.engagement),
+      this.formatRate(group.engagementRate)
+    ]);
+
+    return {
+      title: 'Doors22 Weekly Performance Report',
+      period: `${report.period?.start} to ${report.period?.end}`,
+      generatedAt: report.generatedAt,
+      summary: [
+        ['Posts', summary.totalPosts],
+        ['Images', summary.imagesPosts],
+        ['Videos', summary.videoPosts],
+        ['Carousels', summary.carouselPosts],
+        ['Instagram posts', summary.instagramPosts],
+        ['Facebook posts', summary.facebookPosts],
+        ['Posts with metrics', summary.postsWithMetrics],
+        ['Reach', this.formatNumber(summary.reach)],
+        ['Engagement', this.formatNumber(summary.engagement)],
+        ['Engagement rate', this.formatRate(summary.engagementRate)]
+      ].map(([label, value]) => [label, value ?? '-']),
+      categories: Object.entries(report.byCategory || {})
+        .map(([category, count]) => [referenceImagesService.getDisplayName(category), String(count)]),
+      rankingHeaders: ['Name', 'Posts', 'Reach', 'Engagement', 'Rate'],
+      categoryRanking: rankingRows(report.rankings?.categories)
+        .map(([key, ...rest]) => [referenceImagesService.getDisplayName(key), ...rest]),
+      typeRanking: rankingRows(report.rankings?.types),
+      hashtagRanking: rankingRows(report.rankings?.hashtags).slice(0, 10),
+      postHeaders: ['Post', 'Caption', 'Category', 'Posted', 'Reach', 'Engagement', 'Rate'],
+      posts,
+      interactions: report.interactions
+        ? [
+          ['Total received', report.interactions.total],
+          ...Object.entries(report.interactions.byType).map(([type, count]) => [`Type: ${type}`, count]),
+          ...Object.entries(report.interactions.byPlatform).map(([platform, count]) => [`Platform: ${platform}`, count]),
+          ...Object.entries(report.interactions.byCategory).map(([category, count]) => [`Topic: ${category}`, count]),
+          ...Object.entries(report.interactions.byStatus).map(([status, count]) => [`Status: ${status}`, count]),
+          ['Redirected to a quote', report.interactions.redirected],
+          ['Median reply time', report.interactions.medianReplyMinutes !== null ? `${report.interactions.medianReplyMinutes} min` : '-']
+        ].map(([label, value]) => [label, String(value)])
+        : null
+    };
+  }
+
+  /**
+   * Render the report as a self-contained HTML page
+   * @param {Object} report - Report document
+   * @returns {string} HTML
+   */
+  renderHtml(report) {
+    const view = this.buildView(report);
+    const e = value => this.escapeHtml(value);
+
+    const table = (headers, rows) => rows.length === 0
+      ? '<p class="empty">No data for this period.</p>'
+      : `<table>
+  ${headers ? `<tr>${headers.map(header => `<th>${e(header)}</th>`).join('')}</tr>` : ''}
+  ${rows.map(row => `<tr>${row.map(cell => `<td>${e(cell)}</td>`).join('')}</tr>`).join('\n  ')}
+</table>`;
+
+    const postRows = view.posts.map(post => `<tr>
+    <td>${post.thumbnail ? `<img src="${e(post.thumbnail)}" width="80" height="100" alt="${e(post.id)}">` : e(post.id)}</td>
+    <td class="caption">${e(post.caption || '')}</td>
+    <td>${e(post.categoryName)}<br><small>${e(post.type)}</small></td>
+    <td>${e(post.postedAt?.split('T')[0] || '-')}</td>
+    <td>${e(this.formatNumber(post.reach))}</td>
+    <td>${e(this.formatNumber(post.engagement))}</td>
+    <td>${e(this.formatRate(post.engagementRate))}</td>
+  </tr>`).join('\n  ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${e(view.title)} (${e(view.period)})</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 32px; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 32px; border-bottom: 2px solid #222; padding-bottom: 4px; }
+  .meta { color: #666; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  td.caption { max-width: 360px; }
+  img { object-fit: cover; border-radius: 4px; }
+  .empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>${e(view.title)}</h1>
+<p class="meta">${e(view.period)} &middot; generated ${e(view.generatedAt)}</p>
+
+<h2>Summary</h2>
+${table(null, view.summary)}
+
+<h2>Posts per Category</h2>
+${table(['Category', 'Posts'], view.categories)}
+
+<h2>Engagement by Category</h2>
+${table(view.rankingHeaders, view.categoryRanking)}
+
+<h2>Engagement by Content Type</h2>
+${table(view.rankingHeaders, view.typeRanking)}
+
+<h2>Top Hashtags</h2>
+${table(view.rankingHeaders, view.hashtagRanking)}
+
+<h2>Posts</h2>
+${view.posts.length === 0 ? '<p class="empty">No posts in this period.</p>' : `<table>
+  <tr>${view.postHeaders.map(header => `<th>${e(header)}</th>`).join('')}</tr>
+  ${postRows}
+</table>`}
+
+<h2>Comments and DMs</h2>
+${view.interactions ? table(null, view.interactions) : '<p class="empty">Not recorded for this report.</p>'}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render the report as a PDF
+   * @param {Object} report - Report document
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderPdf(report) {
+    const view = this.buildView(report);
+    const thumbnails = await Promise.all(view.posts.map(post => this.fetchImage(post.thumbnail)));
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    doc.font('Helvetica-Bold').fontSize(18).text(view.title);
+    doc.font('Helvetica').fontSize(10).fillColor('#666666')
+      .text(`${view.period} - generated ${view.generatedAt}`)
+      .fillColor('#000000');
+
+    this.pdfSection(doc, 'Summary');
+    this.pdfTable(doc, null, view.summary, [200, 315]);
+
+    this.pdfSection(doc, 'Posts per Category');
+    this.pdfTable(doc, ['Category', 'Posts'], view.categories, [200, 315]);
+
+    for (const [title, rows] of [
+      ['Engagement by Category', view.categoryRanking],
+      ['Engagement by Content Type', view.typeRanking],
+      ['Top Hashtags', view.hashtagRanking]
+    ]) {
+      this.pdfSection(doc, title);
+      this.pdfTable(doc, view.rankingHeaders, rows, [175, 60, 95, 95, 90]);
+    }
+
+    this.pdfSection(doc, 'Posts');
+    if (view.posts.length === 0) {
+      doc.fontSize(9).fillColor('#888888').text('No posts in this period.').fillColor('#000000');
+    }
+
+    const rowHeight = 60;
+    for (const [index, post] of view.posts.entries()) {
+      this.ensureSpace(doc, rowHeight);
+      const top = doc.y;
+      const left = doc.page.margins.left;
+
+      if (thumbnails[index]) {
+        try {
+          doc.image(thumbnails[index], left, top, { fit: [40, 50] });
+        } catch (error) {
+          logger.warn(`Report PDF: thumbnail for ${post.id} skipped (${error.message})`);
+        }
+      }
+
+      doc.fontSize(8)
+        .text(post.caption || '', left + 50, top, { width: 250, height: 50, ellipsis: true })
+        .text(`${post.categoryName} (${post.type})`, left + 310, top, { width: 100 })
+        .text(post.postedAt?.split('T')[0] || '-', left + 310, top + 12, { width: 100 })
+        .text(`Reach ${this.formatNumber(post.reach)}`, left + 420, top, { width: 95 })
+        .text(`Engagement ${this.formatNumber(post.engagement)}`, left + 420, top + 12, { width: 95 })
+        .text(`Rate ${this.formatRate(post.engagementRate)}`, left + 420, top + 24, { width: 95 });
+
+      doc.x = left;
+      doc.y = top + rowHeight;
+    }
+
+    this.pdfSection(doc, 'Comments and DMs');
+    if (view.interactions) {
+      this.pdfTable(doc, null, view.interactions, [200, 315]);
+    } else {
+      doc.fontSize(9).fillColor('#888888').text('Not recorded for this report.').fillColor('#000000');
+    }
+
+    doc.end();
+
+    return finished;
+  }
+
+  /**
+   * Write a section heading
+   * @param {PDFDocument} doc - PDF document
+   * @param {string} title - Heading
+   */
+  pdfSection(doc, title) {
+    this.ensureSpace(doc, 60);
+    doc.x = doc.page.margins.left;
+    doc.moveDown(1.2).font('Helvetica-Bold').fontSize(13).text(title).font('Helvetica').moveDown(0.3);
+  }
+
+  /**
+   * Write a simple table (one line per row)
+   * @param {PDFDocument} doc - PDF document
+   * @param {Array<string>|null} headers - Column headers
+   * @param {Array<Array>} rows - Cell values
+   * @param {Array<number>} widths - Column widths
+   */
+  pdfTable(doc, headers, rows, widths) {
+    if (rows.length === 0) {
+      doc.fontSize(9).fillColor('#888888').text('No data for this period.').fillColor('#000000');
+      return;
+    }
+
+    const writeRow = (cells, bold) => {
+      this.ensureSpace(doc, 16);
+      const top = doc.y;
+      let left = doc.page.margins.left;
+
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      cells.forEach((cell, i) => {
+        doc.text(String(cell ?? '-'), left, top, { width: widths[i] - 6, lineBreak: false, ellipsis: true });
+        left += widths[i];
+      });
+
+      doc.x = doc.page.margins.left;
+      doc.y = top + 14;
+    };
+
+    if (headers) {
+      writeRow(headers, true);
+    }
+    rows.forEach(row => writeRow(row, false));
+    doc.font('Helvetica');
+  }
+
+  /**
+   * Start a new page if the next block does not fit
+   * @param {PDFDocument} doc - PDF document
+   * @param {number} height - Height of the next block
+   */
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * Render the report's post rows as CSV
+   * @param {Object} report - Report document
+   * @returns {string} CSV
+   */
+  renderCsv(report) {
+    const lines = [
+      ['reportId', 'periodStart', 'periodEnd', ...CSV_COLUMNS.map(([header]) => header)].join(','),
+      ...(report.posts || []).map(row => [
+        report.id,
+        report.period?.start,
+        report.period?.end,
+        ...CSV_COLUMNS.map(([, getValue]) => getValue(row))
+      ].map(value => escapeCsv(value)).join(','))
+    ];
+
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Small Cloudinary thumbnail of a post (video posts get a frame of the video)
+   * @param {Object} post - Report post row
+   * @returns {string|null} JPEG URL
+   */
+  getThumbnailUrl(post) {
+    if (!post.cloudinaryPublicId) {
+      return post.thumbnailUrl || null;
+    }
+
+    if (post.type === 'video') {
+      return cloudinaryService.getVideoThumbnail(post.cloudinaryPublicId, {
+        width: THUMBNAIL_WIDTH,
+        height: THUMBNAIL_HEIGHT
+      });
+    }
+
+    return cloudinaryService.getTransformationUrl(post.cloudinaryPublicId, {
+      width: THUMBNAIL_WIDTH,
+      height: THUMBNAIL_HEIGHT,
+      crop: 'fill',
+      format: 'jpg'
+    });
+  }
+
+  /**
+   * Download an image for the PDF (failures leave the thumbnail out)
+   * @param {string|null} url - Image URL
+   * @returns {Promise<Buffer|null>} Image data
+   */
+  async fetchImage(url) {
+    if (!url) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: THUMBNAIL_TIMEOUT_MS });
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.warn(`Report thumbnail download failed (${url}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Format a count for display
+   * @param {number|null} value - Count
+   * @returns {string} Formatted count or '-'
+   */
+  formatNumber(value) {
+    return typeof value === 'number' ? value.toLocaleString('en-US') : '-';
+  }
+
+  /**
+   * Format an engagement rate as a percentage
+   * @param {number|null} rate - Rate (0.0425)
+   * @returns {string} '4.25%' or '-'
+   */
+  formatRate(rate) {
+    return typeof rate === 'number' ? `${(rate * 100).toFixed(2)}%` : '-';
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {*} value - Value
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new ReportExportService();
@@ -0,0 +1,508 @@
+/**
+ * Settings Service
+ * Single source of truth for the dashboard-managed system settings
+ * - Cached read of settings/system_settings merged over defaults
+ * - Schema validation and partial updates with optimistic concurrency (version counter)
+ * - Version history with rollback
+ * - Module toggles consulted by every cron job
+ * - Posting time used for default scheduling
+ */
+
+const { db } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/helpers');
+
+const SETTINGS_DOC_ID = 'system_settings';
+
+// Defaults mirror how the system behaves when nothing has been saved yet
+const DEFAULT_SETTINGS = {
+  postingTime: '17:00',
+  contentMix: {
+    images: 70,
+    videos: 30
+  },
+  brandVoice: 'professional-inspirational',
+  autoApproval: false,
+  emailNotifications: true,
+  learning: {
+    enabled: true,
+    explorationFloor: 20,
+    postingHourSpread: 0
+  },
+  autoReply: {
+    cooldownHours: 24
+  },
+  escalation: {
+    enabled: true,
+    keywords: ['refund', 'lawsuit', 'lawyer', 'attorney', 'sue', 'damage', 'broken', 'chargeback', 'scam'],
+    vipAccounts: []
+  },
+  leads: {
+    enabled: true,
+    crmWebhookUrl: ''
+  },
+  modules: {
+    trendAnalysisEnabled: true,
+    contentGenerationEnabled: true,
+    autoPostingEnabled: true,
+    autoReplyEnabled: true
+  }
+};
+
+// Declared settings schema - anything not listed here is rejected
+const SETTINGS_SCHEMA = {
+  postingTime: {
+    type: 'string',
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    hint: 'a 24h UTC time like "17:00"'
+  },
+  contentMix: {
+    type: 'object',
+    fields: {
+      images: { type: 'integer', min: 0, max: 100 },
+      videos: { type: 'integer', min: 0, max: 100 }
+    },
+    check: mix => (mix.images + mix.videos === 100
+      ? null
+      : `contentMix.images and contentMix.videos must add up to 100 (got ${mix.images + mix.videos})`)
+  },
+  brandVoice: { type: 'string', minLength: 1, maxLength: 200 },
+  autoApproval: { type: 'boolean' },
+  emailNotifications: { type: 'boolean' },
+  learning: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      explorationFloor: { type: 'integer', min: 0, max: 100 },
+      postingHourSpread: { type: 'integer', min: 0, max: 6 }
+    }
+  },
+  autoReply: {
+    type: 'object',
+    fields: {
+      cooldownHours: { type: 'integer', min: 0, max: 168 }
+    }
+  },
+  escalation: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      keywords: { type: 'array', maxItems: 100, itemMaxLength: 100 },
+      vipAccounts: { type: 'array', maxItems: 500, itemMaxLength: 100 }
+    }
+  },
+  leads: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      crmWebhookUrl: {
+        type: 'string',
+        pattern: /^(https:\/\/\S+)?$/,
+        maxLength: 500,
+        hint: 'an https:// URL, or "" to turn the CRM push off'
+      }
+    }
+  },
+  modules: {
+    type: 'object',
+    fields: {
+      trendAnalysisEnabled: { type: 'boolean' },
+      contentGenerationEnabled: { type: 'boolean' },
+      autoPostingEnabled: { type: 'boolean' },
+      autoReplyEnabled: { type: 'boolean' }
+    }
+  }
+};
+
+class SettingsService {
+  constructor() {
+    this.settingsRef = db.collection('settings').doc(SETTINGS_DOC_ID);
+    this.historyCollection = this.settingsRef.collection('history');
+    this.cache = null;
+    this.lastCacheTime = 0;
+    this.cacheExpiry = 60 * 1000; // 1 minute cache
+  }
+
+  /**
+   * Get default settings
+   * @returns {Object} Copy of the default settings
+   */
+  getDefaults() {
+    return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  }
+
+  /**
+   * Get current settings merged over defaults
+   * Falls back to defaults if Firestore is unreachable so crons keep running
+   * @param {Object} options - Options
+   * @param {boolean} options.fresh - Bypass the cache
+   * @returns {Promise<Object>} Settings (including version)
+   */
+  async getSettings(options = {}) {
+    const now = Date.now();
+    if (!options.fresh && this.cache && (now - this.lastCacheTime) < this.cacheExpiry) {
+      return this.cache;
+    }
+
+    try {
+      const settingsDoc = await this.settingsRef.get();
+      const settings = this.fromStored(settingsDoc.exists ? settingsDoc.data() : {});
+
+      this.cache = settings;
+      this.lastCacheTime = now;
+
+      return settings;
+    } catch (error) {
+      logger.error('Error loading settings, using defaults:', error.message);
+      return this.cache || this.fromStored({});
+    }
+  }
+
+  /**
+   * Apply a partial update
+   * @param {Object} patch - Fields to change (nested objects are merged)
+   * @param {Object} options - Update options
+   * @param {number} options.expectedVersion - Version the client last read (required)
+   * @param {string} options.updatedBy - Actor name
+   * @returns {Promise<Object>} New settings
+   */
+  async updateSettings(patch, options = {}) {
+    const errors = this.validatePatch(patch);
+    if (errors.length > 0) {
+      throw createHttpError('Invalid settings', 400, errors);
+    }
+
+    return this.applyUpdate(patch, options);
+  }
+
+  /**
+   * Get prior versions of the settings, newest first
+   * @param {number} limit - Max results
+   * @returns {Promise<Array>} History entries
+   */
+  async getHistory(limit = 20) {
+    const snapshot = await this.historyCollection
+      .orderBy('version', 'desc')
+      .limit(limit)
+      .get();
+
+    const history = [];
+    snapshot.forEach(doc => {
+      history.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return history;
+  }
+
+  /**
+   * Roll back to a prior version (creates a new version with the old values)
+   * @param {number} version - Version to restore
+   * @param {Object} options - Update options (expectedVersion, updatedBy)
+   * @returns {Promise<Object>} New settings
+   */
+  async rollback(version, options = {}) {
+    const historyDoc = await this.historyCollection.doc(`v${version}`).get();
+
+    if (!historyDoc.exists) {
+      throw createHttpError(`Settings version not found: ${version}`, 404);
+    }
+
+    return this.applyUpdate(historyDoc.data().settings, {
+      ...options,
+      rolledBackFrom: version
+    });
+  }
+
+  /**
+   * Write a new settings version in a transaction
+   * Rejects the write if someone else saved since expectedVersion was read
+   * @param {Object} patch - Validated fields to change
+   * @param {Object} options - expectedVersion, updatedBy, rolledBackFrom
+   * @returns {Promise<Object>} New settings
+   */
+  async applyUpdate(patch, options) {
+    const { expectedVersion, updatedBy, rolledBackFrom = null } = options;
+
+    if (!Number.isInteger(expectedVersion)) {
+      throw createHttpError('The current settings version is required (send "version" or an If-Match header)', 428);
+    }
+
+    const settings = await db.runTransaction(async (transaction) => {
+      const settingsDoc = await transaction.get(this.settingsRef);
+      const stored = settingsDoc.exists ? settingsDoc.data() : {};
+      const current = this.fromStored(stored);
+
+      if (expectedVersion !== current.version) {
+        throw createHttpError(
+          `Settings were changed by someone else (you have version ${expectedVersion}, current is ${current.version}). Reload and try again.`,
+          409,
+          [{ field: 'version', currentVersion: current.version }]
+        );
+      }
+
+      const next = this.merge(this.pickSchemaFields(current), patch);
+
+      const errors = this.validateSettings(next);
+      if (errors.length > 0) {
+        throw createHttpError('Invalid settings', 400, errors);
+      }
+
+      const timestamp = new Date().toISOString();
+      const version = current.version + 1;
+
+      // Keep the pre-versioning document so it can be rolled back to as well
+      if (current.version === 0 && settingsDoc.exists) {
+        transaction.set(this.historyCollection.doc('v0'), {
+          version: 0,
+          settings: this.pickSchemaFields(current),
+          changedFields: [],
+          updatedBy: stored.updatedBy || null,
+          updatedAt: stored.updatedAt || null,
+          rolledBackFrom: null
+        });
+      }
+
+      transaction.set(this.settingsRef, {
+        ...next,
+        version,
+        updatedBy,
+        updatedAt: timestamp
+      });
+
+      transaction.set(this.historyCollection.doc(`v${version}`), {
+        version,
+        settings: next,
+        changedFields: Object.keys(patch),
+        updatedBy,
+        updatedAt: timestamp,
+        rolledBackFrom
+      });
+
+      return { ...next, version, updatedBy, updatedAt: timestamp };
+    });
+
+    this.clearCache();
+
+    logger.info(`Settings updated to version ${settings.version} by ${updatedBy}${rolledBackFrom !== null ? ` (rollback to v${rolledBackFrom})` : ''}`);
+
+    return settings;
+  }
+
+  /**
+   * Validate a partial update against the schema
+   * @param {Object} patch - Fields to change
+   * @returns {Array} Validation errors ({ field, message })
+   */
+  validatePatch(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return [{ field: null, message: 'Settings must be a JSON object' }];
+    }
+
+    if (Object.keys(patch).length === 0) {
+      return [{ field: null, message: 'No settings provided' }];
+    }
+
+    return this.validateFields(patch, SETTINGS_SCHEMA, '');
+  }
+
+  /**
+   * Validate a complete settings object (cross-field rules)
+   * @param {Object} settings - Merged settings
+   * @returns {Array} Validation errors ({ field, message })
+   */
+  validateSettings(settings) {
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(SETTINGS_SCHEMA)) {
+      if (rule.check) {
+        const message = rule.check(settings[field]);
+        if (message) errors.push({ field, message });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate provided fields against a schema level
+   * @param {Object} values - Provided values
+   * @param {Object} schema - Schema for this level
+   * @param {string} prefix - Field path prefix
+   * @returns {Array} Validation errors
+   */
+  validateFields(values, schema, prefix) {
+    const errors = [];
+
+    for (const [key, value] of Object.entries(values)) {
+      const field = `${prefix}${key}`;
+      const rule = schema[key];
+
+      if (!rule) {
+        errors.push({ field, message: `Unknown setting. Allowed: ${Object.keys(schema).join(', ')}` });
+        continue;
+      }
+
+      const message = this.checkValue(value, rule);
+      if (message) {
+        errors.push({ field, message });
+      } else if (rule.type === 'object') {
+        errors.push(...this.validateFields(value, rule.fields, `${field}.`));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a single value against its rule
+   * @param {*} value - Value
+   * @param {Object} rule - Schema rule
+   * @returns {string|null} Error message or null
+   */
+  checkValue(value, rule) {
+    switch (rule.type) {
+      case 'string':
+        if (typeof value !== 'string') return 'Must be a string';
+        if (rule.pattern && !rule.pattern.test(value)) return `Must be ${rule.hint}`;
+        if (rule.minLength && value.trim().length < rule.minLength) return `Must be at least ${rule.minLength} characters`;
+        if (rule.maxLength && value.length > rule.maxLength) return `Must be at most ${rule.maxLength} characters`;
+        return null;
+      case 'integer':
+        if (!Number.isInteger(value)) return 'Must be an integer';
+        if (value < rule.min || value > rule.max) return `Must be between ${rule.min} and ${rule.max}`;
+        return null;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'Must be true or false';
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? null : 'Must be an object';
+      case 'array':
+        if (!Array.isArray(value)) return 'Must be an array of strings';
+        if (value.length > rule.maxItems) return `Must have at most ${rule.maxItems} items`;
+        if (value.some(item => typeof item !== 'string' || !item.trim() || item.length > rule.itemMaxLength)) {
+          return `Every item must be a non-empty string of at most ${rule.itemMaxLength} characters`;
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check whether a module is enabled
+   * @param {string} moduleName - trendAnalysis, contentGeneration, autoPosting or autoReply
+   * @returns {Promise<boolean>} True if enabled
+   */
+  async isModuleEnabled(moduleName) {
+    const settings = await this.getSettings();
+    return settings.modules[`${moduleName}Enabled`] !== false;
+  }
+
+  /**
+   * Get the next occurrence of the configured posting time (UTC)
+   * @param {Date} from - Reference time (default: now)
+   * @param {Object} options - Options
+   * @param {number} options.hour - Post at this UTC hour instead (keeps the configured minutes)
+   * @returns {Promise<string>} ISO timestamp
+   */
+  async getNextPostingTime(from = new Date(), options = {}) {
+    const settings = await this.getSettings();
+    const [configuredHours, minutes] = this.parsePostingTime(settings.postingTime);
+    const hours = Number.isInteger(options.hour) ? options.hour : configuredHours;
+
+    const scheduled = new Date(from);
+    scheduled.setUTCHours(hours, minutes, 0, 0);
+
+    // If today's posting time has passed, schedule for tomorrow
+    if (scheduled <= from) {
+      scheduled.setUTCDate(scheduled.getUTCDate() + 1);
+    }
+
+    return scheduled.toISOString();
+  }
+
+  /**
+   * Parse an "HH:MM" posting time, falling back to the default
+   * @param {string} postingTime - Time string
+   * @returns {number[]} [hours, minutes]
+   */
+  parsePostingTime(postingTime) {
+    if (SETTINGS_SCHEMA.postingTime.pattern.test(postingTime || '')) {
+      return postingTime.split(':').map(Number);
+    }
+
+    logger.warn(`Invalid postingTime "${postingTime}", using ${DEFAULT_SETTINGS.postingTime}`);
+    return DEFAULT_SETTINGS.postingTime.split(':').map(Number);
+  }
+
+  /**
+   * Clear the settings cache (call after settings are updated)
+   */
+  clearCache() {
+    this.cache = null;
+    this.lastCacheTime = 0;
+  }
+
+  /**
+   * Build full settings from a stored document (defaults fill the gaps)
+   * @param {Object} stored - Stored document data
+   * @returns {Object} Settings with version metadata
+   */
+  fromStored(stored) {
+    return {
+      ...this.merge(this.getDefaults(), this.pickSchemaFields(stored)),
+      version: stored.version || 0,
+      updatedBy: stored.updatedBy || null,
+      updatedAt: stored.updatedAt || null
+    };
+  }
+
+  /**
+   * Merge settings, one level deep for object settings
+   * Empty values never override
+   * @param {Object} base - Base settings
+   * @param {Object} overrides - Values to apply
+   * @returns {Object} Merged settings
+   */
+  merge(base, overrides) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(overrides || {})) {
+      if (value === undefined || value === null) continue;
+
+      if (SETTINGS_SCHEMA[key]?.type === 'object') {
+        merged[key] = { ...base[key], ...this.withoutEmpty(value) };
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Keep only fields declared in the schema
+   * @param {Object} obj - Settings-like object
+   * @returns {Object} Schema fields only
+   */
+  pickSchemaFields(obj) {
+    return Object.fromEntries(
+      Object.entries(obj || {}).filter(([key]) => SETTINGS_SCHEMA[key])
+    );
+  }
+
+  /**
+   * Drop undefined/null values
+   * @param {Object} obj - Object to clean
+   * @returns {Object} Object without empty values
+   */
+  withoutEmpty(obj) {
+    return Object.fromEntries(
+      Object.entries(obj || {}).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+}
+
+module.exports = new SettingsService();
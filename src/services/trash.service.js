@@ -0,0 +1,240 @@
+/**
+ * Trash Service
+ * Soft delete workflow for posts, trends and interactions
+ * - Move documents into a trashed state (deletedAt/deletedBy)
+ * - Restore trashed documents to their previous state
+ * - Permanently purge trashed documents (and their Cloudinary media) after the retention period
+ */
+
+const { db, admin } = require('../config/firebase');
+const cloudinaryService = require('./cloudinary.service');
+const logger = require('../utils/logger');
+const { createHttpError } = require('../utils/helpers');
+
+// Collections that support soft delete.
+// Collections with a status field get status 'trashed' so status-based queries
+// (pending posts, approved posts ready to publish, pending interactions) skip them.
+const TRASHABLE_COLLECTIONS = {
+  posts: { hasStatus: true },
+  trends: { hasStatus: false },
+  interactions: { hasStatus: true }
+};
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Documents read per batch when paging past trashed documents
+const LIST_BATCH_SIZE = 50;
+
+class TrashService {
+  /**
+   * Check whether a document is trashed
+   * @param {Object} data - Document data
+   * @returns {boolean} True if trashed
+   */
+  isTrashed(data) {
+    return Boolean(data?.deletedAt);
+  }
+
+  /**
+   * Run a list query with trashed documents left out before paging, so a page is only short
+   * at the end of the results (the query is read in batches until offset + limit active documents are found)
+   * @param {Object} query - Ordered Firestore query (without limit/offset)
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Active documents to skip
+   * @param {boolean} options.includeDeleted - Keep trashed documents (plain limit/offset)
+   * @returns {Promise<Array<Object>>} Documents ({ id, ...data })
+   */
+  async listActive(query, { limit, offset = 0, includeDeleted = false }) {
+    if (includeDeleted) {
+      const snapshot = await query.limit(limit).offset(offset).get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    const wanted = offset + limit;
+    const batchSize = Math.max(wanted, LIST_BATCH_SIZE);
+    const active = [];
+    let lastDoc = null;
+
+    while (active.length < wanted) {
+      const page = lastDoc ? query.startAfter(lastDoc) : query;
+      const snapshot = await page.limit(batchSize).get();
+
+      active.push(...snapshot.docs.filter(doc => !this.isTrashed(doc.data())));
+
+      if (snapshot.size < batchSize) {
+        break;
+      }
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return active
+      .slice(offset, wanted)
+      .map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Get the retention period in days
+   * @returns {number} Days trashed documents are kept before purging
+   */
+  getRetentionDays() {
+    return parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Move a document to the trash
+   * @param {string} collection - posts, trends or interactions
+   * @param {string} id - Document ID
+   * @param {string} deletedBy - Actor name
+   * @returns {Promise<Object>} Trashed document
+   */
+  async trash(collection, id, deletedBy) {
+    const config = this.getCollectionConfig(collection);
+
+    const docRef = db.collection(collection).doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      throw createHttpError(`Document not found: ${collection}/${id}`, 404);
+    }
+
+    const data = doc.data();
+
+    if (this.isTrashed(data)) {
+      throw createHttpError(`Document is already in the trash: ${collection}/${id}`, 409);
+    }
+
+    const updateData = {
+      deletedAt: new Date().toISOString(),
+      deletedBy
+    };
+
+    if (config.hasStatus) {
+      updateData.statusBeforeDelete = data.status || null;
+      updateData.status = 'trashed';
+    }
+
+    await docRef.update(updateData);
+
+    logger.info(`Moved ${collection}/${id} to trash (by ${deletedBy})`);
+
+    return { id, ...data, ...updateData };
+  }
+
+  /**
+   * Restore a trashed document
+   * @param {string} collection - posts, trends or interactions
+   * @param {string} id - Document ID
+   * @param {string} restoredBy - Actor name
+   * @returns {Promise<Object>} Restored document
+   */
+  async restore(collection, id, restoredBy) {
+    const config = this.getCollectionConfig(collection);
+    const { FieldValue } = admin.firestore;
+
+    const docRef = db.collection(collection).doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      throw createHttpError(`Document not found: ${collection}/${id}`, 404);
+    }
+
+    const data = doc.data();
+
+    if (!this.isTrashed(data)) {
+      throw createHttpError(`Document is not in the trash: ${collection}/${id}`, 409);
+    }
+
+    const updateData = {
+      deletedAt: FieldValue.delete(),
+      deletedBy: FieldValue.delete(),
+      restoredAt: new Date().toISOString(),
+      restoredBy
+    };
+
+    if (config.hasStatus) {
+      updateData.status = data.statusBeforeDelete || 'pending';
+      updateData.statusBeforeDelete = FieldValue.delete();
+    }
+
+    await docRef.update(updateData);
+
+    logger.info(`Restored ${collection}/${id} from trash (by ${restoredBy})`);
+
+    const restoredDoc = await docRef.get();
+    return { id: restoredDoc.id, ...restoredDoc.data() };
+  }
+
+  /**
+   * Permanently delete trashed documents older than the retention period
+   * Posts also have their Cloudinary media (every carousel slide) removed
+   * @param {number} retentionDays - Override retention period (optional)
+   * @returns {Promise<Object>} Purge counts per collection
+   */
+  async purgeExpired(retentionDays = this.getRetentionDays()) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+
+    logger.info(`Purging trash older than ${cutoff.toISOString()} (${retentionDays} days)`);
+
+    const results = {};
+
+    for (const collection of Object.keys(TRASHABLE_COLLECTIONS)) {
+      const snapshot = await db.collection(collection)
+        .where('deletedAt', '<=', cutoff.toISOString())
+        .get();
+
+      results[collection] = { purged: 0, mediaDeleted: 0, failed: 0 };
+
+      for (const doc of snapshot.docs) {
+        try {
+          const data = doc.data();
+
+          const resourceType = data.type === 'video' ? 'video' : 'image';
+          for (const publicId of this.getMediaPublicIds(data)) {
+            const deleted = await cloudinaryService.deleteMedia(publicId, resourceType);
+            if (deleted) results[collection].mediaDeleted++;
+          }
+
+          await doc.ref.delete();
+          results[collection].purged++;
+        } catch (error) {
+          logger.error(`Failed to purge ${collection}/${doc.id}:`, error.message);
+          results[collection].failed++;
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Collect every Cloudinary public ID owned by a document (carousel slides included)
+   * @param {Object} data - Document data
+   * @returns {Array<string>} Public IDs
+   */
+  getMediaPublicIds(data) {
+    const publicIds = [
+      data.cloudinaryPublicId,
+      ...(data.media || []).map(slide => slide.cloudinaryPublicId),
+      ...(data.removedMedia || []).map(slide => slide.cloudinaryPublicId)
+    ];
+
+    return [...new Set(publicIds.filter(Boolean))];
+  }
+
+  /**
+   * Get soft delete config for a collection
+   * @param {string} collection - Collection name
+   * @returns {Object} Collection config
+   */
+  getCollectionConfig(collection) {
+    const config = TRASHABLE_COLLECTIONS[collection];
+    if (!config) {
+      throw new Error(`Soft delete not supported for collection: ${collection}`);
+    }
+    return config;
+  }
+}
+
+module.exports = new TrashService();
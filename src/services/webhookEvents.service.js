@@ -0,0 +1,284 @@
+/**
+ * Webhook Events Service
+ * Every Meta webhook event is stored in webhook_events before it is processed
+ * - One document per event (comment, DM, ...) keyed by a dedupe key built from Meta's own ids
+ *   (message mid, comment id) or the entry time, so a redelivery is counted but not reprocessed
+ * - Status: processing -> processed, or dead_letter when the handler throws
+ * - A stored event can be replayed after a bug fix (handlers are idempotent)
+ */
+
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+const ingestionService = require('./ingestion.service');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const STATUSES = ['processing', 'processed', 'dead_letter'];
+
+// Webhook object -> platform
+const PLATFORMS = {
+  instagram: 'instagram',
+  page: 'facebook'
+};
+
+// Handler per event kind
+const HANDLERS = {
+  instagram_change: change => ingestionService.ingest('instagram', 'change', change),
+  instagram_message: messaging => ingestionService.ingest('instagram', 'message', messaging),
+  facebook_change: change => ingestionService.ingest('facebook', 'change', change),
+  facebook_message: messaging => ingestionService.ingest('facebook', 'message', messaging)
+};
+
+// An event still "processing" after this long was interrupted and may be replayed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Firestore error code when create() finds the document already there
+const ALREADY_EXISTS = 6;
+
+class WebhookEventsService {
+  constructor() {
+    this.eventsCollection = db.collection('webhook_events');
+  }
+
+  /**
+   * Store and process every event in a webhook delivery
+   * @param {Object} body - Webhook payload
+   * @param {string} source - Route it arrived on (instagram, facebook, meta, or legacy for /api/interactions/webhook)
+   * @returns {Promise<Object>} Counts: processed, duplicates, deadLettered
+   */
+  async ingest(body, source) {
+    const results = { processed: 0, duplicates: 0, deadLettered: 0 };
+
+    for (const event of this.splitEvents(body)) {
+      const eventRef = this.eventsCollection.doc(event.id);
+      const timestamp = new Date().toISOString();
+
+      try {
+        await eventRef.create({
+          key: event.id,
+          kind: event.kind,
+          source,
+          payload: event.payload,
+          status: 'processing',
+          attempts: 0,
+          deliveries: 1,
+          outcome: null,
+          lastError: null,
+          receivedAt: timestamp,
+          lastDeliveredAt: timestamp,
+          processingStartedAt: timestamp,
+          processedAt: null
+        });
+      } catch (error) {
+        if (error.code !== ALREADY_EXISTS) {
+          throw error;
+        }
+
+        await eventRef.update({
+          deliveries: admin.firestore.FieldValue.increment(1),
+          lastDeliveredAt: timestamp
+        });
+
+        results.duplicates++;
+        logger.info(`Webhook event ${event.id} already received - skipping redelivery`);
+        continue;
+      }
+
+      const processed = await this.process(event.id, event.kind, event.payload);
+      if (processed.status === 'processed') {
+        results.processed++;
+      } else {
+        results.deadLettered++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run an event's handler and record the result
+   * @param {string} eventId - Event id
+   * @param {string} kind - Event kind (instagram_change, instagram_message, ...)
+   * @param {Object} payload - Stored payload
+   * @returns {Promise<Object>} Fields written to the event ({ status, outcome, lastError, ... })
+   */
+  async process(eventId, kind, payload) {
+    const eventRef = this.eventsCollection.doc(eventId);
+    let result;
+
+    try {
+      const handler = HANDLERS[kind];
+      if (!handler) {
+        throw new Error(`No handler for webhook event kind "${kind}"`);
+      }
+
+      const outcome = await handler(payload.item);
+
+      result = {
+        status: 'processed',
+        outcome,
+        lastError: null,
+        processedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error(`Webhook event ${eventId} failed - moved to dead letter:`, error.message);
+
+      result = {
+        status: 'dead_letter',
+        outcome: null,
+        lastError: error.message,
+        failedAt: new Date().toISOString()
+      };
+    }
+
+    await eventRef.update({
+      ...result,
+      attempts: admin.firestore.FieldValue.increment(1)
+    });
+
+    return result;
+  }
+
+  /**
+   * Reprocess a stored event (e.g. a dead-lettered one after a bug fix)
+   * Safe for processed events too: an interaction that already exists is not created again
+   * @param {string} eventId - Event id
+   * @param {string} replayedBy - Actor name
+   * @returns {Promise<Object>} Updated event
+   */
+  async replay(eventId, replayedBy) {
+    const eventRef = this.eventsCollection.doc(eventId);
+
+    const event = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(eventRef);
+
+      if (!doc.exists) {
+        throw createHttpError('Webhook event not found', 404);
+      }
+
+      const data = doc.data();
+      const startedAt = new Date(data.processingStartedAt).getTime();
+      if (data.status === 'processing' && Date.now() - startedAt < STALE_PROCESSING_MS) {
+        throw createHttpError('Webhook event is being processed. Try again in a few minutes.', 409);
+      }
+
+      const timestamp = new Date().toISOString();
+      transaction.update(eventRef, {
+        status: 'processing',
+        processingStartedAt: timestamp,
+        replayCount: admin.firestore.FieldValue.increment(1),
+        lastReplayedBy: replayedBy,
+        lastReplayedAt: timestamp
+      });
+
+      return data;
+    });
+
+    logger.info(`Replaying webhook event ${eventId} (${event.kind}, was ${event.status})`);
+
+    await this.process(eventId, event.kind, event.payload);
+
+    return this.getEvent(eventId);
+  }
+
+  /**
+   * List stored events, newest first
+   * @param {Object} options - Options
+   * @param {string} options.status - Filter by status (optional)
+   * @param {number} options.limit - Max results (default 50)
+   * @returns {Promise<Array<Object>>} Events
+   */
+  async listEvents(options = {}) {
+    const { status, limit = 50 } = options;
+
+    let query = this.eventsCollection;
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        throw createHttpError(`Invalid status "${status}". Allowed: ${STATUSES.join(', ')}`, 400);
+      }
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query
+      .orderBy('receivedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Get a stored event
+   * @param {string} eventId - Event id
+   * @returns {Promise<Object|null>} Event or null
+   */
+  async getEvent(eventId) {
+    const doc = await this.eventsCollection.doc(eventId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Split a webhook delivery into single events (one per change or messaging item)
+   * @param {Object} body - Webhook payload
+   * @returns {Array<Object>} { id, kind, payload: { object, entryId, entryTime, item } }
+   */
+  splitEvents(body) {
+    const platform = PLATFORMS[body?.object];
+    if (!platform) {
+      return [];
+    }
+
+    const events = [];
+
+    for (const entry of body.entry || []) {
+      const items = [
+        ...(entry.changes || []).map(item => ({ kind: `${platform}_change`, item })),
+        ...(entry.messaging || []).map(item => ({ kind: `${platform}_message`, item }))
+      ];
+
+      for (const { kind, item } of items) {
+        events.push({
+          id: this.getDedupeKey(platform, kind, entry, item),
+          kind,
+          payload: {
+            object: body.object,
+            entryId: entry.id || null,
+            entryTime: entry.time || null,
+            item
+          }
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Dedupe key for an event: Meta's message/comment/mention id when there is one,
+   * otherwise the entry id and time plus a hash of the event itself
+   * @param {string} platform - instagram or facebook
+   * @param {string} kind - Event kind
+   * @param {Object} entry - Webhook entry
+   * @param {Object} item - Change or messaging item
+   * @returns {string} Key (usable as a document id)
+   */
+  getDedupeKey(platform, kind, entry, item) {
+    let key;
+
+    if (item.message?.mid) {
+      key = `${platform}_message_${item.message.mid}`;
+    } else if (item.field === 'mentions' && (item.value?.comment_id || item.value?.media_id)) {
+      key = `${platform}_mention_${item.value.comment_id || item.value.media_id}`;
+    } else if (item.value?.comment_id || (item.field === 'comments' && item.value?.id)) {
+      key = `${platform}_comment_${item.value.comment_id || item.value.id}`;
+    } else {
+      const hash = crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex').slice(0, 16);
+      key = `${kind}_${entry.id || 'unknown'}_${entry.time || item.timestamp || 0}_${hash}`;
+    }
+
+    return key.replace(/\//g, '_');
+  }
+}
+
+module.exports = new WebhookEventsService();
@@ -25,8 +25,50 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Create an error carrying an HTTP status (and optional details)
+ * Controllers respond with error.status, the global error handler does the same
+ */
+function createHttpError(message, status, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Check whether a run's time budget is used up
+ * @param {number} deadline - Epoch ms the run should stop by (no deadline when omitted)
+ * @returns {boolean} True if no time is left
+ */
+function isPastDeadline(deadline) {
+  return Boolean(deadline) && Date.now() >= deadline;
+}
+
+/**
+ * Escape a CSV field (quoted when it contains a comma, quote or line break)
+ * Fields starting with =, +, - or @ are prefixed with ' so spreadsheets do not run them as formulas
+ * @param {*} value - Value
+ * @returns {string} Field
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 module.exports = {
   generatePostId,
   formatDate,
-  sleep
+  sleep,
+  createHttpError,
+  isPastDeadline,
+  escapeCsv
 };